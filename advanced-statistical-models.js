@@ -0,0 +1,367 @@
+// advanced-statistical-models.js - Projection, game script and correlation models
+// used by the UltimateLoLDFSSystem pipeline. Each model draws from
+// `options.random` (a seeded generator from src/utils/random) when given.
+
+const {
+  generateSkewedRandomValue,
+  generateNormalRandom,
+  normalCdf,
+  simulateSeriesOutcome,
+  invertSeriesOutcome,
+  positionCorrelations,
+} = require("./src/simulation/seriesModel");
+
+// z-score of the 90th percentile; floor/ceiling are read as p10/p90
+const Z_90 = 1.2816;
+
+/**
+ * Bayesian score projection
+ * - Treats each player's projection as a normal prior worth `priorStrength`
+ *   games and updates it with observed fantasy scores
+ * - Falls back to position-level priors when a player has no projection
+ */
+class BayesianScoreProjection {
+  constructor(playerProjections, options = {}) {
+    this.playerProjections = playerProjections || {};
+    this.options = {
+      priorStrength: 4, // Pseudo-games the projection is worth
+      ...options,
+    };
+    this.random = this.options.random || Math.random;
+    this.positionPriors = this.buildPositionPriors();
+  }
+
+  // Mean and spread of projections at each position
+  buildPositionPriors() {
+    const byPosition = {};
+    Object.values(this.playerProjections).forEach((proj) => {
+      if (!proj.position || !(proj.median > 0)) return;
+      if (!byPosition[proj.position]) byPosition[proj.position] = [];
+      byPosition[proj.position].push(proj);
+    });
+
+    const priors = {};
+    Object.entries(byPosition).forEach(([position, projections]) => {
+      const mean =
+        projections.reduce((sum, proj) => sum + proj.median, 0) /
+        projections.length;
+      const stdDev =
+        projections.reduce((sum, proj) => sum + this.getPriorStdDev(proj), 0) /
+        projections.length;
+      priors[position] = { mean, stdDev };
+    });
+    return priors;
+  }
+
+  getPriorStdDev(proj) {
+    if (proj.stdDev > 0) return proj.stdDev;
+    if (proj.ceiling > proj.floor) {
+      return (proj.ceiling - proj.floor) / (2 * Z_90);
+    }
+    return Math.max(1, (proj.median || 0) * 0.3);
+  }
+
+  /**
+   * Posterior projection for one player
+   * @param {string} playerName - Player name
+   * @param {Array<number>} observations - Past fantasy scores
+   * @returns {Object} mean, stdDev, floor (p10), ceiling (p90), observations
+   */
+  getPosterior(playerName, observations = []) {
+    const proj = this.playerProjections[playerName] || {};
+    const positionPrior = this.positionPriors[proj.position] || {
+      mean: 20,
+      stdDev: 6,
+    };
+
+    const priorMean = proj.median > 0 ? proj.median : positionPrior.mean;
+    const priorStdDev =
+      proj.median > 0 ? this.getPriorStdDev(proj) : positionPrior.stdDev;
+
+    const scores = observations.filter((score) => Number.isFinite(score));
+    const k = this.options.priorStrength;
+    const n = scores.length;
+
+    let mean = priorMean;
+    let stdDev = priorStdDev;
+
+    if (n > 0) {
+      const sampleMean = scores.reduce((sum, score) => sum + score, 0) / n;
+      const sampleVariance =
+        n > 1
+          ? scores.reduce((sum, score) => sum + (score - sampleMean) ** 2, 0) /
+            (n - 1)
+          : priorStdDev ** 2;
+
+      // Normal prior with k pseudo-observations; predictive spread pools the
+      // prior spread, the sample spread and the prior/sample disagreement
+      mean = (k * priorMean + n * sampleMean) / (k + n);
+      const pooledVariance =
+        (k * priorStdDev ** 2 +
+          (n - 1) * sampleVariance +
+          ((k * n) / (k + n)) * (sampleMean - priorMean) ** 2) /
+        (k + n - 1);
+      stdDev = Math.sqrt(Math.max(pooledVariance, 1e-6));
+    }
+
+    return {
+      mean,
+      stdDev,
+      floor: Math.max(0, mean - Z_90 * stdDev),
+      ceiling: mean + Z_90 * stdDev,
+      observations: n,
+    };
+  }
+
+  /**
+   * Projections with median/floor/ceiling replaced by posterior values
+   * Players without a floor/ceiling in the source data get one from the prior
+   * @param {Object} history - { playerName: [scores] }
+   */
+  updateProjections(history = {}) {
+    const updated = {};
+    Object.entries(this.playerProjections).forEach(([name, proj]) => {
+      const scores = history[name] || [];
+      if (scores.length === 0 && proj.ceiling > proj.floor) {
+        updated[name] = { ...proj };
+        return;
+      }
+
+      const posterior = this.getPosterior(name, scores);
+      updated[name] = {
+        ...proj,
+        median: posterior.mean,
+        floor: posterior.floor,
+        ceiling: posterior.ceiling,
+        posteriorStdDev: posterior.stdDev,
+      };
+    });
+    return updated;
+  }
+
+  // Draw one score from the posterior predictive
+  sample(playerName, observations = []) {
+    const posterior = this.getPosterior(playerName, observations);
+    return Math.max(
+      0,
+      posterior.mean + posterior.stdDev * generateNormalRandom(this.random)
+    );
+  }
+}
+
+/**
+ * Game script simulator
+ * - Plays out every series on the slate with the shared series/sweep model
+ * - Labels each team's script and the scoring multiplier it implies
+ */
+class GameScriptSimulator {
+  constructor(teamProjections, options = {}) {
+    this.teamProjections = teamProjections || {};
+    this.random = options.random || Math.random;
+    this.matchups = this.buildMatchups();
+  }
+
+  buildMatchups() {
+    const matchups = [];
+    const seen = new Set();
+
+    Object.entries(this.teamProjections).forEach(([team, proj]) => {
+      if (seen.has(team)) return;
+      const opponent =
+        proj.opponent && this.teamProjections[proj.opponent]
+          ? proj.opponent
+          : null;
+      seen.add(team);
+      if (opponent) seen.add(opponent);
+      matchups.push({ team, opponent });
+    });
+
+    return matchups;
+  }
+
+  // Script label from the team's side of the scoreline
+  getScript(outcome) {
+    if (outcome.wins) return outcome.isSweep ? "stomp" : "close_win";
+    return outcome.scoreline === "0-2" ? "stomped" : "close_loss";
+  }
+
+  /**
+   * Simulate one slate
+   * @returns {Object} team -> { wins, isSweep, scoreline, script, killEnvironment }
+   */
+  simulateSlate() {
+    const scripts = {};
+
+    this.matchups.forEach(({ team, opponent }) => {
+      const odds = this.teamProjections[team]?.odds || 0;
+      const outcome = simulateSeriesOutcome(odds, this.random);
+      // Both sides of a series share its kill environment
+      const killEnvironment = generateSkewedRandomValue(
+        0.85,
+        1.2,
+        1.1,
+        this.random
+      );
+
+      scripts[team] = {
+        ...outcome,
+        script: this.getScript(outcome),
+        killEnvironment,
+      };
+
+      if (opponent) {
+        const opponentOutcome = invertSeriesOutcome(outcome);
+        scripts[opponent] = {
+          ...opponentOutcome,
+          script: this.getScript(opponentOutcome),
+          killEnvironment,
+        };
+      }
+    });
+
+    return scripts;
+  }
+
+  /**
+   * Scoring multiplier for a position under a script. Three-game series
+   * produce more stats for both teams; sweeps favour the winning carries.
+   */
+  getPlayerMultiplier(position, teamScript) {
+    if (!teamScript) return 1;
+    const carry = ["ADC", "MID", "JNG"].includes(position);
+
+    let multiplier;
+    switch (teamScript.script) {
+      case "stomp":
+        multiplier = carry ? 1.15 : 1.08;
+        break;
+      case "close_win":
+        multiplier = carry ? 1.12 : 1.1;
+        break;
+      case "close_loss":
+        multiplier = carry ? 0.95 : 0.97;
+        break;
+      default:
+        multiplier = carry ? 0.72 : 0.78;
+    }
+
+    return multiplier * teamScript.killEnvironment;
+  }
+}
+
+/**
+ * Gaussian copula over a set of players
+ * - Teammates share a team factor plus lane/role correlations
+ * - Opponents are mildly negatively correlated
+ */
+class CopulaCorrelationSystem {
+  constructor(options = {}) {
+    this.options = {
+      teamCorrelation: 0.35,
+      teamPositionCorrelation: 0.55, // TEAM slot vs. its own players
+      opponentCorrelation: -0.15,
+      ...options,
+    };
+    this.random = this.options.random || Math.random;
+    this.choleskyCache = new Map();
+  }
+
+  getCorrelation(player1, player2) {
+    if (player1.name === player2.name) return 1;
+
+    if (player1.team && player1.team === player2.team) {
+      if (player1.position === "TEAM" || player2.position === "TEAM") {
+        return this.options.teamPositionCorrelation;
+      }
+      const lane =
+        positionCorrelations[`${player1.position}-${player2.position}`] ||
+        positionCorrelations[`${player2.position}-${player1.position}`] ||
+        0;
+      return Math.max(this.options.teamCorrelation, lane);
+    }
+
+    if (
+      (player1.opponent && player1.opponent === player2.team) ||
+      (player2.opponent && player2.opponent === player1.team)
+    ) {
+      return this.options.opponentCorrelation;
+    }
+
+    return 0;
+  }
+
+  buildCorrelationMatrix(players) {
+    return players.map((p1) =>
+      players.map((p2) => this.getCorrelation(p1, p2))
+    );
+  }
+
+  /**
+   * Lower-triangular L with L * L^T = matrix. Correlation tables mixed from
+   * pairwise estimates are not always positive definite, so shrink toward the
+   * identity until the decomposition succeeds.
+   */
+  choleskyDecompose(matrix) {
+    const n = matrix.length;
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const shrink = attempt * 0.05;
+      const L = Array.from({ length: n }, () => new Array(n).fill(0));
+      let ok = true;
+
+      for (let i = 0; i < n && ok; i++) {
+        for (let j = 0; j <= i; j++) {
+          const value = i === j ? 1 : matrix[i][j] * (1 - shrink);
+          let sum = value;
+          for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+
+          if (i === j) {
+            if (sum <= 1e-10) {
+              ok = false;
+              break;
+            }
+            L[i][j] = Math.sqrt(sum);
+          } else {
+            L[i][j] = sum / L[j][j];
+          }
+        }
+      }
+
+      if (ok) return L;
+    }
+
+    // Independent fallback
+    return Array.from({ length: n }, (_, i) =>
+      Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+    );
+  }
+
+  /**
+   * Correlated uniforms in (0, 1), one per player
+   * @param {Array} players - { name, team, position, opponent }
+   */
+  generateCorrelatedUniforms(players) {
+    const key = players.map((p) => p.name).join("|");
+    if (!this.choleskyCache.has(key)) {
+      if (this.choleskyCache.size > 5000) this.choleskyCache.clear();
+      this.choleskyCache.set(
+        key,
+        this.choleskyDecompose(this.buildCorrelationMatrix(players))
+      );
+    }
+    const L = this.choleskyCache.get(key);
+
+    const independent = players.map(() => generateNormalRandom(this.random));
+    return L.map((row) => {
+      let z = 0;
+      for (let k = 0; k < row.length; k++) z += row[k] * independent[k];
+      return Math.min(1 - 1e-6, Math.max(1e-6, normalCdf(z)));
+    });
+  }
+}
+
+module.exports = {
+  BayesianScoreProjection,
+  GameScriptSimulator,
+  CopulaCorrelationSystem,
+};
@@ -324,6 +324,40 @@ app.get("/api/ai/player-form", async (req, res) => {
   }
 });
 
+app.get("/api/ai/player-history", async (req, res) => {
+  try {
+    const { players, limit } = req.query;
+    const names = players
+      ? players
+          .split(",")
+          .map((name) => name.trim())
+          .filter(Boolean)
+      : [...new Set(championTracker.matchHistory.map((m) => m.playerName))];
+
+    // Fantasy scores per player, for the main server's distribution model
+    const history = {};
+    names.forEach((name) => {
+      const scores = championTracker.getPlayerScoreHistory(
+        name,
+        parseInt(limit) || 20
+      );
+      if (scores.length > 0) history[name] = scores;
+    });
+
+    res.json({
+      success: true,
+      history,
+      last_updated: championTracker.lastUpdate,
+    });
+  } catch (error) {
+    console.error("Error getting player score history:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 app.get("/api/ai/streaks", async (req, res) => {
   try {
     const stats = championTracker.getStats();
@@ -828,11 +862,12 @@ app.post("/api/ai/player-predictions", async (req, res) => {
 
 app.post("/api/ai/risk-assessment", async (req, res) => {
   try {
-    const { lineups, exposureData } = req.body;
+    const { lineups, exposureData, playerData } = req.body;
 
     const riskAnalysis = await riskAssessor.assessPortfolioRisk(
       lineups,
-      exposureData
+      exposureData,
+      playerData
     );
 
     res.json({
@@ -1131,7 +1166,11 @@ app.get("/api/ai/coach", async (req, res) => {
         exposureData: cleanExposures,
       }),
       metaDetector.getCurrentMetaInsights(),
-      riskAssessor.assessPortfolioRisk(cleanLineups, cleanExposures),
+      riskAssessor.assessPortfolioRisk(
+        cleanLineups,
+        cleanExposures,
+        cleanPlayers
+      ),
     ]);
 
     // Get top players by projected points and generate predictions
@@ -1034,6 +1034,17 @@ class ChampionPerformanceTracker {
     );
   }
 
+  /**
+   * Get a player's recent fantasy scores, most recent first
+   */
+  getPlayerScoreHistory(playerName, limit = 20) {
+    return this.matchHistory
+      .filter((match) => match.playerName === playerName)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit)
+      .map((match) => match.stats.fantasyPoints);
+  }
+
   /**
    * Get all stats summary
    */
@@ -27,7 +27,7 @@ class RiskAssessor {
     return this.ready;
   }
 
-  async assessPortfolioRisk(lineups, exposureData = {}) {
+  async assessPortfolioRisk(lineups, exposureData = {}, playerData = []) {
     if (!this.ready) {
       throw new Error("Risk Assessor not ready");
     }
@@ -45,7 +45,11 @@ class RiskAssessor {
         correlation_risk: this.assessCorrelationRisk(lineups),
         variance_risk: this.assessVarianceRisk(lineups),
         meta_risk: this.assessMetaRisk(lineups),
-        ownership_risk: this.assessOwnershipRisk(lineups, exposureData),
+        ownership_risk: this.assessOwnershipRisk(
+          lineups,
+          exposureData,
+          playerData
+        ),
       },
       risk_distribution: this.calculateRiskDistribution(lineups),
       generated_at: new Date().toISOString(),
@@ -280,9 +284,9 @@ class RiskAssessor {
     };
   }
 
-  assessOwnershipRisk(lineups, exposureData) {
+  assessOwnershipRisk(lineups, exposureData, playerData = []) {
     // Assess risk from ownership levels
-    const ownershipLevels = this.calculateOwnershipLevels(lineups);
+    const ownershipLevels = this.calculateOwnershipLevels(lineups, playerData);
 
     const risks = [];
     let highOwnershipPlayers = 0;
@@ -436,21 +440,35 @@ class RiskAssessor {
     return metaFits;
   }
 
-  calculateOwnershipLevels(lineups) {
-    // Simulate ownership data
+  calculateOwnershipLevels(lineups, playerData = []) {
+    // Projected ownership from the lineup or the player pool (imported or
+    // estimated by the main server's ownership model), else a guess by name
     const ownership = {};
+    const pool = new Map(
+      playerData.map((player) => [`${player.name} (${player.team})`, player])
+    );
+    const projectedOwnership = (player, field) => {
+      const poolPlayer = pool.get(`${player.name} (${player.team})`) || {};
+      const value = Number(
+        player[field] ??
+          poolPlayer[field] ??
+          player.ownership ??
+          poolPlayer.ownership
+      );
+      return value > 0 ? value : this.getPlayerOwnership(player.name);
+    };
 
     lineups.forEach((lineup) => {
       if (lineup.cpt || lineup.captain) {
         const captain = lineup.cpt || lineup.captain;
         const key = `${captain.name} (${captain.team})`;
-        ownership[key] = this.getPlayerOwnership(captain.name);
+        ownership[key] = projectedOwnership(captain, "cptOwnership");
       }
 
       if (lineup.players) {
         lineup.players.forEach((player) => {
           const key = `${player.name} (${player.team})`;
-          ownership[key] = this.getPlayerOwnership(player.name);
+          ownership[key] = projectedOwnership(player, "ownership");
         });
       }
     });
@@ -0,0 +1,702 @@
+#!/usr/bin/env node
+/**
+ * Headless command line for slate prep
+ * Wraps the same services as the HTTP API:
+ *   import   - load player projections / team stacks CSVs and DraftKings IDs
+ *   optimize - OptimizationService.generateLineups
+ *   simulate - OptimizationService.runSimulation
+ *   export   - LineupService.exportLineups
+ *   backtest - ContestResultService.importStandings + backtest
+ *
+ * Exit codes: 0 success, 1 runtime failure, 2 invalid usage or input
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { AppError } = require("./src/middleware/errorHandler");
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const GLOBAL_OPTIONS = ["config", "slate", "db", "output", "format", "quiet"];
+
+// Options per command; objects (constraints etc.) can only come from a config file
+const COMMANDS = {
+  import: {
+    summary:
+      "Import player projections, team stacks and/or DraftKings IDs CSVs",
+    options: ["players", "stacks", "salaries"],
+    formats: ["json", "csv"],
+  },
+  optimize: {
+    summary: "Generate optimized lineups (imports CSVs first if given)",
+    options: [
+      "players",
+      "stacks",
+      "salaries",
+      "lineups",
+      "algorithm",
+      "strategy",
+      "exposureLimits",
+      "constraints",
+      "contestInfo",
+      "customConfig",
+      "lineupRules",
+      "seed",
+    ],
+    formats: ["json", "csv"],
+  },
+  simulate: {
+    summary: "Run a Monte Carlo simulation on stored lineups",
+    options: [
+      "lineupIds",
+      "iterations",
+      "fieldSize",
+      "entryFee",
+      "contestType",
+      "contestId",
+      "payoutStructureId",
+      "seed",
+    ],
+    formats: ["json", "csv"],
+  },
+  export: {
+    summary: "Export stored lineups (csv, json or a DraftKings upload)",
+    options: ["lineupIds", "entries"],
+    formats: ["csv", "json", "draftkings", "dk"],
+  },
+  backtest: {
+    summary: "Score lineups with actual points against a past contest",
+    options: [
+      "standings",
+      "scores",
+      "players",
+      "stacks",
+      "lineupIds",
+      "lineups",
+      "algorithm",
+      "strategy",
+      "exposureLimits",
+      "constraints",
+      "contestInfo",
+      "customConfig",
+      "lineupRules",
+      "seed",
+      "entryFee",
+      "contestType",
+      "contestId",
+      "payoutStructureId",
+    ],
+    formats: ["json", "csv"],
+  },
+};
+
+// Options holding file paths; relative paths in a config file resolve
+// against the config file's directory
+const PATH_OPTIONS = [
+  "players",
+  "stacks",
+  "salaries",
+  "entries",
+  "standings",
+  "scores",
+  "output",
+  "db",
+];
+const INTEGER_OPTIONS = ["lineups", "iterations", "fieldSize", "seed"];
+const NUMBER_OPTIONS = ["entryFee"];
+const BOOLEAN_OPTIONS = ["quiet", "help"];
+
+const HELP = `Usage: node cli.js <command> [options]
+
+Commands:
+${Object.entries(COMMANDS)
+  .map(([name, command]) => `  ${name.padEnd(10)}${command.summary}`)
+  .join("\n")}
+
+Global options:
+  --config <file>       JSON config; top-level keys apply to every command,
+                        a section named after the command overrides them
+  --slate <id>          Slate workspace (default slate if omitted)
+  --db <file>           SQLite database file (default data/optimizer.db)
+  --output <file>       Write the result to a file instead of stdout
+  --format <fmt>        json | csv (export also: draftkings)
+  --quiet               Suppress service logging on stderr
+
+optimize / simulate / backtest:
+  --seed <n>            Random seed; the same seed repeats the same run
+
+import / optimize:
+  --players <csv>       Player projections (ROO export)
+  --stacks <csv>        Team stacks (Stacks export)
+  --salaries <csv>      DraftKings salaries or DKEntries file; attaches the
+                        DraftKings (and CPT) IDs the draftkings export needs
+optimize:
+  --lineups <n>         Number of lineups (default 20)
+  --algorithm <name>    advanced | exact | hybrid (default advanced)
+  --strategy <name>     Hybrid strategy (default recommended)
+simulate:
+  --lineup-ids <ids>    Comma separated lineup IDs (default: all)
+  --iterations <n>      Iterations (default 1000)
+  --field-size <n>      Contest size (default 1176)
+  --entry-fee <n>       Entry fee (default 5)
+  --contest-type <t>    Payout template, e.g. gpp, double_up
+  --contest-id <id>     Use the payout structure stored for a contest
+  --payout-structure-id <id>
+export:
+  --lineup-ids <ids>    Comma separated lineup IDs (default: all)
+  --entries <csv>       DKEntries file to re-fill (draftkings format)
+backtest:
+  --standings <csv>     DraftKings contest standings export (required)
+  --scores <csv>        Actual fantasy points (Name, FPTS) if the standings
+                        don't cover every player
+  --lineup-ids <ids>    Backtest stored lineups instead of a fresh optimizer
+                        run (optimize options apply to that run)
+  --entry-fee <n>       Entry fee (default 0)
+  --contest-type <t>    Payout template when no structure is stored
+  --contest-id <id>     Contest ID; picks up a stored payout structure
+  --payout-structure-id <id>
+
+Exit codes: 0 success, 1 failure, 2 invalid usage or input`;
+
+/**
+ * Parse argv into { command, options }
+ * Accepts --key value, --key=value and --flag; keys are camelCased
+ */
+function parseArgs(argv) {
+  const options = {};
+  let command = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith("--")) {
+      if (command) {
+        throw new AppError(`Unexpected argument '${arg}'`, 400);
+      }
+      command = arg;
+      continue;
+    }
+
+    const [rawKey, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const key = rawKey.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+    if (BOOLEAN_OPTIONS.includes(key)) {
+      options[key] = inlineValue === undefined ? true : inlineValue !== "false";
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value.startsWith("--")) {
+      throw new AppError(`Option --${rawKey} needs a value`, 400);
+    }
+    options[key] = value;
+  }
+
+  return { command, options };
+}
+
+function loadConfig(configPath, command) {
+  const fullPath = path.resolve(configPath);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(fullPath, "utf8"));
+  } catch (error) {
+    throw new AppError(
+      `Could not read config file ${configPath}: ${error.message}`,
+      400
+    );
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new AppError("Config file must contain a JSON object", 400);
+  }
+
+  // Shared keys first, then the command's own section
+  const shared = Object.fromEntries(
+    Object.entries(config).filter(([key]) => !COMMANDS[key])
+  );
+  const merged = { ...shared, ...(config[command] || {}) };
+
+  PATH_OPTIONS.forEach((key) => {
+    if (typeof merged[key] === "string") {
+      merged[key] = path.resolve(path.dirname(fullPath), merged[key]);
+    }
+  });
+
+  // Keys meant for other commands are fine in the shared section
+  const known = new Set([
+    ...GLOBAL_OPTIONS,
+    ...Object.values(COMMANDS).flatMap((c) => c.options),
+  ]);
+  const unknown = Object.keys(merged).filter((key) => !known.has(key));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown config option(s): ${unknown.join(", ")}`, 400);
+  }
+
+  return Object.fromEntries(
+    Object.entries(merged).filter(
+      ([key]) =>
+        GLOBAL_OPTIONS.includes(key) || COMMANDS[command].options.includes(key)
+    )
+  );
+}
+
+/**
+ * Merge defaults < config file < flags and validate the result
+ */
+function resolveOptions(command, cliOptions) {
+  const spec = COMMANDS[command];
+  const allowed = [...GLOBAL_OPTIONS, ...spec.options];
+
+  const unknown = Object.keys(cliOptions).filter(
+    (key) => !allowed.includes(key) && key !== "help"
+  );
+  if (unknown.length > 0) {
+    throw new AppError(
+      `Unknown option(s) for '${command}': ${unknown
+        .map(
+          (key) => `--${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`
+        )
+        .join(", ")}`,
+      400
+    );
+  }
+
+  const config = cliOptions.config
+    ? loadConfig(cliOptions.config, command)
+    : {};
+  const options = { ...config, ...cliOptions };
+
+  INTEGER_OPTIONS.forEach((key) => {
+    if (options[key] === undefined) return;
+    const value = Number(options[key]);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new AppError(`--${key} must be a positive integer`, 400);
+    }
+    options[key] = value;
+  });
+
+  NUMBER_OPTIONS.forEach((key) => {
+    if (options[key] === undefined) return;
+    const value = Number(options[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new AppError(`--${key} must be a number >= 0`, 400);
+    }
+    options[key] = value;
+  });
+
+  if (typeof options.lineupIds === "string") {
+    options.lineupIds = options.lineupIds
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+  }
+
+  options.format = String(options.format || spec.formats[0]).toLowerCase();
+  if (!spec.formats.includes(options.format)) {
+    throw new AppError(
+      `--format for '${command}' must be one of: ${spec.formats.join(", ")}`,
+      400
+    );
+  }
+
+  ["players", "stacks", "salaries", "entries", "standings", "scores"].forEach(
+    (key) => {
+      if (options[key] && !fs.existsSync(options[key])) {
+        throw new AppError(`File not found: ${options[key]}`, 400);
+      }
+    }
+  );
+
+  return options;
+}
+
+// Slate-scoped services, or the default slate's
+async function getContext(serviceRegistry, slateId) {
+  const { DEFAULT_SLATE_ID } = require("./src/database/migrations");
+  if (!slateId || slateId === DEFAULT_SLATE_ID) {
+    return serviceRegistry.getSlateContext(DEFAULT_SLATE_ID);
+  }
+
+  const slateService = serviceRegistry.getSlateService();
+  if (!(await slateService.slateExists(slateId))) {
+    throw new AppError(`Slate '${slateId}' not found`, 404);
+  }
+  return serviceRegistry.getSlateContext(slateId);
+}
+
+// Command implementations: each returns { json, csv } renderings
+
+async function importFiles(context, options) {
+  const { services, repositories } = context;
+  const fileProcessing = services.fileProcessing;
+  const result = {};
+
+  if (options.players) {
+    const rows = await fileProcessing.parseCSV(options.players);
+    const players = await services.player.processPlayersCsv(rows);
+    if (players.length === 0) {
+      throw new AppError(
+        `No valid player data found in ${options.players}`,
+        400
+      );
+    }
+    await repositories.player.replaceAll(players);
+    result.players = players.length;
+  }
+
+  if (options.stacks) {
+    const rows = await fileProcessing.parseCSV(options.stacks);
+    const stacks = await services.teamStack.processStacksCsv(rows);
+    await repositories.teamStack.replaceAll(stacks);
+    result.stacks = stacks.length;
+  }
+
+  // After the players: a new pool has no DraftKings IDs yet. Same mapping as
+  // POST /players/draftkings/mapping
+  if (options.salaries) {
+    const { playerMapping, salaries } =
+      await fileProcessing.parseDraftKingsPlayerMappingCSV(options.salaries);
+    if (playerMapping.size === 0) {
+      throw new AppError(
+        `No DraftKings player IDs found in ${options.salaries}`,
+        400
+      );
+    }
+    const mapping = await services.player.applyDraftKingsMapping(
+      playerMapping,
+      salaries
+    );
+    result.draftKingsIds = mapping.mappedCount;
+    if (mapping.unmappedPlayers.length > 0) {
+      log(
+        `No DraftKings ID for: ${mapping.unmappedPlayers
+          .map((player) => player.name)
+          .join(", ")}`
+      );
+    }
+  }
+
+  // Ownership model: fill a file without an Own column, and refresh earlier
+  // estimates when new Stack+ values arrive
+  const players = await repositories.player.findAll();
+  if (players.length > 0) {
+    const noOwnership =
+      options.players && players.every((player) => !(player.ownership > 0));
+    const estimated = await services.ownership.applyEstimates({
+      modelledOnly: !noOwnership,
+    });
+    if (noOwnership) result.estimatedOwnership = estimated.updatedCount;
+  }
+
+  return result;
+}
+
+const commands = {
+  async import(context, options) {
+    if (!options.players && !options.stacks && !options.salaries) {
+      throw new AppError(
+        "import needs --players, --stacks and/or --salaries",
+        400
+      );
+    }
+    const result = await importFiles(context, options);
+    log(
+      `Imported ${result.players ?? 0} players and ${result.stacks ?? 0} stacks${
+        options.salaries ? `; ${result.draftKingsIds} DraftKings IDs` : ""
+      }`
+    );
+
+    return {
+      json: result,
+      csv: () =>
+        context.services.fileProcessing.generateCSV(
+          Object.entries(result).map(([type, count]) => ({
+            type,
+            count: String(count),
+          })),
+          ["type", "count"]
+        ),
+    };
+  },
+
+  async optimize(context, options) {
+    if (options.players || options.stacks || options.salaries) {
+      const imported = await importFiles(context, options);
+      log(
+        `Imported ${imported.players ?? 0} players and ${imported.stacks ?? 0} stacks`
+      );
+    }
+
+    const { services, repositories } = context;
+    const result = await services.optimization.generateLineups({
+      numLineups: options.lineups || 20,
+      algorithm: options.algorithm || "advanced",
+      strategy: options.strategy,
+      teamStacks: await repositories.teamStack.findAll(),
+      exposureLimits: options.exposureLimits || {},
+      constraints: options.constraints || {},
+      contestInfo: options.contestInfo,
+      customConfig: options.customConfig,
+      lineupRules: options.lineupRules, // Saved rules when omitted
+      seed: options.seed,
+    });
+
+    if (result.lineups.length === 0) {
+      throw new AppError("Optimizer produced no new lineups", 400);
+    }
+    log(`Generated ${result.lineups.length} lineups`);
+
+    return {
+      json: result,
+      csv: () => services.lineup.generateCsvExport(result.lineups),
+    };
+  },
+
+  async simulate(context, options) {
+    const { services, repositories } = context;
+    const lineupIds =
+      options.lineupIds && options.lineupIds.length > 0
+        ? options.lineupIds
+        : (await repositories.lineup.findAll()).map((lineup) => lineup.id);
+    if (lineupIds.length === 0) {
+      throw new AppError("No lineups to simulate; run optimize first", 400);
+    }
+
+    const result = await services.optimization.runSimulation(lineupIds, {
+      iterations: options.iterations,
+      fieldSize: options.fieldSize,
+      entryFee: options.entryFee,
+      contestType: options.contestType,
+      contestId: options.contestId,
+      payoutStructureId: options.payoutStructureId,
+      seed: options.seed,
+    });
+    log(`Simulated ${result.lineups.length} lineups`);
+
+    // Per-iteration scores are too bulky to print
+    const lineups = result.lineups.map(
+      ({ simulationScores, ...lineup }) => lineup
+    );
+    const headers = [
+      "id",
+      "name",
+      "winRate",
+      "averageRank",
+      "averageScore",
+      "roi",
+    ];
+
+    return {
+      json: { ...result, lineups },
+      csv: () =>
+        services.fileProcessing.generateCSV(
+          lineups.map((lineup) => ({
+            id: String(lineup.id),
+            name: lineup.name || "",
+            winRate: lineup.winRate.toFixed(2),
+            averageRank: lineup.averageRank.toFixed(1),
+            averageScore: lineup.averageScore.toFixed(2),
+            roi: lineup.roi.toFixed(2),
+          })),
+          headers
+        ),
+    };
+  },
+
+  async export(context, options) {
+    const { services } = context;
+    const exportOptions = {};
+
+    if (options.entries) {
+      if (!["draftkings", "dk"].includes(options.format)) {
+        throw new AppError("--entries needs --format draftkings", 400);
+      }
+      exportOptions.entries =
+        await services.fileProcessing.parseDraftKingsEntriesTemplate(
+          options.entries
+        );
+      // DKEntries files list the slate's players (with IDs) beside the entries
+      const { playerMapping } =
+        await services.fileProcessing.parseDraftKingsPlayerMappingCSV(
+          options.entries
+        );
+      exportOptions.playerMapping = playerMapping;
+    }
+
+    const data = await services.lineup.exportLineups(
+      options.format,
+      options.lineupIds || [],
+      exportOptions
+    );
+    return { raw: data };
+  },
+
+  async backtest(context, options) {
+    if (!options.standings) {
+      throw new AppError("backtest needs --standings", 400);
+    }
+    if (options.players || options.stacks) {
+      const imported = await importFiles(context, options);
+      log(
+        `Imported ${imported.players ?? 0} players and ${imported.stacks ?? 0} stacks`
+      );
+    }
+
+    const { services, repositories } = context;
+    const fileProcessing = services.fileProcessing;
+    const contest = await services.contestResult.importStandings(
+      await fileProcessing.parseContestStandingsCSV(options.standings),
+      {
+        name: path.parse(options.standings).name,
+        contestId: options.contestId,
+        entryFee: options.entryFee,
+      }
+    );
+    log(`Imported ${contest.fieldSize} entries from ${options.standings}`);
+    if (options.scores) {
+      const scored = await services.contestResult.importScores(
+        await fileProcessing.parseActualScoresCSV(options.scores)
+      );
+      log(`Updated actual points for ${scored.updatedCount} players`);
+    }
+
+    const result = await services.contestResult.backtest(contest.id, {
+      lineupIds: options.lineupIds,
+      numLineups: options.lineups || 20,
+      algorithm: options.algorithm || "advanced",
+      strategy: options.strategy,
+      teamStacks: await repositories.teamStack.findAll(),
+      exposureLimits: options.exposureLimits,
+      constraints: options.constraints,
+      contestInfo: options.contestInfo,
+      customConfig: options.customConfig,
+      lineupRules: options.lineupRules,
+      seed: options.seed,
+      contestType: options.contestType,
+      payoutStructureId: options.payoutStructureId,
+    });
+    const { summary } = result;
+    log(
+      `Backtested ${summary.lineups} lineups: ROI ${summary.roi.toFixed(1)}%, cash rate ${summary.cashRate.toFixed(1)}%, top 1% ${summary.top1Rate.toFixed(1)}%`
+    );
+
+    const headers = [
+      "name",
+      "cpt",
+      "actualPoints",
+      "rank",
+      "percentile",
+      "payout",
+    ];
+    return {
+      json: result,
+      csv: () =>
+        fileProcessing.generateCSV(
+          result.lineups.map((lineup) => ({
+            name: lineup.name || "",
+            cpt: lineup.cpt || "",
+            actualPoints: lineup.actualPoints.toFixed(2),
+            rank: String(lineup.rank),
+            percentile: lineup.percentile.toFixed(1),
+            payout: lineup.payout.toFixed(2),
+          })),
+          headers
+        ),
+    };
+  },
+};
+
+// Service logging goes to stderr (or nowhere) so stdout stays parseable
+let log = (message) => console.error(message);
+
+function redirectConsole(quiet) {
+  const target = quiet ? () => {} : console.error.bind(console);
+  console.log = target;
+  console.info = target;
+  console.debug = target;
+  console.warn = target;
+  if (quiet) log = () => {};
+}
+
+function render(result, format) {
+  if (result.raw !== undefined) return result.raw;
+  if (format === "csv") return result.csv();
+  return JSON.stringify(result.json, null, 2);
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} exit code
+ */
+async function run(argv) {
+  let serviceRegistry = null;
+
+  try {
+    const { command, options: cliOptions } = parseArgs(argv);
+
+    if (!command || cliOptions.help || command === "help") {
+      process.stdout.write(`${HELP}\n`);
+      return command || cliOptions.help ? EXIT_OK : EXIT_USAGE;
+    }
+    if (!COMMANDS[command]) {
+      throw new AppError(
+        `Unknown command '${command}'. Use one of: ${Object.keys(COMMANDS).join(", ")}`,
+        400
+      );
+    }
+
+    const options = resolveOptions(command, cliOptions);
+    redirectConsole(options.quiet);
+
+    // The database path must be set before the registry opens it
+    if (options.db) {
+      process.env.DFS_DB_PATH = path.resolve(options.db);
+    }
+    serviceRegistry = require("./src/services/ServiceRegistry");
+    serviceRegistry.initialize();
+
+    const context = await getContext(serviceRegistry, options.slate);
+    const result = await commands[command](context, options);
+    const content = render(result, options.format);
+
+    if (options.output) {
+      fs.mkdirSync(path.dirname(path.resolve(options.output)), {
+        recursive: true,
+      });
+      fs.writeFileSync(options.output, `${content}\n`);
+      log(`Wrote ${options.output}`);
+    } else {
+      process.stdout.write(`${content}\n`);
+    }
+
+    return EXIT_OK;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return error.statusCode && error.statusCode < 500
+      ? EXIT_USAGE
+      : EXIT_FAILURE;
+  } finally {
+    if (serviceRegistry?.database) {
+      await serviceRegistry.database.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = { run, parseArgs, resolveOptions };
+
+if (require.main === module) {
+  // Output piped into e.g. `head` closes early; that's not a failure
+  process.stdout.on("error", (error) => {
+    if (error.code !== "EPIPE") throw error;
+    process.exit(process.exitCode || EXIT_OK);
+  });
+
+  run(process.argv.slice(2)).then((code) => {
+    // Let stdout drain before exiting (optimizers may leave timers behind)
+    process.stdout.write("", () => process.exit(code));
+  });
+}
@@ -3,9 +3,11 @@ import "./blue-theme.css";
 import "./slider-styles.css";
 import OptimizerPage from "./pages/OptimizerPage";
 import LineupList from "./components/LineupList";
+import { getCaptainProjection } from "./lib/captain";
 import NexusScoreTestPage from "./pages/NexusScoreTestPage";
 import HybridOptimizerUI from "./components/HybridOptimizerUI";
 import PlayerManagerUI from "./components/PlayerManagerUI";
+import ProjectionSources from "./components/ProjectionSources";
 import AIInsights from "./components/AIInsights";
 import StackExposure from "./components/StackExposure";
 import PerformanceTest from "./components/PerformanceTest";
@@ -163,6 +165,33 @@ const App = () => {
     }
   }, [lineups]); // Recalculate whenever lineups change
 
+  // The slate's stored payout structure (the contest's own when one was
+  // imported), so ROI estimates pay from the same table as the simulators
+  const loadPayoutStructure = async (contestId = null) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/payouts`);
+      if (!response.ok) return;
+      const { data: structures = [] } = await response.json();
+      const structure =
+        (contestId &&
+          structures.find(
+            (candidate) => String(candidate.contestId) === String(contestId)
+          )) ||
+        structures[structures.length - 1];
+      if (!structure) return;
+
+      setContestInfo((prev) => ({
+        fieldSize: structure.fieldSize,
+        entryFee: structure.entryFee,
+        maxEntries: structure.maxEntries,
+        ...prev,
+        payoutStructure: structure,
+      }));
+    } catch (error) {
+      console.error("Error fetching payout structures:", error);
+    }
+  };
+
   // Load all initial data on component mount
   useEffect(() => {
     const initializeData = async () => {
@@ -262,8 +291,7 @@ const App = () => {
             let totalProj = 0;
             if (lineup.cpt) {
               const cptPlayer = playerData.find((p) => p.id === lineup.cpt.id);
-              const cptProj = cptPlayer?.projectedPoints || 0;
-              totalProj += cptProj * 1.5; // CPT gets 1.5x
+              totalProj += getCaptainProjection(cptPlayer); // CPT projection
             }
 
             // Add regular players' projections
@@ -320,6 +348,7 @@ const App = () => {
     };
 
     initializeData();
+    loadPayoutStructure();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
@@ -469,6 +498,7 @@ const App = () => {
         displayNotification(
           `Imported contest data: ${result.contestMetadata?.contestName || "Unknown"} (${result.playersWithIds}/${result.totalPlayers} players mapped)`
         );
+        loadPayoutStructure(result.contestMetadata?.contestId);
       } else if (
         endpoint.includes("dkentries") ||
         endpoint.includes("lineups")
@@ -778,8 +808,7 @@ const App = () => {
           let totalProj = 0;
           if (lineup.cpt) {
             const cptPlayer = playerData.find((p) => p.id === lineup.cpt.id);
-            const cptProj = cptPlayer?.projectedPoints || 0;
-            totalProj += cptProj * 1.5; // CPT gets 1.5x
+            totalProj += getCaptainProjection(cptPlayer); // CPT projection
           }
 
           // Add regular players' projections
@@ -1063,6 +1092,37 @@ const App = () => {
     displayNotification("Lineup editing coming soon!", "info");
   };
 
+  // Swapped lineups replace their originals (already saved by the server)
+  const handleLateSwap = (swappedLineups) => {
+    const swapped = new Map(
+      swappedLineups.map((lineup) => [lineup.id, lineup])
+    );
+    setLineups((prev) =>
+      prev.map((lineup) =>
+        swapped.has(lineup.id)
+          ? { ...lineup, ...swapped.get(lineup.id) }
+          : lineup
+      )
+    );
+    displayNotification(`Late swap updated ${swappedLineups.length} lineups`);
+  };
+
+  const handleRebalance = (rebalancedLineups) => {
+    const rebalanced = new Map(
+      rebalancedLineups.map((lineup) => [lineup.id, lineup])
+    );
+    setLineups((prev) =>
+      prev.map((lineup) =>
+        rebalanced.has(lineup.id)
+          ? { ...lineup, ...rebalanced.get(lineup.id) }
+          : lineup
+      )
+    );
+    displayNotification(
+      `Rebalance updated ${rebalancedLineups.length} lineups`
+    );
+  };
+
   // Handle delete lineup
   const handleDeleteLineup = async (lineup) => {
     try {
@@ -1394,12 +1454,20 @@ const App = () => {
 
         {/* Player Management Tab */}
         {activeTab === "players" && (
-          <PlayerManagerUI
-            playerData={playerData}
-            onPlayersUpdated={handlePlayersUpdated}
-            displayNotification={displayNotification}
-            API_BASE_URL={API_BASE_URL}
-          />
+          <>
+            <PlayerManagerUI
+              playerData={playerData}
+              onPlayersUpdated={handlePlayersUpdated}
+              displayNotification={displayNotification}
+              API_BASE_URL={API_BASE_URL}
+              AI_API_BASE_URL={AI_API_BASE_URL}
+            />
+            <ProjectionSources
+              API_BASE_URL={API_BASE_URL}
+              displayNotification={displayNotification}
+              onPlayersUpdated={handlePlayersUpdated}
+            />
+          </>
         )}
 
         {/* Lineups Tab */}
@@ -1423,6 +1491,9 @@ const App = () => {
                 onEdit={handleEditLineup}
                 onDelete={handleDeleteLineup}
                 onExport={exportLineups}
+                onLateSwap={handleLateSwap}
+                onRebalance={handleRebalance}
+                exposureSettings={exposureSettings}
                 contestInfo={contestInfo}
               />
             ) : (
@@ -1496,7 +1567,10 @@ const App = () => {
               setLineups(generatedLineups);
               // Store contest info if provided
               if (result.contestInfo) {
-                setContestInfo(result.contestInfo);
+                setContestInfo((prev) => ({
+                  ...result.contestInfo,
+                  payoutStructure: prev?.payoutStructure ?? null,
+                }));
               }
               displayNotification(
                 `Generated ${generatedLineups.length} lineups using ${result.strategy?.name} strategy!`
@@ -16,6 +16,7 @@ import {
   Line,
 } from "recharts";
 import NexusScoreLineup from "./NexusScoreLineup";
+import LineupRulesEditor from "./LineupRulesEditor";
 import optimizerWorkerService from "../lib/OptimizerWorkerService";
 
 // Helper function to safely format numeric values
@@ -917,7 +918,9 @@ const AdvancedOptimizerUI = ({
     leverageMultiplier: 0.7,
     simCount: 10,
     fieldSize: 1000,
+    maxExpectedDupes: "", // Empty for no limit
   });
+  const [lineupRules, setLineupRules] = useState([]);
   const [optimizationResults, setOptimizationResults] = useState(null);
   const [activeTabInternal, setActiveTabInternal] = useState(
     activeTab || "settings"
@@ -1042,12 +1045,17 @@ const AdvancedOptimizerUI = ({
         targetTop: optimizerSettings.targetTop,
         leverageMultiplier: optimizerSettings.leverageMultiplier,
         fieldSize: optimizerSettings.fieldSize,
+        maxExpectedDupes:
+          optimizerSettings.maxExpectedDupes === ""
+            ? null
+            : optimizerSettings.maxExpectedDupes,
         correlation: {
           sameTeam: 0.7,
           opposingTeam: -0.15,
           sameTeamSamePosition: 0.2,
           captain: 0.9,
         },
+        lineupRules,
       };
 
       // Initialize the optimizer in the worker
@@ -1067,7 +1075,7 @@ const AdvancedOptimizerUI = ({
       setOptimizerReady(false);
       setIsLoading(false);
     }
-  }, [playerData, optimizerSettings, exposureSettings, lineups]); // All dependencies
+  }, [playerData, optimizerSettings, exposureSettings, lineups, lineupRules]); // All dependencies
 
   // Modified automatic initialization to NOT run initializeOptimizer directly
   useEffect(() => {
@@ -1280,12 +1288,17 @@ const AdvancedOptimizerUI = ({
           targetTop: optimizerSettings.targetTop,
           leverageMultiplier: optimizerSettings.leverageMultiplier,
           fieldSize: optimizerSettings.fieldSize,
+          maxExpectedDupes:
+            optimizerSettings.maxExpectedDupes === ""
+              ? null
+              : optimizerSettings.maxExpectedDupes,
           correlation: {
             sameTeam: 0.7,
             opposingTeam: -0.15,
             sameTeamSamePosition: 0.2,
             captain: 0.9,
           },
+          lineupRules,
         }
       );
 
@@ -1557,6 +1570,27 @@ const AdvancedOptimizerUI = ({
                 </p>
               </div>
 
+              <div>
+                <label className="form-label">Max Expected Dupes</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  placeholder="No limit"
+                  value={optimizerSettings.maxExpectedDupes}
+                  onChange={(e) =>
+                    updateOptimizerSettings(
+                      "maxExpectedDupes",
+                      e.target.value === "" ? "" : parseFloat(e.target.value)
+                    )
+                  }
+                />
+                <p style={{ color: "#90cdf4", fontSize: "0.875rem" }}>
+                  Skip lineups more than this many other entries are expected to
+                  play at this field size.
+                </p>
+              </div>
+
               <div className="slider-container">
                 <div className="slider-header">
                   <label className="slider-label">Randomness Factor</label>
@@ -1780,6 +1814,12 @@ const AdvancedOptimizerUI = ({
               </p>
             </div>
           </div>
+
+          <LineupRulesEditor
+            API_BASE_URL={API_BASE_URL}
+            playerData={playerData}
+            onRulesChange={setLineupRules}
+          />
         </div>
       )}
 
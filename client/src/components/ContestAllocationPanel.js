@@ -0,0 +1,371 @@
+import React, { useState } from "react";
+
+const inputStyle = {
+  backgroundColor: "#1a202c",
+  color: "#e2e8f0",
+  border: "1px solid #2d3748",
+  borderRadius: "0.25rem",
+  padding: "0.25rem 0.5rem",
+  fontSize: "0.875rem",
+};
+
+const buttonStyle = {
+  background: "none",
+  border: "1px solid #4fd1c5",
+  color: "#4fd1c5",
+  padding: "0.25rem 0.75rem",
+  borderRadius: "4px",
+  cursor: "pointer",
+  fontSize: "0.875rem",
+};
+
+// Payout templates served by /payouts/templates
+const CONTEST_TYPES = [
+  { value: "gpp", label: "GPP" },
+  { value: "three_max", label: "3-Max" },
+  { value: "single_entry", label: "Single Entry" },
+  { value: "double_up", label: "Double Up" },
+  { value: "fifty_fifty", label: "50/50" },
+];
+
+const newContest = () => ({
+  name: "",
+  contestType: "gpp",
+  contestId: "",
+  entries: 20,
+  entryFee: 5,
+  fieldSize: 1176,
+});
+
+/**
+ * Contest allocation: list the contests entered on this slate, assign the
+ * lineups to their entries by simulated EV and download each contest's
+ * DraftKings upload file
+ */
+const ContestAllocationPanel = ({ lineups = [] }) => {
+  const [contests, setContests] = useState([newContest()]);
+  const [maxContestsPerLineup, setMaxContestsPerLineup] = useState("");
+  const [iterations, setIterations] = useState(1000);
+  const [allocation, setAllocation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateContest = (index, changes) =>
+    setContests(
+      contests.map((contest, i) =>
+        i === index ? { ...contest, ...changes } : contest
+      )
+    );
+
+  const runAllocation = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch("/allocations", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          lineupIds: lineups.map((lineup) => lineup.id),
+          contests: contests.map((contest) => ({
+            name: contest.name || undefined,
+            contestType: contest.contestType,
+            contestId: contest.contestId || undefined,
+            entries: Number(contest.entries),
+            entryFee: Number(contest.entryFee),
+            fieldSize: Number(contest.fieldSize),
+          })),
+          maxContestsPerLineup:
+            maxContestsPerLineup === ""
+              ? undefined
+              : Number(maxContestsPerLineup),
+          settings: { iterations: Number(iterations) },
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || "Contest allocation failed");
+      }
+      setAllocation(data.data);
+    } catch (err) {
+      console.error("Contest allocation error:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadContest = async (contest) => {
+    try {
+      const response = await fetch(
+        `/allocations/${allocation.id}/contests/${contest.index}/export`
+      );
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || "Export failed");
+      }
+
+      const contentDisposition = response.headers.get("Content-Disposition");
+      const filename = contentDisposition
+        ? contentDisposition.split("filename=")[1]?.replace(/"/g, "")
+        : `DK_contest_${contest.index + 1}.csv`;
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.style.display = "none";
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      console.error("Contest export error:", err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: "#10141e",
+        padding: "1rem",
+        borderRadius: "4px",
+        marginBottom: "1rem",
+      }}
+    >
+      <h3 style={{ color: "#4fd1c5", marginBottom: "0.5rem" }}>
+        Contest Allocation
+      </h3>
+      <p
+        style={{ color: "#a0aec0", fontSize: "0.875rem", marginBottom: "1rem" }}
+      >
+        Each of the {lineups.length} lineups is simulated in every contest, then
+        entries go to the lineups with the best EV there: high floors for cash
+        games, high ceilings for GPPs.
+      </p>
+
+      <table style={{ width: "100%", fontSize: "0.875rem" }}>
+        <thead>
+          <tr style={{ color: "#a0aec0", textAlign: "left" }}>
+            <th>Contest</th>
+            <th>Type</th>
+            <th>DK Contest ID</th>
+            <th>Entries</th>
+            <th>Fee ($)</th>
+            <th>Field Size</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {contests.map((contest, index) => (
+            <tr key={index}>
+              <td>
+                <input
+                  value={contest.name}
+                  placeholder={`Contest ${index + 1}`}
+                  onChange={(e) =>
+                    updateContest(index, { name: e.target.value })
+                  }
+                  style={inputStyle}
+                />
+              </td>
+              <td>
+                <select
+                  value={contest.contestType}
+                  onChange={(e) =>
+                    updateContest(index, { contestType: e.target.value })
+                  }
+                  style={inputStyle}
+                >
+                  {CONTEST_TYPES.map((type) => (
+                    <option key={type.value} value={type.value}>
+                      {type.label}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <input
+                  value={contest.contestId}
+                  placeholder="Optional"
+                  onChange={(e) =>
+                    updateContest(index, { contestId: e.target.value })
+                  }
+                  style={{ ...inputStyle, width: "7rem" }}
+                />
+              </td>
+              {["entries", "entryFee", "fieldSize"].map((field) => (
+                <td key={field}>
+                  <input
+                    type="number"
+                    min="1"
+                    value={contest[field]}
+                    onChange={(e) =>
+                      updateContest(index, { [field]: e.target.value })
+                    }
+                    style={{ ...inputStyle, width: "6rem" }}
+                  />
+                </td>
+              ))}
+              <td>
+                <button
+                  onClick={() =>
+                    setContests(contests.filter((_, i) => i !== index))
+                  }
+                  style={{
+                    ...buttonStyle,
+                    borderColor: "#f56565",
+                    color: "#f56565",
+                    padding: "0.25rem 0.5rem",
+                  }}
+                  title="Remove contest"
+                >
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "0.75rem",
+          margin: "0.75rem 0 1rem",
+          color: "#e2e8f0",
+          fontSize: "0.875rem",
+        }}
+      >
+        <button
+          onClick={() => setContests([...contests, newContest()])}
+          style={buttonStyle}
+        >
+          + Add Contest
+        </button>
+        <label>
+          Max contests per lineup{" "}
+          <input
+            type="number"
+            min="1"
+            placeholder="No limit"
+            value={maxContestsPerLineup}
+            onChange={(e) => setMaxContestsPerLineup(e.target.value)}
+            style={{ ...inputStyle, width: "6rem" }}
+          />
+        </label>
+        <label>
+          Iterations{" "}
+          <input
+            type="number"
+            min="100"
+            step="100"
+            value={iterations}
+            onChange={(e) => setIterations(e.target.value)}
+            style={{ ...inputStyle, width: "6rem" }}
+          />
+        </label>
+        <button
+          onClick={runAllocation}
+          disabled={loading || lineups.length === 0 || contests.length === 0}
+          style={{
+            ...buttonStyle,
+            backgroundColor: "#4fd1c5",
+            color: "#10141e",
+          }}
+        >
+          {loading ? "Simulating..." : "Allocate"}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ color: "#f56565", marginBottom: "1rem" }}>{error}</div>
+      )}
+
+      {allocation && (
+        <div>
+          <div
+            style={{
+              color: "#a0aec0",
+              fontSize: "0.875rem",
+              marginBottom: "0.5rem",
+            }}
+          >
+            {allocation.totals.entries} entries · ${allocation.totals.fees} in
+            fees · expected profit $
+            {allocation.totals.expectedProfit.toFixed(2)} (ROI{" "}
+            {allocation.totals.roi.toFixed(1)}%) ·{" "}
+            {allocation.totals.unusedLineups} lineups unused
+            {allocation.totals.unfilled > 0 &&
+              ` · ${allocation.totals.unfilled} entries left empty`}
+          </div>
+
+          {allocation.contests.map((contest) => (
+            <div key={contest.index} style={{ marginBottom: "1rem" }}>
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  color: "#e2e8f0",
+                  marginBottom: "0.25rem",
+                }}
+              >
+                <span>
+                  <strong>{contest.name}</strong> · {contest.filled}/
+                  {contest.entries} entries · EV $
+                  {contest.expectedProfit.toFixed(2)} (ROI{" "}
+                  {contest.roi.toFixed(1)}%) · cash rate{" "}
+                  {contest.cashRate.toFixed(1)}%
+                </span>
+                <button
+                  onClick={() => downloadContest(contest)}
+                  disabled={contest.filled === 0}
+                  style={buttonStyle}
+                >
+                  Download DK CSV
+                </button>
+              </div>
+              <table style={{ width: "100%", fontSize: "0.875rem" }}>
+                <thead>
+                  <tr style={{ color: "#a0aec0", textAlign: "left" }}>
+                    <th>Lineup</th>
+                    <th style={{ textAlign: "right" }}>EV</th>
+                    <th style={{ textAlign: "right" }}>Cash %</th>
+                    <th style={{ textAlign: "right" }}>Floor (p25)</th>
+                    <th style={{ textAlign: "right" }}>Ceiling (p90)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {contest.lineups.map((lineup) => (
+                    <tr key={lineup.id} style={{ color: "#e2e8f0" }}>
+                      <td>{lineup.name || lineup.id}</td>
+                      <td style={{ textAlign: "right" }}>
+                        ${lineup.ev.toFixed(2)}
+                      </td>
+                      <td style={{ textAlign: "right" }}>
+                        {lineup.cashRate.toFixed(1)}
+                      </td>
+                      <td style={{ textAlign: "right" }}>
+                        {lineup.floor.toFixed(1)}
+                      </td>
+                      <td style={{ textAlign: "right" }}>
+                        {lineup.ceiling.toFixed(1)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ContestAllocationPanel;
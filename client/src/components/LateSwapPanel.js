@@ -0,0 +1,240 @@
+import React, { useState, useMemo } from "react";
+
+const inputStyle = {
+  backgroundColor: "#1a202c",
+  color: "#e2e8f0",
+  border: "1px solid #2d3748",
+  borderRadius: "0.25rem",
+  padding: "0.25rem 0.5rem",
+  fontSize: "0.875rem",
+};
+
+const buttonStyle = {
+  background: "none",
+  border: "1px solid #4fd1c5",
+  color: "#4fd1c5",
+  padding: "0.25rem 0.75rem",
+  borderRadius: "4px",
+  cursor: "pointer",
+  fontSize: "0.875rem",
+};
+
+const STATUS_COLORS = {
+  swapped: "#4fd1c5",
+  unchanged: "#a0aec0",
+  locked: "#f59e0b",
+  infeasible: "#f56565",
+};
+
+// datetime-local value for a Date, in local time
+const toLocalInput = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+/**
+ * Late swap: set each team's lock time, preview the re-optimized open slots
+ * and apply them to the saved lineups
+ */
+const LateSwapPanel = ({
+  lineups = [],
+  playerData = [],
+  exposureSettings,
+  onApplied,
+}) => {
+  const [lockTimes, setLockTimes] = useState({});
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Imported DKEntries carry no teams, so the pool fills them in
+  const teams = useMemo(() => {
+    const names = new Set(
+      playerData.map((player) => player.team).filter(Boolean)
+    );
+    lineups.forEach((lineup) => {
+      [lineup.cpt, ...(lineup.players || [])].forEach((player) => {
+        if (player?.team) names.add(player.team);
+      });
+    });
+    return [...names].sort();
+  }, [lineups, playerData]);
+
+  const runLateSwap = async (save) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      // datetime-local values are local time; send absolute times
+      const times = {};
+      Object.entries(lockTimes).forEach(([team, value]) => {
+        if (value) times[team] = new Date(value).toISOString();
+      });
+
+      const response = await fetch("/lineups/late-swap", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          lineupIds: lineups.map((lineup) => lineup.id),
+          lockTimes: times,
+          exposureLimits: exposureSettings || {},
+          save,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || "Late swap failed");
+      }
+
+      setResult(data.data);
+      if (save && onApplied) {
+        onApplied(
+          data.data.entries
+            .filter((entry) => entry.status === "swapped")
+            .map((entry) => entry.lineup)
+        );
+      }
+    } catch (err) {
+      console.error("Late swap error:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: "#10141e",
+        padding: "1rem",
+        borderRadius: "4px",
+        marginBottom: "1rem",
+      }}
+    >
+      <h3 style={{ color: "#4fd1c5", marginBottom: "0.5rem" }}>Late Swap</h3>
+      <p
+        style={{ color: "#a0aec0", fontSize: "0.875rem", marginBottom: "1rem" }}
+      >
+        Players on teams past their lock time stay put; the other slots of the{" "}
+        {lineups.length} lineups are re-optimized against current projections.
+      </p>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))",
+          gap: "0.5rem",
+          marginBottom: "1rem",
+        }}
+      >
+        {teams.map((team) => (
+          <div
+            key={team}
+            style={{ display: "flex", alignItems: "center", gap: "0.5rem" }}
+          >
+            <span style={{ color: "#e2e8f0", minWidth: "3rem" }}>{team}</span>
+            <input
+              type="datetime-local"
+              value={lockTimes[team] || ""}
+              onChange={(e) =>
+                setLockTimes({ ...lockTimes, [team]: e.target.value })
+              }
+              style={inputStyle}
+            />
+            <button
+              onClick={() =>
+                setLockTimes({ ...lockTimes, [team]: toLocalInput(new Date()) })
+              }
+              style={{ ...buttonStyle, padding: "0.25rem 0.5rem" }}
+              title="Lock this team now"
+            >
+              Now
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: "0.5rem", marginBottom: "1rem" }}>
+        <button
+          onClick={() => runLateSwap(false)}
+          disabled={loading || lineups.length === 0}
+          style={buttonStyle}
+        >
+          {loading ? "Working..." : "Preview"}
+        </button>
+        <button
+          onClick={() => runLateSwap(true)}
+          disabled={loading || lineups.length === 0}
+          style={{
+            ...buttonStyle,
+            backgroundColor: "#4fd1c5",
+            color: "#10141e",
+          }}
+        >
+          Apply Swaps
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ color: "#f56565", marginBottom: "1rem" }}>{error}</div>
+      )}
+
+      {result && (
+        <div>
+          <div
+            style={{
+              color: "#a0aec0",
+              fontSize: "0.875rem",
+              marginBottom: "0.5rem",
+            }}
+          >
+            Locked teams: {result.summary.lockedTeams.join(", ") || "none"} ·{" "}
+            {result.summary.swapped} swapped, {result.summary.unchanged}{" "}
+            unchanged, {result.summary.locked} fully locked,{" "}
+            {result.summary.infeasible} kept (no valid swap)
+            {result.summary.saved > 0 && ` · ${result.summary.saved} saved`}
+          </div>
+
+          <table style={{ width: "100%", fontSize: "0.875rem" }}>
+            <thead>
+              <tr style={{ color: "#a0aec0", textAlign: "left" }}>
+                <th>Lineup</th>
+                <th>Status</th>
+                <th>Locked</th>
+                <th>Swaps</th>
+                <th style={{ textAlign: "right" }}>Projection</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.entries.map((entry) => (
+                <tr key={entry.id} style={{ color: "#e2e8f0" }}>
+                  <td>{entry.name}</td>
+                  <td style={{ color: STATUS_COLORS[entry.status] }}>
+                    {entry.status}
+                  </td>
+                  <td>{entry.lockedSlots.join(", ") || "-"}</td>
+                  <td>
+                    {entry.swaps.length === 0
+                      ? "-"
+                      : entry.swaps
+                          .map(
+                            (swap) => `${swap.slot}: ${swap.out} → ${swap.in}`
+                          )
+                          .join(", ")}
+                  </td>
+                  <td style={{ textAlign: "right" }}>
+                    {entry.previousProjection.toFixed(1)} →{" "}
+                    {(entry.projection ?? entry.previousProjection).toFixed(1)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LateSwapPanel;
@@ -1,6 +1,11 @@
 import React, { useState, useMemo, useEffect } from "react";
 import NexusScoreLineup from "./NexusScoreLineup";
+import LateSwapPanel from "./LateSwapPanel";
+import RebalancePanel from "./RebalancePanel";
+import ContestAllocationPanel from "./ContestAllocationPanel";
 import { calculateLineupROI } from "../utils/roiIntegration";
+import { getCaptainProjection } from "../lib/captain";
+import { estimateDuplicates } from "../lib/duplication";
 
 const LineupList = ({
   lineups = [],
@@ -8,6 +13,9 @@ const LineupList = ({
   onDelete,
   onEdit,
   onExport,
+  onLateSwap,
+  onRebalance,
+  exposureSettings = null,
   contestInfo = null,
 }) => {
   // Pagination state
@@ -22,6 +30,9 @@ const LineupList = ({
   const [showStarredOnly, setShowStarredOnly] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showLateSwap, setShowLateSwap] = useState(false);
+  const [showRebalance, setShowRebalance] = useState(false);
+  const [showAllocation, setShowAllocation] = useState(false);
 
   // Close export menu when clicking outside
   useEffect(() => {
@@ -99,21 +110,27 @@ const LineupList = ({
             playerData.find(
               (p) => p.id === player.id || p.name === player.name
             ) || {};
+          // The captain carries its CPT-slot ownership when the pool has one
+          const cptOwnership =
+            player === lineup.cpt ? fullData.cptOwnership : undefined;
           return {
             ...player,
             projectedPoints:
               player.projectedPoints || fullData.projectedPoints || 0,
-            ownership: player.ownership || fullData.ownership || 0,
+            ownership:
+              cptOwnership ?? (player.ownership || fullData.ownership || 0),
           };
         });
 
-        // Calculate total points (CPT gets 1.5x)
+        // Calculate total points (CPT at its CPT projection)
         let totalProj = 0;
         if (lineup.cpt) {
-          const cptProj =
-            playersWithData.find((p) => p.id === lineup.cpt.id)
-              ?.projectedPoints || 0;
-          totalProj += cptProj * 1.5; // CPT is 1.5x
+          const cptData = playerData.find(
+            (p) => p.id === lineup.cpt.id || p.name === lineup.cpt.name
+          );
+          totalProj += getCaptainProjection(
+            cptData || playersWithData.find((p) => p.id === lineup.cpt.id)
+          );
         }
 
         // Add regular players' points
@@ -183,26 +200,44 @@ const LineupList = ({
           Math.max(25, baseScore * leverageFactor + stackBonus / 2)
         );
 
+        // Other entries expected to play this exact lineup
+        const expectedDupes = estimateDuplicates(lineup, {
+          fieldSize: contestInfo?.fieldSize || 1000,
+          salaryCap: contestInfo?.salaryCap || 50000,
+          players: playerData,
+        });
+
         // Calculate ROI if contest info is available
         let roi = null;
         if (contestInfo && contestInfo.entryFee) {
-          // Create enriched lineup with projected points for ROI calculation
-          const enrichedLineup = {
-            ...lineup,
-            cpt: lineup.cpt
-              ? {
-                  ...lineup.cpt,
-                  projectedPoints:
-                    playersWithData.find((p) => p.id === lineup.cpt.id)
-                      ?.projectedPoints || 0,
-                }
-              : null,
-            players: lineup.players?.map((player) => ({
+          // Create enriched lineup with projected points, distributions
+          // (floor/ceiling/stdDev/percentiles) and ownership for ROI
+          // calculation; the captain carries its CPT-slot ownership
+          const withPoolData = (player, isCaptain = false) => {
+            const poolPlayer = playerData.find(
+              (p) => p.id === player.id || p.name === player.name
+            );
+            return {
               ...player,
               projectedPoints:
-                playersWithData.find((p) => p.id === player.id)
-                  ?.projectedPoints || 0,
-            })),
+                player.projectedPoints || poolPlayer?.projectedPoints || 0,
+              floor: poolPlayer?.floor,
+              ceiling: poolPlayer?.ceiling,
+              stdDev: poolPlayer?.stdDev,
+              percentiles: poolPlayer?.percentiles,
+              cptProjectedPoints: isCaptain
+                ? poolPlayer?.cptProjectedPoints
+                : undefined,
+              ownership:
+                (isCaptain ? poolPlayer?.cptOwnership : undefined) ??
+                poolPlayer?.ownership ??
+                player.ownership,
+            };
+          };
+          const enrichedLineup = {
+            ...lineup,
+            cpt: lineup.cpt ? withPoolData(lineup.cpt, true) : null,
+            players: lineup.players?.map(withPoolData),
           };
           const roiResult = calculateLineupROI(enrichedLineup, contestInfo);
           roi = roiResult.roi;
@@ -222,6 +257,7 @@ const LineupList = ({
             stackInfo: stackString,
             firstPlace: lineup.firstPlace || (nexusScore / 400).toFixed(2), // Derive from NexusScore if not available
             roi,
+            expectedDupes,
           },
         };
       });
@@ -230,7 +266,7 @@ const LineupList = ({
     }
 
     return processedLineups;
-  }, [lineups, playerData]);
+  }, [lineups, playerData, contestInfo]);
 
   // Update global stats whenever lineupsWithMetrics changes
   useEffect(() => {
@@ -328,6 +364,10 @@ const LineupList = ({
           valueA = a.metrics.roi || 0;
           valueB = b.metrics.roi || 0;
           break;
+        case "dupes":
+          valueA = a.metrics.expectedDupes;
+          valueB = b.metrics.expectedDupes;
+          break;
         default:
           valueA = a.metrics.nexusScore;
           valueB = b.metrics.nexusScore;
@@ -940,9 +980,144 @@ const LineupList = ({
             </svg>
             <span>{showStarredOnly ? "All Lineups" : "Starred Only"}</span>
           </button>
+
+          <button
+            onClick={() => setShowLateSwap(!showLateSwap)}
+            style={{
+              background: "none",
+              border: "none",
+              color: showLateSwap ? "#f59e0b" : "#4fd1c5",
+              cursor: "pointer",
+              display: "flex",
+              alignItems: "center",
+              gap: "0.25rem",
+            }}
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              width="16"
+              height="16"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            >
+              <circle cx="12" cy="12" r="10"></circle>
+              <polyline points="12 6 12 12 16 14"></polyline>
+            </svg>
+            <span>Late Swap</span>
+          </button>
+
+          <button
+            onClick={() => setShowRebalance(!showRebalance)}
+            style={{
+              background: "none",
+              border: "none",
+              color: showRebalance ? "#f59e0b" : "#4fd1c5",
+              cursor: "pointer",
+              display: "flex",
+              alignItems: "center",
+              gap: "0.25rem",
+            }}
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              width="16"
+              height="16"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            >
+              <polyline points="17 1 21 5 17 9"></polyline>
+              <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+              <polyline points="7 23 3 19 7 15"></polyline>
+              <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+            </svg>
+            <span>Rebalance</span>
+          </button>
+
+          <button
+            onClick={() => setShowAllocation(!showAllocation)}
+            style={{
+              background: "none",
+              border: "none",
+              color: showAllocation ? "#f59e0b" : "#4fd1c5",
+              cursor: "pointer",
+              display: "flex",
+              alignItems: "center",
+              gap: "0.25rem",
+            }}
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              width="16"
+              height="16"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            >
+              <rect x="3" y="3" width="7" height="7"></rect>
+              <rect x="14" y="3" width="7" height="7"></rect>
+              <rect x="14" y="14" width="7" height="7"></rect>
+              <rect x="3" y="14" width="7" height="7"></rect>
+            </svg>
+            <span>Contests</span>
+          </button>
         </div>
       </div>
 
+      {/* Late swap, rebalancing and contest allocation work on the same
+          lineups as export */}
+      {showLateSwap && (
+        <LateSwapPanel
+          lineups={
+            showStarredOnly
+              ? filteredAndSortedLineups.filter(
+                  (lineup) => starredLineups[lineup.id]
+                )
+              : filteredAndSortedLineups
+          }
+          playerData={playerData}
+          exposureSettings={exposureSettings}
+          onApplied={onLateSwap}
+        />
+      )}
+
+      {showRebalance && (
+        <RebalancePanel
+          lineups={
+            showStarredOnly
+              ? filteredAndSortedLineups.filter(
+                  (lineup) => starredLineups[lineup.id]
+                )
+              : filteredAndSortedLineups
+          }
+          playerData={playerData}
+          exposureSettings={exposureSettings}
+          onApplied={onRebalance}
+        />
+      )}
+
+      {showAllocation && (
+        <ContestAllocationPanel
+          lineups={
+            showStarredOnly
+              ? filteredAndSortedLineups.filter(
+                  (lineup) => starredLineups[lineup.id]
+                )
+              : filteredAndSortedLineups
+          }
+        />
+      )}
+
       {/* Sort controls */}
       <div
         style={{
@@ -1029,6 +1204,19 @@ const LineupList = ({
           >
             First Place %
           </button>
+          <button
+            onClick={() => setSortBy("dupes")}
+            style={{
+              padding: "0.5rem 0.75rem",
+              background: sortBy === "dupes" ? "#1a202c" : "transparent",
+              border: "none",
+              color: sortBy === "dupes" ? "#4fd1c5" : "#a0aec0",
+              cursor: "pointer",
+            }}
+            title="Dupes: Other entries expected to play the same lineup, from the product of player ownership and salary left, at the contest's field size"
+          >
+            Dupes
+          </button>
           <button
             onClick={() =>
               setSortDirection((prev) => (prev === "asc" ? "desc" : "asc"))
@@ -1142,6 +1330,7 @@ const LineupList = ({
               nexusScore: lineup.metrics.nexusScore,
               firstPlace: lineup.metrics.firstPlace,
               roi: lineup.metrics.roi, // Pass the newly calculated ROI
+              expectedDupes: lineup.metrics.expectedDupes,
               // Pass AI modification flags
               exposureWarning: lineup.exposureWarning,
               modificationSuggested: lineup.modificationSuggested,
@@ -0,0 +1,474 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { describeRule } from "../lib/LineupRules";
+
+const POSITIONS = ["TOP", "JNG", "MID", "ADC", "SUP", "TEAM"];
+
+const selectStyle = {
+  backgroundColor: "#1a202c",
+  color: "#e2e8f0",
+  border: "1px solid #2d3748",
+  borderRadius: "0.25rem",
+  padding: "0.25rem 0.5rem",
+  fontSize: "0.875rem",
+};
+
+const emptyCondition = () => ({ kind: "none" });
+
+// Editor state -> rule condition (null when the row is left empty)
+const toCondition = (draft) => {
+  switch (draft.kind) {
+    case "player":
+      if (!draft.player) return null;
+      return draft.slot
+        ? { player: draft.player, slot: draft.slot }
+        : { player: draft.player };
+    case "team": {
+      if (!draft.team) return null;
+      const condition = { team: draft.team };
+      if (draft.min !== "" && draft.min !== undefined) {
+        condition.min = parseInt(draft.min);
+      }
+      if (draft.max !== "" && draft.max !== undefined) {
+        condition.max = parseInt(draft.max);
+      }
+      return condition;
+    }
+    case "positions":
+      return {
+        positions: [draft.first || "ADC", draft.second || "SUP"],
+        relation: draft.relation || "opponents",
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * One condition row: player on the roster, team count or position pair
+ */
+const ConditionEditor = ({ label, draft, onChange, players, teams }) => {
+  const update = (key, value) => onChange({ ...draft, [key]: value });
+
+  return (
+    <div style={{ marginBottom: "0.75rem" }}>
+      <label className="form-label">{label}</label>
+      <div style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap" }}>
+        <select
+          value={draft.kind}
+          onChange={(e) => onChange({ kind: e.target.value })}
+          style={selectStyle}
+        >
+          <option value="none">(none)</option>
+          <option value="player">Player</option>
+          <option value="team">Team count</option>
+          <option value="positions">Position pair</option>
+        </select>
+
+        {draft.kind === "player" && (
+          <>
+            <select
+              value={draft.player || ""}
+              onChange={(e) => update("player", e.target.value)}
+              style={selectStyle}
+            >
+              <option value="">Select player</option>
+              {players.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={draft.slot || ""}
+              onChange={(e) => update("slot", e.target.value)}
+              style={selectStyle}
+            >
+              <option value="">Any slot</option>
+              <option value="CPT">CPT</option>
+              <option value="FLEX">FLEX</option>
+            </select>
+          </>
+        )}
+
+        {draft.kind === "team" && (
+          <>
+            <select
+              value={draft.team || ""}
+              onChange={(e) => update("team", e.target.value)}
+              style={selectStyle}
+            >
+              <option value="">Select team</option>
+              {teams.map((team) => (
+                <option key={team} value={team}>
+                  {team}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              max="7"
+              placeholder="min"
+              value={draft.min ?? ""}
+              onChange={(e) => update("min", e.target.value)}
+              style={{ width: "4.5rem" }}
+            />
+            <input
+              type="number"
+              min="0"
+              max="7"
+              placeholder="max"
+              value={draft.max ?? ""}
+              onChange={(e) => update("max", e.target.value)}
+              style={{ width: "4.5rem" }}
+            />
+          </>
+        )}
+
+        {draft.kind === "positions" && (
+          <>
+            <select
+              value={draft.first || "ADC"}
+              onChange={(e) => update("first", e.target.value)}
+              style={selectStyle}
+            >
+              {POSITIONS.map((position) => (
+                <option key={position} value={position}>
+                  {position}
+                </option>
+              ))}
+            </select>
+            <select
+              value={draft.relation || "opponents"}
+              onChange={(e) => update("relation", e.target.value)}
+              style={selectStyle}
+            >
+              <option value="opponents">with opposing</option>
+              <option value="teammates">with same-team</option>
+            </select>
+            <select
+              value={draft.second || "SUP"}
+              onChange={(e) => update("second", e.target.value)}
+              style={selectStyle}
+            >
+              {POSITIONS.map((position) => (
+                <option key={position} value={position}>
+                  {position}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Editor for the custom lineup rules saved in settings
+ * Reports the saved rules through onRulesChange so optimizer runs use them
+ */
+const LineupRulesEditor = ({
+  API_BASE_URL,
+  playerData = [],
+  onRulesChange,
+}) => {
+  const [rules, setRules] = useState([]);
+  const [ruleType, setRuleType] = useState("conditional");
+  const [ruleName, setRuleName] = useState("");
+  const [whenDraft, setWhenDraft] = useState(emptyCondition());
+  const [unlessDraft, setUnlessDraft] = useState(emptyCondition());
+  const [outcome, setOutcome] = useState("require");
+  const [outcomeDraft, setOutcomeDraft] = useState(emptyCondition());
+  const [lockPlayer, setLockPlayer] = useState("");
+  const [lockPercent, setLockPercent] = useState(100);
+  const [status, setStatus] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const players = useMemo(
+    () => [...new Set(playerData.map((p) => p.name).filter(Boolean))].sort(),
+    [playerData]
+  );
+  const teams = useMemo(
+    () => [...new Set(playerData.map((p) => p.team).filter(Boolean))].sort(),
+    [playerData]
+  );
+
+  // Load saved rules
+  useEffect(() => {
+    const loadRules = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/settings/rules`);
+        if (!response.ok) {
+          throw new Error("Failed to load lineup rules");
+        }
+        const result = await response.json();
+        setRules(result.data || []);
+        if (onRulesChange) onRulesChange(result.data || []);
+      } catch (error) {
+        console.error("Error loading lineup rules:", error);
+        setStatus({ error: true, message: error.message });
+      }
+    };
+
+    loadRules();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [API_BASE_URL]);
+
+  const saveRules = async (nextRules) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/settings/rules`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ rules: nextRules }),
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to save lineup rules");
+      }
+
+      setRules(result.data);
+      if (onRulesChange) onRulesChange(result.data);
+      setStatus({ error: false, message: result.message });
+      return true;
+    } catch (error) {
+      console.error("Error saving lineup rules:", error);
+      setStatus({ error: true, message: error.message });
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const buildRule = () => {
+    const rule = ruleName.trim() ? { name: ruleName.trim() } : {};
+
+    if (ruleType !== "conditional") {
+      return {
+        ...rule,
+        type: ruleType,
+        player: lockPlayer,
+        percent: parseFloat(lockPercent),
+      };
+    }
+
+    const when = toCondition(whenDraft);
+    const unless = toCondition(unlessDraft);
+    const result = toCondition(outcomeDraft);
+    return {
+      ...rule,
+      type: "conditional",
+      when: when ? [when] : [],
+      unless: unless ? [unless] : [],
+      [outcome]: result ? [result] : [],
+    };
+  };
+
+  const addRule = async () => {
+    // The server validates the rule and explains what is missing
+    const saved = await saveRules([...rules, buildRule()]);
+    if (saved) {
+      setRuleName("");
+      setWhenDraft(emptyCondition());
+      setUnlessDraft(emptyCondition());
+      setOutcomeDraft(emptyCondition());
+      setLockPlayer("");
+      setLockPercent(100);
+    }
+  };
+
+  const toggleRule = (index) =>
+    saveRules(
+      rules.map((rule, i) =>
+        i === index ? { ...rule, enabled: rule.enabled === false } : rule
+      )
+    );
+
+  const deleteRule = (index) => saveRules(rules.filter((_, i) => i !== index));
+
+  return (
+    <div className="card" style={{ gridColumn: "1 / -1" }}>
+      <h3 style={{ color: "#4fd1c5", marginBottom: "1rem" }}>Lineup Rules</h3>
+      <p
+        style={{
+          color: "#90cdf4",
+          fontSize: "0.875rem",
+          marginBottom: "1rem",
+        }}
+      >
+        Every generated lineup must satisfy the enabled rules. Lock and ban
+        rules below 100% set player exposure limits instead.
+      </p>
+
+      {rules.length === 0 ? (
+        <p style={{ color: "#a0aec0", fontSize: "0.875rem" }}>
+          No lineup rules yet.
+        </p>
+      ) : (
+        <div className="table-container" style={{ marginBottom: "1.5rem" }}>
+          <table>
+            <thead>
+              <tr>
+                <th>On</th>
+                <th>Rule</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule, index) => (
+                <tr key={rule.id || index}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled !== false}
+                      onChange={() => toggleRule(index)}
+                      disabled={isSaving}
+                    />
+                  </td>
+                  <td>
+                    {rule.name && (
+                      <div style={{ color: "#4fd1c5" }}>{rule.name}</div>
+                    )}
+                    <div style={{ color: "#e2e8f0", fontSize: "0.875rem" }}>
+                      {describeRule(rule)}
+                    </div>
+                  </td>
+                  <td>
+                    <button
+                      className="btn"
+                      style={{ backgroundColor: "#e53e3e", color: "white" }}
+                      onClick={() => deleteRule(index)}
+                      disabled={isSaving}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h4 style={{ color: "#4fd1c5", marginBottom: "0.5rem" }}>Add Rule</h4>
+      <div
+        style={{
+          display: "flex",
+          gap: "0.5rem",
+          flexWrap: "wrap",
+          marginBottom: "0.75rem",
+        }}
+      >
+        <select
+          value={ruleType}
+          onChange={(e) => setRuleType(e.target.value)}
+          style={selectStyle}
+        >
+          <option value="conditional">If / then</option>
+          <option value="lock">Lock player</option>
+          <option value="ban">Ban player</option>
+        </select>
+        <input
+          type="text"
+          placeholder="Rule name (optional)"
+          value={ruleName}
+          onChange={(e) => setRuleName(e.target.value)}
+        />
+      </div>
+
+      {ruleType === "conditional" ? (
+        <>
+          <ConditionEditor
+            label="If"
+            draft={whenDraft}
+            onChange={setWhenDraft}
+            players={players}
+            teams={teams}
+          />
+          <ConditionEditor
+            label="Unless"
+            draft={unlessDraft}
+            onChange={setUnlessDraft}
+            players={players}
+            teams={teams}
+          />
+          <div style={{ marginBottom: "0.5rem" }}>
+            <select
+              value={outcome}
+              onChange={(e) => setOutcome(e.target.value)}
+              style={selectStyle}
+            >
+              <option value="require">Then require</option>
+              <option value="forbid">Then never allow</option>
+            </select>
+          </div>
+          <ConditionEditor
+            label="Condition"
+            draft={outcomeDraft}
+            onChange={setOutcomeDraft}
+            players={players}
+            teams={teams}
+          />
+        </>
+      ) : (
+        <div
+          style={{
+            display: "flex",
+            gap: "0.5rem",
+            alignItems: "center",
+            marginBottom: "0.75rem",
+          }}
+        >
+          <select
+            value={lockPlayer}
+            onChange={(e) => setLockPlayer(e.target.value)}
+            style={selectStyle}
+          >
+            <option value="">Select player</option>
+            {players.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <span style={{ color: "#e2e8f0", fontSize: "0.875rem" }}>
+            {ruleType === "lock" ? "in" : "out of"}
+          </span>
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={lockPercent}
+            onChange={(e) => setLockPercent(e.target.value)}
+            style={{ width: "5rem" }}
+          />
+          <span style={{ color: "#e2e8f0", fontSize: "0.875rem" }}>
+            % of lineups
+          </span>
+        </div>
+      )}
+
+      <button className="btn btn-primary" onClick={addRule} disabled={isSaving}>
+        {isSaving ? "Saving..." : "Add Rule"}
+      </button>
+
+      {status && (
+        <p
+          style={{
+            color: status.error ? "#fc8181" : "#68d391",
+            fontSize: "0.875rem",
+            marginTop: "0.75rem",
+          }}
+        >
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default LineupRulesEditor;
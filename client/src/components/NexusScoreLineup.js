@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { formatROI, getROIColor } from "../utils/roiIntegration";
+import { getCaptainProjection, getCaptainOwnership } from "../lib/captain";
+import { estimateDuplicates } from "../lib/duplication";
 
 const NexusScoreLineup = ({
   lineup,
@@ -24,6 +26,7 @@ const NexusScoreLineup = ({
     totalSalary: 0,
     nexusScore: 0,
     stackInfo: "",
+    expectedDupes: 0,
   });
 
   // Helper function to safely format numeric values
@@ -62,21 +65,26 @@ const NexusScoreLineup = ({
       const fullData =
         playerData.find((p) => p.id === player.id || p.name === player.name) ||
         {};
+      // The captain carries its CPT-slot ownership when the pool has one
+      const cptOwnership =
+        player === lineup.cpt ? fullData.cptOwnership : undefined;
       return {
         ...player,
         projectedPoints:
           player.projectedPoints || fullData.projectedPoints || 0,
-        ownership: player.ownership || fullData.ownership || 0,
+        ownership:
+          cptOwnership ?? (player.ownership || fullData.ownership || 0),
       };
     });
 
-    // Calculate total points (CPT gets 1.5x)
+    // Calculate total points (CPT at its CPT projection)
     let totalProj = 0;
     if (lineup.cpt) {
-      const cptProj =
-        playersWithData.find((p) => p.id === lineup.cpt.id)?.projectedPoints ||
-        0;
-      totalProj += cptProj * 1.5; // CPT is 1.5x
+      totalProj += getCaptainProjection(
+        playerData.find(
+          (p) => p.id === lineup.cpt.id || p.name === lineup.cpt.name
+        ) || playersWithData.find((p) => p.id === lineup.cpt.id)
+      );
     }
 
     // Add regular players' points
@@ -126,6 +134,16 @@ const NexusScoreLineup = ({
       Math.max(25, baseScore * leverageFactor + stackBonus / 2)
     );
 
+    // Other entries expected to play this exact lineup (LineupList passes
+    // its own estimate)
+    const expectedDupes =
+      lineup.expectedDupes ??
+      estimateDuplicates(lineup, {
+        fieldSize: contestInfo?.fieldSize || 1000,
+        salaryCap: contestInfo?.salaryCap || 50000,
+        players: playerData,
+      });
+
     // Update metrics state with ONLY THIS LINEUP's metrics
     setMetrics({
       projectedPoints: totalProj,
@@ -133,8 +151,9 @@ const NexusScoreLineup = ({
       totalSalary,
       nexusScore,
       stackInfo: stackString,
+      expectedDupes,
     });
-  }, [lineup, playerData]);
+  }, [lineup, playerData, contestInfo]);
 
   // Generate opponent display
   const getOpponentDisplay = (player) => {
@@ -255,6 +274,23 @@ const NexusScoreLineup = ({
                 ⚠️ EXPOSURE
               </div>
             )}
+            {lineup.inactivePlayers?.length > 0 && (
+              <div
+                title={lineup.inactivePlayers
+                  .map((player) => `${player.name} (${player.status})`)
+                  .join(", ")}
+                style={{
+                  padding: "2px 6px",
+                  backgroundColor: "#dc2626",
+                  color: "white",
+                  fontSize: "10px",
+                  borderRadius: "4px",
+                  fontWeight: "500",
+                }}
+              >
+                🚫 INACTIVE
+              </div>
+            )}
             {lineup.metaScore !== undefined && (
               <div
                 title={`Meta Score: ${lineup.metaScore} - ${
@@ -432,6 +468,21 @@ const NexusScoreLineup = ({
           <span style={{ color: "#8b5cf6", fontWeight: "600" }}>
             {safeFormatNumber(lineup.firstPlace, 2)}%
           </span>
+          <span style={{ margin: "0 8px", color: "#4a5568" }}>|</span>
+          <span
+            style={{ marginRight: "8px", color: "#a0aec0" }}
+            title="Other entries expected to play the same lineup"
+          >
+            Dupes:
+          </span>
+          <span
+            style={{
+              color: metrics.expectedDupes >= 1 ? "#f56565" : "#ecc94b",
+              fontWeight: "600",
+            }}
+          >
+            {safeFormatNumber(metrics.expectedDupes, 2)}
+          </span>
         </div>
         <div style={{ display: "flex", gap: "8px" }}>
           <svg
@@ -554,10 +605,9 @@ const NexusScoreLineup = ({
                 }}
               >
                 {safeFormatNumber(
-                  (playerData.find((p) => p.id === lineup.cpt.id)
-                    ?.projectedPoints ||
-                    lineup.cpt.projectedPoints ||
-                    0) * 1.5,
+                  getCaptainProjection(
+                    playerData.find((p) => p.id === lineup.cpt.id) || lineup.cpt
+                  ),
                   2
                 )}
               </td>
@@ -569,9 +619,9 @@ const NexusScoreLineup = ({
                 }}
               >
                 {safeFormatNumber(
-                  playerData.find((p) => p.id === lineup.cpt.id)?.ownership ||
-                    lineup.cpt.ownership ||
-                    0,
+                  getCaptainOwnership(
+                    playerData.find((p) => p.id === lineup.cpt.id) || lineup.cpt
+                  ),
                   2
                 )}
                 %
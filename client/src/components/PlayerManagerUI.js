@@ -1,10 +1,16 @@
 import React, { useState, useEffect } from "react";
+import {
+  PLAYER_STATUSES,
+  getPlayerStatus,
+  isInactive,
+} from "../lib/playerStatus";
 
 const PlayerManagerUI = ({
   playerData,
   onPlayersUpdated,
   displayNotification,
   API_BASE_URL,
+  AI_API_BASE_URL,
 }) => {
   const [filteredPlayers, setFilteredPlayers] = useState([]);
   const [selectedPlayers, setSelectedPlayers] = useState(new Set());
@@ -159,6 +165,124 @@ const PlayerManagerUI = ({
     }
   };
 
+  // Floor/ceiling/stdDev from the AI service's recent score history
+  const handleDeriveFromHistory = async () => {
+    try {
+      setIsLoading(true);
+
+      const historyRes = await fetch(
+        `${AI_API_BASE_URL}/api/ai/player-history`
+      );
+      if (!historyRes.ok) {
+        throw new Error("Score history is not available from the AI service");
+      }
+      const { history } = await historyRes.json();
+
+      const response = await fetch(
+        `${API_BASE_URL}/players/distributions/history`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ history }),
+        }
+      );
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to derive distributions");
+      }
+
+      const playersRes = await fetch(`${API_BASE_URL}/players/projections`);
+      if (playersRes.ok) {
+        onPlayersUpdated(await playersRes.json());
+      }
+
+      displayNotification(result.message, "success");
+    } catch (error) {
+      console.error("Error deriving distributions:", error);
+      displayNotification(
+        `Error deriving distributions: ${error.message}`,
+        "error"
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Fill missing ownership from the ownership model
+  const handleEstimateOwnership = async () => {
+    try {
+      setIsLoading(true);
+
+      const response = await fetch(`${API_BASE_URL}/players/ownership/apply`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({}),
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to estimate ownership");
+      }
+
+      const playersRes = await fetch(`${API_BASE_URL}/players/projections`);
+      if (playersRes.ok) {
+        onPlayersUpdated(await playersRes.json());
+      }
+
+      displayNotification(result.message, "success");
+    } catch (error) {
+      console.error("Error estimating ownership:", error);
+      displayNotification(
+        `Error estimating ownership: ${error.message}`,
+        "error"
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Late news: set a player's status; the server re-flags saved lineups
+  const handleStatusChange = async (player, status) => {
+    try {
+      setIsLoading(true);
+
+      const response = await fetch(
+        `${API_BASE_URL}/players/${player.id}/status`,
+        {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ status }),
+        }
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to update status");
+      }
+
+      const updatedPlayers = playerData.map((p) =>
+        p.id === player.id ? { ...p, status } : p
+      );
+      onPlayersUpdated(updatedPlayers);
+
+      displayNotification(
+        result.message,
+        result.data.lineups.affectedCount > 0 ? "warning" : "success"
+      );
+    } catch (error) {
+      console.error("Error updating player status:", error);
+      displayNotification(`Error updating status: ${error.message}`, "error");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   // Delete single player
   const handleDeletePlayer = async (player) => {
     if (
@@ -213,6 +337,24 @@ const PlayerManagerUI = ({
           Player Management ({playerData.length} players)
         </h2>
         <div style={{ display: "flex", gap: "0.5rem" }}>
+          <button
+            className="btn"
+            onClick={handleEstimateOwnership}
+            disabled={playerData.length === 0 || isLoading}
+            title="Fill missing flex and CPT ownership from the ownership model"
+          >
+            Estimate Ownership
+          </button>
+          {AI_API_BASE_URL && (
+            <button
+              className="btn"
+              onClick={handleDeriveFromHistory}
+              disabled={playerData.length === 0 || isLoading}
+              title="Fill missing floor/ceiling from recent match history"
+            >
+              Spread from History
+            </button>
+          )}
           <button
             className="btn"
             onClick={handleSelectAll}
@@ -366,6 +508,15 @@ const PlayerManagerUI = ({
               >
                 Position
               </th>
+              <th
+                style={{
+                  padding: "0.75rem",
+                  textAlign: "left",
+                  borderBottom: "1px solid #4a5568",
+                }}
+              >
+                Status
+              </th>
               <th
                 style={{
                   padding: "0.75rem",
@@ -375,6 +526,15 @@ const PlayerManagerUI = ({
               >
                 Proj
               </th>
+              <th
+                style={{
+                  padding: "0.75rem",
+                  textAlign: "right",
+                  borderBottom: "1px solid #4a5568",
+                }}
+              >
+                Floor / Ceiling
+              </th>
               <th
                 style={{
                   padding: "0.75rem",
@@ -468,6 +628,30 @@ const PlayerManagerUI = ({
                     {player.position}
                   </span>
                 </td>
+                <td
+                  style={{
+                    padding: "0.75rem",
+                    borderBottom: "1px solid #4a5568",
+                  }}
+                  title={player.statusNote || undefined}
+                >
+                  <select
+                    value={getPlayerStatus(player)}
+                    onChange={(e) => handleStatusChange(player, e.target.value)}
+                    disabled={isLoading}
+                    style={{
+                      padding: "0.25rem",
+                      fontSize: "0.75rem",
+                      color: isInactive(player) ? "#fc8181" : undefined,
+                    }}
+                  >
+                    {PLAYER_STATUSES.map((status) => (
+                      <option key={status} value={status}>
+                        {status}
+                      </option>
+                    ))}
+                  </select>
+                </td>
                 <td
                   style={{
                     padding: "0.75rem",
@@ -477,6 +661,25 @@ const PlayerManagerUI = ({
                 >
                   {player.projectedPoints?.toFixed(1) || "N/A"}
                 </td>
+                <td
+                  style={{
+                    padding: "0.75rem",
+                    borderBottom: "1px solid #4a5568",
+                    textAlign: "right",
+                    color: "#a0aec0",
+                  }}
+                  title={
+                    player.distributionSource === "history"
+                      ? `From ${player.historyGames} recent games`
+                      : undefined
+                  }
+                >
+                  {player.floor != null && player.ceiling != null
+                    ? `${Number(player.floor).toFixed(1)} / ${Number(
+                        player.ceiling
+                      ).toFixed(1)}`
+                    : "-"}
+                </td>
                 <td
                   style={{
                     padding: "0.75rem",
@@ -493,7 +696,21 @@ const PlayerManagerUI = ({
                     textAlign: "right",
                   }}
                 >
-                  {player.ownership?.toFixed(1) || "N/A"}%
+                  <span
+                    title={
+                      player.ownershipSource === "model"
+                        ? "Estimated by the ownership model"
+                        : undefined
+                    }
+                  >
+                    {player.ownership?.toFixed(1) || "N/A"}%
+                    {player.ownershipSource === "model" && "*"}
+                  </span>
+                  {typeof player.cptOwnership === "number" && (
+                    <div style={{ fontSize: "0.75rem", color: "#a0aec0" }}>
+                      CPT {player.cptOwnership.toFixed(1)}%
+                    </div>
+                  )}
                 </td>
                 <td
                   style={{
@@ -0,0 +1,345 @@
+import React, { useState, useEffect, useCallback } from "react";
+
+const inputStyle = {
+  backgroundColor: "#1a202c",
+  color: "#e2e8f0",
+  border: "1px solid #2d3748",
+  borderRadius: "0.25rem",
+  padding: "0.25rem 0.5rem",
+  fontSize: "0.875rem",
+};
+
+const DISAGREEMENT_COLORS = {
+  high: "#f56565",
+  moderate: "#f59e0b",
+  low: "#a0aec0",
+};
+
+const DISAGREEMENT_ORDER = { high: 0, moderate: 1, low: 2 };
+
+/**
+ * Projection sources for the slate: upload and weight each provider, preview
+ * the blend (largest disagreements first) and write it into the player pool
+ */
+const ProjectionSources = ({
+  API_BASE_URL,
+  displayNotification,
+  onPlayersUpdated,
+}) => {
+  const [sources, setSources] = useState([]);
+  const [blend, setBlend] = useState(null);
+  const [file, setFile] = useState(null);
+  const [sourceName, setSourceName] = useState("");
+  const [sourceWeight, setSourceWeight] = useState(1);
+  const [weights, setWeights] = useState({});
+  const [isWorking, setIsWorking] = useState(false);
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${API_BASE_URL}${path}`, options);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || "Projection request failed");
+    }
+    return result;
+  };
+
+  const loadBlend = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/projections/blend`);
+      if (!response.ok) {
+        throw new Error("Failed to load projection sources");
+      }
+      const result = await response.json();
+      setBlend(result.data);
+      setSources(result.data.sources);
+      setWeights(
+        Object.fromEntries(
+          result.data.sources.map((source) => [source.id, source.weight])
+        )
+      );
+    } catch (error) {
+      console.error("Error loading projection sources:", error);
+    }
+  }, [API_BASE_URL]);
+
+  useEffect(() => {
+    loadBlend();
+  }, [loadBlend]);
+
+  const run = async (action) => {
+    setIsWorking(true);
+    try {
+      const result = await action();
+      if (result?.message) displayNotification(result.message);
+      await loadBlend();
+    } catch (error) {
+      console.error("Projection source error:", error);
+      displayNotification(error.message, "error");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const uploadSource = () =>
+    run(async () => {
+      const formData = new FormData();
+      formData.append("file", file);
+      if (sourceName.trim()) formData.append("name", sourceName.trim());
+      formData.append("weight", sourceWeight);
+
+      const result = await request("/projections/sources/upload", {
+        method: "POST",
+        body: formData,
+      });
+      setFile(null);
+      setSourceName("");
+      setSourceWeight(1);
+      return result;
+    });
+
+  const updateSource = (id, changes) =>
+    run(() =>
+      request(`/projections/sources/${id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes),
+      })
+    );
+
+  const deleteSource = (id) =>
+    run(() => request(`/projections/sources/${id}`, { method: "DELETE" }));
+
+  const applyBlend = () =>
+    run(async () => {
+      const result = await request("/projections/blend/apply", {
+        method: "POST",
+      });
+      const playersRes = await fetch(`${API_BASE_URL}/players/projections`);
+      if (playersRes.ok && onPlayersUpdated) {
+        onPlayersUpdated(await playersRes.json());
+      }
+      return result;
+    });
+
+  const commitWeight = (source) => {
+    const weight = parseFloat(weights[source.id]);
+    if (!Number.isFinite(weight) || weight === source.weight) return;
+    updateSource(source.id, { weight });
+  };
+
+  const sourceNames = sources
+    .filter((source) => source.active)
+    .map((source) => source.name);
+  const rows = (blend?.players || [])
+    .filter((player) => player.sourceCount > 0)
+    .sort(
+      (a, b) =>
+        (DISAGREEMENT_ORDER[a.disagreement] ?? 3) -
+          (DISAGREEMENT_ORDER[b.disagreement] ?? 3) || b.stdDev - a.stdDev
+    );
+
+  return (
+    <div className="card" style={{ marginTop: "1.5rem" }}>
+      <h3 style={{ color: "#4fd1c5", marginBottom: "1rem" }}>
+        Projection Sources
+      </h3>
+      <p
+        style={{
+          color: "#90cdf4",
+          fontSize: "0.875rem",
+          marginBottom: "1rem",
+        }}
+      >
+        Each source is weighted into a blended median, floor, ceiling and
+        ownership. Applying the blend updates the player pool the optimizers
+        use.
+      </p>
+
+      <div
+        style={{
+          display: "flex",
+          gap: "0.5rem",
+          flexWrap: "wrap",
+          alignItems: "center",
+          marginBottom: "1.5rem",
+        }}
+      >
+        <input
+          type="file"
+          accept=".csv"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          style={inputStyle}
+        />
+        <input
+          type="text"
+          placeholder="Source name"
+          value={sourceName}
+          onChange={(e) => setSourceName(e.target.value)}
+          style={inputStyle}
+        />
+        <label style={{ color: "#a0aec0", fontSize: "0.875rem" }}>
+          Weight{" "}
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={sourceWeight}
+            onChange={(e) => setSourceWeight(e.target.value)}
+            style={{ ...inputStyle, width: "5rem" }}
+          />
+        </label>
+        <button
+          className="btn"
+          onClick={uploadSource}
+          disabled={!file || isWorking}
+        >
+          Add Source
+        </button>
+      </div>
+
+      {sources.length === 0 ? (
+        <p style={{ color: "#a0aec0", fontSize: "0.875rem" }}>
+          No projection sources yet.
+        </p>
+      ) : (
+        <div className="table-container" style={{ marginBottom: "1.5rem" }}>
+          <table>
+            <thead>
+              <tr>
+                <th>On</th>
+                <th>Source</th>
+                <th>Weight</th>
+                <th>Players</th>
+                <th>Unmatched</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sources.map((source) => (
+                <tr key={source.id}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={source.enabled !== false}
+                      onChange={() =>
+                        updateSource(source.id, {
+                          enabled: source.enabled === false,
+                        })
+                      }
+                      disabled={isWorking}
+                    />
+                  </td>
+                  <td>{source.name}</td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={weights[source.id] ?? ""}
+                      onChange={(e) =>
+                        setWeights({ ...weights, [source.id]: e.target.value })
+                      }
+                      onBlur={() => commitWeight(source)}
+                      style={{ ...inputStyle, width: "5rem" }}
+                    />
+                  </td>
+                  <td>{source.playerCount}</td>
+                  <td title={source.unmatched.join(", ")}>
+                    {source.unmatched.length}
+                  </td>
+                  <td>
+                    <button
+                      className="btn"
+                      onClick={() => deleteSource(source.id)}
+                      disabled={isWorking}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              marginBottom: "0.5rem",
+            }}
+          >
+            <span style={{ color: "#a0aec0", fontSize: "0.875rem" }}>
+              {rows.filter((row) => row.disagreement === "high").length} players
+              with high disagreement between sources
+            </span>
+            <button
+              className="btn"
+              onClick={applyBlend}
+              disabled={isWorking || sourceNames.length === 0}
+            >
+              Apply Blend
+            </button>
+          </div>
+
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Player</th>
+                  <th>Team</th>
+                  <th>Pos</th>
+                  {sourceNames.map((name) => (
+                    <th key={name}>{name}</th>
+                  ))}
+                  <th>Blend</th>
+                  <th>Floor</th>
+                  <th>Ceiling</th>
+                  <th>Own%</th>
+                  <th>Std Dev</th>
+                  <th>Current</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.id}>
+                    <td
+                      style={{
+                        color: DISAGREEMENT_COLORS[row.disagreement],
+                      }}
+                    >
+                      {row.name}
+                    </td>
+                    <td>{row.team}</td>
+                    <td>{row.position}</td>
+                    {sourceNames.map((name) => (
+                      <td key={name}>{row.sources[name] ?? "-"}</td>
+                    ))}
+                    <td>{row.blended.projectedPoints}</td>
+                    <td>{row.blended.floor ?? "-"}</td>
+                    <td>{row.blended.ceiling ?? "-"}</td>
+                    <td>{row.blended.ownership ?? "-"}</td>
+                    <td
+                      style={{
+                        color: DISAGREEMENT_COLORS[row.disagreement],
+                      }}
+                    >
+                      {row.stdDev}
+                    </td>
+                    <td>{row.current}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProjectionSources;
@@ -0,0 +1,405 @@
+import React, { useState, useMemo } from "react";
+
+const inputStyle = {
+  backgroundColor: "#1a202c",
+  color: "#e2e8f0",
+  border: "1px solid #2d3748",
+  borderRadius: "0.25rem",
+  padding: "0.25rem 0.5rem",
+  fontSize: "0.875rem",
+};
+
+const buttonStyle = {
+  background: "none",
+  border: "1px solid #4fd1c5",
+  color: "#4fd1c5",
+  padding: "0.25rem 0.75rem",
+  borderRadius: "4px",
+  cursor: "pointer",
+  fontSize: "0.875rem",
+};
+
+const STATUS_COLORS = {
+  swapped: "#4fd1c5",
+  unchanged: "#a0aec0",
+  incomplete: "#f56565",
+};
+
+const newTarget = () => ({
+  type: "player",
+  name: "",
+  stackSize: 4,
+  min: "",
+  max: "",
+});
+
+// Blank min/max fields fall back to the optimizer's 0 / 100
+const toPercent = (value) => (value === "" ? undefined : Number(value));
+
+/**
+ * Portfolio rebalancing: set exposure targets, preview the fewest swaps that
+ * reach them and apply them to the saved lineups
+ */
+const RebalancePanel = ({
+  lineups = [],
+  playerData = [],
+  exposureSettings,
+  onApplied,
+}) => {
+  const [targets, setTargets] = useState([newTarget()]);
+  const [includeGroups, setIncludeGroups] = useState(false);
+  const [maxSwaps, setMaxSwaps] = useState("");
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const teams = useMemo(
+    () =>
+      [
+        ...new Set(playerData.map((player) => player.team).filter(Boolean)),
+      ].sort(),
+    [playerData]
+  );
+  const players = useMemo(
+    () =>
+      [...playerData]
+        .filter((player) => player.position !== "TEAM")
+        .sort((a, b) => a.name.localeCompare(b.name)),
+    [playerData]
+  );
+  const groups = exposureSettings?.groups || [];
+
+  const updateTarget = (index, changes) =>
+    setTargets(
+      targets.map((target, i) =>
+        i === index ? { ...target, ...changes } : target
+      )
+    );
+
+  const buildExposureLimits = () => {
+    const limits = { players: [], teams: [], groups: [] };
+    targets.forEach((target) => {
+      if (!target.name) return;
+      const range = { min: toPercent(target.min), max: toPercent(target.max) };
+      if (target.type === "player") {
+        const player = players.find((p) => String(p.id) === target.name);
+        limits.players.push({ id: player?.id, name: player?.name, ...range });
+      } else if (target.type === "team") {
+        limits.teams.push({ team: target.name, ...range });
+      } else {
+        limits.teams.push({
+          team: target.name,
+          stackSize: Number(target.stackSize),
+          ...range,
+        });
+      }
+    });
+    if (includeGroups) limits.groups = groups;
+    return limits;
+  };
+
+  const runRebalance = async (save) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch("/lineups/rebalance", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          lineupIds: lineups.map((lineup) => lineup.id),
+          exposureLimits: buildExposureLimits(),
+          maxSwaps: maxSwaps === "" ? undefined : Number(maxSwaps),
+          save,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || "Rebalance failed");
+      }
+
+      setResult(data.data);
+      if (save && onApplied) {
+        onApplied(
+          data.data.entries
+            .filter((entry) => entry.status === "swapped")
+            .map((entry) => entry.lineup)
+        );
+      }
+    } catch (err) {
+      console.error("Rebalance error:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatRange = (target) =>
+    target.target !== null
+      ? `${target.target}%`
+      : `${target.min}% - ${target.max}%`;
+
+  return (
+    <div
+      style={{
+        backgroundColor: "#10141e",
+        padding: "1rem",
+        borderRadius: "4px",
+        marginBottom: "1rem",
+      }}
+    >
+      <h3 style={{ color: "#4fd1c5", marginBottom: "0.5rem" }}>
+        Rebalance Portfolio
+      </h3>
+      <p
+        style={{ color: "#a0aec0", fontSize: "0.875rem", marginBottom: "1rem" }}
+      >
+        Swaps as few players as it can across the {lineups.length} lineups to
+        bring exposures into range. Every lineup stays valid and unique; nothing
+        is saved until you apply.
+      </p>
+
+      {targets.map((target, index) => (
+        <div
+          key={index}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "0.5rem",
+            marginBottom: "0.5rem",
+          }}
+        >
+          <select
+            value={target.type}
+            onChange={(e) =>
+              updateTarget(index, { type: e.target.value, name: "" })
+            }
+            style={inputStyle}
+          >
+            <option value="player">Player</option>
+            <option value="team">Team</option>
+            <option value="stack">Team stack</option>
+          </select>
+          <select
+            value={target.name}
+            onChange={(e) => updateTarget(index, { name: e.target.value })}
+            style={{ ...inputStyle, minWidth: "10rem" }}
+          >
+            <option value="">Select...</option>
+            {target.type === "player"
+              ? players.map((player) => (
+                  <option key={player.id} value={String(player.id)}>
+                    {player.name} ({player.team} {player.position})
+                  </option>
+                ))
+              : teams.map((team) => (
+                  <option key={team} value={team}>
+                    {team}
+                  </option>
+                ))}
+          </select>
+          {target.type === "stack" && (
+            <input
+              type="number"
+              min="2"
+              max="5"
+              value={target.stackSize}
+              onChange={(e) =>
+                updateTarget(index, { stackSize: e.target.value })
+              }
+              style={{ ...inputStyle, width: "4rem" }}
+              title="Stack size"
+            />
+          )}
+          <input
+            type="number"
+            min="0"
+            max="100"
+            placeholder="Min %"
+            value={target.min}
+            onChange={(e) => updateTarget(index, { min: e.target.value })}
+            style={{ ...inputStyle, width: "5rem" }}
+          />
+          <input
+            type="number"
+            min="0"
+            max="100"
+            placeholder="Max %"
+            value={target.max}
+            onChange={(e) => updateTarget(index, { max: e.target.value })}
+            style={{ ...inputStyle, width: "5rem" }}
+          />
+          <button
+            onClick={() => setTargets(targets.filter((_, i) => i !== index))}
+            style={{
+              ...buttonStyle,
+              borderColor: "#f56565",
+              color: "#f56565",
+              padding: "0.25rem 0.5rem",
+            }}
+            title="Remove target"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "0.75rem",
+          marginBottom: "1rem",
+          color: "#e2e8f0",
+          fontSize: "0.875rem",
+        }}
+      >
+        <button
+          onClick={() => setTargets([...targets, newTarget()])}
+          style={buttonStyle}
+        >
+          + Add Target
+        </button>
+        {groups.length > 0 && (
+          <label>
+            <input
+              type="checkbox"
+              checked={includeGroups}
+              onChange={(e) => setIncludeGroups(e.target.checked)}
+            />{" "}
+            Include {groups.length} player group limits
+          </label>
+        )}
+        <label>
+          Max swaps{" "}
+          <input
+            type="number"
+            min="1"
+            placeholder="No limit"
+            value={maxSwaps}
+            onChange={(e) => setMaxSwaps(e.target.value)}
+            style={{ ...inputStyle, width: "6rem" }}
+          />
+        </label>
+      </div>
+
+      <div style={{ display: "flex", gap: "0.5rem", marginBottom: "1rem" }}>
+        <button
+          onClick={() => runRebalance(false)}
+          disabled={loading || lineups.length === 0}
+          style={buttonStyle}
+        >
+          {loading ? "Working..." : "Preview"}
+        </button>
+        <button
+          onClick={() => runRebalance(true)}
+          disabled={loading || lineups.length === 0 || !result}
+          style={{
+            ...buttonStyle,
+            backgroundColor: "#4fd1c5",
+            color: "#10141e",
+          }}
+          title={result ? "" : "Preview the swaps first"}
+        >
+          Apply Swaps
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ color: "#f56565", marginBottom: "1rem" }}>{error}</div>
+      )}
+
+      {result && (
+        <div>
+          <div
+            style={{
+              color: "#a0aec0",
+              fontSize: "0.875rem",
+              marginBottom: "0.5rem",
+            }}
+          >
+            {result.summary.changed} of {result.summary.entries} lineups
+            changed, {result.summary.swaps} swaps · {result.summary.targetsMet}/
+            {result.summary.targets.length} targets met
+            {result.summary.incomplete > 0 &&
+              ` · ${result.summary.incomplete} incomplete lineups skipped`}
+            {result.summary.saved > 0 && ` · ${result.summary.saved} saved`}
+          </div>
+
+          <table
+            style={{
+              width: "100%",
+              fontSize: "0.875rem",
+              marginBottom: "1rem",
+            }}
+          >
+            <thead>
+              <tr style={{ color: "#a0aec0", textAlign: "left" }}>
+                <th>Target</th>
+                <th>Range</th>
+                <th style={{ textAlign: "right" }}>Before</th>
+                <th style={{ textAlign: "right" }}>After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.summary.targets.map((target, index) => (
+                <tr
+                  key={index}
+                  style={{ color: target.met ? "#e2e8f0" : "#f56565" }}
+                >
+                  <td>{target.label}</td>
+                  <td>{formatRange(target)}</td>
+                  <td style={{ textAlign: "right" }}>
+                    {target.before.exposure.toFixed(1)}%
+                  </td>
+                  <td style={{ textAlign: "right" }}>
+                    {target.after.exposure.toFixed(1)}%
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table style={{ width: "100%", fontSize: "0.875rem" }}>
+            <thead>
+              <tr style={{ color: "#a0aec0", textAlign: "left" }}>
+                <th>Lineup</th>
+                <th>Status</th>
+                <th>Swaps</th>
+                <th style={{ textAlign: "right" }}>Projection</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.entries
+                .filter((entry) => entry.status !== "unchanged")
+                .map((entry) => (
+                  <tr key={entry.id} style={{ color: "#e2e8f0" }}>
+                    <td>{entry.name}</td>
+                    <td style={{ color: STATUS_COLORS[entry.status] }}>
+                      {entry.status}
+                    </td>
+                    <td>
+                      {entry.swaps.length === 0
+                        ? "-"
+                        : entry.swaps
+                            .map(
+                              (swap) => `${swap.slot}: ${swap.out} → ${swap.in}`
+                            )
+                            .join(", ")}
+                    </td>
+                    <td style={{ textAlign: "right" }}>
+                      {entry.previousProjection.toFixed(1)} →{" "}
+                      {entry.projection.toFixed(1)}
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RebalancePanel;
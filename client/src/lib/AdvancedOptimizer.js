@@ -12,6 +12,23 @@
  * - NexusScore comprehensive lineup evaluation
  */
 
+const { createRng, generateSeed } = require("./seededRandom");
+const { LineupRulesEngine } = require("./LineupRules");
+const {
+  buildPlayerDistribution,
+  sampleDistribution,
+} = require("./playerDistribution");
+const {
+  CAPTAIN_POSITIONS,
+  getCaptainSalary,
+  getCaptainProjection,
+  getCaptainMultiplier,
+  getCaptainOwnership,
+} = require("./captain");
+const { estimateDuplicates } = require("./duplication");
+const { calculateNexusScore } = require("./nexusScore");
+const { MAX_PLAYERS_PER_TEAM, getTeamRuleViolation } = require("./rosterRules");
+
 // Add a global counter for truly unique lineup IDs
 let lineupCounter = 0;
 
@@ -48,8 +65,14 @@ class AdvancedOptimizer {
       debugMode: false, // Enable extra logging for debugging
       stackExposureTargets: {}, // Stack exposure targets from UI
       contestInfo: { type: "gpp", fieldSize: 1189, entryFee: 5 }, // Default contest info
+      seed: null, // PRNG seed; null picks a random one per run
+      lineupRules: [], // Custom if/then and lock/ban rules (see LineupRules.js)
+      maxExpectedDupes: null, // Reject lineups expected to be duplicated more (see duplication.js)
+      nexusScoreFormula: null, // NexusScore version or { weights, offset, range } (see nexusScore.js)
       ...config,
     };
+    this._resetRandom();
+    this.rulesEngine = new LineupRulesEngine();
 
     // Initialize results store
     this.simulationResults = [];
@@ -72,6 +95,8 @@ class AdvancedOptimizer {
     this.playerExposures = [];
     this.teamExposures = [];
     this.teamStackExposures = []; // Stack-specific exposures
+    this.groupExposures = []; // Named player groups
+    this.groupLineupTotal = 0; // Lineups the group limits apply to
     this.positionExposures = {};
 
     // Enhanced exposure tracking
@@ -90,6 +115,7 @@ class AdvancedOptimizer {
       teamStacks: new Map(), // "team_stackSize" -> lineup count (lineups with X-stack)
       positions: new Map(),
       stackLineups: new Map(), // stackSize -> lineup count (for overall stack tracking)
+      groups: new Map(), // groupId -> lineups using the group
 
       // Enhanced tracking
       qualityAdjustedExposures: new Map(), // Exposure weighted by lineup strength
@@ -104,6 +130,7 @@ class AdvancedOptimizer {
       playerExposurePercents: new Map(), // playerId -> exposure %
       teamExposurePercents: new Map(), // team -> exposure %
       stackExposurePercents: new Map(), // "team_stackSize" -> exposure %
+      groupExposurePercents: new Map(), // groupId -> exposure %
       needsUpdate: true, // Flag to trigger recalculation
       lastUpdateLineupCount: 0,
     };
@@ -419,6 +446,15 @@ class AdvancedOptimizer {
     this.debugLog("Updated optimizer config:", this.config);
   }
 
+  /**
+   * Restart the random stream from config.seed (or a fresh seed), so every
+   * draw of a run can be replayed from the recorded seed
+   */
+  _resetRandom() {
+    this.seed = this.config.seed ?? generateSeed();
+    this.random = createRng(this.seed);
+  }
+
   /**
    * Initialize the optimizer with player pool and exposure settings
    */
@@ -429,6 +465,7 @@ class AdvancedOptimizer {
     teamStacks = []
   ) {
     this.resetCancel();
+    this._resetRandom();
     this.updateStatus("Initializing optimizer...");
     this.updateProgress(5, "initialization");
 
@@ -454,8 +491,21 @@ class AdvancedOptimizer {
       this.existingLineups = existingLineups || [];
       this.teamStacks = teamStacks || [];
 
+      // Custom lineup rules; lock/ban rules become player exposure limits
+      this.rulesEngine = new LineupRulesEngine(
+        this.config.lineupRules,
+        playerPool
+      );
+      if (this.rulesEngine.unresolved.length > 0) {
+        console.warn(
+          `Lineup rules reference unknown players: ${this.rulesEngine.unresolved.join(", ")}`
+        );
+      }
+
       // Process exposure settings
-      this._processExposureSettings(exposureSettings);
+      this._processExposureSettings(
+        this.rulesEngine.applyToExposureSettings(exposureSettings)
+      );
       this.updateProgress(20, "processing_exposures");
       await this.yieldToUI();
 
@@ -781,6 +831,126 @@ class AdvancedOptimizer {
         };
       }
     }
+
+    // Process player group settings
+    this.groupExposures = this._processGroupExposures(exposureSettings?.groups);
+  }
+
+  /**
+   * Resolve named player groups into member ids and fractional limits
+   * Members come from `players` (ids or names) and/or a `filter` of teams,
+   * positions and a salary range; min/max are exposure %, minCount/maxCount
+   * are group players per lineup (CPT included)
+   */
+  _processGroupExposures(groups) {
+    if (!Array.isArray(groups)) return [];
+
+    const normalize = (value) =>
+      String(value ?? "")
+        .trim()
+        .toLowerCase();
+    const percent = (value, fallback) =>
+      value !== undefined && value !== null ? value / 100 : fallback;
+
+    return groups
+      .filter((group) => group && (group.players || group.filter))
+      .map((group, index) => {
+        const references = new Set((group.players || []).map(normalize));
+        const filter = group.filter;
+        const inList = (values, value) =>
+          !values?.length || values.map(normalize).includes(normalize(value));
+
+        const playerIds = new Set(
+          this.playerPool
+            .filter((player) => {
+              if (
+                references.has(normalize(player.id)) ||
+                references.has(normalize(player.name))
+              ) {
+                return true;
+              }
+              if (!filter) return false;
+
+              const salary = this._safeParseFloat(player.salary, 0);
+              return (
+                inList(filter.teams, player.team) &&
+                inList(filter.positions, player.position) &&
+                (filter.minSalary == null || salary >= filter.minSalary) &&
+                (filter.maxSalary == null || salary <= filter.maxSalary)
+              );
+            })
+            .map((player) => player.id)
+        );
+
+        return {
+          id: String(group.id ?? group.name ?? `group_${index + 1}`),
+          name: group.name || `Group ${index + 1}`,
+          playerIds,
+          min: percent(group.min, 0),
+          max: percent(group.max, 1),
+          minCount: group.minCount ?? null,
+          maxCount: group.maxCount ?? null,
+        };
+      });
+  }
+
+  /**
+   * Group players in a lineup, CPT included
+   * @returns {Map} groupId -> count
+   */
+  _getLineupGroupCounts(lineup) {
+    const counts = new Map();
+    if (this.groupExposures.length === 0 || !lineup) return counts;
+
+    const ids = [lineup.cpt, ...(lineup.players || [])]
+      .filter((player) => player?.id !== undefined)
+      .map((player) => player.id);
+    this.groupExposures.forEach((group) => {
+      counts.set(group.id, ids.filter((id) => group.playerIds.has(id)).length);
+    });
+    return counts;
+  }
+
+  /**
+   * Whether adding a lineup keeps every group within its exposure range
+   * A group at its max takes no more lineups; once the remaining lineups
+   * are all needed to reach a group's min, every lineup must use it
+   */
+  _fitsGroupExposure(lineup, acceptedCount, targetCount) {
+    if (this.groupExposures.length === 0) return true;
+
+    const total = targetCount + (this.existingLineups?.length || 0);
+    const remaining = targetCount - acceptedCount;
+    const counts = this._getLineupGroupCounts(lineup);
+
+    return this.groupExposures.every((group) => {
+      if (counts.get(group.id) > 0) {
+        return !this._isGroupCapped(group, total);
+      }
+      const used = this.exposureTracking.groups.get(group.id) || 0;
+      return (
+        group.min === 0 ||
+        Math.ceil(group.min * total - 1e-9) - used < remaining
+      );
+    });
+  }
+
+  _isGroupCapped(group, totalLineups) {
+    const used = this.exposureTracking.groups.get(group.id) || 0;
+    return used >= Math.floor(group.max * totalLineups + 1e-9);
+  }
+
+  /**
+   * Whether a player is in a group that can't take more lineups this run,
+   * so the lineup builder treats them like a player at max exposure
+   */
+  _isInCappedGroup(playerId) {
+    if (!this.groupLineupTotal) return false;
+    return this.groupExposures.some(
+      (group) =>
+        group.playerIds.has(playerId) &&
+        this._isGroupCapped(group, this.groupLineupTotal)
+    );
   }
 
   /**
@@ -794,6 +964,7 @@ class AdvancedOptimizer {
       teamStacks: new Map(), // "team_stackSize" -> lineup count (lineups with X-stack)
       positions: new Map(),
       stackLineups: new Map(), // stackSize -> lineup count (for overall stack tracking)
+      groups: new Map(), // groupId -> lineups using the group
 
       // Enhanced tracking
       qualityAdjustedExposures: new Map(), // Exposure weighted by lineup strength
@@ -808,6 +979,7 @@ class AdvancedOptimizer {
       playerExposurePercents: new Map(),
       teamExposurePercents: new Map(),
       stackExposurePercents: new Map(),
+      groupExposurePercents: new Map(),
       needsUpdate: true,
       lastUpdateLineupCount: 0,
     };
@@ -911,6 +1083,16 @@ class AdvancedOptimizer {
       }
     }
 
+    // Track lineups using each player group
+    this._getLineupGroupCounts(lineup).forEach((count, groupId) => {
+      if (count > 0) {
+        this.exposureTracking.groups.set(
+          groupId,
+          (this.exposureTracking.groups.get(groupId) || 0) + 1
+        );
+      }
+    });
+
     // Enhanced tracking: Calculate lineup quality and update weighted exposures
     this._updateWeightedExposures(lineup);
 
@@ -930,6 +1112,7 @@ class AdvancedOptimizer {
       this.exposureCache.playerExposurePercents.clear();
       this.exposureCache.teamExposurePercents.clear();
       this.exposureCache.stackExposurePercents.clear();
+      this.exposureCache.groupExposurePercents.clear();
       return;
     }
 
@@ -957,6 +1140,14 @@ class AdvancedOptimizer {
       );
     }
 
+    // Update player group exposure percentages
+    for (const [groupId, count] of this.exposureTracking.groups) {
+      this.exposureCache.groupExposurePercents.set(
+        groupId,
+        count / totalLineups
+      );
+    }
+
     this.exposureCache.needsUpdate = false;
     this.exposureCache.lastUpdateLineupCount = totalLineups;
   }
@@ -984,6 +1175,17 @@ class AdvancedOptimizer {
     return this.exposureCache.stackExposurePercents.get(stackKey) || 0;
   }
 
+  /**
+   * Get cached player group exposure (O(1) lookup)
+   */
+  _getCachedGroupExposure(groupId) {
+    // Update cache if needed
+    if (this.exposureCache.needsUpdate) {
+      this._updateExposureCache();
+    }
+    return this.exposureCache.groupExposurePercents.get(groupId) || 0;
+  }
+
   /**
    * Calculate and update quality-weighted exposures for a lineup
    */
@@ -1038,10 +1240,8 @@ class AdvancedOptimizer {
     // Base quality from projected points
     const allPlayers = [];
     if (lineup.cpt) {
-      // Captain gets 1.5x multiplier in DraftKings
-      const cptPoints =
-        this._safeParseFloat(lineup.cpt.projectedPoints, 0) * 1.5;
-      totalProjectedPoints += cptPoints;
+      // Captain scores its CPT projection (1.5x unless listed)
+      totalProjectedPoints += this._getCaptainPoints(lineup.cpt);
       allPlayers.push(lineup.cpt);
     }
     if (lineup.players) {
@@ -1223,6 +1423,11 @@ class AdvancedOptimizer {
         });
       }
 
+      const distribution = buildPlayerDistribution({
+        ...player,
+        projectedPoints: projPoints,
+      });
+
       return {
         ...player,
         optId: player.id,
@@ -1231,10 +1436,8 @@ class AdvancedOptimizer {
         salary: this._safeParseFloat(player.salary, 0),
         team: player.team || "UNKNOWN",
         ownership: this._safeParseFloat(player.ownership, 0), // Keep as percentage
-        stdDev: this._calculateStdDev({
-          ...player,
-          projectedPoints: projPoints,
-        }),
+        distribution,
+        stdDev: distribution.stdDev,
         minExposure: this._getPlayerMinExposure(player),
         maxExposure: this._getPlayerMaxExposure(player),
         targetExposure: this._getPlayerTargetExposure(
@@ -1245,39 +1448,6 @@ class AdvancedOptimizer {
     });
   }
 
-  /**
-   * Calculate standard deviation for a player's projection
-   * Higher projections typically have higher variance
-   */
-  _calculateStdDev(player) {
-    const basePoints = this._safeParseFloat(player.projectedPoints, 0);
-    // LoL specific - points variance is typically about 30-40% of projection
-    // Higher for volatile positions like MID, lower for consistent positions like SUP
-    let positionVolatility = 0.35; // Default
-
-    switch (player.position) {
-      case "MID":
-      case "ADC":
-        positionVolatility = 0.4;
-        break;
-      case "TOP":
-      case "JNG":
-        positionVolatility = 0.35;
-        break;
-      case "SUP":
-        positionVolatility = 0.25;
-        break;
-      case "TEAM":
-        positionVolatility = 0.3;
-        break;
-      default:
-        positionVolatility = 0.35;
-    }
-
-    // Minimum standard deviation of 3 points
-    return Math.max(basePoints * positionVolatility, 3);
-  }
-
   //  Build indexed player pools for O(1) lookups
   _buildPlayerIndexes() {
     // Clear existing indexes
@@ -1735,41 +1905,17 @@ class AdvancedOptimizer {
 
   /**
    * Generate a single simulated performance for a player
+   * Draws from the player's distribution (floor, ceiling, percentiles)
    */
   _generatePlayerPerformance(player, iteration) {
-    // Get mean and standard deviation
-    const mean = this._safeParseFloat(player.projectedPoints, 0);
-    const stdDev = this._safeParseFloat(player.stdDev, 3);
-
-    // Generate base performance using normal distribution
-    const basePerf = this._normalDistribution(mean, stdDev);
+    const distribution = player.distribution || buildPlayerDistribution(player);
+    const basePerf = sampleDistribution(distribution, this.random);
 
     // Apply randomness factor
-    const randomFactor = 1 + (Math.random() * 2 - 1) * this.config.randomness;
-
-    // Combine for final performance
-    let performance = basePerf * randomFactor;
+    const randomFactor = 1 + (this.random() * 2 - 1) * this.config.randomness;
 
     // Performance can't be negative in DFS
-    performance = Math.max(0, performance);
-
-    return performance;
-  }
-
-  /**
-   * Generate a random value from normal distribution
-   */
-  _normalDistribution(mean, stdDev) {
-    // Box-Muller transform
-    const u1 = Math.random();
-    const u2 = Math.random();
-
-    const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-
-    // Transform to the desired mean and standard deviation
-    const value = mean + z0 * stdDev;
-
-    return value;
+    return Math.max(0, basePerf * randomFactor);
   }
 
   /**
@@ -2018,87 +2164,13 @@ class AdvancedOptimizer {
 
   /**
    * Calculate NexusScore - a comprehensive lineup evaluation metric
+   * The formula lives in nexusScore.js; config.nexusScoreFormula picks the
+   * version. Here the primary stack's Stack+ and the lineup's simulated
+   * outcomes are added to its inputs.
    */
   _calculateNexusScore(lineup) {
-    // 1. Base projection (sum of all players' projected points)
-    let baseProjection = 0;
-
-    // Calculate captain's points (1.5x)
-    const cptPlayer = this.playerPool.find((p) => p.id === lineup.cpt.id);
-    if (cptPlayer) {
-      baseProjection +=
-        this._safeParseFloat(cptPlayer.projectedPoints, 0) * 1.5;
-    }
-
-    // Add regular players' points
-    for (const player of lineup.players) {
-      const poolPlayer = this.playerPool.find((p) => p.id === player.id);
-      if (poolPlayer) {
-        baseProjection += this._safeParseFloat(poolPlayer.projectedPoints, 0);
-      }
-    }
-
-    // 2. Calculate ownership leverage
-    // Average ownership across all players in the lineup
-    let totalOwnership = 0;
-    let playerCount = 0;
-
-    if (cptPlayer) {
-      totalOwnership += this._safeParseFloat(cptPlayer.ownership, 0);
-      playerCount++;
-    }
-
-    for (const player of lineup.players) {
-      const poolPlayer = this.playerPool.find((p) => p.id === player.id);
-      if (poolPlayer) {
-        totalOwnership += this._safeParseFloat(poolPlayer.ownership, 0);
-        playerCount++;
-      }
-    }
-
-    const avgLineupOwnership =
-      playerCount > 0 ? totalOwnership / playerCount : 0;
-
-    // Calculate average field ownership
-    const fieldAvgOwnership =
-      this.playerPool.reduce(
-        (sum, p) => sum + this._safeParseFloat(p.ownership, 0),
-        0
-      ) / Math.max(1, this.playerPool.length);
-
-    // Leverage factor - reward lineups with lower ownership
-    // Scale: 0.5 at 2x avg ownership, 1.5 at 0.5x avg ownership
-    const ownershipRatio =
-      fieldAvgOwnership > 0 ? avgLineupOwnership / fieldAvgOwnership : 1;
-    const leverageFactor = Math.max(0.5, Math.min(1.5, 2 - ownershipRatio));
-
-    // 3. Team synergy bonus (reward effective stacking)
-    const teamCounts = {};
-
-    // Count captain's team
-    if (lineup.cpt && lineup.cpt.team) {
-      teamCounts[lineup.cpt.team] = 1;
-    }
-
-    // Count regular players' teams
-    for (const player of lineup.players) {
-      if (player.team) {
-        teamCounts[player.team] = (teamCounts[player.team] || 0) + 1;
-      }
-    }
-
-    // Calculate stack bonus with Stack+ enhancement
-    let stackBonus = 0;
-    let stackPlusModifier = 1.0;
-
-    for (const [, count] of Object.entries(teamCounts)) {
-      // Exponential bonus for larger stacks
-      if (count >= 3) {
-        stackBonus += Math.pow(count - 2, 1.5) * 3;
-      }
-    }
-
     // Apply Stack+ synergy modifier to the primary stack
+    let stackPlusModifier = 1.0;
     const primaryStack = this.identifyPrimaryStack(lineup);
     if (primaryStack) {
       // Determine contest type from config if available
@@ -2108,7 +2180,6 @@ class AdvancedOptimizer {
         primaryStack.stackSize,
         contestType
       );
-      stackBonus *= stackPlusModifier;
 
       this.debugLog(
         `Stack+ Enhancement: ${primaryStack.team} (${
@@ -2121,72 +2192,23 @@ class AdvancedOptimizer {
       );
     }
 
-    // 4. Position impact weighting
-    // Certain positions have higher ceiling/impact
-    let positionBonus = 0;
-
-    // Position impact values (based on volatility and ceiling)
-    const positionImpact = {
-      MID: 2, // High carry potential
-      ADC: 1.8, // High carry potential
-      JNG: 1.5, // Game influence
-      TOP: 1.2, // Moderate impact
-      SUP: 1.0, // Lower ceiling
-      TEAM: 0.8, // Consistent but limited upside
-    };
-
-    // Check if captain is in a high-impact position
-    if (cptPlayer) {
-      const posImpact = positionImpact[cptPlayer.position] || 1;
-      positionBonus += posImpact * 2; // Double impact for captain
-    }
-
-    // 5. Calculate consistency/ceiling factor using performance simulation data
-    let consistencyFactor = 1;
-
-    // If we have simulation data for this lineup
+    // Simulated outcomes feed the consistency factor
     const simData = this.simulationResults.find((r) => r.id === lineup.id);
-    if (simData && simData.performances) {
-      // Calculate coefficient of variation (higher = more volatile)
-      const mean = simData.median || baseProjection;
-      const stdDev =
-        simData.p90 && simData.p10 ? (simData.p90 - simData.p10) / 2.56 : 0;
-
-      // Slight bonus for moderate volatility, penalty for extreme volatility
-      const cv = mean > 0 ? stdDev / mean : 0;
-      consistencyFactor = 1 + 0.2 * Math.sin(Math.PI * (cv * 2)); // Peaks at CV=0.25, dips at CV=0.5
-    }
-
-    // 6. Combine all factors for final NexusScore
-    // Scale down to reasonable range (25-65)
-    // Average lineup has ~350 points, divide by 10 for base score of 35
-    const baseScore = baseProjection / 10;
-    const rawScore =
-      baseScore * leverageFactor * consistencyFactor +
-      stackBonus / 2 +
-      positionBonus / 2;
-    const nexusScore = Math.min(65, Math.max(25, rawScore));
-
-    // Add component breakdown for UI explanation
-    const scoreComponents = {
-      baseProjection,
-      leverageFactor,
-      avgOwnership: avgLineupOwnership,
-      fieldAvgOwnership,
-      stackBonus,
-      positionBonus,
-      consistencyFactor,
+
+    const { score, components, version } = calculateNexusScore(lineup, {
+      players: this.playerPool,
+      formula: this.config.nexusScoreFormula,
       stackPlusModifier,
-      primaryStackRating: primaryStack?.stackPlus || 0,
-      teamStacks: Object.entries(teamCounts)
-        .filter(([_, count]) => count >= 2)
-        .map(([team, count]) => `${team} (${count})`)
-        .join(", "),
-    };
+      simulation: simData && simData.performances ? simData : null,
+    });
 
     return {
-      score: Math.round(nexusScore * 10) / 10, // Round to 1 decimal
-      components: scoreComponents,
+      score,
+      components: {
+        ...components,
+        formulaVersion: version,
+        primaryStackRating: primaryStack?.stackPlus || 0,
+      },
     };
   }
 
@@ -2219,25 +2241,15 @@ class AdvancedOptimizer {
       this.config.positionRequirements
     )) {
       if (pos === "CPT") {
-        // Captain can be any position, find overall cheapest
-        let cheapestPlayer = null;
-        let cheapestSalary = Infinity;
-
-        for (const position of ["TOP", "JNG", "MID", "ADC", "SUP"]) {
-          if (positionPools[position] && positionPools[position].length > 0) {
-            const salary = this._safeParseFloat(
-              positionPools[position][0].salary,
-              0
-            );
-            if (salary < cheapestSalary) {
-              cheapestSalary = salary;
-              cheapestPlayer = positionPools[position][0];
-            }
-          }
-        }
+        // Cheapest CPT listing among the captain-eligible positions
+        const cheapestSalary = Math.min(
+          ...CAPTAIN_POSITIONS.flatMap((position) =>
+            (positionPools[position] || []).map(getCaptainSalary)
+          )
+        );
 
-        if (cheapestPlayer) {
-          minSalary += cheapestSalary * 1.5; // Captain multiplier
+        if (cheapestSalary < Infinity) {
+          minSalary += cheapestSalary;
         }
       } else {
         // Regular position
@@ -2262,6 +2274,9 @@ class AdvancedOptimizer {
     this.debugLog(`Generating ${count} optimized lineups...`);
     this.updateStatus(`Generating ${count} lineups...`);
 
+    // Run size that player group exposure limits apply to
+    this.groupLineupTotal = count + (this.existingLineups?.length || 0);
+
     // Early exit: Check if we have enough players for basic requirements
     const minPlayersNeeded = 7; // 6 positions + 1 captain
     if (this.playerPool.length < minPlayersNeeded) {
@@ -2375,7 +2390,8 @@ class AdvancedOptimizer {
         if (
           this._isValidLineup(lineup, lineups) &&
           !lineupSignatures.has(signature) &&
-          exposureAcceptable
+          exposureAcceptable &&
+          this._fitsGroupExposure(lineup, lineups.length, count)
         ) {
           // Additional diversity check only if we have multiple lineups
           const hasSufficientDiversity =
@@ -2472,22 +2488,8 @@ class AdvancedOptimizer {
     lineupCounter++;
 
     // Create a unique seed for this lineup to inject additional randomness
-    const lineupSeed =
-      Math.random() * 1000 + currentLineupCount * 13 + (Date.now() % 1000);
-
-    // Use the seed to initialize a pseudorandom sequence for this lineup
-    Math.seedrandom =
-      Math.seedrandom ||
-      ((seed) => {
-        let m = 0x80000000; // pow(2,31)
-        let a = 1103515245;
-        let c = 12345;
-        let state = seed ? seed : Math.floor(Math.random() * (m - 1));
-        return () => {
-          state = (a * state + c) % m;
-          return state / (m - 1);
-        };
-      });
+    // (no clock input, so the run's seed reproduces the same lineups)
+    const lineupSeed = this.random() * 1000 + currentLineupCount * 13;
 
     // Start with empty lineup
     const lineup = {
@@ -2561,7 +2563,7 @@ class AdvancedOptimizer {
         // Determine pattern based on primary stack size
         if (primaryStackSize === 4) {
           // Primary team gets 4, so decide between 4-3 and 4-2-1
-          stackPattern = Math.random() < 0.5 ? "4-3" : "4-2-1";
+          stackPattern = this.random() < 0.5 ? "4-3" : "4-2-1";
         } else if (primaryStackSize === 3) {
           // Primary team gets 3, must be 4-3 pattern with another team getting 4
           stackPattern = "4-3";
@@ -2580,7 +2582,7 @@ class AdvancedOptimizer {
     // Default to pattern selection based on exposure needs
     if (!stackPattern) {
       // Prefer 4-3 for balance, but add some 4-2-1 for diversity
-      const prefer43 = Math.random() < 0.7; // 70% chance for 4-3, 30% for 4-2-1
+      const prefer43 = this.random() < 0.7; // 70% chance for 4-3, 30% for 4-2-1
       stackPattern = prefer43 ? "4-3" : "4-2-1";
       primaryStackSize = 4; // Primary team always gets 4
 
@@ -3001,7 +3003,7 @@ class AdvancedOptimizer {
       );
 
       const selectedTeamData =
-        topDeficitTeams[Math.floor(Math.random() * topDeficitTeams.length)];
+        topDeficitTeams[Math.floor(this.random() * topDeficitTeams.length)];
       const team = this.teams.find((t) => t.name === selectedTeamData.teamName);
 
       if (team) {
@@ -3086,7 +3088,7 @@ class AdvancedOptimizer {
       // Flatten the weight distribution to make all teams more equally likely
       const flattenedWeights = teamsToUse.map((tw) => ({
         team: tw.team,
-        weight: tw.weight * 0.3 + Math.random() * tw.weight * 0.7,
+        weight: tw.weight * 0.3 + this.random() * tw.weight * 0.7,
       }));
       teamsToUse.splice(0, teamsToUse.length, ...flattenedWeights);
     }
@@ -3152,7 +3154,9 @@ class AdvancedOptimizer {
 
       // Check if player needs exposure
       const needsExposure = minExposure > 0 && currentExposure < minExposure;
-      const atMaxExposure = maxExposure < 1 && currentExposure >= maxExposure;
+      const atMaxExposure =
+        (maxExposure < 1 && currentExposure >= maxExposure) ||
+        this._isInCappedGroup(player.id);
 
       return {
         ...player,
@@ -3170,7 +3174,7 @@ class AdvancedOptimizer {
       // Pick a random player that needs exposure
       const selectedPlayer =
         playersNeedingExposure[
-          Math.floor(Math.random() * playersNeedingExposure.length)
+          Math.floor(this.random() * playersNeedingExposure.length)
         ];
       this.debugLog(
         `Selected captain ${selectedPlayer.name} based on exposure requirements`
@@ -3183,9 +3187,7 @@ class AdvancedOptimizer {
         position: "CPT",
         team: selectedPlayer.team,
         opponent: this._getTeamOpponent(selectedPlayer.team),
-        salary: Math.round(
-          this._safeParseFloat(selectedPlayer.salary, 0) * 1.5
-        ),
+        salary: getCaptainSalary(selectedPlayer),
       };
     }
 
@@ -3199,9 +3201,8 @@ class AdvancedOptimizer {
     // Weight by projection
     const weights = playersToUse.map((player) => {
       // Captain value is influenced by projection, leverage, and remaining exposure
-      const projectionValue =
-        this._safeParseFloat(player.projectedPoints, 0) * 1.5; // CPT gets 1.5x
-      const playerOwnership = this._safeParseFloat(player.ownership, 0.01); // Ensure not zero
+      const projectionValue = getCaptainProjection(player);
+      const playerOwnership = getCaptainOwnership(player) || 0.01; // Ensure not zero
       const leverageValue = projectionValue / playerOwnership;
       const exposureMultiplier =
         player.availableExposure / Math.max(0.1, player.maxExposure);
@@ -3238,7 +3239,7 @@ class AdvancedOptimizer {
       position: "CPT",
       team: selectedPlayer.team,
       opponent: this._getTeamOpponent(selectedPlayer.team),
-      salary: Math.round(this._safeParseFloat(selectedPlayer.salary, 0) * 1.5),
+      salary: getCaptainSalary(selectedPlayer),
     };
   }
 
@@ -3540,7 +3541,9 @@ class AdvancedOptimizer {
 
       // Check if player needs exposure
       const needsExposure = minExposure > 0 && currentExposure < minExposure;
-      const atMaxExposure = maxExposure < 1 && currentExposure >= maxExposure;
+      const atMaxExposure =
+        (maxExposure < 1 && currentExposure >= maxExposure) ||
+        this._isInCappedGroup(player.id);
 
       return {
         ...player,
@@ -3558,7 +3561,7 @@ class AdvancedOptimizer {
       // Pick a random player that needs exposure
       const selectedPlayer =
         playersNeedingExposure[
-          Math.floor(Math.random() * playersNeedingExposure.length)
+          Math.floor(this.random() * playersNeedingExposure.length)
         ];
       this.debugLog(
         `Selected ${position} player ${selectedPlayer.name} based on exposure requirements`
@@ -3655,7 +3658,7 @@ class AdvancedOptimizer {
 
       // TOP is less commonly stacked
       case "TOP":
-        return Math.random() < 0.5; // 50% chance to stack TOP
+        return this.random() < 0.5; // 50% chance to stack TOP
 
       case "TEAM":
         return true; // Always include TEAM in stacks
@@ -3697,6 +3700,97 @@ class AdvancedOptimizer {
    * Check if a lineup is valid based on all constraints
    */
   _isValidLineup(lineup, existingLineups) {
+    if (!this._meetsRosterConstraints(lineup)) {
+      return false;
+    }
+
+    // Check custom lineup rules and player group counts
+    const violations = this._getLineupViolations(lineup);
+    if (violations.length > 0) {
+      this.debugLog(
+        `Lineup invalid: ${violations[0].rule} ${violations[0].message}`
+      );
+      return false;
+    }
+
+    // Note: Uniqueness check is handled by signature checking in the main generation loop
+
+    return true;
+  }
+
+  /**
+   * Broken custom lineup rules, player group counts and the max expected
+   * dupes limit
+   * @returns {Array} [{ ruleId, rule, message }]
+   */
+  _getLineupViolations(lineup) {
+    const violations = this.rulesEngine.checkLineup(lineup);
+
+    this._getLineupGroupCounts(lineup).forEach((count, groupId) => {
+      const group = this.groupExposures.find((g) => g.id === groupId);
+      if (group.minCount !== null && count < group.minCount) {
+        violations.push({
+          ruleId: group.id,
+          rule: group.name,
+          message: `needs at least ${group.minCount} group players`,
+        });
+      } else if (group.maxCount !== null && count > group.maxCount) {
+        violations.push({
+          ruleId: group.id,
+          rule: group.name,
+          message: `allows at most ${group.maxCount} group players`,
+        });
+      }
+    });
+
+    const maxDupes = this._safeParseFloat(this.config.maxExpectedDupes, null);
+    if (maxDupes !== null) {
+      const dupes = this._getExpectedDupes(lineup);
+      if (dupes > maxDupes) {
+        violations.push({
+          ruleId: "maxExpectedDupes",
+          rule: "Max expected dupes",
+          message: `expects ${dupes.toFixed(2)} duplicates (max ${maxDupes})`,
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Expected duplicates of a lineup in the contest field, from pool
+   * ownership (the captain at its CPT ownership)
+   */
+  _getExpectedDupes(lineup) {
+    const withOwnership = (slot, asCaptain) => {
+      const player = this.playerIndexes.byId.get(slot.id);
+      if (!player) return slot;
+      return {
+        ...slot,
+        ownership: asCaptain
+          ? getCaptainOwnership(player)
+          : this._safeParseFloat(player.ownership, 0),
+      };
+    };
+
+    return estimateDuplicates(
+      {
+        cpt: withOwnership(lineup.cpt, true),
+        players: lineup.players.map((slot) => withOwnership(slot, false)),
+      },
+      {
+        fieldSize: this.config.fieldSize || this.config.contestInfo?.fieldSize,
+        salaryCap: this.config.salaryCap,
+      }
+    );
+  }
+
+  /**
+   * Check salary cap, positions, duplicates, team limits, stack pattern and
+   * game count
+   */
+  _meetsRosterConstraints(lineup) {
     // Check salary cap
     const totalSalary =
       this._safeParseFloat(lineup.cpt.salary, 0) +
@@ -3733,50 +3827,13 @@ class AdvancedOptimizer {
       return false;
     }
 
-    // Check team limits
-    const MAX_PLAYERS_PER_TEAM = this.config.maxPlayersPerTeam || 4; // Use config value or default to 4
-
-    const teamCounts = {};
-
-    // Count captain's team
-    if (lineup.cpt && lineup.cpt.team) {
-      teamCounts[lineup.cpt.team] = (teamCounts[lineup.cpt.team] || 0) + 1;
-    }
-
-    // Count players' teams
-    lineup.players.forEach((player) => {
-      if (player && player.team) {
-        teamCounts[player.team] = (teamCounts[player.team] || 0) + 1;
-      }
-    });
-
-    // Check if any team exceeds the limit
-    for (const team in teamCounts) {
-      if (teamCounts[team] > MAX_PLAYERS_PER_TEAM) {
-        this.debugLog(
-          `Lineup invalid: ${team} has ${teamCounts[team]} players (max: ${MAX_PLAYERS_PER_TEAM})`
-        );
-        return false;
-      }
-    }
-
-    // Check stack type constraints (only allow 4-3 and 4-2-1 stacks)
-    const counts = Object.values(teamCounts).sort((a, b) => b - a);
-    const stackPattern = counts.join("-");
-
-    // Must be exactly 4-3 or 4-2-1 pattern
-    const isValid43Stack =
-      counts.length === 2 && counts[0] === 4 && counts[1] === 3;
-    const isValid421Stack =
-      counts.length === 3 &&
-      counts[0] === 4 &&
-      counts[1] === 2 &&
-      counts[2] === 1;
-
-    if (!isValid43Stack && !isValid421Stack) {
-      this.debugLog(
-        `Lineup invalid: stack pattern ${stackPattern} not allowed (only 4-3 and 4-2-1 allowed)`
-      );
+    // Check team limits and stack pattern (only 4-3 and 4-2-1 stacks)
+    const teamViolation = getTeamRuleViolation(
+      lineup,
+      this.config.maxPlayersPerTeam || MAX_PLAYERS_PER_TEAM
+    );
+    if (teamViolation) {
+      this.debugLog(`Lineup invalid: ${teamViolation}`);
       return false;
     }
 
@@ -3812,11 +3869,116 @@ class AdvancedOptimizer {
       return false;
     }
 
-    // Note: Uniqueness check is handled by signature checking in the main generation loop
-
     return true;
   }
 
+  /**
+   * Swap players until a lineup meets the custom lineup rules and player
+   * group counts
+   * Greedy: each round makes the single swap (same position, CPT from the
+   * captain-eligible pool) that leaves the fewest violations, best
+   * projection on ties
+   * @returns {Object|null} the repaired lineup, or null if it can't be fixed
+   */
+  _repairLineupRules(lineup, maxSwaps = 3) {
+    if (!lineup?.cpt || !lineup.players) return null;
+
+    let current = lineup;
+    let violations = this._getLineupViolations(current).length;
+
+    for (let swap = 0; swap < maxSwaps && violations > 0; swap++) {
+      let best = null;
+      let bestViolations = violations;
+      let bestPoints = -Infinity;
+
+      this._getRuleRepairCandidates(current).forEach((candidate) => {
+        if (!this._meetsRosterConstraints(candidate)) return;
+
+        const count = this._getLineupViolations(candidate).length;
+        const points = this._getLineupProjection(candidate);
+        if (
+          count < bestViolations ||
+          (best && count === bestViolations && points > bestPoints)
+        ) {
+          best = candidate;
+          bestViolations = count;
+          bestPoints = points;
+        }
+      });
+
+      if (!best) return null;
+      current = best;
+      violations = bestViolations;
+    }
+
+    return violations === 0 ? current : null;
+  }
+
+  /**
+   * Every lineup one player swap away from the given lineup
+   */
+  _getRuleRepairCandidates(lineup) {
+    const usedIds = new Set([
+      lineup.cpt.id,
+      ...lineup.players.map((player) => player.id),
+    ]);
+    const unused = this.playerPool.filter((player) => !usedIds.has(player.id));
+    const candidates = [];
+
+    unused
+      .filter((player) => this.playerIndexes.captainEligible.has(player.id))
+      .forEach((player) => {
+        candidates.push({ ...lineup, cpt: this._toLineupSlot(player, true) });
+      });
+
+    lineup.players.forEach((current, index) => {
+      unused
+        .filter((player) => player.position === current.position)
+        .forEach((player) => {
+          const players = [...lineup.players];
+          players[index] = this._toLineupSlot(player, false);
+          candidates.push({ ...lineup, players });
+        });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Lineup entry for a pool player, as CPT (at its CPT salary) or flex
+   */
+  _toLineupSlot(player, asCaptain) {
+    const salary = this._safeParseFloat(player.salary, 0);
+    return {
+      id: player.id,
+      name: player.name,
+      position: asCaptain ? "CPT" : player.position,
+      team: player.team,
+      opponent: this._getTeamOpponent(player.team),
+      salary: asCaptain ? getCaptainSalary(player) : salary,
+    };
+  }
+
+  // Projected points with the captain at its CPT projection
+  _getLineupProjection(lineup) {
+    const points = (player) =>
+      this._safeParseFloat(
+        this.playerIndexes.byId.get(player.id)?.projectedPoints,
+        0
+      );
+    return (
+      this._getCaptainPoints(lineup.cpt) +
+      lineup.players.reduce((sum, player) => sum + points(player), 0)
+    );
+  }
+
+  // CPT projection of a lineup's captain, read from the pool when indexed
+  _getCaptainPoints(cpt) {
+    return getCaptainProjection(
+      this.playerIndexes.byId.get(cpt?.id) || cpt || {}
+    );
+  }
+
   /**
    * Enhanced duplicate detection method
    */
@@ -3903,6 +4065,9 @@ class AdvancedOptimizer {
 
     // Get their simulated performances
     const performances = [];
+    const captainMultiplier = getCaptainMultiplier(
+      this.playerIndexes.byId.get(lineup.cpt.id) || {}
+    );
 
     // Process in batches to keep UI responsive
     const batchSize = 1000;
@@ -3935,8 +4100,7 @@ class AdvancedOptimizer {
 
             // Sum up performances
             for (const { perf, isCpt } of correlatedPerformances) {
-              // Captain gets 1.5x
-              totalPoints += isCpt ? perf * 1.5 : perf;
+              totalPoints += isCpt ? perf * captainMultiplier : perf;
             }
 
             performances.push(totalPoints);
@@ -4023,10 +4187,9 @@ class AdvancedOptimizer {
     try {
       // Get the player for Captain from the player pool
       const cptPlayer = this.playerPool.find((p) => p.id === lineup.cpt.id);
-      // Add captain's points (1.5x)
+      // Add captain's points (CPT projection)
       if (cptPlayer) {
-        projectedPoints +=
-          this._safeParseFloat(cptPlayer.projectedPoints, 0) * 1.5;
+        projectedPoints += getCaptainProjection(cptPlayer);
       }
 
       // Add player points
@@ -4086,13 +4249,35 @@ class AdvancedOptimizer {
     ).size;
 
     return {
+      seed: this.seed,
       averageNexusScore: avgNexusScore,
       topNexusScore: topNexusScore,
       distinctTeams,
       playerExposures: this._calculatePlayerExposures(),
+      groupExposures: this._calculateGroupExposures(),
     };
   }
 
+  /**
+   * Calculate player group exposures across all lineups
+   */
+  _calculateGroupExposures() {
+    const totalLineups = Math.max(1, this.simulationResults.length);
+
+    return this.groupExposures.map((group) => {
+      const count = this.simulationResults.filter(
+        (lineup) => this._getLineupGroupCounts(lineup).get(group.id) > 0
+      ).length;
+      return {
+        id: group.id,
+        name: group.name,
+        exposure: Math.round((count / totalLineups) * 1000) / 10,
+        min: Math.round(group.min * 100),
+        max: Math.round(group.max * 100),
+      };
+    });
+  }
+
   /**
    * Calculate player exposures across all lineups
    */
@@ -4160,7 +4345,7 @@ class AdvancedOptimizer {
     // Normalize weights with enhanced randomness
     const normalizedWeights = positiveWeights.map((w) => {
       // Add different levels of randomness for each selection - make it more variable
-      const randomMultiplier = 0.3 + Math.random() * adaptiveRandomness * 1.5;
+      const randomMultiplier = 0.3 + this.random() * adaptiveRandomness * 1.5;
       // Add additional entropy based on lineup count and seed
       const entropyBoost = (lineupCount % 7) * 0.1; // Use modulo to create cycling randomness
       const seedEntropy = lineupSeed ? (lineupSeed % 10) * 0.05 : 0; // Additional seed-based entropy
@@ -4172,14 +4357,14 @@ class AdvancedOptimizer {
 
     // If all weights are 0, select randomly
     if (totalWeight === 0) {
-      return items[Math.floor(Math.random() * items.length)];
+      return items[Math.floor(this.random() * items.length)];
     }
 
     // Significantly increase pure random selection chance after first few lineups
     const pureRandomChance = Math.min(0.8, adaptiveRandomness * 1.2);
-    if (Math.random() < pureRandomChance && lineupCount > 1) {
+    if (this.random() < pureRandomChance && lineupCount > 1) {
       // For preventing duplicates, sometimes just pick completely randomly
-      const randomIndex = Math.floor(Math.random() * items.length);
+      const randomIndex = Math.floor(this.random() * items.length);
       this.debugLog(
         `Pure random selection (chance: ${pureRandomChance}, lineup: ${lineupCount})`
       );
@@ -4187,7 +4372,7 @@ class AdvancedOptimizer {
     }
 
     // Add extra randomness - sometimes pick randomly from top options
-    if (Math.random() < adaptiveRandomness * 0.4) {
+    if (this.random() < adaptiveRandomness * 0.4) {
       // Sort by weight and pick randomly from top portion
       const sortedIndices = normalizedWeights
         .map((weight, index) => ({ weight, index }))
@@ -4196,12 +4381,12 @@ class AdvancedOptimizer {
       // Increase the portion we select from as we generate more lineups
       const topPortion = Math.min(0.5, 0.3 + lineupCount * 0.02);
       const topCount = Math.max(1, Math.ceil(items.length * topPortion));
-      const randomTopIndex = Math.floor(Math.random() * topCount);
+      const randomTopIndex = Math.floor(this.random() * topCount);
       return items[sortedIndices[randomTopIndex].index];
     }
 
     // Select based on weights
-    const threshold = Math.random() * totalWeight;
+    const threshold = this.random() * totalWeight;
     let cumulativeWeight = 0;
 
     for (let i = 0; i < items.length; i++) {
@@ -4212,7 +4397,7 @@ class AdvancedOptimizer {
     }
 
     // Fallback to random selection from available items
-    return items[Math.floor(Math.random() * items.length)];
+    return items[Math.floor(this.random() * items.length)];
   }
 
   /**
@@ -4298,14 +4483,14 @@ class AdvancedOptimizer {
       .slice(0, Math.min(20, this.playerPool.length));
 
     if (topPlayers.length > 0) {
-      lineup.cpt = topPlayers[Math.floor(Math.random() * topPlayers.length)];
+      lineup.cpt = topPlayers[Math.floor(this.random() * topPlayers.length)];
       usedIds.add(lineup.cpt.id);
     }
 
     // Select 5 regular players
     const availablePlayers = this.playerPool.filter((p) => !usedIds.has(p.id));
     for (let i = 0; i < 5 && availablePlayers.length > 0; i++) {
-      const randomIndex = Math.floor(Math.random() * availablePlayers.length);
+      const randomIndex = Math.floor(this.random() * availablePlayers.length);
       const player = availablePlayers.splice(randomIndex, 1)[0];
       lineup.players.push(player);
       usedIds.add(player.id);
@@ -4983,7 +5168,7 @@ class AdvancedOptimizer {
   getRealTimeExposureReport() {
     const totalLineups =
       this.generatedLineups.length + (this.existingLineups?.length || 0);
-    if (totalLineups === 0) return { stacks: [], accuracy: 0 };
+    if (totalLineups === 0) return { stacks: [], groups: [], accuracy: 0 };
 
     const stackReports = this.teamStackExposures.map((stackExp) => {
       const stackKey = `${stackExp.team}_${stackExp.stackSize}`;
@@ -5013,10 +5198,29 @@ class AdvancedOptimizer {
       };
     });
 
+    const groupReports = this.groupExposures.map((group) => {
+      const currentExposure = this._getCachedGroupExposure(group.id);
+
+      return {
+        id: group.id,
+        name: group.name,
+        current: Math.round(currentExposure * 100),
+        min: Math.round(group.min * 100),
+        max: Math.round(group.max * 100),
+        status:
+          currentExposure < group.min
+            ? "under"
+            : currentExposure > group.max
+              ? "over"
+              : "good",
+      };
+    });
+
     const metrics = this.getAccuracyMetrics();
 
     return {
       stacks: stackReports,
+      groups: groupReports,
       accuracy: Math.round(metrics.overallAccuracy * 100),
       totalLineups,
     };
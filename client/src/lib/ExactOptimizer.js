@@ -0,0 +1,556 @@
+/**
+ * Exact Optimizer for LoL DFS
+ *
+ * Solves the showdown roster (CPT + TOP/JNG/MID/ADC/SUP + TEAM) as an integer
+ * program with a depth-first branch-and-bound:
+ * - One roster slot per level, best projection tried first
+ * - Upper bound from the LP relaxation of the open slots (a multiple-choice
+ *   knapsack over the salary left)
+ * - Salary cap, positions, max players per team, stack size, player/team/stack/
+ *   group exposure and minimum-uniqueness constraints
+ * - Complete rosters must also pass _isValidLineup (stack pattern, game count
+ *   and custom lineup rules)
+ *
+ * Top-N lineups come from re-solving with one cut per earlier lineup ("at
+ * least K different players"), so each lineup is the proven optimum given the
+ * lineups before it.
+ *
+ * Best for: cash games and checking the heuristics against a known optimum
+ */
+
+const AdvancedOptimizer = require("./AdvancedOptimizer");
+const { getCaptainSalary, getCaptainProjection } = require("./captain");
+
+const EPSILON = 1e-9;
+
+class ExactOptimizer extends AdvancedOptimizer {
+  constructor(config = {}) {
+    super(config);
+
+    // Exact search specific configuration
+    this.exactConfig = {
+      minUniquePlayers: 1, // Each lineup differs from every earlier one by K players
+      minStackSize: null, // Require one team with at least this many players
+      maxNodes: 2000000, // Search nodes per lineup before keeping the best found
+      ...config.exact,
+    };
+
+    // Per-lineup search statistics
+    this.searchStats = [];
+  }
+
+  /**
+   * Main exact optimization entry point
+   */
+  async runExactOptimization(count = 20) {
+    if (!this.optimizerReady) {
+      throw new Error("Optimizer not initialized. Call initialize() first.");
+    }
+
+    this.resetCancel();
+    this.updateStatus("Starting exact optimization...");
+    this.updateProgress(0, "initializing_exact");
+
+    // Strategy presets pass their settings through updateConfig()
+    const settings = { ...this.exactConfig, ...this.config.exact };
+
+    try {
+      // Phase 1: Solve lineups one at a time (70% of progress)
+      const slots = this._buildExactSlots();
+      const cuts = this.existingLineups
+        .filter((lineup) => lineup?.cpt && lineup.players)
+        .map((lineup) => this._getLineupPlayerIds(lineup));
+      const usage = {
+        players: new Map(),
+        teams: new Map(),
+        stacks: new Map(),
+        groups: new Map(),
+      };
+      const lineups = [];
+      let stopReason = null;
+      this.searchStats = [];
+
+      for (let i = 0; i < count; i++) {
+        if (this.isCancelled) throw new Error("Exact optimization cancelled");
+
+        const rules = this._getLineupRules(count - i, count, usage);
+        const solution = this._solveExact(slots, rules, cuts, settings);
+        this.searchStats.push({
+          nodes: solution.nodes,
+          optimal: solution.optimal,
+          points: solution.points,
+        });
+
+        if (!solution.picks) {
+          stopReason = solution.optimal ? "infeasible" : "node_limit";
+          this.debugLog(
+            `Exact search stopped after ${lineups.length} lineups: ${stopReason}`
+          );
+          break;
+        }
+
+        const lineup = this._createExactLineup(solution, i);
+        lineups.push(lineup);
+        cuts.push(this._getLineupPlayerIds(lineup));
+        this._recordExactUsage(lineup, usage);
+        this._trackLineupExposure(lineup); // Shared exposure cache and reports
+
+        this.updateProgress(((i + 1) / count) * 70, "solving");
+        this.updateStatus(
+          `Exact lineup ${i + 1}/${count}: ${solution.points.toFixed(2)} pts${
+            solution.optimal ? "" : " (node limit reached)"
+          }`
+        );
+        await this.yieldToUI();
+      }
+
+      this.generatedLineups = lineups;
+
+      // Phase 2: Simulate the solved lineups (30% of progress)
+      this.updateStatus("Running final simulation...");
+      const simulatedResults = [];
+
+      for (let i = 0; i < lineups.length; i++) {
+        if (this.isCancelled) throw new Error("Exact optimization cancelled");
+
+        const result = await this._simulateLineup(lineups[i]);
+        const nexusResult = this._calculateNexusScore(result);
+        result.nexusScore = nexusResult.score;
+        result.scoreComponents = nexusResult.components;
+        simulatedResults.push(result);
+
+        const simProgress = 70 + ((i + 1) / lineups.length) * 30;
+        this.updateProgress(simProgress, "final_simulation");
+      }
+
+      // Keep solve order: it is already best projection first
+      this.simulationResults = simulatedResults;
+
+      this.updateProgress(100, "completed");
+      this.updateStatus(
+        `Exact optimization completed: ${simulatedResults.length} lineups`
+      );
+
+      return {
+        lineups: simulatedResults,
+        summary: this._getExactSummary(simulatedResults, settings, stopReason),
+      };
+    } catch (error) {
+      this.updateStatus(`Error: ${error.message}`);
+      this.updateProgress(100, "error");
+      this.debugLog(`Exact optimization error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Roster slots with their candidates, captain first
+   */
+  _buildExactSlots() {
+    const positions = [];
+    Object.entries(this.config.positionRequirements).forEach(
+      ([position, needed]) => {
+        for (let i = 0; i < needed; i++) positions.push(position);
+      }
+    );
+
+    // The captain carries the largest salary and points, so fixing it first
+    // prunes most
+    positions.sort((a, b) => (b === "CPT") - (a === "CPT"));
+
+    return positions.map((position) => {
+      const candidates = this.playerPool
+        .filter((player) =>
+          position === "CPT"
+            ? this.playerIndexes.captainEligible.has(player.id)
+            : player.position === position
+        )
+        .map((player) => ({
+          player,
+          salary: position === "CPT" ? getCaptainSalary(player) : player.salary,
+          points:
+            position === "CPT"
+              ? getCaptainProjection(player)
+              : player.projectedPoints,
+        }));
+
+      // Best projection first; cheaper and then lower id break ties
+      candidates.sort(
+        (a, b) =>
+          b.points - a.points ||
+          a.salary - b.salary ||
+          String(a.player.id).localeCompare(String(b.player.id))
+      );
+
+      return { position, candidates };
+    });
+  }
+
+  /**
+   * Exposure limits turned into rules for the next lineup
+   * A cap that is used up excludes; a minimum that needs every remaining
+   * lineup forces
+   * @param {number} remaining - Lineups left to build, including this one
+   * @param {number} total - Lineups in the run
+   */
+  _getLineupRules(remaining, total, usage) {
+    const rules = {
+      excluded: new Set(),
+      forced: new Set(),
+      teamMax: new Map(),
+      teamMin: new Map(),
+      groupsRequired: [], // Member id sets; each needs one pick
+    };
+
+    const capReached = (used, max) => used >= Math.floor(max * total + EPSILON);
+    const mustUse = (used, min) =>
+      min > 0 && Math.ceil(min * total - EPSILON) - used >= remaining;
+
+    const limitTeam = (team, max) =>
+      rules.teamMax.set(team, Math.min(rules.teamMax.get(team) ?? max, max));
+    const requireTeam = (team, min) =>
+      rules.teamMin.set(team, Math.max(rules.teamMin.get(team) ?? min, min));
+
+    this.playerPool.forEach((player) => {
+      const used = usage.players.get(player.id) || 0;
+      if (capReached(used, player.maxExposure ?? 1)) {
+        rules.excluded.add(player.id);
+      } else if (mustUse(used, player.minExposure || 0)) {
+        rules.forced.add(player.id);
+      }
+    });
+
+    this.teamExposures.forEach(({ team, min, max }) => {
+      const used = usage.teams.get(team) || 0;
+      if (capReached(used, max)) {
+        limitTeam(team, 0);
+      } else if (mustUse(used, min)) {
+        requireTeam(team, 1);
+      }
+    });
+
+    this.teamStackExposures.forEach(({ team, stackSize, min, max }) => {
+      const used = usage.stacks.get(`${team}_${stackSize}`) || 0;
+      if (capReached(used, max)) {
+        limitTeam(team, stackSize - 1);
+      } else if (mustUse(used, min)) {
+        requireTeam(team, stackSize);
+      }
+    });
+
+    this.groupExposures.forEach((group) => {
+      const used = usage.groups.get(group.id) || 0;
+      if (capReached(used, group.max)) {
+        group.playerIds.forEach((id) => rules.excluded.add(id));
+      } else if (mustUse(used, group.min)) {
+        rules.groupsRequired.push(group.playerIds);
+      }
+    });
+
+    return rules;
+  }
+
+  /**
+   * Branch-and-bound for the best lineup under the given rules and cuts
+   * @returns {Object} { picks, points, nodes, optimal } - picks is null when
+   *   no lineup was found
+   */
+  _solveExact(slots, rules, cuts, settings) {
+    const salaryCap = this.config.salaryCap;
+    const maxPerTeam = this.config.maxPlayersPerTeam || 4;
+    const maxOverlap = slots.length - settings.minUniquePlayers;
+    const levels = slots.map((slot) =>
+      slot.candidates.filter(
+        (candidate) => !rules.excluded.has(candidate.player.id)
+      )
+    );
+
+    // Last level a forced player can still be picked at
+    const forcedLastLevel = new Map();
+    levels.forEach((candidates, depth) => {
+      candidates.forEach(({ player }) => {
+        if (rules.forced.has(player.id)) {
+          forcedLastLevel.set(player.id, depth);
+        }
+      });
+    });
+    if (forcedLastLevel.size < rules.forced.size) {
+      return { picks: null, points: null, nodes: 0, optimal: true };
+    }
+
+    const cutSets = cuts.map((ids) => new Set(ids));
+    const overlaps = new Array(cutSets.length).fill(0);
+    const used = new Set();
+    const teamCounts = new Map();
+    const picks = [];
+    let best = null;
+    let bestPoints = -Infinity;
+    let nodes = 0;
+    let truncated = false;
+
+    // Whether the rules can still be met with `open` slots left
+    const canComplete = (depth) => {
+      const open = levels.length - depth;
+      for (const [id, lastLevel] of forcedLastLevel) {
+        if (!used.has(id) && lastLevel < depth) return false;
+      }
+      for (const [team, min] of rules.teamMin) {
+        if ((teamCounts.get(team) || 0) + open < min) return false;
+      }
+      if (settings.minStackSize) {
+        const largest = Math.max(0, ...teamCounts.values());
+        if (largest + open < settings.minStackSize) return false;
+      }
+      return true;
+    };
+
+    const search = (depth, salary, points, suffix) => {
+      if (!canComplete(depth)) return;
+
+      if (depth === levels.length) {
+        // Stack pattern, game count and lineup rules need the whole roster
+        if (
+          points > bestPoints + EPSILON &&
+          rules.groupsRequired.every((ids) =>
+            picks.some(({ player }) => ids.has(player.id))
+          ) &&
+          this._isValidLineup(this._createExactLineup({ picks }, 0), [])
+        ) {
+          bestPoints = points;
+          best = [...picks];
+        }
+        return;
+      }
+
+      for (const candidate of levels[depth]) {
+        if (++nodes > settings.maxNodes) {
+          truncated = true;
+          return;
+        }
+
+        const { player } = candidate;
+        if (used.has(player.id)) continue;
+
+        const newSalary = salary + candidate.salary;
+        if (newSalary > salaryCap) continue;
+
+        const teamCount = (teamCounts.get(player.team) || 0) + 1;
+        const teamLimit = Math.min(
+          maxPerTeam,
+          rules.teamMax.get(player.team) ?? Infinity
+        );
+        if (teamCount > teamLimit) continue;
+
+        if (
+          cutSets.some(
+            (ids, j) => ids.has(player.id) && overlaps[j] >= maxOverlap
+          )
+        ) {
+          continue;
+        }
+
+        // The captain's own position slot loses the captain
+        const nextSuffix =
+          depth === 0 ? this._buildSuffixBounds(levels, player.id) : suffix;
+        const bound =
+          points +
+          candidate.points +
+          this._lpBound(nextSuffix[depth + 1], salaryCap - newSalary);
+        if (bound <= bestPoints + EPSILON) continue;
+
+        used.add(player.id);
+        teamCounts.set(player.team, teamCount);
+        cutSets.forEach((ids, j) => {
+          if (ids.has(player.id)) overlaps[j]++;
+        });
+        picks.push(candidate);
+
+        search(depth + 1, newSalary, points + candidate.points, nextSuffix);
+
+        picks.pop();
+        cutSets.forEach((ids, j) => {
+          if (ids.has(player.id)) overlaps[j]--;
+        });
+        teamCounts.set(player.team, teamCount - 1);
+        used.delete(player.id);
+
+        if (truncated) return;
+      }
+    };
+
+    search(0, 0, 0, null);
+
+    return {
+      picks: best,
+      points: best ? bestPoints : null,
+      nodes: Math.min(nodes, settings.maxNodes),
+      optimal: !truncated,
+    };
+  }
+
+  /**
+   * LP relaxation data for every suffix of slots: the cheapest pick per slot
+   * plus its upgrades along the slot's upper convex hull, best points per
+   * salary first
+   */
+  _buildSuffixBounds(levels, excludedId) {
+    const suffix = new Array(levels.length + 1).fill(null);
+    suffix[levels.length] = { salary: 0, points: 0, steps: [] };
+
+    for (let depth = levels.length - 1; depth >= 1; depth--) {
+      const next = suffix[depth + 1];
+      const hull = this._getKnapsackHull(
+        levels[depth].filter(({ player }) => player.id !== excludedId)
+      );
+      if (!next || !hull) break;
+
+      suffix[depth] = {
+        salary: next.salary + hull.salary,
+        points: next.points + hull.points,
+        steps: [...next.steps, ...hull.steps].sort((a, b) => b.ratio - a.ratio),
+      };
+    }
+
+    return suffix;
+  }
+
+  /**
+   * Cheapest candidate and the concave upgrade steps above it
+   * @returns {Object|null} null when the slot has no candidates
+   */
+  _getKnapsackHull(candidates) {
+    if (candidates.length === 0) return null;
+
+    // Cheapest first; at equal salary keep only the best projection
+    const sorted = [...candidates].sort(
+      (a, b) => a.salary - b.salary || b.points - a.points
+    );
+    const hull = [];
+    sorted.forEach((candidate) => {
+      const last = hull[hull.length - 1];
+      if (last && candidate.points <= last.points) return;
+
+      // Drop points that fall under the line to the new candidate
+      while (hull.length >= 2) {
+        const a = hull[hull.length - 2];
+        const b = hull[hull.length - 1];
+        const slopeAB = (b.points - a.points) / (b.salary - a.salary);
+        const slopeAC =
+          (candidate.points - a.points) / (candidate.salary - a.salary);
+        if (slopeAC < slopeAB) break;
+        hull.pop();
+      }
+      hull.push(candidate);
+    });
+
+    const steps = [];
+    for (let i = 1; i < hull.length; i++) {
+      const salary = hull[i].salary - hull[i - 1].salary;
+      const points = hull[i].points - hull[i - 1].points;
+      steps.push({ salary, points, ratio: points / salary });
+    }
+
+    return { salary: hull[0].salary, points: hull[0].points, steps };
+  }
+
+  /**
+   * Best fractional points the open slots can add within the budget
+   */
+  _lpBound(suffix, budget) {
+    if (!suffix || budget < suffix.salary) return -Infinity;
+
+    let remaining = budget - suffix.salary;
+    let points = suffix.points;
+    for (const step of suffix.steps) {
+      if (step.salary <= remaining) {
+        remaining -= step.salary;
+        points += step.points;
+      } else {
+        points += (step.points * remaining) / step.salary;
+        break;
+      }
+    }
+    return points;
+  }
+
+  /**
+   * Format a solution like the other optimizers' lineups
+   */
+  _createExactLineup(solution, index) {
+    const [captain, ...flex] = solution.picks;
+
+    return {
+      id: `exact_${Date.now()}_${index + 1}`,
+      name: `Exact Lineup ${index + 1}`,
+      cpt: {
+        id: captain.player.id,
+        name: captain.player.name,
+        position: "CPT",
+        team: captain.player.team,
+        opponent: this._getTeamOpponent(captain.player.team),
+        salary: captain.salary,
+      },
+      players: flex.map(({ player }) => ({
+        id: player.id,
+        name: player.name,
+        position: player.position,
+        team: player.team,
+        opponent: this._getTeamOpponent(player.team),
+        salary: player.salary,
+      })),
+      exactProjection: solution.points,
+      provenOptimal: solution.optimal,
+    };
+  }
+
+  _getLineupPlayerIds(lineup) {
+    return [lineup.cpt.id, ...lineup.players.map((player) => player.id)];
+  }
+
+  /**
+   * Count player, team and stack usage after a lineup is accepted
+   * Partial lineups (empty slots) count what they have; a negative delta
+   * takes a lineup back out
+   */
+  _recordExactUsage(lineup, usage, delta = 1) {
+    const add = (map, key) => map.set(key, (map.get(key) || 0) + delta);
+    const teamCounts = {};
+    [lineup.cpt, ...lineup.players].filter(Boolean).forEach((player) => {
+      add(usage.players, player.id);
+      teamCounts[player.team] = (teamCounts[player.team] || 0) + 1;
+    });
+
+    Object.entries(teamCounts).forEach(([team, count]) => {
+      add(usage.teams, team);
+      for (let stackSize = 2; stackSize <= count; stackSize++) {
+        add(usage.stacks, `${team}_${stackSize}`);
+      }
+    });
+
+    this._getLineupGroupCounts(lineup).forEach((count, groupId) => {
+      if (count > 0) add(usage.groups, groupId);
+    });
+  }
+
+  /**
+   * Generate exact optimization summary
+   */
+  _getExactSummary(results, settings, stopReason) {
+    const baseSummary = this._getSimulationSummary();
+
+    return {
+      ...baseSummary,
+      algorithm: "exact",
+      provenOptimal: this.searchStats.every((stats) => stats.optimal),
+      minUniquePlayers: settings.minUniquePlayers,
+      searchNodes: this.searchStats.reduce(
+        (sum, stats) => sum + stats.nodes,
+        0
+      ),
+      topProjection: results.length > 0 ? results[0].exactProjection : 0,
+      stopReason,
+    };
+  }
+}
+
+module.exports = ExactOptimizer;
@@ -11,6 +11,11 @@
  */
 
 const AdvancedOptimizer = require("./AdvancedOptimizer");
+const {
+  getCaptainSalary,
+  getCaptainProjection,
+  getCaptainOwnership,
+} = require("./captain");
 
 class GeneticOptimizer extends AdvancedOptimizer {
   constructor(config = {}) {
@@ -117,9 +122,10 @@ class GeneticOptimizer extends AdvancedOptimizer {
       this.updateStatus("Selecting final lineups...");
       this.updateProgress(80, "final_selection");
 
-      // Sort by fitness and select top lineups
+      // Sort by fitness and select top lineups that meet the lineup rules
       population.sort((a, b) => b.fitness - a.fitness);
       const selectedLineups = population
+        .filter((ind) => this._getLineupViolations(ind.lineup).length === 0)
         .slice(0, count)
         .map((ind) => ind.lineup);
 
@@ -268,8 +274,9 @@ class GeneticOptimizer extends AdvancedOptimizer {
     this.config.randomness = strategy.randomness;
 
     try {
+      // Lineups that can't be repaired still breed; final selection drops them
       const lineup = await this._buildLineup([]);
-      return lineup;
+      return this._repairLineupRules(lineup) ?? lineup;
     } finally {
       // Restore original config
       this.config = originalConfig;
@@ -346,8 +353,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
     let totalProjection = 0;
     const cptPlayer = this.playerPool.find((p) => p.id === lineup.cpt.id);
     if (cptPlayer) {
-      totalProjection +=
-        this._safeParseFloat(cptPlayer.projectedPoints, 0) * 1.5;
+      totalProjection += getCaptainProjection(cptPlayer);
     }
 
     lineup.players.forEach((player) => {
@@ -369,7 +375,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
     let playerCount = 0;
 
     if (cptPlayer) {
-      totalOwnership += this._safeParseFloat(cptPlayer.ownership, 0);
+      totalOwnership += getCaptainOwnership(cptPlayer);
       playerCount++;
     }
 
@@ -489,7 +495,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
     while (newPopulation.length < populationSize) {
       if (this.isCancelled) throw new Error("Generation evolution cancelled");
 
-      if (Math.random() < this.geneticConfig.crossoverRate) {
+      if (this.random() < this.geneticConfig.crossoverRate) {
         // Crossover
         const parent1 = this._tournamentSelection(population);
         const parent2 = this._tournamentSelection(population);
@@ -503,7 +509,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
           }
 
           // Mutation
-          if (Math.random() < this.geneticConfig.mutationRate) {
+          if (this.random() < this.geneticConfig.mutationRate) {
             await this._mutate(offspring);
           }
 
@@ -570,7 +576,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
 
     // Select random individuals for tournament
     for (let i = 0; i < tournamentSize; i++) {
-      const randomIndex = Math.floor(Math.random() * population.length);
+      const randomIndex = Math.floor(this.random() * population.length);
       tournament.push(population[randomIndex]);
     }
 
@@ -594,7 +600,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
     }
 
     const offspring = {
-      id: `genetic_${Date.now()}_${Math.random()}`,
+      id: `genetic_${Date.now()}_${this.random()}`,
       name: `Genetic Lineup ${this.currentGeneration}`,
       cpt: null,
       players: [],
@@ -602,7 +608,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
 
     // Captain selection - choose from either parent
     offspring.cpt =
-      Math.random() < 0.5
+      this.random() < 0.5
         ? { ...parent1.lineup.cpt }
         : { ...parent2.lineup.cpt };
 
@@ -618,7 +624,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
 
       if (p1Player && p2Player) {
         // Choose player from either parent
-        const selectedPlayer = Math.random() < 0.5 ? p1Player : p2Player;
+        const selectedPlayer = this.random() < 0.5 ? p1Player : p2Player;
         offspring.players.push({ ...selectedPlayer });
       } else if (p1Player) {
         offspring.players.push({ ...p1Player });
@@ -634,7 +640,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
     if (p1Team || p2Team) {
       const teamPlayer =
         p1Team && p2Team
-          ? Math.random() < 0.5
+          ? this.random() < 0.5
             ? p1Team
             : p2Team
           : p1Team || p2Team;
@@ -656,7 +662,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
 
     const mutationTypes = ["swap_player", "swap_captain", "swap_team_stack"];
     const mutationType =
-      mutationTypes[Math.floor(Math.random() * mutationTypes.length)];
+      mutationTypes[Math.floor(this.random() * mutationTypes.length)];
 
     try {
       switch (mutationType) {
@@ -682,7 +688,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
   async _mutateSwapPlayer(individual) {
     const positions = individual.players.map((p) => p.position);
     const randomPosition =
-      positions[Math.floor(Math.random() * positions.length)];
+      positions[Math.floor(this.random() * positions.length)];
 
     // Find alternative players for this position
     const alternatives = this.playerPool.filter(
@@ -694,7 +700,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
 
     if (alternatives.length > 0) {
       const newPlayer =
-        alternatives[Math.floor(Math.random() * alternatives.length)];
+        alternatives[Math.floor(this.random() * alternatives.length)];
       const playerIndex = individual.players.findIndex(
         (p) => p.position === randomPosition
       );
@@ -720,7 +726,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
 
     if (captainEligible.length > 0) {
       const newCaptain =
-        captainEligible[Math.floor(Math.random() * captainEligible.length)];
+        captainEligible[Math.floor(this.random() * captainEligible.length)];
       const oldCaptain = individual.cpt;
 
       // Swap captain with player
@@ -730,13 +736,16 @@ class GeneticOptimizer extends AdvancedOptimizer {
         position: "CPT",
         team: newCaptain.team,
         opponent: this._getTeamOpponent(newCaptain.team),
-        salary: Math.round(this._safeParseFloat(newCaptain.salary, 0) * 1.5),
+        salary: getCaptainSalary(newCaptain),
       };
 
       // Replace the player with old captain
       const playerIndex = individual.players.findIndex(
         (p) => p.id === newCaptain.id
       );
+      const oldCaptainPlayer = this.playerPool.find(
+        (p) => p.id === oldCaptain.id
+      );
       individual.players[playerIndex] = {
         id: oldCaptain.id,
         name: oldCaptain.name,
@@ -746,7 +755,10 @@ class GeneticOptimizer extends AdvancedOptimizer {
             : oldCaptain.position,
         team: oldCaptain.team,
         opponent: this._getTeamOpponent(oldCaptain.team),
-        salary: Math.round(oldCaptain.salary / 1.5), // Convert back from captain salary
+        // Back to the flex salary
+        salary: oldCaptainPlayer
+          ? this._safeParseFloat(oldCaptainPlayer.salary, 0)
+          : Math.round(oldCaptain.salary / 1.5),
       };
     }
   }
@@ -781,7 +793,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
 
       if (nonStackPlayers.length > 0 && stackAlternatives.length > 0) {
         const targetPlayer =
-          nonStackPlayers[Math.floor(Math.random() * nonStackPlayers.length)];
+          nonStackPlayers[Math.floor(this.random() * nonStackPlayers.length)];
         const replacement = stackAlternatives.find(
           (p) => p.position === targetPlayer.position
         );
@@ -832,16 +844,14 @@ class GeneticOptimizer extends AdvancedOptimizer {
         );
         if (alternatives.length > 0) {
           const replacement =
-            alternatives[Math.floor(Math.random() * alternatives.length)];
+            alternatives[Math.floor(this.random() * alternatives.length)];
           lineup.cpt = {
             id: replacement.id,
             name: replacement.name,
             position: "CPT",
             team: replacement.team,
             opponent: this._getTeamOpponent(replacement.team),
-            salary: Math.round(
-              this._safeParseFloat(replacement.salary, 0) * 1.5
-            ),
+            salary: getCaptainSalary(replacement),
           };
         }
       }
@@ -856,7 +866,7 @@ class GeneticOptimizer extends AdvancedOptimizer {
           );
           if (alternatives.length > 0) {
             const replacement =
-              alternatives[Math.floor(Math.random() * alternatives.length)];
+              alternatives[Math.floor(this.random() * alternatives.length)];
             lineup.players[i] = {
               id: replacement.id,
               name: replacement.name,
@@ -935,7 +945,8 @@ class GeneticOptimizer extends AdvancedOptimizer {
       return null;
     }
 
-    return lineup;
+    // Swap players to satisfy the custom lineup rules
+    return this._repairLineupRules(lineup);
   }
 
   /**
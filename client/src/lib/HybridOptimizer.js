@@ -11,13 +11,18 @@
  * - Monte Carlo for consistent lineups
  * - Genetic Algorithm for exploration
  * - Simulated Annealing for constraint satisfaction
+ * - Exact branch-and-bound for the provable projection optimum
  * - Smart defaults based on contest type and constraints
  */
 
 const AdvancedOptimizer = require("./AdvancedOptimizer");
 const GeneticOptimizer = require("./GeneticOptimizer");
 const SimulatedAnnealingOptimizer = require("./SimulatedAnnealingOptimizer");
+const ExactOptimizer = require("./ExactOptimizer");
 const DataValidator = require("./DataValidator");
+const { deriveSeed, generateSeed } = require("./seededRandom");
+const { calculateNexusScore } = require("./nexusScore");
+const { getCaptainOwnership } = require("./captain");
 
 class HybridOptimizer {
   constructor(config = {}) {
@@ -46,9 +51,23 @@ class HybridOptimizer {
         monte_carlo: 1.0,
         genetic: 1.0,
         simulated_annealing: 1.0,
+        exact: 1.0,
         ...config.performanceWeights,
       },
 
+      // "always", or "auto" for simple cash contests, makes the recommended
+      // strategy use the exact solver ("off" never does)
+      exactMode: "off",
+
+      // Custom lineup rules shared by every sub-optimizer
+      lineupRules: [],
+
+      // Expected-duplicates limit per lineup (null for none)
+      maxExpectedDupes: null,
+
+      // NexusScore formula version (null for the default, see nexusScore.js)
+      nexusScoreFormula: null,
+
       ...config,
     };
 
@@ -63,6 +82,7 @@ class HybridOptimizer {
       monte_carlo: null,
       genetic: null,
       simulated_annealing: null,
+      exact: null, // created on first use
     };
 
     // Current optimization state
@@ -171,6 +191,16 @@ class HybridOptimizer {
         },
         usage: "Best when you have detailed exposure constraints",
       },
+
+      exact: {
+        name: "Exact Optimum",
+        description: "Provably best projected lineups via branch-and-bound",
+        algorithm: "exact",
+        config: {
+          exact: { minUniquePlayers: 2 },
+        },
+        usage: "Cash games and benchmarking the heuristic optimizers",
+      },
     };
   }
 
@@ -211,6 +241,8 @@ class HybridOptimizer {
   ) {
     // Store contest info
     this.contestInfo = contestInfo;
+    // Each sub-optimizer gets its own stream derived from the run's seed
+    this.seed = this.config.seed ?? generateSeed();
     this.updateStatus("Initializing hybrid optimizer...");
     this.updateProgress(0, "validation");
 
@@ -322,6 +354,7 @@ class HybridOptimizer {
 
       return {
         ...results,
+        seed: this.seed,
         strategy: resolvedStrategy,
         recommendation: this._generateRecommendations(results),
       };
@@ -445,6 +478,17 @@ class HybridOptimizer {
       constraintCount,
     } = constraintAnalysis;
 
+    // Exact search when asked for, or on "auto" for cash contests where the
+    // best projection is the goal and no stack rules are involved
+    if (
+      this.config.exactMode === "always" ||
+      (this.config.exactMode === "auto" &&
+        ["cash", "double_up"].includes(contestType) &&
+        !hasStackConstraints)
+    ) {
+      return "exact";
+    }
+
     // Always return 'recommended' as the default - the UI will show this as recommended
     // The actual algorithm selection happens in the 'recommended' preset logic
     return "recommended";
@@ -477,13 +521,22 @@ class HybridOptimizer {
         fieldSize: 1189,
         entryFee: 5,
       },
+      lineupRules: this.config.lineupRules || [],
+      maxExpectedDupes: this.config.maxExpectedDupes ?? null,
+      nexusScoreFormula: this.config.nexusScoreFormula ?? null,
     };
 
+    // Kept for optimizers created on first use
+    this.baseConfig = baseConfig;
+
     const progressStep = 40 / 3; // 40% progress divided by 3 optimizers
 
     // Initialize Monte Carlo optimizer
     this.updateStatus("Initializing Monte Carlo optimizer...");
-    this.optimizers.monte_carlo = new AdvancedOptimizer(baseConfig);
+    this.optimizers.monte_carlo = new AdvancedOptimizer({
+      ...baseConfig,
+      seed: deriveSeed(this.seed, "monte_carlo"),
+    });
     this._setupOptimizerCallbacks(this.optimizers.monte_carlo);
     await this.optimizers.monte_carlo.initialize(
       playerPool,
@@ -494,7 +547,10 @@ class HybridOptimizer {
 
     // Initialize Genetic optimizer
     this.updateStatus("Initializing Genetic optimizer...");
-    this.optimizers.genetic = new GeneticOptimizer(baseConfig);
+    this.optimizers.genetic = new GeneticOptimizer({
+      ...baseConfig,
+      seed: deriveSeed(this.seed, "genetic"),
+    });
     this._setupOptimizerCallbacks(this.optimizers.genetic);
     await this.optimizers.genetic.initialize(
       playerPool,
@@ -505,9 +561,10 @@ class HybridOptimizer {
 
     // Initialize Simulated Annealing optimizer
     this.updateStatus("Initializing Simulated Annealing optimizer...");
-    this.optimizers.simulated_annealing = new SimulatedAnnealingOptimizer(
-      baseConfig
-    );
+    this.optimizers.simulated_annealing = new SimulatedAnnealingOptimizer({
+      ...baseConfig,
+      seed: deriveSeed(this.seed, "simulated_annealing"),
+    });
     this._setupOptimizerCallbacks(this.optimizers.simulated_annealing);
     await this.optimizers.simulated_annealing.initialize(
       playerPool,
@@ -517,6 +574,27 @@ class HybridOptimizer {
     this.updateProgress(80, "all_optimizers_ready");
   }
 
+  /**
+   * Get an optimizer instance, creating the exact solver on first use so
+   * runs that never pick it skip its initialization
+   */
+  async _getOptimizer(algorithm) {
+    if (algorithm === "exact" && !this.optimizers.exact) {
+      this.optimizers.exact = new ExactOptimizer({
+        ...this.baseConfig,
+        seed: deriveSeed(this.seed, "exact"),
+      });
+      this._setupOptimizerCallbacks(this.optimizers.exact);
+      await this.optimizers.exact.initialize(
+        this.playerPool,
+        this.exposureSettings,
+        this.existingLineups
+      );
+    }
+
+    return this.optimizers[algorithm];
+  }
+
   /**
    * Setup callbacks for individual optimizers
    */
@@ -546,7 +624,10 @@ class HybridOptimizer {
   _resolveStrategy(strategyName) {
     if (strategyName === "recommended") {
       // Smart algorithm selection based on contest and constraint analysis
-      const optimalStrategy = this._getOptimalStrategyForContext();
+      const optimalStrategy =
+        this.recommendedAlgorithm === "exact"
+          ? "exact"
+          : this._getOptimalStrategyForContext();
       strategyName = optimalStrategy;
     }
 
@@ -641,7 +722,7 @@ class HybridOptimizer {
         }
       };
 
-      const optimizer = this.optimizers[algorithm];
+      const optimizer = await this._getOptimizer(algorithm);
       let optimizerOriginalProgressCallback, optimizerOriginalStatusCallback;
 
       try {
@@ -685,6 +766,8 @@ class HybridOptimizer {
         } else if (algorithm === "simulated_annealing") {
           algorithmResults =
             await optimizer.runSimulatedAnnealing(algorithmCount);
+        } else if (algorithm === "exact") {
+          algorithmResults = await optimizer.runExactOptimization(baseCount);
         }
 
         if (algorithmResults && algorithmResults.lineups) {
@@ -810,6 +893,7 @@ class HybridOptimizer {
       lineups: portfolio,
       summary: this._generatePortfolioSummary(portfolio, config),
       algorithm: "portfolio",
+      seed: this.seed,
       portfolioStats: this._calculatePortfolioStats(portfolio),
     };
   }
@@ -819,7 +903,7 @@ class HybridOptimizer {
    */
   async _runSingleAlgorithm(count, strategy, customConfig) {
     const algorithm = strategy.algorithm;
-    const optimizer = this.optimizers[algorithm];
+    const optimizer = await this._getOptimizer(algorithm);
 
     if (!optimizer) {
       throw new Error(`Optimizer ${algorithm} not available`);
@@ -851,6 +935,9 @@ class HybridOptimizer {
           results = await optimizer.runSimulatedAnnealing(count);
           console.log("Simulated annealing completed, results:", results);
           break;
+        case "exact":
+          results = await optimizer.runExactOptimization(count);
+          break;
         default:
           throw new Error(`Unsupported algorithm: ${algorithm}`);
       }
@@ -1050,19 +1137,12 @@ class HybridOptimizer {
       return this.optimizers.monte_carlo._calculateNexusScore(lineup);
     }
 
-    // Fallback simple calculation
-    let baseProjection = 0;
-    if (lineup.cpt) {
-      baseProjection += (lineup.cpt.projection || 0) * 1.5;
-    }
-    if (lineup.players) {
-      baseProjection += lineup.players.reduce(
-        (sum, p) => sum + (p.projection || 0),
-        0
-      );
-    }
-
-    return { score: baseProjection, components: { baseProjection } };
+    // Same formula without the Stack+ and simulation inputs
+    const { score, components } = calculateNexusScore(lineup, {
+      players: this.playerPool || [],
+      formula: this.config.nexusScoreFormula,
+    });
+    return { score, components };
   }
 
   /**
@@ -1072,8 +1152,8 @@ class HybridOptimizer {
     let totalOwnership = 0;
     let playerCount = 0;
 
-    if (lineup.cpt && lineup.cpt.ownership !== undefined) {
-      totalOwnership += parseFloat(lineup.cpt.ownership) || 0;
+    if (lineup.cpt) {
+      totalOwnership += getCaptainOwnership(lineup.cpt);
       playerCount++;
     }
 
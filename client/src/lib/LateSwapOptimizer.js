@@ -0,0 +1,396 @@
+/**
+ * Late Swap Optimizer for LoL DFS
+ *
+ * Re-optimizes existing entries once some games have started:
+ * - A team is locked when its lock time has passed; its players stay where
+ *   they are, and open slots can't take them either
+ * - Every open slot is re-solved with the exact branch-and-bound against the
+ *   current projections, one entry at a time
+ * - Portfolio exposure limits count the whole set of entries: locked players
+ *   are reserved up front, swapped lineups are added as they are solved
+ *
+ * Entries keep their id, name and any other fields (DraftKings entry ids);
+ * only the roster and the stats derived from it (projection, simulated
+ * percentiles, NexusScore) change. Players that can't be matched to the pool count as
+ * locked, since there is no way to tell whether their game has started.
+ */
+
+const ExactOptimizer = require("./ExactOptimizer");
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+class LateSwapOptimizer extends ExactOptimizer {
+  /**
+   * Late swap entry point
+   * @param {Array} entries - Lineups ({ id, name, cpt, players })
+   * @param {Object} lockTimes - team -> lock time (ISO string or ms)
+   * @param {Object} options - { now } to evaluate locks at another time
+   */
+  async runLateSwap(entries = [], lockTimes = {}, options = {}) {
+    if (!this.optimizerReady) {
+      throw new Error("Optimizer not initialized. Call initialize() first.");
+    }
+
+    this.resetCancel();
+    this.updateStatus("Starting late swap...");
+    this.updateProgress(0, "initializing_late_swap");
+
+    const settings = { ...this.exactConfig, ...this.config.exact };
+    const now = options.now ?? Date.now();
+    const lockedTeams = this._getLockedTeams(lockTimes, now);
+
+    try {
+      const slots = this._buildExactSlots();
+      const playerIndex = this._buildLateSwapIndex();
+      const plans = entries.map((entry) =>
+        this._planLateSwap(entry, slots, playerIndex, lockedTeams)
+      );
+
+      // Locked players are already committed across the portfolio
+      const newUsage = () => ({
+        players: new Map(),
+        teams: new Map(),
+        stacks: new Map(),
+        groups: new Map(),
+      });
+      const usage = newUsage();
+      const reserved = newUsage();
+      plans.forEach((plan) =>
+        this._recordExactUsage(plan.lockedLineup, reserved)
+      );
+
+      const cuts = [];
+      const results = [];
+      this.searchStats = [];
+
+      for (let i = 0; i < plans.length; i++) {
+        if (this.isCancelled) throw new Error("Late swap cancelled");
+
+        const plan = plans[i];
+        this._recordExactUsage(plan.lockedLineup, reserved, -1);
+
+        const result = this._swapEntry(
+          plan,
+          slots,
+          this._getLateSwapRules(plan, plans.length - i, plans.length, {
+            usage,
+            reserved,
+            lockedTeams,
+          }),
+          cuts,
+          settings
+        );
+        results.push(result);
+
+        if (result.lineup.cpt && result.lineup.players.every(Boolean)) {
+          cuts.push(this._getLineupPlayerIds(result.lineup));
+        }
+        this._recordExactUsage(result.lineup, usage);
+        this._trackLineupExposure(result.lineup);
+
+        this.updateProgress(((i + 1) / plans.length) * 90, "late_swap");
+        await this.yieldToUI();
+      }
+
+      this.updateStatus("Scoring swapped lineups...");
+      await this._rescoreSwappedResults(results);
+
+      this.generatedLineups = results.map((result) => result.lineup);
+      this._updateExposureCache();
+
+      this.updateProgress(100, "completed");
+      this.updateStatus(
+        `Late swap completed: ${
+          results.filter((result) => result.status === "swapped").length
+        } of ${results.length} entries changed`
+      );
+
+      return {
+        entries: results,
+        summary: this._getLateSwapSummary(results, lockTimes, lockedTeams),
+      };
+    } catch (error) {
+      this.updateStatus(`Error: ${error.message}`);
+      this.updateProgress(100, "error");
+      this.debugLog(`Late swap error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Teams whose lock time has passed (normalized names)
+   */
+  _getLockedTeams(lockTimes, now) {
+    const locked = new Set();
+    Object.entries(lockTimes || {}).forEach(([team, lockTime]) => {
+      const time =
+        typeof lockTime === "number" ? lockTime : Date.parse(lockTime);
+      if (Number.isFinite(time) && time <= now) locked.add(normalize(team));
+    });
+    return locked;
+  }
+
+  /**
+   * Pool lookups for entry players: id, DraftKings id, then name
+   */
+  _buildLateSwapIndex() {
+    const index = new Map();
+    const add = (prefix, key, player) => {
+      if (key === undefined || key === null || key === "") return;
+      if (!index.has(`${prefix}:${key}`)) index.set(`${prefix}:${key}`, player);
+    };
+
+    this.playerPool.forEach((player) => {
+      const name = normalize(player.name);
+      add("id", player.id, player);
+      add("dk", player.draftKingsId, player);
+      add("dk", player.cptDraftKingsId, player);
+      add("name", `${name}_${player.position}`, player);
+      add("name", name, player);
+    });
+    return index;
+  }
+
+  _resolveEntryPlayer(player, slot, index) {
+    if (!player) return null;
+    const name = normalize(player.name);
+    return (
+      index.get(`id:${player.id}`) ||
+      index.get(`dk:${player.draftKingsId ?? player.id}`) ||
+      (slot !== "CPT" && index.get(`name:${name}_${slot}`)) ||
+      index.get(`name:${name}`) ||
+      null
+    );
+  }
+
+  /**
+   * Split an entry into locked slots (with their fixed candidate) and open
+   * slots
+   */
+  _planLateSwap(entry, slots, index, lockedTeams) {
+    const fixed = new Map(); // slot index -> candidate
+    const unresolved = [];
+    const taken = new Set();
+    const entryPlayers = [
+      { player: entry.cpt, position: "CPT" },
+      ...(entry.players || []).map((player) => ({
+        player,
+        position: player?.position,
+      })),
+    ];
+    const original = new Map(); // slot index -> { name, id (pool id) }
+    let previousPoints = 0;
+
+    entryPlayers.forEach(({ player, position }) => {
+      if (!player) return;
+      const slotIndex = slots.findIndex(
+        (slot, i) => slot.position === position && !taken.has(i)
+      );
+      if (slotIndex === -1) return;
+      taken.add(slotIndex);
+
+      const poolPlayer = this._resolveEntryPlayer(player, position, index);
+      if (!poolPlayer) unresolved.push(player.name || String(player.id));
+      original.set(slotIndex, { name: player.name, id: poolPlayer?.id });
+
+      // The pool's candidate carries current salary and points
+      const candidate = poolPlayer
+        ? slots[slotIndex].candidates.find(
+            (option) => option.player.id === poolPlayer.id
+          )
+        : null;
+      previousPoints += candidate?.points || 0;
+
+      if (poolPlayer && !lockedTeams.has(normalize(poolPlayer.team))) return;
+      fixed.set(
+        slotIndex,
+        candidate || {
+          player: poolPlayer || { ...player, projectedPoints: 0 },
+          salary: player.salary || 0,
+          points: 0,
+        }
+      );
+    });
+
+    const lockedPicks = slots.map((_, i) => fixed.get(i)?.player || null);
+    const [lockedCaptain, ...lockedFlex] = lockedPicks;
+
+    return {
+      entry,
+      fixed,
+      original,
+      unresolved,
+      previousPoints,
+      lockedLineup: { cpt: lockedCaptain, players: lockedFlex },
+    };
+  }
+
+  /**
+   * Exposure rules for one entry, counting swapped entries so far plus the
+   * locked players of the entries still to come
+   * Locked players always stay, so caps never exclude them, and minimums
+   * that only locked players could meet are dropped
+   */
+  _getLateSwapRules(plan, remaining, total, { usage, reserved, lockedTeams }) {
+    const combined = {};
+    Object.keys(usage).forEach((key) => {
+      combined[key] = new Map(usage[key]);
+      reserved[key].forEach((count, id) =>
+        combined[key].set(id, (combined[key].get(id) || 0) + count)
+      );
+    });
+
+    const rules = this._getLineupRules(remaining, total, combined);
+    const fixedPlayers = [...plan.fixed.values()].map(({ player }) => player);
+    const fixedIds = new Set(fixedPlayers.map((player) => player.id));
+
+    fixedIds.forEach((id) => rules.excluded.delete(id));
+    this.playerPool.forEach((player) => {
+      if (lockedTeams.has(normalize(player.team)) && !fixedIds.has(player.id)) {
+        rules.excluded.add(player.id);
+        rules.forced.delete(player.id);
+      }
+    });
+
+    fixedPlayers.forEach((player) => {
+      const count = fixedPlayers.filter((p) => p.team === player.team).length;
+      if ((rules.teamMax.get(player.team) ?? Infinity) < count) {
+        rules.teamMax.set(player.team, count);
+      }
+    });
+    rules.teamMin.forEach((min, team) => {
+      if (lockedTeams.has(normalize(team))) rules.teamMin.delete(team);
+    });
+    rules.groupsRequired = rules.groupsRequired.filter((ids) =>
+      this.playerPool.some(
+        (player) => ids.has(player.id) && !rules.excluded.has(player.id)
+      )
+    );
+
+    return rules;
+  }
+
+  /**
+   * Re-solve the open slots of one entry; keeps the entry as it was when no
+   * valid lineup exists
+   */
+  _swapEntry(plan, slots, rules, cuts, settings) {
+    const { entry, fixed, original, unresolved, previousPoints } = plan;
+    const lockedSlots = [...fixed.keys()].map((i) => slots[i].position);
+    const entrySlots = slots.map((slot, i) =>
+      fixed.has(i) ? { ...slot, candidates: [fixed.get(i)] } : slot
+    );
+
+    const base = {
+      id: entry.id,
+      name: entry.name,
+      lockedSlots,
+      unresolved,
+      swaps: [],
+      previousProjection: previousPoints,
+    };
+
+    if (fixed.size === slots.length) {
+      const picks = entrySlots.map((slot) => slot.candidates[0]);
+      const points = picks.reduce((sum, pick) => sum + pick.points, 0);
+      return {
+        ...base,
+        status: "locked",
+        projection: points,
+        lineup: this._toSwapLineup(entry, { picks, points }),
+      };
+    }
+
+    // Duplicates of earlier entries only when nothing else fits
+    let solution = this._solveExact(entrySlots, rules, cuts, settings);
+    if (!solution.picks && cuts.length > 0) {
+      solution = this._solveExact(entrySlots, rules, [], settings);
+    }
+    this.searchStats.push({
+      nodes: solution.nodes,
+      optimal: solution.optimal,
+      points: solution.points,
+    });
+
+    if (!solution.picks) {
+      return {
+        ...base,
+        status: "infeasible",
+        projection: previousPoints,
+        lineup: entry,
+      };
+    }
+
+    const swaps = [];
+    solution.picks.forEach(({ player }, i) => {
+      const before = original.get(i);
+      if (before?.id !== player.id) {
+        swaps.push({
+          slot: slots[i].position,
+          out: before?.name || null,
+          in: player.name,
+        });
+      }
+    });
+
+    return {
+      ...base,
+      status: swaps.length > 0 ? "swapped" : "unchanged",
+      swaps,
+      projection: solution.points,
+      lineup: this._toSwapLineup(entry, solution),
+    };
+  }
+
+  /**
+   * Simulate and NexusScore the swapped rosters, replacing the stats they
+   * carried over from the entry (percentiles, projectedPoints, NexusScore);
+   * portfolio-relative rates (cashRate, firstPlace, top10) start over at 0
+   * as in an exact run
+   */
+  async _rescoreSwappedResults(results) {
+    const swapped = results.filter((result) => result.status === "swapped");
+    for (let i = 0; i < swapped.length; i++) {
+      if (this.isCancelled) throw new Error("Swap cancelled");
+
+      const lineup = await this._simulateLineup(swapped[i].lineup);
+      const nexusResult = this._calculateNexusScore(lineup);
+      swapped[i].lineup = {
+        ...lineup,
+        nexusScore: nexusResult.score,
+        scoreComponents: nexusResult.components,
+      };
+      this.updateProgress(90 + ((i + 1) / swapped.length) * 10, "scoring");
+    }
+  }
+
+  // Solved roster in the entry's shape, keeping its id, name and extra fields
+  _toSwapLineup(entry, solution) {
+    const { cpt, players } = this._createExactLineup(solution, 0);
+    return { ...entry, cpt, players };
+  }
+
+  _getLateSwapSummary(results, lockTimes, lockedTeams) {
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+
+    return {
+      algorithm: "late_swap",
+      entries: results.length,
+      swapped: count("swapped"),
+      unchanged: count("unchanged"),
+      locked: count("locked"),
+      infeasible: count("infeasible"),
+      lockedTeams: Object.keys(lockTimes || {}).filter((team) =>
+        lockedTeams.has(normalize(team))
+      ),
+      provenOptimal: this.searchStats.every((stats) => stats.optimal),
+      exposure: this.getRealTimeExposureReport(),
+    };
+  }
+}
+
+module.exports = LateSwapOptimizer;
@@ -0,0 +1,410 @@
+/**
+ * Custom lineup rules
+ *
+ * Declarative if/then rules checked against every generated lineup:
+ *   { type: "conditional", when, unless, require, forbid } - when every
+ *     `when` condition holds and no `unless` condition does, every `require`
+ *     condition must hold and no `forbid` condition may
+ *   { type: "lock" | "ban", player, percent } - exposure floor/ceiling for a
+ *     player; 100% locks and bans are also hard rules
+ *
+ * Conditions:
+ *   { player, slot? }           - player (id or name) on the roster, "CPT" or
+ *                                 "FLEX" to pin the slot
+ *   { team, min?, max? }        - roster spots from a team (CPT and TEAM count)
+ *   { positions: [a, b], relation: "opponents" | "teammates" }
+ *                               - a player at position a with one at position b
+ *
+ * Shared by the optimizers (browser and worker) and SettingsService, so it
+ * stays free of server dependencies.
+ */
+
+const RULE_TYPES = ["conditional", "lock", "ban"];
+const CONDITION_GROUPS = ["when", "unless", "require", "forbid"];
+const SLOTS = ["CPT", "FLEX"];
+const RELATIONS = ["opponents", "teammates"];
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate one condition
+ * @returns {string|null} error message
+ */
+const validateCondition = (condition) => {
+  if (!condition || typeof condition !== "object") {
+    return "condition must be an object";
+  }
+
+  const kinds = ["player", "team", "positions"].filter(
+    (key) => condition[key] !== undefined
+  );
+  if (kinds.length !== 1) {
+    return "condition needs exactly one of player, team or positions";
+  }
+
+  switch (kinds[0]) {
+    case "player":
+      if (typeof condition.player !== "string" || !condition.player.trim()) {
+        return "player must be a non-empty name or id";
+      }
+      if (condition.slot !== undefined && !SLOTS.includes(condition.slot)) {
+        return `slot must be one of ${SLOTS.join(", ")}`;
+      }
+      return null;
+
+    case "team": {
+      const { team, min, max } = condition;
+      if (typeof team !== "string" || !team.trim()) {
+        return "team must be a non-empty string";
+      }
+      if (min === undefined && max === undefined) {
+        return `team ${team} needs a min or max`;
+      }
+      if (
+        (min !== undefined && !isCount(min)) ||
+        (max !== undefined && !isCount(max))
+      ) {
+        return `team ${team} min/max must be non-negative integers`;
+      }
+      if (min !== undefined && max !== undefined && min > max) {
+        return `team ${team} min is greater than max`;
+      }
+      return null;
+    }
+
+    default:
+      if (
+        !Array.isArray(condition.positions) ||
+        condition.positions.length !== 2 ||
+        condition.positions.some((p) => typeof p !== "string" || !p.trim())
+      ) {
+        return "positions must be a pair of positions";
+      }
+      if (!RELATIONS.includes(condition.relation)) {
+        return `relation must be one of ${RELATIONS.join(", ")}`;
+      }
+      return null;
+  }
+};
+
+/**
+ * Validate a list of rules
+ * @returns {string[]} error messages, empty when the rules are usable
+ */
+const validateLineupRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    return ["Lineup rules must be an array"];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const label = `Rule ${index + 1}`;
+    if (!rule || typeof rule !== "object") {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${label}: type must be one of ${RULE_TYPES.join(", ")}`);
+      return;
+    }
+
+    if (rule.type !== "conditional") {
+      if (typeof rule.player !== "string" || !rule.player.trim()) {
+        errors.push(`${label}: player must be a non-empty name or id`);
+      }
+      if (
+        rule.percent !== undefined &&
+        (typeof rule.percent !== "number" ||
+          rule.percent <= 0 ||
+          rule.percent > 100)
+      ) {
+        errors.push(`${label}: percent must be above 0 and at most 100`);
+      }
+      return;
+    }
+
+    CONDITION_GROUPS.forEach((group) => {
+      if (rule[group] === undefined) return;
+      if (!Array.isArray(rule[group])) {
+        errors.push(`${label}: ${group} must be an array`);
+        return;
+      }
+      rule[group].forEach((condition, i) => {
+        const error = validateCondition(condition);
+        if (error) errors.push(`${label}: ${group}[${i}] ${error}`);
+      });
+    });
+    if (!(rule.require?.length > 0) && !(rule.forbid?.length > 0)) {
+      errors.push(`${label}: needs at least one require or forbid condition`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Human-readable condition, e.g. "at least 2 T1 players"
+ */
+const describeCondition = (condition) => {
+  if (condition.player !== undefined) {
+    return condition.slot
+      ? `${condition.player} at ${condition.slot}`
+      : condition.player;
+  }
+  if (condition.team !== undefined) {
+    const { team, min, max } = condition;
+    if (min !== undefined && max !== undefined) {
+      return min === max
+        ? `exactly ${min} ${team} players`
+        : `${min}-${max} ${team} players`;
+    }
+    return min !== undefined
+      ? `at least ${min} ${team} players`
+      : `at most ${max} ${team} players`;
+  }
+  const [first, second] = condition.positions || [];
+  return condition.relation === "opponents"
+    ? `${first} with the opposing ${second}`
+    : `${first} with a same-team ${second}`;
+};
+
+/**
+ * Human-readable rule, used for rule lists and violation messages
+ */
+const describeRule = (rule) => {
+  if (rule.type === "lock" || rule.type === "ban") {
+    const percent = rule.percent ?? 100;
+    return rule.type === "lock"
+      ? `Lock ${rule.player} in ${percent}% of lineups`
+      : `Ban ${rule.player} from ${percent}% of lineups`;
+  }
+
+  const join = (conditions = [], word) =>
+    conditions.map(describeCondition).join(` ${word} `);
+  const when = rule.when?.length ? `If ${join(rule.when, "and")}` : "Always";
+  const unless = rule.unless?.length
+    ? `, unless ${join(rule.unless, "or")}`
+    : "";
+  const outcomes = [
+    rule.require?.length ? `require ${join(rule.require, "and")}` : null,
+    rule.forbid?.length ? `never ${join(rule.forbid, "or")}` : null,
+  ].filter(Boolean);
+
+  return `${when}${unless}: ${outcomes.join("; ")}`;
+};
+
+class LineupRulesEngine {
+  constructor(rules = [], playerPool = []) {
+    this.rules = (rules || []).filter((rule) => rule && rule.enabled !== false);
+
+    // Rules name players by id or name; lineups carry ids
+    this.players = new Map(); // id -> player
+    this.playerKeys = new Map(); // normalized id/name -> id
+    this.opponents = new Map(); // normalized team -> opponent
+    (playerPool || []).forEach((player) => {
+      if (!player || player.id === undefined) return;
+      const id = String(player.id);
+      this.players.set(id, player);
+      this.playerKeys.set(normalize(id), id);
+      if (player.name && !this.playerKeys.has(normalize(player.name))) {
+        this.playerKeys.set(normalize(player.name), id);
+      }
+      const opponent = player.opponent || player.opp;
+      if (player.team && opponent) {
+        this.opponents.set(normalize(player.team), opponent);
+      }
+    });
+
+    this.conditionalRules = this.rules.filter(
+      (rule) => rule.type === "conditional"
+    );
+    this.exposureRules = this.rules.filter(
+      (rule) => rule.type === "lock" || rule.type === "ban"
+    );
+
+    // Player references that match nobody in the pool
+    this.unresolved = [
+      ...new Set(
+        this.rules
+          .flatMap((rule) =>
+            rule.type === "conditional"
+              ? CONDITION_GROUPS.flatMap((group) => rule[group] || [])
+              : [rule]
+          )
+          .filter(
+            (item) =>
+              item.player !== undefined && !this.resolvePlayer(item.player)
+          )
+          .map((item) => item.player)
+      ),
+    ];
+  }
+
+  hasRules() {
+    return this.rules.length > 0;
+  }
+
+  /**
+   * Pool id for a rule's player reference (id or name, case-insensitive)
+   * @returns {string|null}
+   */
+  resolvePlayer(reference) {
+    return this.playerKeys.get(normalize(reference)) || null;
+  }
+
+  /**
+   * Broken rules for a lineup
+   * @returns {Array} [{ ruleId, rule, message }] - empty when the lineup passes
+   */
+  checkLineup(lineup) {
+    if (!this.hasRules() || !lineup?.cpt || !lineup.players) return [];
+
+    const roster = this._getRoster(lineup);
+    const violations = [];
+    const violate = (rule, message) =>
+      violations.push({
+        ruleId: rule.id ?? null,
+        rule: rule.name || describeRule(rule),
+        message,
+      });
+
+    this.exposureRules.forEach((rule) => {
+      if ((rule.percent ?? 100) < 100) return;
+      const id = this.resolvePlayer(rule.player);
+      if (!id) return;
+      const included = roster.some((entry) => entry.id === id);
+      if (rule.type === "lock" && !included) {
+        violate(rule, `${rule.player} is locked into every lineup`);
+      } else if (rule.type === "ban" && included) {
+        violate(rule, `${rule.player} is banned from every lineup`);
+      }
+    });
+
+    this.conditionalRules.forEach((rule) => {
+      const holds = (condition) => this._holds(condition, roster);
+      if (!(rule.when || []).every(holds)) return;
+      if ((rule.unless || []).some(holds)) return;
+
+      (rule.require || []).forEach((condition) => {
+        if (!holds(condition)) {
+          violate(rule, `requires ${describeCondition(condition)}`);
+        }
+      });
+      (rule.forbid || []).forEach((condition) => {
+        if (holds(condition)) {
+          violate(rule, `forbids ${describeCondition(condition)}`);
+        }
+      });
+    });
+
+    return violations;
+  }
+
+  isLineupAllowed(lineup) {
+    return this.checkLineup(lineup).length === 0;
+  }
+
+  /**
+   * Exposure settings with the lock/ban rules folded into the player limits
+   * (percent): a lock raises the player's min, a ban lowers the max
+   */
+  applyToExposureSettings(exposureSettings = {}) {
+    if (this.exposureRules.length === 0) return exposureSettings;
+
+    const players = (exposureSettings?.players || []).map((entry) => ({
+      ...entry,
+    }));
+    this.exposureRules.forEach((rule) => {
+      const id = this.resolvePlayer(rule.player);
+      if (!id) return;
+
+      let entry = players.find((player) => String(player.id) === id);
+      if (!entry) {
+        const player = this.players.get(id);
+        entry = { id: player.id, name: player.name, min: 0, max: 100 };
+        players.push(entry);
+      }
+
+      const percent = rule.percent ?? 100;
+      if (rule.type === "lock") {
+        entry.min = Math.max(entry.min ?? 0, percent);
+      } else {
+        entry.max = Math.min(entry.max ?? 100, 100 - percent);
+      }
+    });
+
+    return { ...exposureSettings, players };
+  }
+
+  // CPT first; positions come from the pool so the captain keeps its role
+  _getRoster(lineup) {
+    const toEntry = (player, slot) => {
+      const id = String(player.id);
+      const poolPlayer = this.players.get(id);
+      return {
+        id,
+        slot,
+        team: normalize(player.team),
+        opponent: normalize(
+          player.opponent || this.opponents.get(normalize(player.team))
+        ),
+        position: normalize(
+          slot === "CPT" ? poolPlayer?.position : player.position
+        ),
+      };
+    };
+
+    return [
+      toEntry(lineup.cpt, "CPT"),
+      ...lineup.players
+        .filter(Boolean)
+        .map((player) => toEntry(player, "FLEX")),
+    ];
+  }
+
+  _holds(condition, roster) {
+    if (condition.player !== undefined) {
+      const id = this.resolvePlayer(condition.player);
+      return roster.some(
+        (entry) =>
+          entry.id === id && (!condition.slot || entry.slot === condition.slot)
+      );
+    }
+
+    if (condition.team !== undefined) {
+      const team = normalize(condition.team);
+      const count = roster.filter((entry) => entry.team === team).length;
+      return (
+        (condition.min === undefined || count >= condition.min) &&
+        (condition.max === undefined || count <= condition.max)
+      );
+    }
+
+    const [first, second] = condition.positions.map(normalize);
+    return roster.some(
+      (a) =>
+        a.position === first &&
+        roster.some(
+          (b) =>
+            b !== a &&
+            b.position === second &&
+            (condition.relation === "opponents"
+              ? Boolean(a.opponent) && a.opponent === b.team
+              : a.team === b.team)
+        )
+    );
+  }
+}
+
+module.exports = {
+  RULE_TYPES,
+  LineupRulesEngine,
+  validateLineupRules,
+  describeRule,
+  describeCondition,
+};
@@ -1,3 +1,5 @@
+import { getActivePlayers } from "./playerStatus";
+
 class OptimizerWorkerService {
   constructor() {
     this.worker = null;
@@ -150,7 +152,8 @@ class OptimizerWorkerService {
       this.worker.postMessage({
         type: "initialize",
         data: {
-          playerData,
+          // Subs and benched players never make a lineup
+          playerData: getActivePlayers(playerData),
           exposureSettings,
           existingLineups,
           config,
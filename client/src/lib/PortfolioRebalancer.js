@@ -0,0 +1,499 @@
+/**
+ * Portfolio Rebalancer for LoL DFS
+ *
+ * Moves a portfolio of existing lineups into new exposure targets with as
+ * few player swaps as it can find:
+ * - Targets are the optimizer's exposure settings: players, teams (with a
+ *   stackSize, lineups stacking that many from the team) and player groups,
+ *   as min/max percent of lineups; `target` asks for that exact share
+ * - Each round makes the single swap (one player out, one player of the same
+ *   position in, captain-eligible for CPT) that most reduces the number of
+ *   lineups missing their targets, keeping the most projection on ties; two
+ *   swaps in one lineup only when no single swap helps
+ * - A swapped lineup must pass _isValidLineup (salary, stack pattern, lineup
+ *   rules, group counts) and stay unique across the portfolio
+ * - Stops once every target is met, no swap helps any more, or after
+ *   `maxSwaps` swaps
+ *
+ * Entries are matched to the pool like late swap entries and keep their id,
+ * name and other fields; a changed lineup gets its projection, simulated
+ * percentiles and NexusScore redone for the new roster. Players that can't be matched keep their slot.
+ * Inactive players (subs, benched) in the pool get a 0% target, so saved
+ * lineups holding one are swapped off them, and are never swapped in.
+ */
+
+const LateSwapOptimizer = require("./LateSwapOptimizer");
+const { getPlayerStatus, isInactive } = require("./playerStatus");
+
+const EPSILON = 1e-9;
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+class PortfolioRebalancer extends LateSwapOptimizer {
+  /**
+   * Rebalance entry point
+   * @param {Array} entries - Lineups ({ id, name, cpt, players })
+   * @param {Object} options - { maxSwaps }
+   */
+  async runRebalance(entries = [], options = {}) {
+    if (!this.optimizerReady) {
+      throw new Error("Optimizer not initialized. Call initialize() first.");
+    }
+
+    this.resetCancel();
+    this.updateStatus("Starting rebalance...");
+    this.updateProgress(0, "initializing_rebalance");
+
+    const maxSwaps = options.maxSwaps ?? Infinity;
+
+    try {
+      const slots = this._buildExactSlots();
+      const index = this._buildLateSwapIndex();
+      const plans = entries.map((entry) =>
+        this._planRebalance(entry, slots, index)
+      );
+      const active = plans.filter((plan) => plan.complete);
+
+      const counts = new Map();
+      const signatures = new Map();
+      active.forEach((plan) => {
+        this._countKeys(counts, plan.keys, 1);
+        this._countKeys(signatures, [plan.signature], 1);
+      });
+
+      const targets = this._getRebalanceTargets(active.length);
+      const before = new Map(
+        targets.map((target) => [target.key, counts.get(target.key) || 0])
+      );
+      const initialMissed = this._getMissedCount(targets, counts);
+      let missed = initialMissed;
+      let rounds = 0;
+      let swapsMade = 0;
+
+      while (missed > 0 && swapsMade < maxSwaps) {
+        if (this.isCancelled) throw new Error("Rebalance cancelled");
+
+        // Two players at once only when no single swap helps, e.g. to break
+        // a stack without leaving the lineup's stack pattern
+        const search = [active, slots, targets, counts, signatures];
+        const swap =
+          this._findBestSwap(...search, 1) ||
+          (swapsMade + 2 <= maxSwaps ? this._findBestSwap(...search, 2) : null);
+        if (!swap) break;
+
+        const { plan } = swap;
+        this._countKeys(counts, plan.keys, -1);
+        this._countKeys(signatures, [plan.signature], -1);
+        plan.picks = swap.picks;
+        plan.keys = swap.keys;
+        plan.signature = swap.signature;
+        this._countKeys(counts, plan.keys, 1);
+        this._countKeys(signatures, [plan.signature], 1);
+
+        missed += swap.delta;
+        rounds++;
+        swapsMade += swap.changes.length;
+        this.updateProgress(
+          ((initialMissed - missed) / initialMissed) * 90,
+          "rebalancing"
+        );
+        this.updateStatus(
+          `Round ${rounds}: ${swap.changes
+            .map((change) => `${change.out} → ${change.in}`)
+            .join(", ")} (${missed} short of targets)`
+        );
+        await this.yieldToUI();
+      }
+
+      const results = plans.map((plan) => this._getRebalanceResult(plan));
+      this.updateStatus("Scoring rebalanced lineups...");
+      await this._rescoreSwappedResults(results);
+      this.updateProgress(100, "completed");
+      this.updateStatus(
+        `Rebalance completed: ${
+          results.filter((result) => result.status === "swapped").length
+        } of ${results.length} lineups changed`
+      );
+
+      return {
+        entries: results,
+        summary: {
+          algorithm: "rebalance",
+          entries: results.length,
+          changed: results.filter((result) => result.status === "swapped")
+            .length,
+          incomplete: results.filter((result) => result.status === "incomplete")
+            .length,
+          swaps: results.reduce((sum, result) => sum + result.swaps.length, 0),
+          rounds,
+          targetsMet: targets.filter((target) => this._isMet(target, counts))
+            .length,
+          targets: targets.map((target) =>
+            this._getTargetReport(
+              target,
+              before.get(target.key),
+              counts.get(target.key) || 0,
+              active.length
+            )
+          ),
+        },
+      };
+    } catch (error) {
+      this.updateStatus(`Error: ${error.message}`);
+      this.updateProgress(100, "error");
+      this.debugLog(`Rebalance error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * An entry as one pool candidate per slot; unmatched players become fixed
+   * picks. Entries that don't fill every slot are left alone.
+   */
+  _planRebalance(entry, slots, index) {
+    const picks = slots.map(() => null);
+    const fixed = new Set();
+    const unresolved = [];
+    const entryPlayers = [
+      { player: entry.cpt, position: "CPT" },
+      ...(entry.players || []).map((player) => ({
+        player,
+        position: player?.position,
+      })),
+    ];
+
+    entryPlayers.forEach(({ player, position }) => {
+      if (!player) return;
+      const slotIndex = slots.findIndex(
+        (slot, i) => slot.position === position && !picks[i]
+      );
+      if (slotIndex === -1) return;
+
+      const poolPlayer = this._resolveEntryPlayer(player, position, index);
+      const candidate = poolPlayer
+        ? slots[slotIndex].candidates.find(
+            (option) => option.player.id === poolPlayer.id
+          )
+        : null;
+      if (candidate) {
+        picks[slotIndex] = candidate;
+        return;
+      }
+
+      unresolved.push(player.name || String(player.id));
+      fixed.add(slotIndex);
+      picks[slotIndex] = {
+        player: poolPlayer || player,
+        salary: Number(player.salary) || 0,
+        points: 0,
+      };
+    });
+
+    const complete = picks.every(Boolean);
+    return {
+      entry,
+      slots,
+      original: [...picks],
+      picks,
+      fixed,
+      unresolved,
+      complete,
+      keys: complete ? this._getRebalanceKeys(picks) : new Set(),
+      signature: complete ? this._getSignature(picks) : null,
+    };
+  }
+
+  /**
+   * Exposure targets in lineup counts: lo/hi is the allowed range at the
+   * portfolio's size
+   */
+  _getRebalanceTargets(total) {
+    const toRange = ({ min, max, target }) => {
+      if (target !== null && target !== undefined) {
+        const count = Math.round(target * total);
+        return { lo: count, hi: count };
+      }
+      return {
+        lo: Math.max(0, Math.ceil(min * total - EPSILON)),
+        hi: Math.floor(max * total + EPSILON),
+      };
+    };
+
+    const targets = [];
+    this.playerExposures.forEach((exposure) => {
+      const player =
+        this.playerPool.find((p) => String(p.id) === String(exposure.id)) ||
+        this.playerPool.find(
+          (p) => normalize(p.name) === normalize(exposure.name)
+        );
+      if (!player) return;
+      targets.push({
+        key: `player:${player.id}`,
+        type: "player",
+        label: player.name,
+        ...exposure,
+        ...toRange(exposure),
+      });
+    });
+    this.teamExposures.forEach((exposure) => {
+      targets.push({
+        key: `team:${normalize(exposure.team)}`,
+        type: "team",
+        label: exposure.team,
+        ...exposure,
+        ...toRange(exposure),
+      });
+    });
+    this.teamStackExposures.forEach((exposure) => {
+      targets.push({
+        key: `stack:${normalize(exposure.team)}_${exposure.stackSize}`,
+        type: "stack",
+        label: `${exposure.team} ${exposure.stackSize}-stack`,
+        ...exposure,
+        ...toRange(exposure),
+      });
+    });
+    this.groupExposures.forEach((exposure) => {
+      targets.push({
+        key: `group:${exposure.id}`,
+        type: "group",
+        label: exposure.name,
+        min: exposure.min,
+        max: exposure.max,
+        ...toRange(exposure),
+      });
+    });
+    this.playerPool.filter(isInactive).forEach((player) => {
+      targets.push({
+        key: `player:${player.id}`,
+        type: "status",
+        label: `${player.name} (${getPlayerStatus(player)})`,
+        min: 0,
+        max: 0,
+        lo: 0,
+        hi: 0,
+      });
+    });
+    return targets;
+  }
+
+  /**
+   * Exposure keys a roster counts towards: its players, teams, team stacks
+   * (every size up to the team's count) and groups
+   */
+  _getRebalanceKeys(picks) {
+    const keys = new Set();
+    const teamCounts = new Map();
+    picks.forEach(({ player }) => {
+      keys.add(`player:${player.id}`);
+      const team = normalize(player.team);
+      teamCounts.set(team, (teamCounts.get(team) || 0) + 1);
+    });
+    teamCounts.forEach((count, team) => {
+      keys.add(`team:${team}`);
+      for (let stackSize = 2; stackSize <= count; stackSize++) {
+        keys.add(`stack:${team}_${stackSize}`);
+      }
+    });
+    this.groupExposures.forEach((group) => {
+      if (picks.some(({ player }) => group.playerIds.has(player.id))) {
+        keys.add(`group:${group.id}`);
+      }
+    });
+    return keys;
+  }
+
+  _getSignature(picks) {
+    return picks
+      .map(({ player }) => String(player.id))
+      .sort()
+      .join("|");
+  }
+
+  _countKeys(counts, keys, delta) {
+    keys.forEach((key) => counts.set(key, (counts.get(key) || 0) + delta));
+  }
+
+  // Lineups short of a target's range or over it
+  _getShortfall(target, count) {
+    return Math.max(0, target.lo - count) + Math.max(0, count - target.hi);
+  }
+
+  _getMissedCount(targets, counts) {
+    return targets.reduce(
+      (sum, target) =>
+        sum + this._getShortfall(target, counts.get(target.key) || 0),
+      0
+    );
+  }
+
+  _isMet(target, counts) {
+    return this._getShortfall(target, counts.get(target.key) || 0) === 0;
+  }
+
+  /**
+   * The swap of `size` players in one lineup that closes the most of the gap
+   * to the targets, best projection change on ties; null when no valid,
+   * unique swap of that size helps
+   */
+  _findBestSwap(plans, slots, targets, counts, signatures, size) {
+    const targetsByKey = new Map();
+    targets.forEach((target) => {
+      if (!targetsByKey.has(target.key)) targetsByKey.set(target.key, []);
+      targetsByKey.get(target.key).push(target);
+    });
+
+    const changeFor = (oldKeys, newKeys) => {
+      let delta = 0;
+      const score = (key, step) => {
+        (targetsByKey.get(key) || []).forEach((target) => {
+          const count = counts.get(key) || 0;
+          delta +=
+            this._getShortfall(target, count + step) -
+            this._getShortfall(target, count);
+        });
+      };
+      oldKeys.forEach((key) => {
+        if (!newKeys.has(key)) score(key, -1);
+      });
+      newKeys.forEach((key) => {
+        if (!oldKeys.has(key)) score(key, 1);
+      });
+      return delta;
+    };
+
+    const options = [];
+    plans.forEach((plan) => {
+      const rosterIds = new Set(plan.picks.map(({ player }) => player.id));
+      const open = slots.map((_, i) => i).filter((i) => !plan.fixed.has(i));
+
+      // Replace the players in `slotIndexes`, one slot at a time
+      const extend = (slotIndexes, picks, used) => {
+        if (slotIndexes.length === 0) {
+          const keys = this._getRebalanceKeys(picks);
+          const delta = changeFor(plan.keys, keys);
+          if (delta >= 0) return;
+          options.push({
+            plan,
+            picks,
+            keys,
+            delta,
+            pointsChange: picks.reduce(
+              (sum, pick, i) => sum + pick.points - plan.picks[i].points,
+              0
+            ),
+          });
+          return;
+        }
+        const [i, ...rest] = slotIndexes;
+        slots[i].candidates.forEach((candidate) => {
+          if (rosterIds.has(candidate.player.id)) return;
+          if (used.has(candidate.player.id)) return;
+          if (isInactive(candidate.player)) return;
+          const next = [...picks];
+          next[i] = candidate;
+          extend(rest, next, new Set([...used, candidate.player.id]));
+        });
+      };
+
+      open.forEach((i, a) => {
+        if (size === 1) {
+          extend([i], plan.picks, new Set());
+          return;
+        }
+        open.slice(a + 1).forEach((j) => {
+          extend([i, j], plan.picks, new Set());
+        });
+      });
+    });
+
+    options.sort(
+      (a, b) =>
+        a.delta - b.delta ||
+        b.pointsChange - a.pointsChange ||
+        String(a.plan.entry.id).localeCompare(String(b.plan.entry.id))
+    );
+
+    for (const option of options) {
+      const signature = this._getSignature(option.picks);
+      if ((signatures.get(signature) || 0) > 0) continue;
+      if (!this._isValidLineup(this._createExactLineup(option, 0), [])) {
+        continue;
+      }
+      const changes = [];
+      option.picks.forEach((pick, i) => {
+        const current = option.plan.picks[i];
+        if (pick === current) return;
+        changes.push({ out: current.player.name, in: pick.player.name });
+      });
+      return { ...option, signature, changes };
+    }
+    return null;
+  }
+
+  // An entry's net swaps, slot by slot, and its rebalanced roster
+  _getRebalanceResult(plan) {
+    const { entry, slots, original, picks, unresolved, complete } = plan;
+    const points = (list) =>
+      complete ? list.reduce((sum, pick) => sum + pick.points, 0) : 0;
+    const base = {
+      id: entry.id,
+      name: entry.name,
+      unresolved,
+      previousProjection: points(original),
+    };
+
+    if (!complete) {
+      return {
+        ...base,
+        status: "incomplete",
+        swaps: [],
+        projection: base.previousProjection,
+        lineup: entry,
+      };
+    }
+
+    const swaps = [];
+    picks.forEach((pick, i) => {
+      const before = original[i];
+      if (before.player.id === pick.player.id) return;
+      swaps.push({
+        slot: slots[i].position,
+        out: before.player.name,
+        in: pick.player.name,
+        salaryChange: pick.salary - before.salary,
+        pointsChange: Math.round((pick.points - before.points) * 100) / 100,
+      });
+    });
+
+    return {
+      ...base,
+      status: swaps.length > 0 ? "swapped" : "unchanged",
+      swaps,
+      projection: points(picks),
+      lineup: swaps.length > 0 ? this._toSwapLineup(entry, { picks }) : entry,
+    };
+  }
+
+  _getTargetReport(target, before, after, total) {
+    const percent = (count) => (total > 0 ? (count / total) * 100 : 0);
+    return {
+      type: target.type,
+      label: target.label,
+      min: Math.round(target.min * 100),
+      max: Math.round(target.max * 100),
+      target:
+        target.target !== null && target.target !== undefined
+          ? Math.round(target.target * 100)
+          : null,
+      before: { count: before, exposure: percent(before) },
+      after: { count: after, exposure: percent(after) },
+      met: this._getShortfall(target, after) === 0,
+    };
+  }
+}
+
+module.exports = PortfolioRebalancer;
@@ -11,6 +11,7 @@
  */
 
 const AdvancedOptimizer = require("./AdvancedOptimizer");
+const { getCaptainSalary, getCaptainProjection } = require("./captain");
 
 class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
   constructor(config = {}) {
@@ -171,7 +172,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
   async _generateInitialSolution() {
     // Use current optimizer to generate a good starting lineup
     const lineup = await this._buildLineup([]);
-    return lineup;
+    return this._repairLineupRules(lineup) ?? lineup;
   }
 
   /**
@@ -288,7 +289,9 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
 
     for (let i = 0; i < neighborhoodSize; i++) {
       try {
-        const neighbor = await this._generateSingleNeighbor(solution);
+        const neighbor = this._repairLineupRules(
+          await this._generateSingleNeighbor(solution)
+        );
         if (neighbor && this._isValidLineup(neighbor, [])) {
           neighbors.push(neighbor);
         }
@@ -316,7 +319,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
       "balance_exposure",
     ];
 
-    const moveType = moveTypes[Math.floor(Math.random() * moveTypes.length)];
+    const moveType = moveTypes[Math.floor(this.random() * moveTypes.length)];
 
     switch (moveType) {
       case "swap_player":
@@ -345,7 +348,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
   async _neighborSwapPlayer(lineup) {
     const positions = lineup.players.map((p) => p.position);
     const randomPosition =
-      positions[Math.floor(Math.random() * positions.length)];
+      positions[Math.floor(this.random() * positions.length)];
 
     // Find current player in that position
     const currentPlayer = lineup.players.find(
@@ -414,16 +417,20 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
 
         if (!playerData || !bestData) return best;
 
-        const playerCeiling =
-          this._safeParseFloat(playerData.projectedPoints, 0) * 1.5; // Captain multiplier
-        const bestCeiling =
-          this._safeParseFloat(bestData.projectedPoints, 0) * 1.5;
+        const playerCeiling = getCaptainProjection(playerData);
+        const bestCeiling = getCaptainProjection(bestData);
 
         return playerCeiling > bestCeiling ? player : best;
       });
 
       if (bestCandidate) {
         const oldCaptain = lineup.cpt;
+        const originalPlayer = this.playerPool.find(
+          (p) => p.id === bestCandidate.id
+        );
+        const oldCaptainPlayer = this.playerPool.find(
+          (p) => p.id === oldCaptain.id
+        );
 
         // Make the player captain
         lineup.cpt = {
@@ -432,16 +439,13 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
           position: "CPT",
           team: bestCandidate.team,
           opponent: this._getTeamOpponent(bestCandidate.team),
-          salary: Math.round(bestCandidate.salary * 1.5),
+          salary: getCaptainSalary(originalPlayer || bestCandidate),
         };
 
         // Replace the player with old captain
         const playerIndex = lineup.players.findIndex(
           (p) => p.id === bestCandidate.id
         );
-        const originalPlayer = this.playerPool.find(
-          (p) => p.id === bestCandidate.id
-        );
 
         lineup.players[playerIndex] = {
           id: oldCaptain.id,
@@ -451,7 +455,9 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
             : bestCandidate.position,
           team: oldCaptain.team,
           opponent: this._getTeamOpponent(oldCaptain.team),
-          salary: Math.round(oldCaptain.salary / 1.5),
+          salary: oldCaptainPlayer
+            ? this._safeParseFloat(oldCaptainPlayer.salary, 0)
+            : Math.round(oldCaptain.salary / 1.5),
         };
       }
     }
@@ -476,7 +482,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
 
     if (stackableTeams.length > 0) {
       const targetTeam =
-        stackableTeams[Math.floor(Math.random() * stackableTeams.length)];
+        stackableTeams[Math.floor(this.random() * stackableTeams.length)];
 
       // Try to replace a non-stack player with a stack player
       const nonStackPlayers = lineup.players.filter(
@@ -491,7 +497,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
 
       if (nonStackPlayers.length > 0 && stackCandidates.length > 0) {
         const targetPlayer =
-          nonStackPlayers[Math.floor(Math.random() * nonStackPlayers.length)];
+          nonStackPlayers[Math.floor(this.random() * nonStackPlayers.length)];
         const replacement = stackCandidates.find(
           (p) => p.position === targetPlayer.position
         );
@@ -550,7 +556,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
       if (upgradeablePositions.length > 0) {
         const targetPlayer =
           upgradeablePositions[
-            Math.floor(Math.random() * upgradeablePositions.length)
+            Math.floor(this.random() * upgradeablePositions.length)
           ];
         const upgrades = this.playerPool.filter(
           (p) =>
@@ -628,7 +634,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
     if (overexposedPlayers.length > 0) {
       const overexposedPlayer =
         overexposedPlayers[
-          Math.floor(Math.random() * overexposedPlayers.length)
+          Math.floor(this.random() * overexposedPlayers.length)
         ];
 
       // Find alternatives for this position
@@ -655,7 +661,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
 
       if (underexposedAlts.length > 0) {
         const replacement =
-          underexposedAlts[Math.floor(Math.random() * underexposedAlts.length)];
+          underexposedAlts[Math.floor(this.random() * underexposedAlts.length)];
 
         if (overexposedPlayer.player.position === "CPT") {
           lineup.cpt = {
@@ -664,9 +670,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
             position: "CPT",
             team: replacement.team,
             opponent: this._getTeamOpponent(replacement.team),
-            salary: Math.round(
-              this._safeParseFloat(replacement.salary, 0) * 1.5
-            ),
+            salary: getCaptainSalary(replacement),
           };
         } else {
           const playerIndex = lineup.players.findIndex(
@@ -703,7 +707,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
       return false;
     }
 
-    return Math.random() < acceptanceProbability;
+    return this.random() < acceptanceProbability;
   }
 
   /**
@@ -723,8 +727,7 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
     let totalProjection = 0;
     const cptPlayer = this.playerPool.find((p) => p.id === lineup.cpt.id);
     if (cptPlayer) {
-      totalProjection +=
-        this._safeParseFloat(cptPlayer.projectedPoints, 0) * 1.5;
+      totalProjection += getCaptainProjection(cptPlayer);
     }
 
     lineup.players.forEach((player) => {
@@ -848,12 +851,14 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
   async _generateVariationsFromBest(count) {
     const variations = [];
 
-    if (!this.bestSolution) {
+    if (!this.bestSolution?.cpt) {
       return variations;
     }
 
-    // Add the best solution itself
-    variations.push({ ...this.bestSolution });
+    // Add the best solution itself (an unrepaired start may break the rules)
+    if (this._getLineupViolations(this.bestSolution).length === 0) {
+      variations.push({ ...this.bestSolution });
+    }
 
     // Generate variations by applying small modifications
     for (let i = 1; i < count; i++) {
@@ -861,13 +866,14 @@ class SimulatedAnnealingOptimizer extends AdvancedOptimizer {
         const variation = JSON.parse(JSON.stringify(this.bestSolution));
 
         // Apply 1-2 random modifications
-        const modCount = Math.random() < 0.7 ? 1 : 2;
+        const modCount = this.random() < 0.7 ? 1 : 2;
         for (let mod = 0; mod < modCount; mod++) {
           await this._generateSingleNeighbor(variation);
         }
 
-        if (this._isValidLineup(variation, variations)) {
-          variations.push(variation);
+        const repaired = this._repairLineupRules(variation);
+        if (repaired && this._isValidLineup(repaired, variations)) {
+          variations.push(repaired);
         }
       } catch (error) {
         // Skip failed variations
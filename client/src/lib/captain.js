@@ -0,0 +1,171 @@
+/**
+ * Captain (CPT) slot values
+ *
+ * DraftKings lists the showdown captain as a player of its own, with its own
+ * salary, ID, ownership and projection. Players carry those as cptSalary,
+ * cptDraftKingsId, cptOwnership and cptProjectedPoints when a source provides
+ * them; otherwise the captain is the flex player at 1.5x salary and points
+ * with the flex ownership.
+ */
+
+const CAPTAIN_MULTIPLIER = 1.5;
+
+// Positions DraftKings allows in the CPT slot
+const CAPTAIN_POSITIONS = ["TOP", "JNG", "MID", "ADC"];
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const number = parseFloat(String(value).replace("%", ""));
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * CPT columns of an imported projections row; only the fields the row
+ * provides are returned
+ */
+const readCaptainColumns = (row = {}) => {
+  const pick = (columns) => {
+    for (const column of columns) {
+      const value = toNumber(row[column]);
+      if (value !== null) return value;
+    }
+    return null;
+  };
+
+  const fields = {};
+  const salary = pick(["cptSalary", "CPT Salary", "CPT_Salary"]);
+  const projection = pick([
+    "cptProjectedPoints",
+    "CPT Proj",
+    "CPT Projection",
+    "CPT FPTS",
+    "CPT_Proj",
+  ]);
+  const ownership = pick([
+    "cptOwnership",
+    "CPT Own",
+    "CPT Ownership",
+    "CPT_Own",
+  ]);
+  const id = row.cptDraftKingsId || row["CPT ID"] || row["CPT_ID"];
+
+  if (salary !== null && salary > 0) fields.cptSalary = Math.round(salary);
+  if (projection !== null && projection > 0) {
+    fields.cptProjectedPoints = projection;
+  }
+  if (ownership !== null) fields.cptOwnership = ownership;
+  if (id) fields.cptDraftKingsId = String(id).trim();
+  return fields;
+};
+
+// True for a row that lists the CPT slot as its own player
+const isCaptainRow = (row = {}) =>
+  [
+    row["Roster Position"],
+    row.rosterPosition,
+    row.position,
+    row.Position,
+    row.POS,
+    row.Pos,
+  ].some((value) => String(value ?? "").trim() === "CPT");
+
+// Captain fields of a CPT row parsed like a flex player (id only when the
+// file lists one)
+const toCaptainRow = (
+  { name, team, salary, projectedPoints, ownership },
+  id
+) => ({
+  name,
+  team,
+  cptSalary: salary > 0 ? salary : undefined,
+  cptProjectedPoints: projectedPoints > 0 ? projectedPoints : undefined,
+  cptOwnership: ownership > 0 ? ownership : undefined,
+  cptDraftKingsId: id ? String(id) : undefined,
+});
+
+/**
+ * Fold captain rows into the matching flex players (by name and team, then
+ * name). Captain rows carry { name, team, cptSalary, cptProjectedPoints,
+ * cptOwnership, cptDraftKingsId }; fields a captain row leaves out keep the
+ * flex player's values
+ * @returns {Array} names of captain rows without a flex player
+ */
+const applyCaptainRows = (players, captainRows) => {
+  const normalize = (value) =>
+    String(value ?? "")
+      .trim()
+      .toLowerCase();
+  const byNameAndTeam = new Map();
+  const byName = new Map();
+  players.forEach((player) => {
+    byNameAndTeam.set(
+      `${normalize(player.name)}|${normalize(player.team)}`,
+      player
+    );
+    if (!byName.has(normalize(player.name))) {
+      byName.set(normalize(player.name), player);
+    }
+  });
+
+  const unmatched = [];
+  captainRows.forEach(({ name, team, ...fields }) => {
+    const player =
+      byNameAndTeam.get(`${normalize(name)}|${normalize(team)}`) ||
+      byName.get(normalize(name));
+    if (!player) {
+      unmatched.push(name);
+      return;
+    }
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value !== null && value !== undefined) player[field] = value;
+    });
+  });
+  return unmatched;
+};
+
+// CPT salary: the listed one, else 1.5x the flex salary
+const getCaptainSalary = (player = {}) => {
+  const salary = toNumber(player.cptSalary);
+  return salary > 0
+    ? salary
+    : Math.round((toNumber(player.salary) || 0) * CAPTAIN_MULTIPLIER);
+};
+
+// CPT projection: the listed one, else 1.5x the flex projection
+const getCaptainProjection = (player = {}) => {
+  const projection = toNumber(player.cptProjectedPoints);
+  return projection > 0
+    ? projection
+    : (toNumber(player.projectedPoints) || 0) * CAPTAIN_MULTIPLIER;
+};
+
+/**
+ * Points multiplier for the player in the CPT slot, applied to simulated
+ * flex scores so the captain's mean matches its projection
+ */
+const getCaptainMultiplier = (player = {}) => {
+  const projection = toNumber(player.cptProjectedPoints);
+  const flexProjection = toNumber(player.projectedPoints);
+  return projection > 0 && flexProjection > 0
+    ? projection / flexProjection
+    : CAPTAIN_MULTIPLIER;
+};
+
+// CPT-slot ownership, else the flex ownership
+const getCaptainOwnership = (player = {}) => {
+  const ownership = toNumber(player.cptOwnership);
+  return ownership !== null ? ownership : toNumber(player.ownership) || 0;
+};
+
+module.exports = {
+  CAPTAIN_MULTIPLIER,
+  CAPTAIN_POSITIONS,
+  readCaptainColumns,
+  isCaptainRow,
+  toCaptainRow,
+  applyCaptainRows,
+  getCaptainSalary,
+  getCaptainProjection,
+  getCaptainMultiplier,
+  getCaptainOwnership,
+};
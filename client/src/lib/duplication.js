@@ -0,0 +1,103 @@
+/**
+ * Lineup duplication estimate
+ *
+ * How many other entries in a field are expected to play the same lineup.
+ * A random entry picks each roster slot at its projected ownership (the
+ * captain at its CPT ownership), so it matches a lineup with the product of
+ * those ownerships. Fields rarely leave salary unused, so that product is
+ * scaled up for lineups near the cap and down for lineups well below it.
+ *
+ * Shared by the optimizers, the ROI calculator, the lineup views and
+ * LineupService, so it stays free of server dependencies.
+ */
+
+const { getCaptainOwnership, getCaptainSalary } = require("./captain");
+
+const DEFAULT_FIELD_SIZE = 1176;
+const MIN_OWNERSHIP = 0.1; // % floor so a 0% projection isn't a 0% chance
+const SALARY_PEAK = 1.6; // Salary factor for a lineup at the cap
+const SALARY_DECAY = 2.5; // % of the cap left per e-fold drop in the factor
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Ownership (%) and salary of every roster slot, from the pool player when
+ * one matches by id or name, else from the slot itself
+ */
+const getSlots = (lineup, players = []) => {
+  const poolPlayerFor = (slot) =>
+    players.find((p) => p.id === slot.id) ||
+    players.find((p) => p.name === slot.name);
+
+  const slots = [];
+  if (lineup?.cpt) {
+    const poolPlayer = poolPlayerFor(lineup.cpt);
+    slots.push({
+      ownership: poolPlayer
+        ? getCaptainOwnership(poolPlayer)
+        : getCaptainOwnership(lineup.cpt),
+      salary:
+        toNumber(lineup.cpt.salary) ||
+        (poolPlayer ? getCaptainSalary(poolPlayer) : 0),
+    });
+  }
+  (lineup?.players || []).forEach((slot) => {
+    if (!slot) return;
+    const poolPlayer = poolPlayerFor(slot);
+    slots.push({
+      ownership:
+        toNumber(poolPlayer?.ownership) ?? toNumber(slot.ownership) ?? 0,
+      salary: toNumber(slot.salary) || toNumber(poolPlayer?.salary) || 0,
+    });
+  });
+  return slots;
+};
+
+/**
+ * Chance that one field entry is this exact lineup
+ * @param {Object} lineup - { cpt, players }
+ * @param {Object} options - { players, salaryCap }
+ */
+const getDuplicationProbability = (lineup, options = {}) => {
+  const slots = getSlots(lineup, options.players);
+  if (slots.length === 0) return 0;
+
+  const probability = slots.reduce(
+    (product, slot) =>
+      product * (Math.max(slot.ownership, MIN_OWNERSHIP) / 100),
+    1
+  );
+
+  const salaryCap = toNumber(options.salaryCap);
+  const salary = slots.reduce((sum, slot) => sum + slot.salary, 0);
+  if (!salaryCap || salary <= 0) return Math.min(1, probability);
+
+  const salaryLeft = (Math.max(0, salaryCap - salary) / salaryCap) * 100;
+  return Math.min(
+    1,
+    probability * SALARY_PEAK * Math.exp(-salaryLeft / SALARY_DECAY)
+  );
+};
+
+/**
+ * Expected number of other entries with the same lineup
+ * @param {Object} lineup - { cpt, players }; slots may carry ownership and
+ *   salary, pool players override the ownership
+ * @param {Object} options - { fieldSize, salaryCap, players }
+ * @returns {number}
+ */
+const estimateDuplicates = (lineup, options = {}) => {
+  const fieldSize = parseInt(options.fieldSize) || DEFAULT_FIELD_SIZE;
+  return (
+    Math.max(0, fieldSize - 1) * getDuplicationProbability(lineup, options)
+  );
+};
+
+module.exports = {
+  DEFAULT_FIELD_SIZE,
+  getDuplicationProbability,
+  estimateDuplicates,
+};
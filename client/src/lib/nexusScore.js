@@ -0,0 +1,200 @@
+/**
+ * NexusScore
+ *
+ * One lineup score shared by the optimizers, LineupService and the
+ * calibration in src/services/NexusScoreService.js. A formula version is a
+ * set of weights over four components:
+ *
+ *   projection  base projection / 10, times the consistency factor
+ *   leverage    the projection term times (leverage factor - 1), so a weight
+ *               of 1 multiplies the projection by the leverage factor
+ *   stack       stack bonus (larger stacks, scaled by the primary Stack+)
+ *   position    captain position impact
+ *
+ * score = offset + sum(weight * component), clamped to the version's range.
+ * Version 1.0 is the original hand-set optimizer formula.
+ */
+
+const { getCaptainOwnership, getCaptainProjection } = require("./captain");
+
+// Captain position impact (ceiling and volatility)
+const POSITION_IMPACT = {
+  MID: 2,
+  ADC: 1.8,
+  JNG: 1.5,
+  TOP: 1.2,
+  SUP: 1.0,
+  TEAM: 0.8,
+};
+
+const COMPONENT_KEYS = ["projection", "leverage", "stack", "position"];
+
+const NEXUS_FORMULAS = {
+  "1.0": {
+    version: "1.0",
+    name: "Original",
+    description:
+      "Hand-set weights: projection x leverage x consistency, plus half the stack and captain position bonuses",
+    weights: { projection: 1, leverage: 1, stack: 0.5, position: 0.5 },
+    offset: 0,
+    range: [25, 65],
+  },
+};
+
+const DEFAULT_FORMULA_VERSION = "1.0";
+
+const toNumber = (value, fallback = 0) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Formula for a version string or a { weights, offset, range } object;
+ * anything else falls back to the default version
+ */
+const resolveFormula = (formula) => {
+  if (formula && typeof formula === "object" && formula.weights) {
+    return { version: null, offset: 0, range: null, ...formula };
+  }
+  return NEXUS_FORMULAS[formula] || NEXUS_FORMULAS[DEFAULT_FORMULA_VERSION];
+};
+
+/**
+ * Raw lineup measurements the components are built from
+ * @param {Object} lineup - { cpt, players }
+ * @param {Object} options - { players (pool), stackPlusModifier,
+ *   simulation ({ median, p10, p90 }) }
+ */
+const getNexusComponents = (lineup, options = {}) => {
+  const pool = options.players || [];
+  const byId = new Map(pool.map((player) => [player.id, player]));
+  const poolPlayerFor = (slot) =>
+    byId.get(slot?.id) || pool.find((p) => p.name === slot?.name) || slot;
+
+  // 1. Projection, the captain at its CPT projection
+  const cptPlayer = lineup.cpt ? poolPlayerFor(lineup.cpt) : null;
+  const flexPlayers = (lineup.players || []).filter(Boolean).map(poolPlayerFor);
+  let baseProjection = cptPlayer ? getCaptainProjection(cptPlayer) : 0;
+  flexPlayers.forEach((player) => {
+    baseProjection += toNumber(player.projectedPoints);
+  });
+
+  // 2. Ownership leverage against the pool's average ownership:
+  // 0.5 at 2x the average, 1.5 at 0.5x
+  const ownerships = [
+    ...(cptPlayer ? [getCaptainOwnership(cptPlayer)] : []),
+    ...flexPlayers.map((player) => toNumber(player.ownership)),
+  ];
+  const avgOwnership =
+    ownerships.length > 0
+      ? ownerships.reduce((sum, own) => sum + own, 0) / ownerships.length
+      : 0;
+  const fieldAvgOwnership =
+    pool.length > 0
+      ? pool.reduce((sum, p) => sum + toNumber(p.ownership), 0) / pool.length
+      : avgOwnership;
+  const ownershipRatio =
+    fieldAvgOwnership > 0 ? avgOwnership / fieldAvgOwnership : 1;
+  const leverageFactor = Math.max(0.5, Math.min(1.5, 2 - ownershipRatio));
+
+  // 3. Stacks of 3+, growing faster than linearly
+  const teamCounts = {};
+  if (lineup.cpt?.team) teamCounts[lineup.cpt.team] = 1;
+  (lineup.players || []).forEach((player) => {
+    if (player?.team) {
+      teamCounts[player.team] = (teamCounts[player.team] || 0) + 1;
+    }
+  });
+  const stackPlusModifier = toNumber(options.stackPlusModifier, 1);
+  let stackBonus = 0;
+  Object.values(teamCounts).forEach((count) => {
+    if (count >= 3) stackBonus += Math.pow(count - 2, 1.5) * 3;
+  });
+  stackBonus *= stackPlusModifier;
+
+  // 4. Captain position, double impact
+  const positionBonus = cptPlayer
+    ? (POSITION_IMPACT[cptPlayer.position] || 1) * 2
+    : 0;
+
+  // 5. Consistency from simulated outcomes: a slight bonus for moderate
+  // volatility, peaking at CV 0.25 and dipping at CV 0.5
+  let consistencyFactor = 1;
+  const simulation = options.simulation;
+  if (simulation) {
+    const mean = simulation.median || baseProjection;
+    const stdDev =
+      simulation.p90 && simulation.p10
+        ? (simulation.p90 - simulation.p10) / 2.56
+        : 0;
+    const cv = mean > 0 ? stdDev / mean : 0;
+    consistencyFactor = 1 + 0.2 * Math.sin(Math.PI * (cv * 2));
+  }
+
+  return {
+    baseProjection,
+    leverageFactor,
+    avgOwnership,
+    fieldAvgOwnership,
+    stackBonus,
+    positionBonus,
+    consistencyFactor,
+    stackPlusModifier,
+    teamStacks: Object.entries(teamCounts)
+      .filter(([, count]) => count >= 2)
+      .map(([team, count]) => `${team} (${count})`)
+      .join(", "),
+  };
+};
+
+// The weighted terms of a formula, from getNexusComponents output
+const getNexusFeatures = (components) => {
+  const projection =
+    (components.baseProjection / 10) * components.consistencyFactor;
+  return {
+    projection,
+    leverage: projection * (components.leverageFactor - 1),
+    stack: components.stackBonus,
+    position: components.positionBonus,
+  };
+};
+
+// Score of already computed components under a formula (1 decimal)
+const scoreNexusComponents = (components, formula) => {
+  const { weights, offset, range } = resolveFormula(formula);
+  const features = getNexusFeatures(components);
+  let score = offset || 0;
+  COMPONENT_KEYS.forEach((key) => {
+    score += (weights[key] || 0) * features[key];
+  });
+  if (range) score = Math.min(range[1], Math.max(range[0], score));
+  return Math.round(score * 10) / 10;
+};
+
+/**
+ * NexusScore of a lineup
+ * @param {Object} lineup - { cpt, players }
+ * @param {Object} options - getNexusComponents options plus `formula`
+ *   (a version or a { weights, offset, range } object)
+ * @returns {Object} { score, components, version }
+ */
+const calculateNexusScore = (lineup, options = {}) => {
+  const formula = resolveFormula(options.formula);
+  const components = getNexusComponents(lineup, options);
+  return {
+    score: scoreNexusComponents(components, formula),
+    components,
+    version: formula.version || null,
+  };
+};
+
+module.exports = {
+  NEXUS_FORMULAS,
+  DEFAULT_FORMULA_VERSION,
+  COMPONENT_KEYS,
+  resolveFormula,
+  getNexusComponents,
+  getNexusFeatures,
+  scoreNexusComponents,
+  calculateNexusScore,
+};
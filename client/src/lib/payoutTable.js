@@ -0,0 +1,23 @@
+/**
+ * Payout table
+ * Expands payout tiers ({ minPlace, maxPlace, payout }) into a prize per
+ * finishing place. Shared by the server-side simulators
+ * (src/simulation/payouts.js) and the client ROI calculator, so both pay from
+ * the same table.
+ */
+
+// Expand tiers into a prize per place (index 0 = 1st place)
+function expandPayoutTable(tiers, fieldSize) {
+  const table = new Array(fieldSize).fill(0);
+  tiers.forEach((tier) => {
+    const end = Math.min(tier.maxPlace, fieldSize);
+    for (let place = tier.minPlace; place <= end; place++) {
+      table[place - 1] = tier.payout;
+    }
+  });
+  return table;
+}
+
+module.exports = {
+  expandPayoutTable,
+};
@@ -0,0 +1,271 @@
+/**
+ * Player score distributions for the optimizers and simulators
+ *
+ * A distribution is a set of percentile knots joined linearly in z-score
+ * space: the projection is the median and floor/ceiling are read as p10/p90.
+ * A player with only a median and standard deviation is a plain normal;
+ * extra percentiles from the source bend it toward the reported shape.
+ */
+
+// z-score of the 90th percentile
+const Z_90 = 1.2816;
+
+// Smallest standard deviation estimated from a projection alone
+const MIN_STD_DEV = 3;
+
+// Standard deviation as a share of the projection when a source gives no
+// spread: MID/ADC swing the most, SUP the least
+const POSITION_VOLATILITY = {
+  MID: 0.4,
+  ADC: 0.4,
+  TOP: 0.35,
+  JNG: 0.35,
+  SUP: 0.25,
+  TEAM: 0.3,
+};
+const DEFAULT_VOLATILITY = 0.35;
+
+// Percentile columns: p25, P75, pct90, 95th
+const PERCENTILE_COLUMN = /^(?:p|pct)(\d{1,2})$|^(\d{1,2})th$/i;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+const inverseNormalCdf = (p) => {
+  const a = [
+    -39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269,
+    -30.66479806614716, 2.506628277459239,
+  ];
+  const b = [
+    -54.47609879822406, 161.5858368580409, -155.6989798598866,
+    66.80131188771972, -13.28068155288572,
+  ];
+  const c = [
+    -0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783,
+  ];
+  const d = [
+    0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+    3.754408661907416,
+  ];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (
+      (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+    );
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(
+      (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+    );
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (
+    ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) *
+      q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+  );
+};
+
+/**
+ * Floor, ceiling, standard deviation and percentile columns of an imported
+ * row; only the fields the row provides are returned
+ */
+const readDistributionColumns = (row = {}) => {
+  const pick = (columns) => {
+    for (const column of columns) {
+      const value = toNumber(row[column]);
+      if (value !== null) return value;
+    }
+    return null;
+  };
+
+  const fields = {};
+  const floor = pick(["floor", "Floor", "FLOOR"]);
+  const ceiling = pick(["ceiling", "Ceiling", "CEILING", "Ceil"]);
+  const stdDev = pick(["stdDev", "StdDev", "STDDEV", "Std Dev", "SD", "sd"]);
+  if (floor !== null) fields.floor = floor;
+  if (ceiling !== null) fields.ceiling = ceiling;
+  if (stdDev !== null && stdDev > 0) fields.stdDev = stdDev;
+
+  const percentiles = {};
+  Object.keys(row).forEach((column) => {
+    const match = PERCENTILE_COLUMN.exec(column.trim());
+    if (!match) return;
+    const percentile = parseInt(match[1] || match[2]);
+    const value = toNumber(row[column]);
+    if (percentile > 0 && percentile < 100 && value !== null) {
+      percentiles[percentile] = value;
+    }
+  });
+  if (Object.keys(percentiles).length > 0) fields.percentiles = percentiles;
+
+  return fields;
+};
+
+// True when the player carries any spread beyond its projection
+const hasDistributionData = (player = {}) =>
+  toNumber(player.floor) !== null ||
+  toNumber(player.ceiling) !== null ||
+  toNumber(player.stdDev) > 0 ||
+  Object.keys(player.percentiles || {}).length > 0;
+
+/**
+ * Distribution for a player or projection ({ projectedPoints | median,
+ * floor, ceiling, stdDev, percentiles, position })
+ * @returns {Object} { median, stdDev, floor, ceiling, knots, source } where
+ *   source is "percentiles", "range" (floor/ceiling), "stdDev" or "position"
+ *   (estimated from the position's volatility)
+ */
+const buildPlayerDistribution = (player = {}) => {
+  const median = Math.max(
+    0,
+    toNumber(player.projectedPoints ?? player.median) ?? 0
+  );
+
+  // The projection is authoritative for the median; floor/ceiling only count
+  // on the right side of it
+  const knots = new Map([[0.5, median]]);
+  Object.entries(player.percentiles || {}).forEach(([percentile, value]) => {
+    const p = Number(percentile) / 100;
+    const number = toNumber(value);
+    if (p > 0 && p < 1 && p !== 0.5 && number !== null) knots.set(p, number);
+  });
+  const hasPercentiles = knots.size > 1;
+
+  const floor = toNumber(player.floor);
+  const ceiling = toNumber(player.ceiling);
+  if (floor !== null && floor <= median && !knots.has(0.1)) {
+    knots.set(0.1, floor);
+  }
+  if (ceiling !== null && ceiling >= median && !knots.has(0.9)) {
+    knots.set(0.9, ceiling);
+  }
+
+  let stdDev = toNumber(player.stdDev) > 0 ? toNumber(player.stdDev) : null;
+  const source = hasPercentiles
+    ? "percentiles"
+    : knots.size > 1
+      ? "range"
+      : stdDev
+        ? "stdDev"
+        : "position";
+
+  if (stdDev === null) {
+    // Average spread the knots imply, else the position estimate
+    const spreads = [...knots]
+      .filter(([p]) => p !== 0.5)
+      .map(
+        ([p, value]) => Math.abs(value - median) / Math.abs(inverseNormalCdf(p))
+      )
+      .filter((spread) => spread > 0);
+    stdDev =
+      spreads.length > 0
+        ? spreads.reduce((sum, spread) => sum + spread, 0) / spreads.length
+        : Math.max(
+            median *
+              (POSITION_VOLATILITY[player.position] ?? DEFAULT_VOLATILITY),
+            MIN_STD_DEV
+          );
+  }
+
+  // A side without knots mirrors the standard deviation
+  if (![...knots.keys()].some((p) => p < 0.5)) {
+    knots.set(0.1, Math.max(0, median - Z_90 * stdDev));
+  }
+  if (![...knots.keys()].some((p) => p > 0.5)) {
+    knots.set(0.9, median + Z_90 * stdDev);
+  }
+
+  // Sorted and non-decreasing, so the quantile function is monotonic
+  let previous = -Infinity;
+  const sortedKnots = [...knots]
+    .sort(([a], [b]) => a - b)
+    .map(([p, value]) => {
+      previous = Math.max(previous, value);
+      return { p, z: inverseNormalCdf(p), value: previous };
+    });
+
+  const distribution = { median, stdDev, knots: sortedKnots, source };
+  distribution.floor = getQuantile(distribution, 0.1);
+  distribution.ceiling = getQuantile(distribution, 0.9);
+  return distribution;
+};
+
+/**
+ * Score at cumulative probability `u`; tails extend the outer segments
+ */
+function getQuantile(distribution, u) {
+  const p = Math.min(1 - 1e-6, Math.max(1e-6, u));
+  const z = inverseNormalCdf(p);
+  const { knots } = distribution;
+
+  let i = 1;
+  while (i < knots.length - 1 && z > knots[i].z) i++;
+  const lower = knots[i - 1];
+  const upper = knots[i];
+  const value =
+    lower.value +
+    ((z - lower.z) * (upper.value - lower.value)) / (upper.z - lower.z);
+
+  return Math.max(0, value);
+}
+
+// One score drawn from the distribution
+const sampleDistribution = (distribution, random = Math.random) =>
+  getQuantile(distribution, random());
+
+/**
+ * Distribution fields from past fantasy scores (floor/ceiling as p10/p90);
+ * null with fewer than two games
+ */
+const summarizeScores = (scores = []) => {
+  const values = scores
+    .map(toNumber)
+    .filter((value) => value !== null)
+    .sort((a, b) => a - b);
+  if (values.length < 2) return null;
+
+  const at = (p) => {
+    const index = p * (values.length - 1);
+    const low = Math.floor(index);
+    const high = Math.ceil(index);
+    return values[low] + (values[high] - values[low]) * (index - low);
+  };
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+    (values.length - 1);
+
+  return {
+    games: values.length,
+    mean,
+    median: at(0.5),
+    floor: at(0.1),
+    ceiling: at(0.9),
+    stdDev: Math.sqrt(variance),
+    percentiles: { 25: at(0.25), 75: at(0.75) },
+  };
+};
+
+module.exports = {
+  Z_90,
+  POSITION_VOLATILITY,
+  inverseNormalCdf,
+  readDistributionColumns,
+  hasDistributionData,
+  buildPlayerDistribution,
+  getQuantile,
+  sampleDistribution,
+  summarizeScores,
+};
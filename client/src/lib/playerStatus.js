@@ -0,0 +1,74 @@
+/**
+ * Player status (late news)
+ *
+ *   starting      confirmed in the team's lineup
+ *   questionable  may not play; stays in the pool, flagged in the UI
+ *   sub           announced as a substitute
+ *   benched       announced out of the lineup
+ *
+ * Players without a status count as starting. Subs and benched players are
+ * inactive: the optimizers and the opponent field leave them out, and saved
+ * lineups holding one get flagged. Shared by the player table, the browser
+ * optimizer and the server.
+ */
+
+const PLAYER_STATUSES = ["starting", "questionable", "sub", "benched"];
+const INACTIVE_STATUSES = ["sub", "benched"];
+const DEFAULT_STATUS = "starting";
+
+// Spellings seen in projection sources and news feeds
+const STATUS_ALIASES = {
+  active: "starting",
+  confirmed: "starting",
+  start: "starting",
+  starter: "starting",
+  q: "questionable",
+  gtd: "questionable",
+  doubtful: "questionable",
+  substitute: "sub",
+  bench: "benched",
+  out: "benched",
+  inactive: "benched",
+};
+
+/**
+ * Known status for a value, or null
+ */
+const normalizeStatus = (value) => {
+  const status = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (PLAYER_STATUSES.includes(status)) return status;
+  return STATUS_ALIASES[status] || null;
+};
+
+const getPlayerStatus = (player) =>
+  normalizeStatus(player?.status) || DEFAULT_STATUS;
+
+const isInactive = (player) =>
+  INACTIVE_STATUSES.includes(getPlayerStatus(player));
+
+// Pool without subs and benched players
+const getActivePlayers = (players = []) =>
+  players.filter((player) => !isInactive(player));
+
+/**
+ * Status column of an imported projections row; empty when the row has none
+ */
+const readStatusColumn = (row = {}) => {
+  const status = normalizeStatus(
+    row.status ?? row.Status ?? row.STATUS ?? row["Player Status"]
+  );
+  return status ? { status } : {};
+};
+
+module.exports = {
+  PLAYER_STATUSES,
+  INACTIVE_STATUSES,
+  DEFAULT_STATUS,
+  normalizeStatus,
+  getPlayerStatus,
+  isInactive,
+  getActivePlayers,
+  readStatusColumn,
+};
@@ -0,0 +1,78 @@
+/**
+ * Showdown team rules
+ *
+ * A roster (CPT and TEAM included) takes at most 4 spots from one team, and
+ * its teams split 4-3 or 4-2-1.
+ *
+ * Shared by the optimizers and the CLI lineup generator, so it stays free of
+ * server dependencies.
+ */
+
+const MAX_PLAYERS_PER_TEAM = 4;
+const STACK_PATTERNS = [
+  [4, 3],
+  [4, 2, 1],
+];
+
+// Roster spots per team
+const getTeamCounts = (lineup) => {
+  const counts = {};
+  [lineup.cpt, ...(lineup.players || [])].forEach((player) => {
+    if (player?.team) counts[player.team] = (counts[player.team] || 0) + 1;
+  });
+  return counts;
+};
+
+const sortCounts = (counts) => Object.values(counts).sort((a, b) => b - a);
+
+// Whether a full roster's team counts match an allowed pattern
+const isValidStackPattern = (counts) => {
+  const sorted = sortCounts(counts);
+  return STACK_PATTERNS.some(
+    (pattern) =>
+      pattern.length === sorted.length &&
+      pattern.every((count, i) => count === sorted[i])
+  );
+};
+
+// Whether a partial roster's team counts can still grow into a pattern
+const canReachStackPattern = (counts) => {
+  const sorted = sortCounts(counts);
+  return STACK_PATTERNS.some(
+    (pattern) =>
+      sorted.length <= pattern.length &&
+      sorted.every((count, i) => count <= pattern[i])
+  );
+};
+
+/**
+ * Why a full roster breaks the team rules
+ * @param {Object} lineup - { cpt, players }
+ * @param {number} maxPlayersPerTeam
+ * @returns {string|null} null when the roster is valid
+ */
+const getTeamRuleViolation = (
+  lineup,
+  maxPlayersPerTeam = MAX_PLAYERS_PER_TEAM
+) => {
+  const counts = getTeamCounts(lineup);
+  const crowded = Object.entries(counts).find(
+    ([, count]) => count > maxPlayersPerTeam
+  );
+  if (crowded) {
+    return `${crowded[0]} has ${crowded[1]} players (max: ${maxPlayersPerTeam})`;
+  }
+  if (!isValidStackPattern(counts)) {
+    return `stack pattern ${sortCounts(counts).join("-")} not allowed (only 4-3 and 4-2-1 allowed)`;
+  }
+  return null;
+};
+
+module.exports = {
+  MAX_PLAYERS_PER_TEAM,
+  STACK_PATTERNS,
+  getTeamCounts,
+  isValidStackPattern,
+  canReachStackPattern,
+  getTeamRuleViolation,
+};
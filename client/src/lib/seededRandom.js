@@ -0,0 +1,43 @@
+/**
+ * Seedable pseudo-random numbers for the optimizers and simulators
+ *
+ * Every run draws from one generator created from a recorded 32-bit seed,
+ * so a reported lineup set can be regenerated exactly.
+ */
+
+const MAX_SEED = 0xffffffff;
+
+// Fresh seed for runs that don't specify one
+const generateSeed = () => Math.floor(Math.random() * MAX_SEED) + 1;
+
+const isValidSeed = (seed) =>
+  Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+
+// mulberry32 - returns a Math.random-compatible function of [0, 1)
+const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Independent seed for a named sub-stream (e.g. one per hybrid algorithm)
+const deriveSeed = (seed, stream) => {
+  let hash = seed >>> 0;
+  for (let i = 0; i < stream.length; i++) {
+    hash = Math.imul(hash ^ stream.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+module.exports = {
+  MAX_SEED,
+  generateSeed,
+  isValidSeed,
+  createRng,
+  deriveSeed,
+};
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import NexusScoreTester from "../components/NexusScoreTester";
 
 /**
@@ -13,26 +13,71 @@ const NexusScoreTestPage = ({
   onImportLineups,
 }) => {
   const [isLoading, setIsLoading] = useState(false);
-  const [historicalData, setHistoricalData] = useState(null);
+  const [formulaVersions, setFormulaVersions] = useState(null);
+
+  // Formula versions (built in and calibrated on past contests)
+  const loadFormulaVersions = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/nexusscore/versions`);
+
+      if (response.ok) {
+        const result = await response.json();
+        setFormulaVersions(result.data);
+      }
+    } catch (error) {
+      console.error("Error loading NexusScore versions:", error);
+    }
+  }, [API_BASE_URL]);
 
-  // Load any historical test data when component mounts
   useEffect(() => {
-    const loadHistoricalData = async () => {
-      try {
-        // Try to fetch historical test data from the server
-        const response = await fetch(`${API_BASE_URL}/nexusscore/history`);
-
-        if (response.ok) {
-          const data = await response.json();
-          setHistoricalData(data);
-        }
-      } catch (error) {
-        console.error("Error loading historical NexusScore data:", error);
+    loadFormulaVersions();
+  }, [loadFormulaVersions]);
+
+  // Send a NexusScore request, then refresh the version list
+  const updateFormulaVersions = async (path, options) => {
+    try {
+      setIsLoading(true);
+
+      const response = await fetch(`${API_BASE_URL}${path}`, {
+        headers: {
+          "Content-Type": "application/json",
+        },
+        ...options,
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || "NexusScore request failed");
       }
-    };
 
-    loadHistoricalData();
-  }, [API_BASE_URL]);
+      await loadFormulaVersions();
+      if (result.message) alert(result.message);
+    } catch (error) {
+      console.error("Error updating NexusScore versions:", error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Fit a new version to the slate's imported contest results
+  const calibrateFormula = () =>
+    updateFormulaVersions("/nexusscore/calibrate", {
+      method: "POST",
+      body: JSON.stringify({}),
+    });
+
+  // Pin the version the optimizers score lineups with
+  const pinFormulaVersion = (version) =>
+    updateFormulaVersions("/nexusscore/active", {
+      method: "PUT",
+      body: JSON.stringify({ version }),
+    });
+
+  const deleteFormulaVersion = (version) =>
+    updateFormulaVersions(
+      `/nexusscore/versions/${encodeURIComponent(version)}`,
+      { method: "DELETE" }
+    );
 
   // Handle saving test results
   // eslint-disable-next-line no-unused-vars
@@ -166,26 +211,91 @@ const NexusScoreTestPage = ({
         onSaveFormula={saveFormula}
       />
 
-      {/* Historical performance section (if we have it) */}
-      {historicalData && (
+      {/* Formula versions: calibration on past contests and the pinned one */}
+      {formulaVersions && (
         <div className="card" style={{ marginTop: "1.5rem" }}>
-          <h2 className="card-title">Historical Performance</h2>
+          <h2 className="card-title">Formula Versions</h2>
 
           <p style={{ color: "#90cdf4", marginBottom: "1rem" }}>
-            View how different NexusScore formulations performed in past
-            tournaments.
+            The pinned version scores every optimizer run and saved lineup.
+            Calibrating fits the component weights to the contest results
+            imported for this slate; rank correlation and top-10% lift are
+            measured on held-out entries.
           </p>
 
-          {/* Historical data would be displayed here */}
-          <div className="stat-card">
-            <h3 style={{ color: "#4fd1c5", marginBottom: "0.5rem" }}>
-              Formula Performance Data
-            </h3>
-            <p>
-              Historical performance data for formulas will be displayed here
-              when available.
-            </p>
-          </div>
+          <button
+            className="btn btn-primary"
+            onClick={calibrateFormula}
+            disabled={isLoading}
+            style={{ marginBottom: "1rem" }}
+          >
+            Calibrate on Imported Results
+          </button>
+
+          <table style={{ width: "100%", fontSize: "0.875rem" }}>
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>Name</th>
+                <th>Weights (proj / lev / stack / pos)</th>
+                <th>Rank Corr.</th>
+                <th>Top 10% Lift</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {formulaVersions.versions.map((formula) => {
+                const pinned =
+                  formula.version === formulaVersions.activeVersion;
+                const fit = formula.fit?.calibrated;
+                return (
+                  <tr key={formula.version}>
+                    <td style={{ color: pinned ? "#4fd1c5" : undefined }}>
+                      {formula.version}
+                      {pinned && " (pinned)"}
+                    </td>
+                    <td title={formula.description}>{formula.name}</td>
+                    <td>
+                      {["projection", "leverage", "stack", "position"]
+                        .map((key) => (formula.weights[key] ?? 0).toFixed(3))
+                        .join(" / ")}
+                    </td>
+                    <td>
+                      {fit
+                        ? `${fit.spearman.toFixed(3)} (was ${formula.fit.baseline.spearman.toFixed(3)})`
+                        : "-"}
+                    </td>
+                    <td>
+                      {fit && fit.lift !== null
+                        ? `${fit.lift.toFixed(2)}x`
+                        : "-"}
+                    </td>
+                    <td>
+                      {!pinned && (
+                        <button
+                          className="btn"
+                          onClick={() => pinFormulaVersion(formula.version)}
+                          disabled={isLoading}
+                        >
+                          Pin
+                        </button>
+                      )}
+                      {!formula.builtIn && (
+                        <button
+                          className="btn"
+                          onClick={() => deleteFormulaVersion(formula.version)}
+                          disabled={isLoading}
+                          style={{ marginLeft: "0.5rem" }}
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
         </div>
       )}
 
@@ -9,6 +9,14 @@
  * - Field size and entry fees
  */
 
+import {
+  buildPlayerDistribution,
+  hasDistributionData,
+} from "../lib/playerDistribution";
+import { getCaptainOwnership, getCaptainProjection } from "../lib/captain";
+import { estimateDuplicates } from "../lib/duplication";
+import { expandPayoutTable } from "../lib/payoutTable";
+
 class DFSROICalculator {
   constructor() {
     // Historical win rates by percentile finish
@@ -76,9 +84,15 @@ class DFSROICalculator {
       lineupStrength,
       contest
     );
-    const expectedValue = this.calculateExpectedValue(
+    const expectedDupes = estimateDuplicates(lineup, {
+      fieldSize: contest.fieldSize || 1000,
+      salaryCap: contest.salaryCap,
+    });
+    const expectedValue = this.splitDuplicatePrizes(
+      this.calculateExpectedValue(finishDistribution, contest),
       finishDistribution,
-      contest
+      contest,
+      expectedDupes
     );
 
     const roi = ((expectedValue - contest.entryFee) / contest.entryFee) * 100;
@@ -86,6 +100,7 @@ class DFSROICalculator {
     return {
       roi: Math.round(roi * 100) / 100, // Round to 2 decimals
       expectedValue,
+      expectedDupes,
       finishDistribution,
       lineupStrength,
       confidence: this.calculateConfidence(historicalData),
@@ -93,6 +108,20 @@ class DFSROICalculator {
     };
   }
 
+  /**
+   * Duplicates tie with the lineup and split the prizes of the places they
+   * share. Min-cash barely changes across those places, so only winnings
+   * above it are divided; cash games and satellites pay ties in full
+   */
+  splitDuplicatePrizes(expectedValue, distribution, contest, duplicates) {
+    if (!(duplicates > 0) || this.getContestType(contest) !== "gpp") {
+      return expectedValue;
+    }
+    const minCash = (contest.entryFee || 5) * 1.8;
+    const minCashValue = Math.min(expectedValue, distribution.cash * minCash);
+    return minCashValue + (expectedValue - minCashValue) / (1 + duplicates);
+  }
+
   /**
    * Determine contest type from contest details
    */
@@ -419,7 +448,7 @@ class DFSROICalculator {
     // 1. Captain leverage (25% of score)
     let captainLeverage = 0;
     if (lineup.cpt) {
-      const cptOwnership = lineup.cpt.ownership || 0;
+      const cptOwnership = getCaptainOwnership(lineup.cpt);
       if (cptOwnership < 5) captainLeverage = 1.0;
       else if (cptOwnership < 10) captainLeverage = 0.8;
       else if (cptOwnership < 20) captainLeverage = 0.6;
@@ -559,8 +588,8 @@ class DFSROICalculator {
    * Calculate player volatility score
    */
   getPlayerVolatility(lineup) {
-    // In reality, this would use historical data
-    // For now, use position as proxy
+    // Upside from the player's distribution (ceiling over median) when the
+    // pool has floor/ceiling/stdDev data, else position as proxy
     const allPlayers = [lineup.cpt, ...lineup.players].filter(Boolean);
     let volatilitySum = 0;
     let count = 0;
@@ -568,22 +597,28 @@ class DFSROICalculator {
     allPlayers.forEach((player) => {
       let playerVol = 0.5; // Base volatility
 
-      // Position-based volatility
-      switch (player.position) {
-        case "MID":
-        case "ADC":
-          playerVol = 0.7; // Higher variance positions
-          break;
-        case "JNG":
-          playerVol = 0.6;
-          break;
-        case "TOP":
-        case "SUP":
-          playerVol = 0.4; // More consistent
-          break;
-        case "TEAM":
-          playerVol = 0.3; // Teams are consistent
-          break;
+      if (hasDistributionData(player) && player.projectedPoints > 0) {
+        const { median, ceiling } = buildPlayerDistribution(player);
+        // A p90 65% above the median counts as fully volatile
+        playerVol = Math.min(1.0, (ceiling - median) / median / 0.65);
+      } else {
+        // Position-based volatility
+        switch (player.position) {
+          case "MID":
+          case "ADC":
+            playerVol = 0.7; // Higher variance positions
+            break;
+          case "JNG":
+            playerVol = 0.6;
+            break;
+          case "TOP":
+          case "SUP":
+            playerVol = 0.4; // More consistent
+            break;
+          case "TEAM":
+            playerVol = 0.3; // Teams are consistent
+            break;
+        }
       }
 
       // Low ownership = higher volatility potential
@@ -725,6 +760,12 @@ class DFSROICalculator {
     const entryFee = contest.entryFee || 5;
     const prizePool = contest.prizePool || contest.fieldSize * entryFee * 0.85;
 
+    // The slate's stored payout structure (GET /payouts) is the table the
+    // server-side simulators pay from, so prefer it over the estimates below
+    if (contest.payoutStructure?.tiers?.length) {
+      return this.calculateExpectedValueFromTiers(distribution, contest);
+    }
+
     let ev = 0;
 
     if (type === "gpp") {
@@ -751,6 +792,57 @@ class DFSROICalculator {
     return ev;
   }
 
+  /**
+   * Expected value from a stored payout structure, expanded into the same
+   * per-place table the server-side simulators use. The finish distribution
+   * is cumulative by percentile, so each band between two cut-offs is paid
+   * the average prize of the places inside it.
+   */
+  calculateExpectedValueFromTiers(distribution, contest) {
+    const fieldSize = Math.max(
+      1,
+      Math.round(contest.fieldSize || contest.payoutStructure.fieldSize || 1000)
+    );
+    const table = expandPayoutTable(contest.payoutStructure.tiers, fieldSize);
+    const paidPlaces = table.reduce(
+      (last, prize, index) => (prize > 0 ? index + 1 : last),
+      0
+    );
+    const cashPercent = (paidPlaces / fieldSize) * 100;
+
+    const averagePrize = (fromPercent, toPercent) => {
+      const first = Math.floor((fromPercent / 100) * fieldSize);
+      const last = Math.max(
+        first + 1,
+        Math.floor((toPercent / 100) * fieldSize)
+      );
+      const places = table.slice(first, last);
+      return places.reduce((sum, prize) => sum + prize, 0) / places.length;
+    };
+
+    const cutoffs = [
+      [1, distribution.top1 || 0],
+      [5, distribution.top5 || 0],
+      [10, distribution.top10 || 0],
+      [20, distribution.top20 || 0],
+      [cashPercent, distribution.cash || 0],
+    ].sort((a, b) => a[0] - b[0]);
+
+    let ev = 0;
+    let previousPercent = 0;
+    let previousProbability = 0;
+    cutoffs.forEach(([percent, probability]) => {
+      const bandProbability = Math.max(0, probability - previousProbability);
+      if (percent > previousPercent && bandProbability > 0) {
+        ev += bandProbability * averagePrize(previousPercent, percent);
+      }
+      previousPercent = Math.max(previousPercent, percent);
+      previousProbability = Math.max(previousProbability, probability);
+    });
+
+    return ev;
+  }
+
   /**
    * Get GPP payout structure based on field size
    */
@@ -800,8 +892,8 @@ class DFSROICalculator {
   // Helper methods
   getLineupProjection(lineup) {
     let total = 0;
-    if (lineup.cpt?.projectedPoints) {
-      total += lineup.cpt.projectedPoints * 1.5;
+    if (lineup.cpt) {
+      total += getCaptainProjection(lineup.cpt);
     }
     lineup.players?.forEach((p) => {
       total += p.projectedPoints || 0;
@@ -812,16 +904,17 @@ class DFSROICalculator {
 
   getAverageOwnership(lineup) {
     const allPlayers = [lineup.cpt, ...lineup.players].filter(Boolean);
-    const totalOwnership = allPlayers.reduce(
-      (sum, p) => sum + (p.ownership || 0),
-      0
-    );
-    return totalOwnership / allPlayers.length;
+    return this.getTotalOwnership(lineup) / allPlayers.length;
   }
 
+  // The captain counts with its CPT-slot ownership
   getTotalOwnership(lineup) {
-    const allPlayers = [lineup.cpt, ...lineup.players].filter(Boolean);
-    return allPlayers.reduce((sum, p) => sum + (p.ownership || 0), 0);
+    const flexOwnership = lineup.players
+      .filter(Boolean)
+      .reduce((sum, p) => sum + (p.ownership || 0), 0);
+    return lineup.cpt
+      ? flexOwnership + getCaptainOwnership(lineup.cpt)
+      : flexOwnership;
   }
 }
 
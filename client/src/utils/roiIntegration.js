@@ -26,6 +26,8 @@ function calculateLineupROI(lineup, contestInfo = {}) {
     entryFee: contestInfo.entryFee || 5,
     prizePool: contestInfo.prizePool || null,
     maxEntries: contestInfo.maxEntries || 1,
+    payoutStructure: contestInfo.payoutStructure || null,
+    salaryCap: contestInfo.salaryCap || 50000,
   };
 
   // Calculate prize pool if not provided
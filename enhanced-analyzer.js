@@ -0,0 +1,410 @@
+// enhanced-analyzer.js - Post-simulation analysis and markdown reporting
+// for the UltimateLoLDFSSystem pipeline
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Enhanced simulation analyzer
+ * - Per-lineup risk/return metrics from the merged worker results
+ * - Player, team and stack exposure with the ROI they carried
+ * - Plain-language recommendations
+ */
+class EnhancedSimulationAnalyzer {
+  constructor(simulationResults, playerProjections, teamProjections, options) {
+    this.simulationResults = simulationResults || [];
+    this.playerProjections = playerProjections || {};
+    this.teamProjections = teamProjections || {};
+    this.options = {
+      entryFee: 5,
+      ...options,
+    };
+    this.metrics = null;
+  }
+
+  /**
+   * Calculate every metric the report needs
+   * @returns {Object} lineupMetrics, playerExposure, teamExposure, stackAnalysis, summary
+   */
+  calculateAllMetrics() {
+    const lineupMetrics = this.simulationResults.map((result) =>
+      this.calculateLineupMetrics(result)
+    );
+
+    this.metrics = {
+      lineupMetrics,
+      playerExposure: this.calculatePlayerExposure(lineupMetrics),
+      teamExposure: this.calculateTeamExposure(lineupMetrics),
+      stackAnalysis: this.calculateStackAnalysis(lineupMetrics),
+      summary: this.calculateSummary(lineupMetrics),
+    };
+
+    return this.metrics;
+  }
+
+  calculateLineupMetrics(result) {
+    const lineup = result.lineup || {};
+    const entryFee = this.options.entryFee;
+    const scores = result.scores || [];
+    const payouts = result.payouts || [];
+
+    const meanScore = mean(scores);
+    const scoreStdDev = stdDev(scores, meanScore);
+    const meanPayout = mean(payouts);
+    const payoutStdDev = stdDev(payouts, meanPayout);
+    const distribution = result.scoreDistribution || {};
+    const roster = getRoster(lineup);
+
+    const totalOwnership = roster.reduce(
+      (sum, player) =>
+        sum + (parseFloat(this.playerProjections[player.name]?.ownership) || 0),
+      0
+    );
+
+    return {
+      id: lineup.id,
+      name: lineup.name,
+      captain: lineup.cpt?.name || null,
+      players: roster.map((player) => player.name),
+      stack: getPrimaryStack(roster),
+      iterations: scores.length,
+      meanScore,
+      scoreStdDev,
+      scoreDistribution: distribution,
+      averagePayout: meanPayout,
+      roi: entryFee > 0 ? ((meanPayout - entryFee) / entryFee) * 100 : 0,
+      // Return per unit of payout risk
+      sharpe: payoutStdDev > 0 ? (meanPayout - entryFee) / payoutStdDev : 0,
+      winRate: result.firstPlacePercentage || 0,
+      top10Rate: result.top10Percentage || 0,
+      cashRate: result.minCashPercentage || 0,
+      averagePlace: result.averagePlace || 0,
+      ceilingRatio:
+        distribution.p50 > 0 ? distribution.p90 / distribution.p50 : 0,
+      totalOwnership,
+    };
+  }
+
+  calculatePlayerExposure(lineupMetrics) {
+    const players = {};
+
+    lineupMetrics.forEach((metrics) => {
+      metrics.players.forEach((name) => {
+        if (!players[name]) {
+          players[name] = { name, count: 0, captainCount: 0, roiSum: 0 };
+        }
+        players[name].count++;
+        players[name].roiSum += metrics.roi;
+        if (metrics.captain === name) players[name].captainCount++;
+      });
+    });
+
+    const lineupCount = lineupMetrics.length || 1;
+    return Object.values(players)
+      .map((player) => {
+        const proj = this.playerProjections[player.name] || {};
+        const exposure = (player.count / lineupCount) * 100;
+        const ownership = parseFloat(proj.ownership) || 0;
+        return {
+          name: player.name,
+          team: proj.team || null,
+          position: proj.position || null,
+          count: player.count,
+          captainCount: player.captainCount,
+          exposure,
+          ownership,
+          leverage: exposure - ownership,
+          averageRoi: player.roiSum / player.count,
+        };
+      })
+      .sort((a, b) => b.exposure - a.exposure);
+  }
+
+  calculateTeamExposure(lineupMetrics) {
+    const teams = {};
+    let totalSlots = 0;
+
+    lineupMetrics.forEach((metrics) => {
+      metrics.players.forEach((name) => {
+        const team = this.playerProjections[name]?.team;
+        if (!team) return;
+        teams[team] = (teams[team] || 0) + 1;
+        totalSlots++;
+      });
+    });
+
+    return Object.entries(teams)
+      .map(([team, count]) => ({
+        team,
+        count,
+        exposure: totalSlots > 0 ? (count / totalSlots) * 100 : 0,
+        odds: this.teamProjections[team]?.odds ?? null,
+      }))
+      .sort((a, b) => b.exposure - a.exposure);
+  }
+
+  // Group lineups by their primary stack (e.g. "T1 4")
+  calculateStackAnalysis(lineupMetrics) {
+    const stacks = {};
+
+    lineupMetrics.forEach((metrics) => {
+      if (!metrics.stack) return;
+      const key = `${metrics.stack.team} ${metrics.stack.size}`;
+      if (!stacks[key]) {
+        stacks[key] = {
+          stack: key,
+          team: metrics.stack.team,
+          size: metrics.stack.size,
+          lineups: 0,
+          roiSum: 0,
+          winRateSum: 0,
+          cashRateSum: 0,
+        };
+      }
+      const stack = stacks[key];
+      stack.lineups++;
+      stack.roiSum += metrics.roi;
+      stack.winRateSum += metrics.winRate;
+      stack.cashRateSum += metrics.cashRate;
+    });
+
+    return Object.values(stacks)
+      .map((stack) => ({
+        stack: stack.stack,
+        team: stack.team,
+        size: stack.size,
+        lineups: stack.lineups,
+        averageRoi: stack.roiSum / stack.lineups,
+        averageWinRate: stack.winRateSum / stack.lineups,
+        averageCashRate: stack.cashRateSum / stack.lineups,
+      }))
+      .sort((a, b) => b.averageRoi - a.averageRoi);
+  }
+
+  calculateSummary(lineupMetrics) {
+    const rois = lineupMetrics.map((metrics) => metrics.roi);
+    return {
+      lineupCount: lineupMetrics.length,
+      iterations: lineupMetrics[0]?.iterations || 0,
+      entryFee: this.options.entryFee,
+      averageRoi: mean(rois),
+      bestRoi: rois.length > 0 ? Math.max(...rois) : 0,
+      worstRoi: rois.length > 0 ? Math.min(...rois) : 0,
+      positiveRoiCount: rois.filter((roi) => roi > 0).length,
+      averageCashRate: mean(lineupMetrics.map((metrics) => metrics.cashRate)),
+      averageWinRate: mean(lineupMetrics.map((metrics) => metrics.winRate)),
+    };
+  }
+
+  /**
+   * Structured report consumed by EnhancedReportGenerator
+   */
+  generateAnalysisReport() {
+    const metrics = this.metrics || this.calculateAllMetrics();
+    const ranked = [...metrics.lineupMetrics].sort((a, b) => b.roi - a.roi);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      summary: metrics.summary,
+      topLineups: ranked.slice(0, 10),
+      lineupMetrics: ranked,
+      playerExposure: metrics.playerExposure,
+      teamExposure: metrics.teamExposure,
+      stackAnalysis: metrics.stackAnalysis,
+      recommendations: this.generateRecommendations(metrics),
+    };
+  }
+
+  generateRecommendations(metrics) {
+    const recommendations = [];
+    const { summary, playerExposure, stackAnalysis } = metrics;
+
+    if (summary.lineupCount === 0) {
+      return ["No simulation results to analyze."];
+    }
+
+    if (summary.positiveRoiCount === 0) {
+      recommendations.push(
+        "No lineup shows a positive expected ROI; consider more leverage or a smaller field."
+      );
+    } else {
+      recommendations.push(
+        `${summary.positiveRoiCount} of ${summary.lineupCount} lineups show a positive expected ROI.`
+      );
+    }
+
+    const bestStack = stackAnalysis[0];
+    if (bestStack && stackAnalysis.length > 1) {
+      recommendations.push(
+        `Best performing stack: ${bestStack.stack} (${bestStack.averageRoi.toFixed(1)}% ROI over ${bestStack.lineups} lineups).`
+      );
+    }
+
+    playerExposure
+      .filter(
+        (player) =>
+          player.exposure >= 50 && player.averageRoi < summary.averageRoi
+      )
+      .slice(0, 3)
+      .forEach((player) => {
+        recommendations.push(
+          `Consider trimming ${player.name}: ${player.exposure.toFixed(0)}% exposure with below-average ROI (${player.averageRoi.toFixed(1)}%).`
+        );
+      });
+
+    playerExposure
+      .filter((player) => player.leverage < -20)
+      .slice(0, 3)
+      .forEach((player) => {
+        recommendations.push(
+          `${player.name} is ${Math.abs(player.leverage).toFixed(0)} points underweight versus projected ownership.`
+        );
+      });
+
+    if (summary.averageCashRate < 10) {
+      recommendations.push(
+        "Average cash rate is under 10%; the portfolio is very volatile."
+      );
+    }
+
+    return recommendations;
+  }
+}
+
+/**
+ * Enhanced report generator
+ * - Renders the analyzer report as markdown
+ */
+class EnhancedReportGenerator {
+  constructor(report, playerProjections, teamProjections) {
+    this.report = report;
+    this.playerProjections = playerProjections || {};
+    this.teamProjections = teamProjections || {};
+  }
+
+  generateMarkdown() {
+    const { summary } = this.report;
+    const lines = [];
+
+    lines.push("# LoL DFS Simulation Report", "");
+    lines.push(`Generated: ${this.report.generatedAt}`, "");
+
+    lines.push("## Summary", "");
+    lines.push("| Metric | Value |", "| --- | --- |");
+    lines.push(`| Lineups | ${summary.lineupCount} |`);
+    lines.push(`| Iterations | ${summary.iterations} |`);
+    lines.push(`| Entry fee | $${summary.entryFee} |`);
+    lines.push(`| Average ROI | ${pct(summary.averageRoi)} |`);
+    lines.push(`| Best ROI | ${pct(summary.bestRoi)} |`);
+    lines.push(
+      `| Positive ROI lineups | ${summary.positiveRoiCount}/${summary.lineupCount} |`
+    );
+    lines.push(`| Average cash rate | ${pct(summary.averageCashRate)} |`, "");
+
+    lines.push("## Top Lineups", "");
+    lines.push(
+      "| Rank | Lineup | CPT | ROI | Win % | Cash % | Median | P90 |",
+      "| --- | --- | --- | --- | --- | --- | --- | --- |"
+    );
+    this.report.topLineups.forEach((lineup, index) => {
+      lines.push(
+        `| ${index + 1} | ${lineup.name || lineup.id} | ${lineup.captain || "-"} | ${pct(lineup.roi)} | ${pct(lineup.winRate, 2)} | ${pct(lineup.cashRate)} | ${num(lineup.scoreDistribution.p50)} | ${num(lineup.scoreDistribution.p90)} |`
+      );
+    });
+    lines.push("");
+
+    if (this.report.stackAnalysis.length > 0) {
+      lines.push("## Stack Performance", "");
+      lines.push(
+        "| Stack | Lineups | Avg ROI | Avg Win % | Avg Cash % |",
+        "| --- | --- | --- | --- | --- |"
+      );
+      this.report.stackAnalysis.forEach((stack) => {
+        lines.push(
+          `| ${stack.stack} | ${stack.lineups} | ${pct(stack.averageRoi)} | ${pct(stack.averageWinRate, 2)} | ${pct(stack.averageCashRate)} |`
+        );
+      });
+      lines.push("");
+    }
+
+    lines.push("## Player Exposure", "");
+    lines.push(
+      "| Player | Team | Pos | Exposure | Own | Leverage | Avg ROI |",
+      "| --- | --- | --- | --- | --- | --- | --- |"
+    );
+    this.report.playerExposure.slice(0, 25).forEach((player) => {
+      lines.push(
+        `| ${player.name} | ${player.team || "-"} | ${player.position || "-"} | ${pct(player.exposure)} | ${pct(player.ownership)} | ${num(player.leverage)} | ${pct(player.averageRoi)} |`
+      );
+    });
+    lines.push("");
+
+    lines.push("## Team Exposure", "");
+    lines.push("| Team | Exposure | Odds |", "| --- | --- | --- |");
+    this.report.teamExposure.forEach((team) => {
+      lines.push(
+        `| ${team.team} | ${pct(team.exposure)} | ${team.odds ?? "-"} |`
+      );
+    });
+    lines.push("");
+
+    lines.push("## Recommendations", "");
+    this.report.recommendations.forEach((recommendation) => {
+      lines.push(`- ${recommendation}`);
+    });
+    lines.push("");
+
+    return lines.join("\n");
+  }
+
+  saveReportToFile(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, this.generateMarkdown());
+    return filePath;
+  }
+}
+
+// Helpers
+function getRoster(lineup) {
+  return [lineup.cpt, ...(lineup.players || [])].filter(
+    (player) => player && player.name
+  );
+}
+
+// Team with the most roster spots (TEAM slot excluded)
+function getPrimaryStack(roster) {
+  const counts = {};
+  roster.forEach((player) => {
+    if (!player.team || player.position === "TEAM") return;
+    counts[player.team] = (counts[player.team] || 0) + 1;
+  });
+  const [team, size] =
+    Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  return team ? { team, size } : null;
+}
+
+function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function stdDev(values, average = mean(values)) {
+  if (values.length < 2) return 0;
+  return Math.sqrt(
+    values.reduce((sum, value) => sum + (value - average) ** 2, 0) /
+      (values.length - 1)
+  );
+}
+
+function pct(value, digits = 1) {
+  return `${(value || 0).toFixed(digits)}%`;
+}
+
+function num(value, digits = 1) {
+  return (value || 0).toFixed(digits);
+}
+
+module.exports = {
+  EnhancedSimulationAnalyzer,
+  EnhancedReportGenerator,
+};
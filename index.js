@@ -17,6 +17,10 @@ const {
   EnhancedReportGenerator,
 } = require("./enhanced-analyzer");
 const OptimalLineupGenerator = require("./optimal-lineup-generator");
+const { createRng, deriveSeed, generateSeed } = require("./src/utils/random");
+const { readDistributionColumns } = require("./src/utils/distribution");
+const { readCaptainColumns } = require("./src/utils/captain");
+const { generateField } = require("./src/simulation/fieldGenerator");
 
 /**
  * Ultimate League of Legends DFS Simulation System
@@ -26,14 +30,17 @@ const OptimalLineupGenerator = require("./optimal-lineup-generator");
 class UltimateLoLDFSSystem {
   constructor(options = {}) {
     this.options = {
+      ...options,
       simulationIterations: options.simulationIterations || 2000,
       fieldSize: options.fieldSize || 1176,
       entryFee: options.entryFee || 5,
       dataDir: options.dataDir || "./data",
       outputDir: options.outputDir || "./output",
       maxWorkers: options.maxWorkers || Math.min(os.cpus().length, 4),
-      ...options,
+      // Every random draw in the pipeline derives from this seed
+      seed: options.seed ?? generateSeed(),
     };
+    this.random = createRng(deriveSeed(this.options.seed, "field"));
 
     // Create output directory if it doesn't exist
     if (!fs.existsSync(this.options.outputDir)) {
@@ -61,6 +68,30 @@ class UltimateLoLDFSSystem {
     // Load and parse data
     await this.loadData(options.playerDataFile, options.teamDataFile);
 
+    // Without lineups to test, build candidates from the projections
+    if (!Array.isArray(lineups) || lineups.length === 0) {
+      const count = options.candidateLineups || 20;
+      console.log(`No lineups supplied; generating ${count} candidates...`);
+      lineups = new OptimalLineupGenerator(
+        [],
+        this.playerProjections,
+        this.teamProjections,
+        [],
+        {
+          entryFee: this.options.entryFee,
+          seed: deriveSeed(this.options.seed, "candidates"),
+        }
+      ).generateMultipleLineups(count, {
+        balanced: 0.4,
+        firstPlace: 0.3,
+        cashGame: 0.1,
+        contrarian: 0.2,
+      });
+      if (lineups.length === 0) {
+        throw new Error("Could not build any valid lineups from player data");
+      }
+    }
+
     // Run the simulation
     console.log(
       `Running advanced parallel Monte Carlo simulation with ${this.options.simulationIterations} iterations...`
@@ -75,7 +106,8 @@ class UltimateLoLDFSSystem {
     this.analyzer = new EnhancedSimulationAnalyzer(
       this.simulationResults,
       this.playerProjections,
-      this.teamProjections
+      this.teamProjections,
+      { entryFee: this.options.entryFee }
     );
     const analysis = this.analyzer.calculateAllMetrics();
     console.timeEnd("Analysis Time");
@@ -103,7 +135,11 @@ class UltimateLoLDFSSystem {
       this.simulationResults,
       this.playerProjections,
       this.teamProjections,
-      lineups
+      lineups,
+      {
+        entryFee: this.options.entryFee,
+        seed: deriveSeed(this.options.seed, "generator"),
+      }
     );
 
     console.timeEnd("Total Pipeline Time");
@@ -113,6 +149,7 @@ class UltimateLoLDFSSystem {
       simulationResults: this.simulationResults,
       analysis: analysis,
       reportPath: reportFilePath,
+      seed: this.options.seed,
     };
   }
 
@@ -134,7 +171,7 @@ class UltimateLoLDFSSystem {
     } else {
       // Find files matching the pattern in the data directory
       const dataDir = this.options.dataDir;
-      const files = fs.readdirSync(dataDir);
+      const files = this.listDataFiles();
 
       // Look for ROO_export files
       const rooFiles = files.filter((file) =>
@@ -164,7 +201,7 @@ class UltimateLoLDFSSystem {
     } else {
       // Find files matching the pattern in the data directory
       const dataDir = this.options.dataDir;
-      const files = fs.readdirSync(dataDir);
+      const files = this.listDataFiles();
 
       // Look for Stacks_export files
       const stacksFiles = files.filter((file) =>
@@ -191,28 +228,50 @@ class UltimateLoLDFSSystem {
     // Load player data
     const playersData = await this.readAndParseCSV(playerFilePath);
 
-    // Load team data
-    const stacksData = await this.readAndParseCSV(teamFilePath);
+    // Load team data; team stats are optional unless a file was named
+    let stacksData = [];
+    try {
+      stacksData = await this.readAndParseCSV(teamFilePath);
+    } catch (error) {
+      if (teamDataFile || error.code !== "ENOENT") throw error;
+      console.warn(`No team data file at ${teamFilePath}, continuing without`);
+    }
 
-    // Process player data
+    // Process player data (same column names FileProcessingService accepts,
+    // so one CSV works for the server, cli.js and this pipeline)
     this.playerProjections = {};
     playersData.forEach((player) => {
-      this.playerProjections[player.Player] = {
-        position: player.Position,
+      const name = player.Player ?? player.Name;
+      if (!name) return;
+      const { stdDev, percentiles } = readDistributionColumns(player);
+      this.playerProjections[name] = {
+        position: player.Position ?? player.Pos,
         team: player.Team,
-        opponent: player.Opp,
+        opponent: player.Opp ?? player.Opponent,
         salary: player.Salary,
         floor: player.Floor,
-        median: player.Median,
+        median:
+          player.Median ?? player.Proj ?? player.Projection ?? player.FPTS,
         ceiling: player.Ceiling,
-        ownership: player.Own,
+        stdDev,
+        percentiles,
+        ownership: player.Own ?? player.Ownership,
         levX: player.LevX,
+        // CPT salary/projection/ownership when the export lists them
+        ...readCaptainColumns(player),
       };
     });
 
+    // Fill in missing floor/ceiling from position priors
+    this.playerProjections = new BayesianScoreProjection(
+      this.playerProjections,
+      { random: this.random }
+    ).updateProjections();
+
     // Process team data
     this.teamProjections = {};
     stacksData.forEach((team) => {
+      if (!team.Team) return;
       this.teamProjections[team.Team] = {
         opponent: team.Opponent,
         odds: team.Odds,
@@ -226,6 +285,12 @@ class UltimateLoLDFSSystem {
       };
     });
 
+    if (Object.keys(this.playerProjections).length === 0) {
+      throw new Error(
+        `No player projections found in ${playerFilePath} (expected a Player or Name column)`
+      );
+    }
+
     console.log(
       `Loaded ${Object.keys(this.playerProjections).length} players and ${
         Object.keys(this.teamProjections).length
@@ -233,28 +298,43 @@ class UltimateLoLDFSSystem {
     );
   }
 
+  /**
+   * Files in the data directory; none when it doesn't exist, so a run with
+   * named files (or without the optional team data) needs no ./data
+   */
+  listDataFiles() {
+    try {
+      return fs.readdirSync(this.options.dataDir);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return [];
+    }
+  }
+
   /**
    * Read and parse a CSV file
+   * A missing or unreadable file throws with the underlying error (and its
+   * code, e.g. ENOENT)
    * @param {string} filename - Path to CSV file
    * @returns {Array} Parsed CSV data
    */
   async readAndParseCSV(filename) {
+    let content;
     try {
-      const content = await fs.promises.readFile(filename, {
-        encoding: "utf8",
-      });
-
-      const parsed = Papa.parse(content, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-      });
-
-      return parsed.data;
+      content = await fs.promises.readFile(filename, { encoding: "utf8" });
     } catch (error) {
-      console.error(`Error reading ${filename}:`, error);
-      return [];
+      const readError = new Error(`Cannot read ${filename}: ${error.message}`);
+      readError.code = error.code;
+      throw readError;
     }
+
+    const parsed = Papa.parse(content, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+    });
+
+    return parsed.data;
   }
 
   /**
@@ -289,7 +369,10 @@ class UltimateLoLDFSSystem {
 
       // Create workers and assign iterations
       const workers = [];
-      const batchResults = [];
+      // Kept in batch order so the combined stats don't depend on which
+      // worker finishes first
+      const batchResults = new Array(numWorkers);
+      let completedBatches = 0;
 
       // Create a promise to collect results from all workers
       const simulationPromise = new Promise((resolve, reject) => {
@@ -307,18 +390,19 @@ class UltimateLoLDFSSystem {
           // Handle messages from worker
           worker.on("message", (message) => {
             if (message.results) {
-              batchResults.push(message.results);
+              batchResults[i] = message.results;
+              completedBatches++;
 
               // Update progress
               console.log(
                 `Worker ${i + 1} completed ${endIdx - startIdx} iterations (${(
-                  (batchResults.length / numWorkers) *
+                  (completedBatches / numWorkers) *
                   100
                 ).toFixed(1)}% complete)`
               );
 
               // Check if all workers are done
-              if (batchResults.length === numWorkers) {
+              if (completedBatches === numWorkers) {
                 resolve(batchResults);
               }
             }
@@ -346,6 +430,10 @@ class UltimateLoLDFSSystem {
             playerProjections: this.playerProjections,
             teamProjections: this.teamProjections,
             fieldLineups,
+            entryFee: this.options.entryFee,
+            payoutStructure: this.options.payoutStructure || null,
+            // Per-batch seed, independent of the number of workers
+            seed: deriveSeed(this.options.seed, `simulation-${startIdx}`),
           });
         }
       });
@@ -369,78 +457,29 @@ class UltimateLoLDFSSystem {
 
   /**
    * Generate opponent field for simulation
+   * Drawn by src/simulation/fieldGenerator.js from projected ownership,
+   * stacking and salary usage; duplicated lineups enter once per copy
    * @param {number} fieldSize - Size of the field
    * @returns {Array} Generated field lineups
    */
   generateOpponentField(fieldSize) {
-    // Create position-specific player pools
-    const playerPools = {
-      ADC: [],
-      MID: [],
-      JNG: [],
-      TOP: [],
-      SUP: [],
-      TEAM: [],
-    };
-
-    // Fill the player pools
-    Object.entries(this.playerProjections).forEach(([name, player]) => {
-      if (playerPools[player.position]) {
-        playerPools[player.position].push({
-          name: name,
-          position: player.position,
-          team: player.team,
-          opponent: player.opponent,
-          salary: player.salary,
-          ownership: player.ownership || 1,
-          median: player.median || 0,
-          ceiling: player.ceiling || 0,
-        });
-      }
-    });
-
-    // Mock implementation for field generation
-    // In a real implementation, this would use weighted random selection based on ownership
-    const field = [];
-    for (let i = 0; i < fieldSize; i++) {
-      const lineup = {
-        id: i + 1,
-        name: `Field Lineup ${i + 1}`,
-        cpt: this.getRandomPlayerFromPool(playerPools, true),
-        players: [],
-      };
-
-      // Add one player from each position
-      for (const position of Object.keys(playerPools)) {
-        if (position !== lineup.cpt.position || position === "TEAM") {
-          lineup.players.push(this.getRandomPlayerFromPool(playerPools));
-        }
+    const field = generateField(
+      Object.entries(this.playerProjections).map(([name, player]) => ({
+        ...player,
+        name,
+      })),
+      {
+        size: fieldSize,
+        salaryCap: this.options.salaryCap,
+        random: this.random,
       }
+    );
 
-      field.push(lineup);
-    }
-
-    return field;
-  }
-
-  /**
-   * Helper to get a random player from a pool for field generation
-   * @param {Object} pools - Player pools by position
-   * @param {boolean} isCaptain - Whether this is for captain selection
-   * @returns {Object} Selected player
-   */
-  getRandomPlayerFromPool(pools, isCaptain = false) {
-    // For demonstration - in real implementation, this would use weighted random based on ownership
-    const position =
-      Object.keys(pools)[Math.floor(Math.random() * Object.keys(pools).length)];
-    const pool = pools[position];
-    const player = { ...pool[Math.floor(Math.random() * pool.length)] };
-
-    if (isCaptain) {
-      player.salary = Math.round(player.salary * 1.5); // CPT costs 1.5x
-    }
-
-    return player;
+    return field.entries.map((index, i) => ({
+      ...field.lineups[index],
+      id: `field-${i + 1}`,
+      name: `Field Lineup ${i + 1}`,
+    }));
   }
 
   /**
@@ -668,3 +707,32 @@ class UltimateLoLDFSSystem {
 
 // Export the main system class
 module.exports = UltimateLoLDFSSystem;
+
+// Command line: node index.js <players.csv> <stacks.csv> [iterations] [fieldSize] [seed]
+if (require.main === module) {
+  const [playerDataFile, teamDataFile, iterations, fieldSize, seed] =
+    process.argv.slice(2);
+
+  const system = new UltimateLoLDFSSystem({
+    simulationIterations: parseInt(iterations) || undefined,
+    fieldSize: parseInt(fieldSize) || undefined,
+    seed: seed === undefined ? undefined : parseInt(seed),
+  });
+
+  system
+    .runSimulationPipeline([], { playerDataFile, teamDataFile })
+    .then(({ simulationResults, reportPath, seed }) => {
+      console.log("\nTop lineups by ROI:");
+      simulationResults.slice(0, 10).forEach((result, index) => {
+        const { lineup } = result;
+        console.log(
+          `${index + 1}. ROI ${((result.roi - 1) * 100).toFixed(1)}% | win ${result.firstPlacePercentage.toFixed(2)}% | cash ${result.minCashPercentage.toFixed(1)}% | CPT ${lineup.cpt.name} + ${lineup.players.map((p) => p.name).join(", ")}`
+        );
+      });
+      console.log(`\nReport: ${reportPath} (seed ${seed})`);
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
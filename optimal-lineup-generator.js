@@ -0,0 +1,516 @@
+// optimal-lineup-generator.js - Builds new showdown lineups from projections
+// and simulation results for the UltimateLoLDFSSystem pipeline
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  GameScriptSimulator,
+  CopulaCorrelationSystem,
+} = require("./advanced-statistical-models");
+const { createRng, generateSeed } = require("./src/utils/random");
+const {
+  CAPTAIN_POSITIONS,
+  getCaptainSalary,
+  getCaptainProjection,
+  getCaptainMultiplier,
+} = require("./src/utils/captain");
+const {
+  canReachStackPattern,
+  getTeamRuleViolation,
+} = require("./src/utils/rosterRules");
+
+const FLEX_POSITIONS = ["TOP", "JNG", "MID", "ADC", "SUP", "TEAM"];
+const MAX_ATTEMPTS = 50;
+
+// Logit of the 90th percentile; maps floor/ceiling onto a logistic quantile
+const LOGIT_90 = Math.log(0.9 / 0.1);
+
+// Target stack size (CPT included) and ownership appetite per strategy
+const STRATEGIES = {
+  balanced: { stackSize: 3, stackWeight: 2 },
+  firstPlace: { stackSize: 4, stackWeight: 4 },
+  cashGame: { stackSize: 2, stackWeight: 1.5 },
+  contrarian: { stackSize: 4, stackWeight: 3 },
+};
+
+/**
+ * Optimal lineup generator
+ * - Scores players per strategy from projections plus the ROI their lineups
+ *   showed in simulation
+ * - Builds salary-valid CPT + TOP/JNG/MID/ADC/SUP/TEAM lineups around stacks,
+ *   with the optimizers' team rules (max 4 per team, 4-3 or 4-2-1)
+ * - Evaluates lineups with game scripts and a Gaussian copula
+ */
+class OptimalLineupGenerator {
+  constructor(
+    simulationResults,
+    playerProjections,
+    teamProjections,
+    lineups = [],
+    options = {}
+  ) {
+    this.simulationResults = simulationResults || [];
+    this.playerProjections = playerProjections || {};
+    this.teamProjections = teamProjections || {};
+    this.lineups = lineups || [];
+    this.options = {
+      salaryCap: 50000,
+      entryFee: 5,
+      maxExposure: 0.6, // Max share of a portfolio any one player can be in
+      evaluationSamples: 200,
+      seed: null, // Random seed; recorded on the instance when generated
+      ...options,
+    };
+
+    this.seed = this.options.seed ?? generateSeed();
+    this.random = createRng(this.seed);
+    this.gameScripts = new GameScriptSimulator(this.teamProjections, {
+      random: this.random,
+    });
+    this.copula = new CopulaCorrelationSystem({ random: this.random });
+
+    this.players = this.buildPlayerPool();
+    this.playerSimValues = this.calculatePlayerSimValues();
+    this.minSalaries = this.calculateMinSalaries();
+  }
+
+  buildPlayerPool() {
+    return Object.entries(this.playerProjections)
+      .map(([name, proj]) => ({
+        name,
+        position: proj.position,
+        team: proj.team,
+        opponent: proj.opponent,
+        salary: parseFloat(proj.salary) || 0,
+        floor: parseFloat(proj.floor) || 0,
+        median: parseFloat(proj.median) || 0,
+        ceiling: parseFloat(proj.ceiling) || 0,
+        ownership: parseFloat(proj.ownership) || 0,
+        // CPT salary/projection from the export, else 1.5x the flex values
+        projectedPoints: parseFloat(proj.median) || 0,
+        cptSalary: proj.cptSalary,
+        cptProjectedPoints: proj.cptProjectedPoints,
+      }))
+      .filter(
+        (player) =>
+          FLEX_POSITIONS.includes(player.position) &&
+          player.team &&
+          player.salary > 0
+      );
+  }
+
+  /**
+   * Relative ROI of lineups containing each player (1 = slate average).
+   * Players that never appeared in a simulated lineup stay neutral.
+   */
+  calculatePlayerSimValues() {
+    const totals = {};
+    let roiSum = 0;
+    let roiCount = 0;
+
+    this.simulationResults.forEach((result) => {
+      const roi = result.roi;
+      if (!Number.isFinite(roi)) return;
+      roiSum += roi;
+      roiCount++;
+
+      const lineup = result.lineup || {};
+      [lineup.cpt, ...(lineup.players || [])].forEach((player) => {
+        if (!player?.name) return;
+        if (!totals[player.name]) totals[player.name] = { sum: 0, count: 0 };
+        totals[player.name].sum += roi;
+        totals[player.name].count++;
+      });
+    });
+
+    const averageRoi = roiCount > 0 ? roiSum / roiCount : 0;
+    const values = {};
+    Object.entries(totals).forEach(([name, total]) => {
+      values[name] = averageRoi > 0 ? total.sum / total.count / averageRoi : 1;
+    });
+    return values;
+  }
+
+  calculateMinSalaries() {
+    const minSalaries = {};
+    FLEX_POSITIONS.forEach((position) => {
+      const salaries = this.players
+        .filter((player) => player.position === position)
+        .map((player) => player.salary);
+      minSalaries[position] = salaries.length > 0 ? Math.min(...salaries) : 0;
+    });
+    return minSalaries;
+  }
+
+  /**
+   * Selection weight for a player under a strategy
+   * @param {Object} player - Pool player
+   * @param {string} strategy - balanced | firstPlace | cashGame | contrarian
+   */
+  scorePlayer(player, strategy) {
+    let base;
+    switch (strategy) {
+      case "firstPlace":
+        base = player.ceiling || player.median;
+        break;
+      case "cashGame":
+        base = ((player.floor || player.median) + player.median) / 2;
+        break;
+      case "contrarian":
+        // Fade chalk: 20% owned is neutral, lower ownership is boosted
+        base = player.median * Math.max(0.5, 1 + (20 - player.ownership) / 40);
+        break;
+      default:
+        base = player.median;
+    }
+
+    // Blend in simulation evidence without letting it dominate
+    const simValue = this.playerSimValues[player.name] ?? 1;
+    return Math.max(0.01, base * Math.sqrt(Math.max(simValue, 0.1)));
+  }
+
+  // Pick a stack team, favouring strong projections and good odds
+  pickStackTeam(strategy) {
+    const teams = {};
+    this.players.forEach((player) => {
+      if (player.position === "TEAM") return;
+      teams[player.team] =
+        (teams[player.team] || 0) + this.scorePlayer(player, strategy);
+    });
+
+    const entries = Object.entries(teams);
+    if (entries.length === 0) return null;
+    return weightedPick(this.random, entries, ([team, total]) => {
+      const odds = parseFloat(this.teamProjections[team]?.odds);
+      const winWeight =
+        Number.isFinite(odds) && odds !== 0 ? oddsWeight(odds) : 1;
+      return total * winWeight;
+    })[0];
+  }
+
+  /**
+   * Generate one lineup for a strategy
+   * @returns {Object|null} { strategy, cpt, players, salary, projectedPoints }
+   */
+  generateLineup(strategy = "balanced") {
+    const config = STRATEGIES[strategy] || STRATEGIES.balanced;
+    const cap = this.options.salaryCap;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const stackTeam = this.pickStackTeam(strategy);
+      const stackBias = (player) =>
+        player.team === stackTeam ? config.stackWeight : 1;
+      // Sharper weights keep lineups close to the strategy's top plays
+      const weight = (player) =>
+        Math.pow(this.scorePlayer(player, strategy), 3) * stackBias(player);
+
+      const captains = this.players.filter(
+        (player) =>
+          CAPTAIN_POSITIONS.includes(player.position) &&
+          getCaptainSalary(player) + this.minFlexSalary(FLEX_POSITIONS) <= cap
+      );
+      if (captains.length === 0) return null;
+
+      const cpt = weightedPick(this.random, captains, weight);
+      let remaining = cap - getCaptainSalary(cpt);
+      let stackCount = cpt.team === stackTeam ? 1 : 0;
+      const teamCounts = { [cpt.team]: 1 };
+
+      const picked = {};
+      const open = shuffle(this.random, [...FLEX_POSITIONS]);
+      let failed = false;
+
+      for (let i = 0; i < open.length; i++) {
+        const position = open[i];
+        const reserve = this.minFlexSalary(open.slice(i + 1));
+        const candidates = this.players.filter(
+          (player) =>
+            player.position === position &&
+            player.name !== cpt.name &&
+            player.salary <= remaining - reserve &&
+            canReachStackPattern({
+              ...teamCounts,
+              [player.team]: (teamCounts[player.team] || 0) + 1,
+            })
+        );
+        if (candidates.length === 0) {
+          failed = true;
+          break;
+        }
+
+        const needStack = stackCount < config.stackSize;
+        const player = weightedPick(this.random, candidates, (candidate) =>
+          needStack
+            ? weight(candidate)
+            : weight(candidate) / stackBias(candidate)
+        );
+        picked[position] = player;
+        remaining -= player.salary;
+        teamCounts[player.team] = (teamCounts[player.team] || 0) + 1;
+        if (player.team === stackTeam && position !== "TEAM") stackCount++;
+      }
+
+      if (failed) continue;
+
+      const players = FLEX_POSITIONS.map((position) => picked[position]);
+      if (getTeamRuleViolation({ cpt, players })) continue;
+
+      return this.toLineup(cpt, players, strategy);
+    }
+
+    return null;
+  }
+
+  minFlexSalary(positions) {
+    return positions.reduce(
+      (sum, position) => sum + (this.minSalaries[position] || 0),
+      0
+    );
+  }
+
+  toLineup(cpt, players, strategy) {
+    const toSlot = (player) => ({
+      name: player.name,
+      position: player.position,
+      team: player.team,
+      opponent: player.opponent,
+      salary: player.salary,
+    });
+    const captain = {
+      ...toSlot(cpt),
+      salary: getCaptainSalary(cpt),
+    };
+    const flex = players.map(toSlot);
+
+    return {
+      strategy,
+      cpt: captain,
+      players: flex,
+      salary: [captain, ...flex].reduce(
+        (sum, player) => sum + player.salary,
+        0
+      ),
+      projectedPoints:
+        getCaptainProjection(cpt) +
+        players.reduce((sum, player) => sum + player.median, 0),
+    };
+  }
+
+  /**
+   * Generate unique lineups split across strategies
+   * @param {number} count - Number of lineups
+   * @param {Object} distribution - { strategy: share } (shares sum to ~1)
+   */
+  generateMultipleLineups(count, distribution = { balanced: 1 }) {
+    const strategies = Object.keys(distribution).filter(
+      (strategy) => STRATEGIES[strategy] && distribution[strategy] > 0
+    );
+    if (strategies.length === 0) strategies.push("balanced");
+
+    const totalShare = strategies.reduce(
+      (sum, strategy) => sum + (distribution[strategy] || 1),
+      0
+    );
+    const targets = {};
+    let assigned = 0;
+    strategies.forEach((strategy) => {
+      targets[strategy] = Math.floor(
+        (count * (distribution[strategy] || 1)) / totalShare
+      );
+      assigned += targets[strategy];
+    });
+    targets[strategies[0]] += count - assigned;
+
+    const lineups = [];
+    const seen = new Set();
+
+    strategies.forEach((strategy) => {
+      let made = 0;
+      for (
+        let attempt = 0;
+        made < targets[strategy] && attempt < targets[strategy] * 20;
+        attempt++
+      ) {
+        const lineup = this.generateLineup(strategy);
+        if (!lineup) break;
+
+        const key = lineupKey(lineup);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        made++;
+        lineups.push(lineup);
+      }
+    });
+
+    return lineups.map((lineup, index) => ({
+      id: index + 1,
+      name: `Generated Lineup ${index + 1}`,
+      ...lineup,
+    }));
+  }
+
+  /**
+   * Quick distribution estimate for a lineup using slate game scripts and
+   * copula-correlated player draws
+   * @returns {Object} mean, stdDev, p10, p50, p90
+   */
+  evaluateLineup(lineup, samples = this.options.evaluationSamples) {
+    const roster = [
+      { ...lineup.cpt, isCpt: true },
+      ...lineup.players.map((player) => ({ ...player, isCpt: false })),
+    ].map((slot) => ({
+      ...slot,
+      opponent: slot.opponent || this.playerProjections[slot.name]?.opponent,
+    }));
+    const captainMultiplier = getCaptainMultiplier(
+      this.players.find((player) => player.name === lineup.cpt.name)
+    );
+
+    const scores = [];
+    for (let i = 0; i < samples; i++) {
+      const scripts = this.gameScripts.simulateSlate();
+      const uniforms = this.copula.generateCorrelatedUniforms(roster);
+
+      let total = 0;
+      roster.forEach((slot, index) => {
+        const proj = this.playerProjections[slot.name] || {};
+        const points =
+          logisticQuantile(proj, uniforms[index]) *
+          this.gameScripts.getPlayerMultiplier(
+            slot.position,
+            scripts[slot.team]
+          );
+        total += slot.isCpt ? points * captainMultiplier : points;
+      });
+      scores.push(total);
+    }
+
+    scores.sort((a, b) => a - b);
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const variance =
+      scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) /
+      Math.max(1, scores.length - 1);
+
+    return {
+      mean,
+      stdDev: Math.sqrt(variance),
+      p10: scores[Math.floor(scores.length * 0.1)],
+      p50: scores[Math.floor(scores.length * 0.5)],
+      p90: scores[Math.floor(scores.length * 0.9)],
+    };
+  }
+
+  /**
+   * Build a tournament portfolio: over-generate candidates, rank them by
+   * upside and keep the best ones that respect the player exposure cap
+   * @param {number} totalEntries - Entries wanted
+   * @param {number} budget - Max spend (null for no limit)
+   */
+  generateTournamentPortfolio(totalEntries, budget = null) {
+    let entries = totalEntries;
+    if (budget !== null && this.options.entryFee > 0) {
+      entries = Math.min(entries, Math.floor(budget / this.options.entryFee));
+    }
+    if (entries <= 0) return [];
+
+    const candidates = this.generateMultipleLineups(
+      Math.max(entries * 3, entries + 10),
+      { firstPlace: 0.4, contrarian: 0.3, balanced: 0.3 }
+    );
+    const samples = Math.min(this.options.evaluationSamples, 100);
+    const ranked = candidates
+      .map((lineup) => ({
+        lineup,
+        evaluation: this.evaluateLineup(lineup, samples),
+      }))
+      .sort((a, b) => b.evaluation.p90 - a.evaluation.p90);
+
+    const maxCount = Math.max(1, Math.ceil(entries * this.options.maxExposure));
+    const exposure = {};
+    const portfolio = [];
+    const skipped = [];
+
+    ranked.forEach((candidate) => {
+      if (portfolio.length >= entries) return;
+      const names = lineupNames(candidate.lineup);
+      if (names.some((name) => (exposure[name] || 0) >= maxCount)) {
+        skipped.push(candidate);
+        return;
+      }
+      names.forEach((name) => {
+        exposure[name] = (exposure[name] || 0) + 1;
+      });
+      portfolio.push(candidate);
+    });
+
+    // Small pools can't always honour the cap; fill with the best leftovers
+    skipped.forEach((candidate) => {
+      if (portfolio.length < entries) portfolio.push(candidate);
+    });
+
+    return portfolio.map(({ lineup, evaluation }, index) => ({
+      ...lineup,
+      id: index + 1,
+      name: `Tournament Lineup ${index + 1}`,
+      evaluation,
+    }));
+  }
+
+  saveLineupsToFile(lineups, filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(lineups, null, 2));
+    return filePath;
+  }
+}
+
+// Helpers
+function weightedPick(random, items, weightFn) {
+  const weights = items.map((item) => Math.max(weightFn(item), 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!(total > 0)) return items[Math.floor(random() * items.length)];
+
+  let r = random() * total;
+  for (let i = 0; i < items.length; i++) {
+    r -= weights[i];
+    if (r <= 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+function shuffle(random, array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Implied win probability from American odds
+function oddsWeight(odds) {
+  return odds < 0 ? -odds / (-odds + 100) : 100 / (odds + 100);
+}
+
+// Score at quantile u: logistic around the median, scaled so that u = 0.1
+// and u = 0.9 land on the projected floor and ceiling
+function logisticQuantile(proj, u) {
+  const median = parseFloat(proj.median) || 0;
+  const floor = parseFloat(proj.floor) || median * 0.6;
+  const ceiling = parseFloat(proj.ceiling) || median * 1.5;
+  const scale = Math.log(u / (1 - u)) / LOGIT_90;
+  const spread = scale >= 0 ? ceiling - median : median - floor;
+  return Math.max(0, median + scale * spread);
+}
+
+function lineupNames(lineup) {
+  return [lineup.cpt, ...lineup.players].map((player) => player.name);
+}
+
+function lineupKey(lineup) {
+  return `${lineup.cpt.name}|${lineup.players
+    .map((player) => player.name)
+    .sort()
+    .join(",")}`;
+}
+
+module.exports = OptimalLineupGenerator;
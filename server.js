@@ -12,6 +12,14 @@ const optimizationRoutes = require("./src/routes/optimizations");
 const progressRoutes = require("./src/routes/progress");
 const settingsRoutes = require("./src/routes/settings");
 const dataRoutes = require("./src/routes/data");
+const slateRoutes = require("./src/routes/slates");
+const { router: payoutRoutes } = require("./src/routes/payouts");
+const { router: projectionRoutes } = require("./src/routes/projections");
+const { router: fieldRoutes } = require("./src/routes/field");
+const { router: resultRoutes } = require("./src/routes/results");
+const { router: nexusScoreRoutes } = require("./src/routes/nexusscore");
+const { router: allocationRoutes } = require("./src/routes/allocations");
+const { slateScope } = require("./src/middleware/slateScope");
 const { errorHandler } = require("./src/middleware/errorHandler");
 
 // Create Express app
@@ -36,22 +44,46 @@ app.set("services", {
   progress: serviceRegistry.getProgressService(),
   settings: serviceRegistry.getSettingsService(),
   data: serviceRegistry.getDataService(),
+  slate: serviceRegistry.getSlateService(),
+  payout: serviceRegistry.getPayoutService(),
+  projection: serviceRegistry.getProjectionService(),
 });
 
 app.set("repositories", {
   player: serviceRegistry.getPlayerRepository(),
   lineup: serviceRegistry.getLineupRepository(),
   teamStack: serviceRegistry.getTeamStackRepository(),
+  slate: serviceRegistry.getSlateRepository(),
+  payoutStructure: serviceRegistry.getPayoutStructureRepository(),
+  optimizationJob: serviceRegistry.getOptimizationJobRepository(),
+  projectionSource: serviceRegistry.getProjectionSourceRepository(),
+  contestResult: serviceRegistry.getContestResultRepository(),
+  contestAllocation: serviceRegistry.getContestAllocationRepository(),
 });
 
 // Setup API routes
-app.use("/players", playerRoutes);
-app.use("/lineups", lineupRoutes);
-app.use("/teams", teamRoutes);
+// Slate-scoped routes: /players etc. use the X-Slate-Id header (or the
+// default slate), /slates/:slateId/players etc. name the slate explicitly
+const slateScopedRoutes = {
+  players: playerRoutes,
+  lineups: lineupRoutes,
+  teams: teamRoutes,
+  optimizer: optimizationRoutes,
+  payouts: payoutRoutes,
+  projections: projectionRoutes,
+  field: fieldRoutes,
+  results: resultRoutes,
+  nexusscore: nexusScoreRoutes,
+  allocations: allocationRoutes,
+  settings: settingsRoutes,
+};
+Object.entries(slateScopedRoutes).forEach(([prefix, routes]) => {
+  app.use(`/${prefix}`, slateScope, routes);
+  app.use(`/slates/:slateId/${prefix}`, slateScope, routes);
+});
+app.use("/slates", slateRoutes);
 app.use("/files", fileRoutes);
-app.use("/optimizer", optimizationRoutes);
 app.use("/progress", progressRoutes);
-app.use("/settings", settingsRoutes);
 app.use("/data", dataRoutes);
 
 // Global error handler (must be last middleware)
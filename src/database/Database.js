@@ -0,0 +1,265 @@
+/**
+ * Database
+ * File-backed SQLite storage (via sql.js) shared by the repositories
+ * The whole database is kept in memory and flushed to disk after every write,
+ * so loops of writes should go through transaction() to flush once.
+ *
+ * Several processes may share the file (server and cli.js): before every
+ * query the file is checked and reloaded when another process has replaced
+ * it. Writes landing in the same instant from two processes still race (the
+ * last flush wins), so avoid running a CLI write while the server is saving.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const initSqlJs = require("sql.js");
+const migrations = require("./migrations");
+
+const DEFAULT_DB_PATH = path.join(__dirname, "../../data/optimizer.db");
+
+class Database {
+  /**
+   * @param {string|null} filePath - database file, or null for a purely
+   *   in-memory database that is never written to disk
+   */
+  constructor(filePath = process.env.DFS_DB_PATH || DEFAULT_DB_PATH) {
+    this.filePath = filePath;
+    this.db = null;
+    this.opening = null;
+    this.saveQueue = Promise.resolve();
+    this.pendingSaves = 0;
+    this.reloading = null;
+    this.fileStamp = null; // mtime and size of the file as we last saw it
+  }
+
+  /**
+   * Open the database (once) and apply pending migrations
+   */
+  async ready() {
+    if (this.db) {
+      await this.reloadIfChanged();
+      return this.db;
+    }
+
+    if (!this.opening) {
+      this.opening = this.open();
+    }
+
+    return this.opening;
+  }
+
+  async open() {
+    const SQL = await initSqlJs();
+
+    let fileBuffer = null;
+    if (this.filePath) {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      try {
+        fileBuffer = await fs.readFile(this.filePath);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+
+    const db = fileBuffer ? new SQL.Database(fileBuffer) : new SQL.Database();
+    const applied = this.migrate(db);
+
+    this.db = db;
+    this.fileStamp = await this.readFileStamp();
+    if (applied > 0) {
+      await this.persist();
+    }
+
+    return db;
+  }
+
+  async readFileStamp() {
+    if (!this.filePath) {
+      return null;
+    }
+
+    try {
+      const stats = await fs.stat(this.filePath);
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return null;
+    }
+  }
+
+  /**
+   * Pick up writes another process flushed to the file since we last read
+   * or wrote it. Skipped while our own flush is in flight, whose rename
+   * would otherwise look like a foreign write.
+   */
+  async reloadIfChanged() {
+    if (!this.filePath || this.pendingSaves > 0) {
+      return;
+    }
+
+    if (!this.reloading) {
+      this.reloading = this.reload().finally(() => {
+        this.reloading = null;
+      });
+    }
+    await this.reloading;
+  }
+
+  async reload() {
+    const stamp = await this.readFileStamp();
+    if (!stamp || stamp === this.fileStamp) {
+      return;
+    }
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(await fs.readFile(this.filePath));
+    if (this.pendingSaves > 0) {
+      // A write of ours slipped in while reading; keep it
+      db.close();
+      return;
+    }
+    this.migrate(db);
+    this.db.close();
+    this.db = db;
+    this.fileStamp = stamp;
+  }
+
+  /**
+   * Apply every migration newer than the stored schema version
+   * @returns {number} number of migrations applied
+   */
+  migrate(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const result = db.exec("SELECT MAX(version) FROM schema_migrations");
+    const currentVersion = result[0]?.values[0][0] || 0;
+
+    const pending = migrations
+      .filter((migration) => migration.version > currentVersion)
+      .sort((a, b) => a.version - b.version);
+
+    pending.forEach((migration) => {
+      db.run("BEGIN");
+      try {
+        migration.up(db);
+        db.run(
+          "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)",
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+        db.run("COMMIT");
+      } catch (error) {
+        db.run("ROLLBACK");
+        throw new Error(
+          `Migration ${migration.version} (${migration.name}) failed: ${error.message}`
+        );
+      }
+    });
+
+    return pending.length;
+  }
+
+  async getSchemaVersion() {
+    const row = await this.get(
+      "SELECT MAX(version) AS version FROM schema_migrations"
+    );
+    return row?.version || 0;
+  }
+
+  /**
+   * Run a read query and return all rows as plain objects
+   */
+  async all(sql, params = []) {
+    const db = await this.ready();
+    const statement = db.prepare(sql);
+    const rows = [];
+
+    try {
+      statement.bind(params);
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+
+    return rows;
+  }
+
+  async get(sql, params = []) {
+    const rows = await this.all(sql, params);
+    return rows[0] || null;
+  }
+
+  /**
+   * Run a single write statement and persist the change
+   * @returns {number} number of rows modified
+   */
+  async run(sql, params = []) {
+    const db = await this.ready();
+    db.run(sql, params);
+    const changes = db.getRowsModified();
+    await this.persist();
+    return changes;
+  }
+
+  /**
+   * Run several write statements atomically and persist once
+   * @param {Array<[string, Array]>} statements - [sql, params] pairs
+   */
+  async transaction(statements) {
+    const db = await this.ready();
+
+    db.run("BEGIN");
+    try {
+      statements.forEach(([sql, params = []]) => db.run(sql, params));
+      db.run("COMMIT");
+    } catch (error) {
+      db.run("ROLLBACK");
+      throw error;
+    }
+
+    await this.persist();
+  }
+
+  /**
+   * Flush the in-memory database to disk
+   * Writes are serialized and go through a temp file so a crash mid-write
+   * never leaves a truncated database behind
+   */
+  persist() {
+    if (!this.filePath || !this.db) {
+      return Promise.resolve();
+    }
+
+    this.pendingSaves++;
+    this.saveQueue = this.saveQueue
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, Buffer.from(this.db.export()));
+        await fs.rename(tempPath, this.filePath);
+        this.fileStamp = await this.readFileStamp();
+      })
+      .finally(() => {
+        this.pendingSaves--;
+      });
+
+    return this.saveQueue;
+  }
+
+  async close() {
+    if (!this.db) return;
+    await this.persist();
+    this.db.close();
+    this.db = null;
+    this.opening = null;
+  }
+}
+
+module.exports = Database;
@@ -0,0 +1,197 @@
+/**
+ * Database Migrations
+ * Ordered schema changes applied by Database.migrate()
+ * Never edit a released migration - append a new one instead
+ */
+
+const DEFAULT_SLATE_ID = "default";
+
+/**
+ * Rebuild a table so its primary key becomes (slate_id, id)
+ * SQLite cannot alter a primary key in place, so copy rows across
+ */
+const rebuildWithSlateKey = (db, table, columns) => {
+  const columnList = columns.join(", ");
+  const columnDefs = columns
+    .filter((column) => column !== "id" && column !== "data")
+    .map((column) => `${column} TEXT,`)
+    .join("\n");
+
+  db.run(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+  db.run(`
+    CREATE TABLE ${table} (
+      slate_id TEXT NOT NULL DEFAULT '${DEFAULT_SLATE_ID}',
+      id TEXT NOT NULL,
+      ${columnDefs}
+      data TEXT NOT NULL,
+      PRIMARY KEY (slate_id, id)
+    )
+  `);
+  db.run(`
+    INSERT INTO ${table} (slate_id, ${columnList})
+    SELECT '${DEFAULT_SLATE_ID}', ${columnList} FROM ${table}_old ORDER BY rowid
+  `);
+  db.run(`DROP TABLE ${table}_old`);
+};
+
+const migrations = [
+  {
+    version: 1,
+    name: "create_core_tables",
+    up: (db) => {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS players (
+          id TEXT PRIMARY KEY,
+          team TEXT,
+          position TEXT,
+          data TEXT NOT NULL
+        )
+      `);
+      db.run(`
+        CREATE TABLE IF NOT EXISTS lineups (
+          id TEXT PRIMARY KEY,
+          data TEXT NOT NULL
+        )
+      `);
+      db.run(`
+        CREATE TABLE IF NOT EXISTS team_stacks (
+          id TEXT PRIMARY KEY,
+          team TEXT,
+          data TEXT NOT NULL
+        )
+      `);
+      db.run("CREATE INDEX IF NOT EXISTS idx_players_team ON players(team)");
+      db.run(
+        "CREATE INDEX IF NOT EXISTS idx_players_position ON players(position)"
+      );
+      db.run(
+        "CREATE INDEX IF NOT EXISTS idx_team_stacks_team ON team_stacks(team)"
+      );
+    },
+  },
+  {
+    version: 2,
+    name: "add_slates",
+    up: (db) => {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS slates (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          data TEXT NOT NULL
+        )
+      `);
+
+      const now = new Date().toISOString();
+      db.run("INSERT OR IGNORE INTO slates (id, name, data) VALUES (?, ?, ?)", [
+        DEFAULT_SLATE_ID,
+        "Default Slate",
+        JSON.stringify({
+          id: DEFAULT_SLATE_ID,
+          name: "Default Slate",
+          contest: null,
+          settingsSnapshot: null,
+          createdAt: now,
+          updatedAt: now,
+        }),
+      ]);
+
+      rebuildWithSlateKey(db, "players", ["id", "team", "position", "data"]);
+      rebuildWithSlateKey(db, "lineups", ["id", "data"]);
+      rebuildWithSlateKey(db, "team_stacks", ["id", "team", "data"]);
+
+      db.run(
+        "CREATE INDEX IF NOT EXISTS idx_players_slate_team ON players(slate_id, team)"
+      );
+      db.run(
+        "CREATE INDEX IF NOT EXISTS idx_players_slate_position ON players(slate_id, position)"
+      );
+      db.run(
+        "CREATE INDEX IF NOT EXISTS idx_team_stacks_slate_team ON team_stacks(slate_id, team)"
+      );
+    },
+  },
+  {
+    version: 3,
+    name: "add_payout_structures",
+    up: (db) => {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS payout_structures (
+          slate_id TEXT NOT NULL DEFAULT '${DEFAULT_SLATE_ID}',
+          id TEXT NOT NULL,
+          contest_id TEXT,
+          data TEXT NOT NULL,
+          PRIMARY KEY (slate_id, id)
+        )
+      `);
+      db.run(
+        "CREATE INDEX IF NOT EXISTS idx_payout_structures_slate_contest ON payout_structures(slate_id, contest_id)"
+      );
+    },
+  },
+  {
+    version: 4,
+    name: "add_optimization_jobs",
+    up: (db) => {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS optimization_jobs (
+          slate_id TEXT NOT NULL DEFAULT '${DEFAULT_SLATE_ID}',
+          id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          data TEXT NOT NULL,
+          PRIMARY KEY (slate_id, id)
+        )
+      `);
+      db.run(
+        "CREATE INDEX IF NOT EXISTS idx_optimization_jobs_slate_status ON optimization_jobs(slate_id, status)"
+      );
+    },
+  },
+  {
+    version: 5,
+    name: "add_projection_sources",
+    up: (db) => {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS projection_sources (
+          slate_id TEXT NOT NULL DEFAULT '${DEFAULT_SLATE_ID}',
+          id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          data TEXT NOT NULL,
+          PRIMARY KEY (slate_id, id)
+        )
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: "add_contest_results",
+    up: (db) => {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS contest_results (
+          slate_id TEXT NOT NULL DEFAULT '${DEFAULT_SLATE_ID}',
+          id TEXT NOT NULL,
+          contest_id TEXT,
+          data TEXT NOT NULL,
+          PRIMARY KEY (slate_id, id)
+        )
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: "add_contest_allocations",
+    up: (db) => {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS contest_allocations (
+          slate_id TEXT NOT NULL DEFAULT '${DEFAULT_SLATE_ID}',
+          id TEXT NOT NULL,
+          data TEXT NOT NULL,
+          PRIMARY KEY (slate_id, id)
+        )
+      `);
+    },
+  },
+];
+
+module.exports = migrations;
+module.exports.DEFAULT_SLATE_ID = DEFAULT_SLATE_ID;
@@ -0,0 +1,221 @@
+/**
+ * OptimizationJobRunner
+ * Queue of optimization jobs executed in worker threads
+ * - At most `concurrency` workers run at once; the rest wait in FIFO order
+ * - Cancelling terminates the worker (or drops the job from the queue)
+ * - A crashing or out-of-memory worker only fails its own job
+ */
+
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { AppError } = require("../middleware/errorHandler");
+
+const WORKER_PATH = path.join(__dirname, "optimizationWorker.js");
+
+class OptimizationJobRunner {
+  constructor(options = {}) {
+    this.concurrency =
+      options.concurrency || Math.max(1, Math.min(2, os.cpus().length - 1));
+    this.workerPath = options.workerPath || WORKER_PATH;
+    this.resourceLimits = {
+      maxOldGenerationSizeMb: 1024,
+      ...options.resourceLimits,
+    };
+
+    this.queue = []; // jobs waiting for a worker
+    this.running = new Map(); // jobId -> job
+  }
+
+  /**
+   * Queue a job
+   * @param {string|number} jobId - Caller's id (optimizationId)
+   * @param {Object} payload - { algorithm, options } passed as workerData
+   * @param {Object} handlers - onStart(), onProgress(progress, stage), onStatus(status)
+   * @returns {Promise<Object>} the worker's result
+   */
+  submit(jobId, payload, handlers = {}) {
+    if (this.running.has(jobId) || this.queue.some((j) => j.id === jobId)) {
+      return Promise.reject(
+        new AppError(`Optimization job ${jobId} already exists`, 409)
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: jobId,
+        payload,
+        handlers,
+        resolve,
+        reject,
+        queuedAt: Date.now(),
+        worker: null,
+        settled: false,
+      });
+      this._drain();
+    });
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @returns {boolean} whether a job was found
+   */
+  cancel(jobId) {
+    const index = this.queue.findIndex((job) => job.id === jobId);
+    if (index !== -1) {
+      const [job] = this.queue.splice(index, 1);
+      this._settle(job, new AppError("Optimization cancelled", 409));
+      return true;
+    }
+
+    const job = this.running.get(jobId);
+    if (!job) {
+      return false;
+    }
+
+    this._settle(job, new AppError("Optimization cancelled", 409));
+    job.worker.terminate();
+    return true;
+  }
+
+  /**
+   * Where a job is: { status: queued|running, position, queuedAt, startedAt }
+   */
+  getJob(jobId) {
+    const index = this.queue.findIndex((job) => job.id === jobId);
+    if (index !== -1) {
+      return {
+        status: "queued",
+        position: index + 1,
+        queuedAt: this.queue[index].queuedAt,
+      };
+    }
+
+    const job = this.running.get(jobId);
+    if (job) {
+      return {
+        status: "running",
+        queuedAt: job.queuedAt,
+        startedAt: job.startedAt,
+      };
+    }
+    return null;
+  }
+
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running.size,
+      queued: this.queue.length,
+    };
+  }
+
+  // Start queued jobs while worker slots are free
+  _drain() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      this._start(this.queue.shift());
+    }
+  }
+
+  _start(job) {
+    job.startedAt = Date.now();
+    this.running.set(job.id, job);
+
+    let worker;
+    try {
+      worker = new Worker(this.workerPath, {
+        workerData: job.payload,
+        resourceLimits: this.resourceLimits,
+      });
+    } catch (error) {
+      this._settle(
+        job,
+        new AppError(
+          `Could not start optimization worker: ${error.message}`,
+          500
+        )
+      );
+      return;
+    }
+    job.worker = worker;
+    this._call(job, "onStart");
+
+    worker.on("message", (message) => {
+      switch (message.type) {
+        case "progress":
+          this._call(job, "onProgress", message.progress, message.stage);
+          break;
+        case "status":
+          this._call(job, "onStatus", message.status);
+          break;
+        case "log":
+          (console[message.level] || console.log)(message.message);
+          break;
+        case "result":
+          this._settle(job, null, message.result);
+          // Optimizers may leave timers behind; don't wait for them
+          worker.terminate();
+          break;
+        case "error":
+          this._settle(
+            job,
+            new AppError(message.error.message, message.error.statusCode)
+          );
+          worker.terminate();
+          break;
+        default:
+          break;
+      }
+    });
+
+    // Uncaught exceptions and resource-limit aborts end up here
+    worker.on("error", (error) => {
+      this._settle(
+        job,
+        new AppError(`Optimization worker crashed: ${error.message}`, 500)
+      );
+    });
+
+    worker.on("exit", (code) => {
+      this._settle(
+        job,
+        new AppError(
+          `Optimization worker exited unexpectedly (code ${code})`,
+          500
+        )
+      );
+    });
+  }
+
+  // Resolve/reject exactly once and free the worker slot
+  _settle(job, error, result) {
+    if (job.settled) return;
+    job.settled = true;
+
+    if (this.running.get(job.id) === job) {
+      this.running.delete(job.id);
+    }
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+
+    this._drain();
+  }
+
+  // Handler errors must never take down the runner
+  _call(job, name, ...args) {
+    if (job.settled || typeof job.handlers[name] !== "function") return;
+    try {
+      job.handlers[name](...args);
+    } catch (error) {
+      console.error(
+        `Optimization job ${job.id} ${name} handler failed:`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = OptimizationJobRunner;
@@ -0,0 +1,246 @@
+/**
+ * Optimization worker
+ * Runs one Advanced/Exact/Hybrid optimizer job (or a late swap or portfolio
+ * rebalance) inside a worker thread so long runs never block the Express
+ * event loop. Messages to the parent:
+ *   { type: "progress", progress, stage }
+ *   { type: "status", status }
+ *   { type: "result", result: { lineups | entries, generationTime, summary, algorithms } }
+ *   { type: "error", error: { message, statusCode } }
+ *   { type: "log", level, message }
+ */
+
+const util = require("util");
+const { parentPort, workerData } = require("worker_threads");
+
+// Hand optimizer logging to the parent's console so it follows the host's
+// redirection (the CLI keeps stdout for results)
+["log", "info", "warn", "error", "debug"].forEach((level) => {
+  console[level] = (...args) => {
+    parentPort.postMessage({
+      type: "log",
+      level,
+      message: util.format(...args),
+    });
+  };
+});
+
+const AdvancedOptimizer = require("../../client/src/lib/AdvancedOptimizer");
+const ExactOptimizer = require("../../client/src/lib/ExactOptimizer");
+const HybridOptimizer = require("../../client/src/lib/HybridOptimizer");
+const LateSwapOptimizer = require("../../client/src/lib/LateSwapOptimizer");
+const PortfolioRebalancer = require("../../client/src/lib/PortfolioRebalancer");
+
+// Also runs the exact solver, which shares AdvancedOptimizer's setup
+async function runAdvancedOptimization(optimizer, options, algorithm) {
+  const startTime = Date.now();
+
+  // Constraints map onto optimizer config (salaryCap, maxPlayersPerTeam, ...)
+  optimizer.updateConfig({
+    ...options.constraints,
+    seed: options.seed,
+    lineupRules: options.lineupRules || [],
+    nexusScoreFormula: options.nexusScoreFormula ?? null,
+  });
+
+  const ready = await optimizer.initialize(
+    options.players,
+    options.exposureLimits || {},
+    [], // existingLineups - empty for fresh generation
+    options.teamStacks || []
+  );
+  if (!ready) {
+    throw Object.assign(new Error("Optimizer could not be initialized"), {
+      statusCode: 400,
+    });
+  }
+
+  // Generate and rank lineups
+  const result =
+    algorithm === "exact"
+      ? await optimizer.runExactOptimization(options.numLineups)
+      : await optimizer.runSimulation(options.numLineups);
+
+  return {
+    lineups: result.lineups || [],
+    generationTime: Date.now() - startTime,
+    summary: result.summary,
+  };
+}
+
+// Re-optimizes the open slots of existing entries
+async function runLateSwap(optimizer, options) {
+  const startTime = Date.now();
+
+  optimizer.updateConfig({
+    ...options.constraints,
+    seed: options.seed,
+    lineupRules: options.lineupRules || [],
+    nexusScoreFormula: options.nexusScoreFormula ?? null,
+  });
+
+  const ready = await optimizer.initialize(
+    options.players,
+    options.exposureLimits || {},
+    [],
+    options.teamStacks || []
+  );
+  if (!ready) {
+    throw Object.assign(new Error("Optimizer could not be initialized"), {
+      statusCode: 400,
+    });
+  }
+
+  const result = await optimizer.runLateSwap(
+    options.entries,
+    options.lockTimes,
+    { now: options.now }
+  );
+
+  return {
+    entries: result.entries,
+    generationTime: Date.now() - startTime,
+    summary: result.summary,
+  };
+}
+
+async function runRebalance(optimizer, options) {
+  const startTime = Date.now();
+
+  optimizer.updateConfig({
+    ...options.constraints,
+    seed: options.seed,
+    lineupRules: options.lineupRules || [],
+    nexusScoreFormula: options.nexusScoreFormula ?? null,
+  });
+
+  const ready = await optimizer.initialize(
+    options.players,
+    options.exposureLimits || {},
+    [],
+    options.teamStacks || []
+  );
+  if (!ready) {
+    throw Object.assign(new Error("Optimizer could not be initialized"), {
+      statusCode: 400,
+    });
+  }
+
+  const result = await optimizer.runRebalance(options.entries, {
+    maxSwaps: options.maxSwaps,
+  });
+
+  return {
+    entries: result.entries,
+    generationTime: Date.now() - startTime,
+    summary: result.summary,
+  };
+}
+
+async function runHybridOptimization(optimizer, options) {
+  const startTime = Date.now();
+
+  // Initialize hybrid optimizer with correct parameters
+  await optimizer.initialize(
+    options.players,
+    options.exposureLimits || {},
+    [], // existingLineups - empty for fresh generation
+    options.contestInfo || {}
+  );
+
+  let result;
+  if (options.strategy === "portfolio") {
+    // Use the portfolio optimization method
+    result = await optimizer._runPortfolioOptimization(
+      { config: options.customConfig || {} },
+      options.customConfig || {}
+    );
+  } else {
+    result = await optimizer.optimize(
+      options.numLineups,
+      options.strategy || "recommended",
+      options.customConfig || {}
+    );
+  }
+
+  return {
+    lineups: result.lineups || [],
+    generationTime: Date.now() - startTime,
+    summary: result.summary,
+    algorithms: result.algorithms,
+  };
+}
+
+function createOptimizer(algorithm, options) {
+  switch (algorithm) {
+    case "advanced":
+      return new AdvancedOptimizer({ seed: options.seed });
+    case "exact":
+      return new ExactOptimizer({ seed: options.seed });
+    case "hybrid":
+      return new HybridOptimizer({
+        fieldSizes: options.contestInfo?.fieldSizes || {},
+        exactMode: options.customConfig?.exactMode,
+        lineupRules: options.lineupRules || [],
+        maxExpectedDupes: options.constraints?.maxExpectedDupes ?? null,
+        nexusScoreFormula: options.nexusScoreFormula ?? null,
+        seed: options.seed,
+      });
+    case "late_swap":
+      return new LateSwapOptimizer({ seed: options.seed });
+    case "rebalance":
+      return new PortfolioRebalancer({ seed: options.seed });
+    default:
+      throw Object.assign(
+        new Error(`Unknown optimization algorithm: ${algorithm}`),
+        { statusCode: 400 }
+      );
+  }
+}
+
+async function run() {
+  const { algorithm, options } = workerData;
+
+  const optimizer = createOptimizer(algorithm, options);
+
+  // Only forward whole-percent or stage changes to keep the channel quiet
+  let lastProgress = -1;
+  let lastStage = null;
+  optimizer.setProgressCallback((progress, stage) => {
+    const rounded = Math.floor(Number(progress) || 0);
+    if (rounded === lastProgress && stage === lastStage) return;
+    lastProgress = rounded;
+    lastStage = stage;
+    parentPort.postMessage({ type: "progress", progress: rounded, stage });
+  });
+  optimizer.setStatusCallback((status) => {
+    parentPort.postMessage({ type: "status", status: String(status) });
+  });
+
+  let result;
+  if (algorithm === "hybrid") {
+    result = await runHybridOptimization(optimizer, options);
+  } else if (algorithm === "late_swap") {
+    result = await runLateSwap(optimizer, options);
+  } else if (algorithm === "rebalance") {
+    result = await runRebalance(optimizer, options);
+  } else {
+    result = await runAdvancedOptimization(optimizer, options, algorithm);
+  }
+
+  // Round-trip through JSON so nothing uncloneable crosses the thread boundary
+  parentPort.postMessage({
+    type: "result",
+    result: JSON.parse(JSON.stringify(result)),
+  });
+}
+
+run().catch((error) => {
+  parentPort.postMessage({
+    type: "error",
+    error: {
+      message: error.message || String(error),
+      statusCode: error.statusCode || 500,
+    },
+  });
+});
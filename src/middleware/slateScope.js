@@ -0,0 +1,42 @@
+/**
+ * Slate Scope Middleware
+ * Resolves which slate a request targets and exposes that slate's
+ * services and repositories as req.services / req.repositories
+ */
+
+const serviceRegistry = require("../services/ServiceRegistry");
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
+const { AppError } = require("./errorHandler");
+
+// Slate ID comes from the /slates/:slateId prefix, the X-Slate-Id header
+// or a ?slateId= query parameter, falling back to the default slate
+const resolveSlateId = (req) =>
+  req.params.slateId ||
+  req.get("X-Slate-Id") ||
+  req.query.slateId ||
+  DEFAULT_SLATE_ID;
+
+const slateScope = (req, res, next) => {
+  const slateId = String(resolveSlateId(req));
+
+  serviceRegistry
+    .getSlateService()
+    .slateExists(slateId)
+    .then((exists) => {
+      if (!exists) {
+        return next(new AppError(`Slate '${slateId}' not found`, 404));
+      }
+
+      const context = serviceRegistry.getSlateContext(slateId);
+      req.slateId = slateId;
+      req.services = context.services;
+      req.repositories = context.repositories;
+      next();
+    })
+    .catch(next);
+};
+
+module.exports = {
+  slateScope,
+  resolveSlateId,
+};
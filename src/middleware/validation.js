@@ -62,9 +62,9 @@ const validatePlayerData = (req, res, next) => {
   next();
 };
 
-// ID parameter validation
+// ID parameter validation (progress routes name theirs :sessionId)
 const validateId = (req, res, next) => {
-  const { id } = req.params;
+  const id = req.params.id ?? req.params.sessionId;
 
   if (!id || (isNaN(parseInt(id)) && typeof id !== "string")) {
     return next(new AppError("Invalid ID parameter", 400));
@@ -0,0 +1,71 @@
+/**
+ * ContestAllocationRepository
+ * Data access layer for contest allocations
+ * Each allocation is one assignment of saved lineups to the entries of
+ * several contests, with the simulated EV behind it
+ */
+
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
+const { generateRandomId } = require("../utils/generators");
+
+class ContestAllocationRepository {
+  constructor(database, slateId = DEFAULT_SLATE_ID) {
+    this.database = database;
+    this.slateId = slateId;
+  }
+
+  // Repository bound to another slate, sharing the same database
+  forSlate(slateId) {
+    return new this.constructor(this.database, slateId);
+  }
+
+  // Storage helpers
+  _deserialize(rows) {
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  async findAll() {
+    const rows = await this.database.all(
+      "SELECT data FROM contest_allocations WHERE slate_id = ? ORDER BY rowid",
+      [this.slateId]
+    );
+    return this._deserialize(rows);
+  }
+
+  async findById(id) {
+    const row = await this.database.get(
+      "SELECT data FROM contest_allocations WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async create(allocationData) {
+    const newAllocation = {
+      ...allocationData,
+      id: String(allocationData.id || generateRandomId()),
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.database.run(
+      "INSERT INTO contest_allocations (slate_id, id, data) VALUES (?, ?, ?)",
+      [this.slateId, newAllocation.id, JSON.stringify(newAllocation)]
+    );
+    return newAllocation;
+  }
+
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    await this.database.run(
+      "DELETE FROM contest_allocations WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return existing;
+  }
+}
+
+module.exports = ContestAllocationRepository;
@@ -0,0 +1,84 @@
+/**
+ * ContestResultRepository
+ * Data access layer for imported contest results
+ * Each result is one past contest's standings (every entry's lineup and
+ * score) and its players' actual ownership and fantasy points
+ */
+
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
+const { generateRandomId } = require("../utils/generators");
+
+class ContestResultRepository {
+  constructor(database, slateId = DEFAULT_SLATE_ID) {
+    this.database = database;
+    this.slateId = slateId;
+  }
+
+  // Repository bound to another slate, sharing the same database
+  forSlate(slateId) {
+    return new this.constructor(this.database, slateId);
+  }
+
+  // Storage helpers
+  _deserialize(rows) {
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  async findAll() {
+    const rows = await this.database.all(
+      "SELECT data FROM contest_results WHERE slate_id = ? ORDER BY rowid",
+      [this.slateId]
+    );
+    return this._deserialize(rows);
+  }
+
+  async findById(id) {
+    const row = await this.database.get(
+      "SELECT data FROM contest_results WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findByContestId(contestId) {
+    const row = await this.database.get(
+      "SELECT data FROM contest_results WHERE slate_id = ? AND contest_id = ? ORDER BY rowid DESC",
+      [this.slateId, String(contestId)]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async create(resultData) {
+    const newResult = {
+      ...resultData,
+      id: String(resultData.id || generateRandomId()),
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.database.run(
+      "INSERT INTO contest_results (slate_id, id, contest_id, data) VALUES (?, ?, ?, ?)",
+      [
+        this.slateId,
+        newResult.id,
+        newResult.contestId || null,
+        JSON.stringify(newResult),
+      ]
+    );
+    return newResult;
+  }
+
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    await this.database.run(
+      "DELETE FROM contest_results WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return existing;
+  }
+}
+
+module.exports = ContestResultRepository;
@@ -1,28 +1,63 @@
 /**
  * LineupRepository
  * Data access layer for lineup operations
- * Currently uses in-memory storage, will be replaced with database in Phase 2
+ * Backed by the SQLite database so generated lineups survive restarts
  */
 
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
 const { generateLineupId } = require("../utils/generators");
+const { getCaptainProjection } = require("../utils/captain");
 
 class LineupRepository {
-  constructor() {
-    // In-memory storage (temporary until Phase 2 database implementation)
-    this.lineups = [];
-    this.nextId = 1;
+  constructor(database, slateId = DEFAULT_SLATE_ID) {
+    this.database = database;
+    this.slateId = slateId;
+  }
+
+  // Repository bound to another slate, sharing the same database
+  forSlate(slateId) {
+    return new this.constructor(this.database, slateId);
+  }
+
+  // Storage helpers
+  _deserialize(rows) {
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  _insertStatement(lineup) {
+    return [
+      "INSERT INTO lineups (slate_id, id, data) VALUES (?, ?, ?)",
+      [this.slateId, String(lineup.id), JSON.stringify(lineup)],
+    ];
   }
 
   async findAll() {
-    return [...this.lineups];
+    const rows = await this.database.all(
+      "SELECT data FROM lineups WHERE slate_id = ? ORDER BY rowid",
+      [this.slateId]
+    );
+    return this._deserialize(rows);
   }
 
   async findById(id) {
-    return this.lineups.find((lineup) => lineup.id == id) || null;
+    const row = await this.database.get(
+      "SELECT data FROM lineups WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return row ? JSON.parse(row.data) : null;
   }
 
   async findByIds(ids) {
-    return this.lineups.filter((lineup) => ids.includes(lineup.id));
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const placeholders = ids.map(() => "?").join(", ");
+    const rows = await this.database.all(
+      `SELECT data FROM lineups WHERE slate_id = ? AND id IN (${placeholders}) ORDER BY rowid`,
+      [this.slateId, ...ids.map(String)]
+    );
+    return this._deserialize(rows);
   }
 
   async create(lineupData) {
@@ -33,7 +68,7 @@ class LineupRepository {
       updatedAt: new Date().toISOString(),
     };
 
-    this.lineups.push(newLineup);
+    await this.database.transaction([this._insertStatement(newLineup)]);
     return newLineup;
   }
 
@@ -45,34 +80,77 @@ class LineupRepository {
       updatedAt: new Date().toISOString(),
     }));
 
-    this.lineups.push(...newLineups);
+    await this.database.transaction(
+      newLineups.map((lineup) => this._insertStatement(lineup))
+    );
     return newLineups;
   }
 
+  _updateStatement(id, lineup) {
+    return [
+      "UPDATE lineups SET id = ?, data = ? WHERE slate_id = ? AND id = ?",
+      [String(lineup.id), JSON.stringify(lineup), this.slateId, String(id)],
+    ];
+  }
+
   async update(id, updateData) {
-    const index = this.lineups.findIndex((lineup) => lineup.id == id);
-    if (index === -1) {
+    const existing = await this.findById(id);
+    if (!existing) {
       return null;
     }
 
-    this.lineups[index] = {
-      ...this.lineups[index],
+    const updatedLineup = {
+      ...existing,
       ...updateData,
       updatedAt: new Date().toISOString(),
     };
 
-    return this.lineups[index];
+    await this.database.run(...this._updateStatement(id, updatedLineup));
+
+    return updatedLineup;
+  }
+
+  /**
+   * Update several lineups in one transaction (a single flush to disk)
+   * @param {Array<{id, changes}>} updates
+   * @returns {Array} the updated lineups; unknown ids are skipped
+   */
+  async updateMany(updates) {
+    const existing = new Map(
+      (await this.findByIds(updates.map(({ id }) => id))).map((lineup) => [
+        String(lineup.id),
+        lineup,
+      ])
+    );
+    const updatedAt = new Date().toISOString();
+    const updatedLineups = [];
+    const statements = [];
+
+    updates.forEach(({ id, changes }) => {
+      const lineup = existing.get(String(id));
+      if (!lineup) return;
+      const updatedLineup = { ...lineup, ...changes, updatedAt };
+      updatedLineups.push(updatedLineup);
+      statements.push(this._updateStatement(id, updatedLineup));
+    });
+
+    if (statements.length > 0) {
+      await this.database.transaction(statements);
+    }
+    return updatedLineups;
   }
 
   async delete(id) {
-    const index = this.lineups.findIndex((lineup) => lineup.id == id);
-    if (index === -1) {
+    const existing = await this.findById(id);
+    if (!existing) {
       return false;
     }
 
-    const deletedLineup = this.lineups[index];
-    this.lineups.splice(index, 1);
-    return deletedLineup;
+    await this.database.run(
+      "DELETE FROM lineups WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return existing;
   }
 
   async deleteMany(ids) {
@@ -80,39 +158,57 @@ class LineupRepository {
     const notFoundIds = [];
 
     for (const id of ids) {
-      const index = this.lineups.findIndex((lineup) => lineup.id == id);
-      if (index !== -1) {
-        deletedLineups.push(this.lineups.splice(index, 1)[0]);
+      const existing = await this.findById(id);
+      if (existing) {
+        deletedLineups.push(existing);
       } else {
         notFoundIds.push(id);
       }
     }
 
+    await this.database.transaction(
+      deletedLineups.map((lineup) => [
+        "DELETE FROM lineups WHERE slate_id = ? AND id = ?",
+        [this.slateId, String(lineup.id)],
+      ])
+    );
+
     return { deletedLineups, notFoundIds };
   }
 
   async deleteAll() {
-    this.lineups = [];
+    await this.database.run("DELETE FROM lineups WHERE slate_id = ?", [
+      this.slateId,
+    ]);
     return true;
   }
 
   async replaceAll(newLineups) {
-    this.lineups = newLineups.map((lineup) => ({
+    const lineups = newLineups.map((lineup) => ({
       ...lineup,
       id: lineup.id || generateLineupId(),
       createdAt: lineup.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     }));
 
-    return this.lineups;
+    await this.database.transaction([
+      ["DELETE FROM lineups WHERE slate_id = ?", [this.slateId]],
+      ...lineups.map((lineup) => this._insertStatement(lineup)),
+    ]);
+
+    return lineups;
   }
 
   async count() {
-    return this.lineups.length;
+    const row = await this.database.get(
+      "SELECT COUNT(*) AS count FROM lineups WHERE slate_id = ?",
+      [this.slateId]
+    );
+    return row.count;
   }
 
   async search(filters = {}) {
-    let results = [...this.lineups];
+    let results = await this.findAll();
 
     if (filters.name) {
       results = results.filter(
@@ -188,11 +284,17 @@ class LineupRepository {
   }
 
   calculateTotalProjection(lineup) {
-    const captainProjection = lineup.cpt?.projectedPoints || 0;
+    const captainProjection = lineup.cpt?.projectedPoints
+      ? getCaptainProjection(lineup.cpt)
+      : 0;
     const playersProjection =
       lineup.players?.reduce((sum, p) => sum + (p.projectedPoints || 0), 0) ||
       0;
-    return captainProjection * 1.5 + playersProjection; // Captain gets 1.5x multiplier
+    // Optimizer lineups only carry a lineup-level projection
+    if (!captainProjection && !playersProjection) {
+      return parseFloat(lineup.projectedPoints) || 0;
+    }
+    return captainProjection + playersProjection;
   }
 
   getLineupTeams(lineup) {
@@ -235,7 +337,8 @@ class LineupRepository {
 
   // Statistics methods
   async getAverageStats() {
-    if (this.lineups.length === 0) {
+    const lineups = await this.findAll();
+    if (lineups.length === 0) {
       return {
         avgSalary: 0,
         avgProjection: 0,
@@ -244,7 +347,7 @@ class LineupRepository {
       };
     }
 
-    const totals = this.lineups.reduce(
+    const totals = lineups.reduce(
       (acc, lineup) => ({
         salary: acc.salary + this.calculateTotalSalary(lineup),
         projection: acc.projection + this.calculateTotalProjection(lineup),
@@ -253,7 +356,7 @@ class LineupRepository {
       { salary: 0, projection: 0, nexusScore: 0 }
     );
 
-    const count = this.lineups.length;
+    const count = lineups.length;
 
     return {
       avgSalary: Math.round(totals.salary / count),
@@ -264,10 +367,11 @@ class LineupRepository {
   }
 
   async getTeamExposure() {
+    const lineups = await this.findAll();
     const teamCounts = {};
-    const totalLineups = this.lineups.length;
+    const totalLineups = lineups.length;
 
-    this.lineups.forEach((lineup) => {
+    lineups.forEach((lineup) => {
       const teams = this.getLineupTeams(lineup);
       teams.forEach((team) => {
         teamCounts[team] = (teamCounts[team] || 0) + 1;
@@ -287,10 +391,11 @@ class LineupRepository {
   }
 
   async getPositionExposure() {
+    const lineups = await this.findAll();
     const positionCounts = {};
-    const totalLineups = this.lineups.length;
+    const totalLineups = lineups.length;
 
-    this.lineups.forEach((lineup) => {
+    lineups.forEach((lineup) => {
       // Count captain position
       if (lineup.cpt?.position) {
         positionCounts[lineup.cpt.position] =
@@ -0,0 +1,116 @@
+/**
+ * OptimizationJobRepository
+ * Data access layer for optimization job history
+ * Each record keeps a run's inputs, status, timings, lineups and summary
+ */
+
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
+
+class OptimizationJobRepository {
+  constructor(database, slateId = DEFAULT_SLATE_ID) {
+    this.database = database;
+    this.slateId = slateId;
+  }
+
+  // Repository bound to another slate, sharing the same database
+  forSlate(slateId) {
+    return new this.constructor(this.database, slateId);
+  }
+
+  // Storage helpers
+  _deserialize(rows) {
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  // Newest first, optionally filtered by status
+  async findAll({ status, limit } = {}) {
+    let sql = "SELECT data FROM optimization_jobs WHERE slate_id = ?";
+    const params = [this.slateId];
+
+    if (status) {
+      sql += " AND status = ?";
+      params.push(status);
+    }
+    sql += " ORDER BY rowid DESC";
+    if (limit) {
+      sql += " LIMIT ?";
+      params.push(limit);
+    }
+
+    const rows = await this.database.all(sql, params);
+    return this._deserialize(rows);
+  }
+
+  async findById(id) {
+    const row = await this.database.get(
+      "SELECT data FROM optimization_jobs WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async create(jobData) {
+    const now = new Date().toISOString();
+    const newJob = {
+      ...jobData,
+      id: String(jobData.id),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this.database.run(
+      "INSERT INTO optimization_jobs (slate_id, id, status, created_at, data) VALUES (?, ?, ?, ?, ?)",
+      [
+        this.slateId,
+        newJob.id,
+        newJob.status,
+        newJob.createdAt,
+        JSON.stringify(newJob),
+      ]
+    );
+    return newJob;
+  }
+
+  async update(id, updateData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updatedJob = {
+      ...existing,
+      ...updateData,
+      id: existing.id,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.database.run(
+      "UPDATE optimization_jobs SET status = ?, data = ? WHERE slate_id = ? AND id = ?",
+      [updatedJob.status, JSON.stringify(updatedJob), this.slateId, String(id)]
+    );
+    return updatedJob;
+  }
+
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    await this.database.run(
+      "DELETE FROM optimization_jobs WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return existing;
+  }
+
+  async count() {
+    const row = await this.database.get(
+      "SELECT COUNT(*) AS count FROM optimization_jobs WHERE slate_id = ?",
+      [this.slateId]
+    );
+    return row.count;
+  }
+}
+
+module.exports = OptimizationJobRepository;
@@ -0,0 +1,117 @@
+/**
+ * PayoutStructureRepository
+ * Data access layer for contest payout structures
+ * Structures are stored per slate and can be looked up by contest ID
+ */
+
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
+const { generateRandomId } = require("../utils/generators");
+
+class PayoutStructureRepository {
+  constructor(database, slateId = DEFAULT_SLATE_ID) {
+    this.database = database;
+    this.slateId = slateId;
+  }
+
+  // Repository bound to another slate, sharing the same database
+  forSlate(slateId) {
+    return new this.constructor(this.database, slateId);
+  }
+
+  // Storage helpers
+  _deserialize(rows) {
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  async findAll() {
+    const rows = await this.database.all(
+      "SELECT data FROM payout_structures WHERE slate_id = ? ORDER BY rowid",
+      [this.slateId]
+    );
+    return this._deserialize(rows);
+  }
+
+  async findById(id) {
+    const row = await this.database.get(
+      "SELECT data FROM payout_structures WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findByContestId(contestId) {
+    const row = await this.database.get(
+      "SELECT data FROM payout_structures WHERE slate_id = ? AND contest_id = ? ORDER BY rowid DESC",
+      [this.slateId, String(contestId)]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async create(structureData) {
+    const newStructure = {
+      ...structureData,
+      id: String(structureData.id || generateRandomId()),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.database.run(
+      "INSERT INTO payout_structures (slate_id, id, contest_id, data) VALUES (?, ?, ?, ?)",
+      [
+        this.slateId,
+        newStructure.id,
+        newStructure.contestId ? String(newStructure.contestId) : null,
+        JSON.stringify(newStructure),
+      ]
+    );
+    return newStructure;
+  }
+
+  async update(id, updateData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updatedStructure = {
+      ...existing,
+      ...updateData,
+      id: existing.id,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.database.run(
+      "UPDATE payout_structures SET contest_id = ?, data = ? WHERE slate_id = ? AND id = ?",
+      [
+        updatedStructure.contestId ? String(updatedStructure.contestId) : null,
+        JSON.stringify(updatedStructure),
+        this.slateId,
+        String(id),
+      ]
+    );
+    return updatedStructure;
+  }
+
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    await this.database.run(
+      "DELETE FROM payout_structures WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return existing;
+  }
+
+  async count() {
+    const row = await this.database.get(
+      "SELECT COUNT(*) AS count FROM payout_structures WHERE slate_id = ?",
+      [this.slateId]
+    );
+    return row.count;
+  }
+}
+
+module.exports = PayoutStructureRepository;
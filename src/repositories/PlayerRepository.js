@@ -1,94 +1,191 @@
 /**
  * PlayerRepository
  * Data access layer for player operations
- * Currently uses in-memory storage, will be replaced with database in Phase 2
+ * Backed by the SQLite database so the player pool survives restarts
  */
 
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
+
 class PlayerRepository {
-  constructor() {
-    // In-memory storage (temporary until Phase 2 database implementation)
-    this.players = [];
-    this.nextId = 1;
+  constructor(database, slateId = DEFAULT_SLATE_ID) {
+    this.database = database;
+    this.slateId = slateId;
+  }
+
+  // Repository bound to another slate, sharing the same database
+  forSlate(slateId) {
+    return new this.constructor(this.database, slateId);
+  }
+
+  // Storage helpers
+  _deserialize(rows) {
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  _insertStatement(player) {
+    return [
+      "INSERT INTO players (slate_id, id, team, position, data) VALUES (?, ?, ?, ?, ?)",
+      [
+        this.slateId,
+        String(player.id),
+        player.team || null,
+        player.position || null,
+        JSON.stringify(player),
+      ],
+    ];
+  }
+
+  async _nextId() {
+    const players = await this.findAll();
+    const numericIds = players
+      .map((p) => Number(p.id))
+      .filter((id) => Number.isFinite(id));
+    return numericIds.length > 0 ? Math.max(...numericIds) + 1 : 1;
   }
 
   async findAll() {
-    return [...this.players];
+    const rows = await this.database.all(
+      "SELECT data FROM players WHERE slate_id = ? ORDER BY rowid",
+      [this.slateId]
+    );
+    return this._deserialize(rows);
   }
 
   async findById(id) {
-    return this.players.find((player) => player.id == id) || null;
+    const row = await this.database.get(
+      "SELECT data FROM players WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return row ? JSON.parse(row.data) : null;
   }
 
   async findByTeam(team) {
-    return this.players.filter((player) => player.team === team);
+    const rows = await this.database.all(
+      "SELECT data FROM players WHERE slate_id = ? AND team = ? ORDER BY rowid",
+      [this.slateId, team]
+    );
+    return this._deserialize(rows);
   }
 
   async findByPosition(position) {
-    return this.players.filter((player) => player.position === position);
+    const rows = await this.database.all(
+      "SELECT data FROM players WHERE slate_id = ? AND position = ? ORDER BY rowid",
+      [this.slateId, position]
+    );
+    return this._deserialize(rows);
   }
 
   async create(playerData) {
     const newPlayer = {
       ...playerData,
-      id: playerData.id || this.nextId++,
+      id: playerData.id || (await this._nextId()),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
 
-    this.players.push(newPlayer);
+    await this.database.transaction([this._insertStatement(newPlayer)]);
     return newPlayer;
   }
 
+  _updateStatement(id, player) {
+    return [
+      "UPDATE players SET id = ?, team = ?, position = ?, data = ? WHERE slate_id = ? AND id = ?",
+      [
+        String(player.id),
+        player.team || null,
+        player.position || null,
+        JSON.stringify(player),
+        this.slateId,
+        String(id),
+      ],
+    ];
+  }
+
   async update(id, updateData) {
-    const index = this.players.findIndex((player) => player.id == id);
-    if (index === -1) {
+    const existing = await this.findById(id);
+    if (!existing) {
       return null;
     }
 
-    this.players[index] = {
-      ...this.players[index],
+    const updatedPlayer = {
+      ...existing,
       ...updateData,
       updatedAt: new Date().toISOString(),
     };
 
-    return this.players[index];
+    await this.database.run(...this._updateStatement(id, updatedPlayer));
+
+    return updatedPlayer;
   }
 
-  async delete(id) {
-    const index = this.players.findIndex((player) => player.id == id);
-    if (index === -1) {
-      return false;
+  /**
+   * Update several players in one transaction (a single flush to disk)
+   * @param {Array<{id, changes}>} updates
+   * @returns {Array} the updated players; unknown ids are skipped
+   */
+  async updateMany(updates) {
+    const existing = new Map(
+      (await this.findAll()).map((player) => [String(player.id), player])
+    );
+    const updatedAt = new Date().toISOString();
+    const updatedPlayers = [];
+    const statements = [];
+
+    updates.forEach(({ id, changes }) => {
+      const player = existing.get(String(id));
+      if (!player) return;
+      const updatedPlayer = { ...player, ...changes, updatedAt };
+      updatedPlayers.push(updatedPlayer);
+      statements.push(this._updateStatement(id, updatedPlayer));
+    });
+
+    if (statements.length > 0) {
+      await this.database.transaction(statements);
     }
+    return updatedPlayers;
+  }
 
-    this.players.splice(index, 1);
-    return true;
+  async delete(id) {
+    const changes = await this.database.run(
+      "DELETE FROM players WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return changes > 0;
   }
 
   async deleteAll() {
-    this.players = [];
+    await this.database.run("DELETE FROM players WHERE slate_id = ?", [
+      this.slateId,
+    ]);
     return true;
   }
 
   async replaceAll(newPlayers) {
-    this.players = newPlayers.map((player, index) => ({
+    const players = newPlayers.map((player, index) => ({
       ...player,
       id: player.id || index + 1,
       createdAt: player.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     }));
 
-    // Update nextId counter
-    this.nextId = Math.max(...this.players.map((p) => p.id || 0)) + 1;
+    await this.database.transaction([
+      ["DELETE FROM players WHERE slate_id = ?", [this.slateId]],
+      ...players.map((player) => this._insertStatement(player)),
+    ]);
 
-    return this.players;
+    return players;
   }
 
   async count() {
-    return this.players.length;
+    const row = await this.database.get(
+      "SELECT COUNT(*) AS count FROM players WHERE slate_id = ?",
+      [this.slateId]
+    );
+    return row.count;
   }
 
   async search(filters = {}) {
-    let results = [...this.players];
+    let results = await this.findAll();
 
     if (filters.team) {
       results = results.filter((player) =>
@@ -133,23 +230,26 @@ class PlayerRepository {
 
   // Statistics methods
   async getPositionCounts() {
+    const players = await this.findAll();
     const counts = {};
-    this.players.forEach((player) => {
+    players.forEach((player) => {
       counts[player.position] = (counts[player.position] || 0) + 1;
     });
     return counts;
   }
 
   async getTeamCounts() {
+    const players = await this.findAll();
     const counts = {};
-    this.players.forEach((player) => {
+    players.forEach((player) => {
       counts[player.team] = (counts[player.team] || 0) + 1;
     });
     return counts;
   }
 
   async getAverageStats() {
-    if (this.players.length === 0) {
+    const players = await this.findAll();
+    if (players.length === 0) {
       return {
         avgSalary: 0,
         avgProjection: 0,
@@ -158,7 +258,7 @@ class PlayerRepository {
       };
     }
 
-    const totals = this.players.reduce(
+    const totals = players.reduce(
       (acc, player) => ({
         salary: acc.salary + (player.salary || 0),
         projection: acc.projection + (player.projectedPoints || 0),
@@ -168,7 +268,7 @@ class PlayerRepository {
       { salary: 0, projection: 0, ownership: 0, value: 0 }
     );
 
-    const count = this.players.length;
+    const count = players.length;
 
     return {
       avgSalary: Math.round(totals.salary / count),
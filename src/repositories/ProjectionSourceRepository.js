@@ -0,0 +1,105 @@
+/**
+ * ProjectionSourceRepository
+ * Data access layer for projection sources
+ * Each source is one provider's (or our model's) projection set for a slate,
+ * blended into the player pool by ProjectionService
+ */
+
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
+const { generateRandomId } = require("../utils/generators");
+
+class ProjectionSourceRepository {
+  constructor(database, slateId = DEFAULT_SLATE_ID) {
+    this.database = database;
+    this.slateId = slateId;
+  }
+
+  // Repository bound to another slate, sharing the same database
+  forSlate(slateId) {
+    return new this.constructor(this.database, slateId);
+  }
+
+  // Storage helpers
+  _deserialize(rows) {
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  async findAll() {
+    const rows = await this.database.all(
+      "SELECT data FROM projection_sources WHERE slate_id = ? ORDER BY rowid",
+      [this.slateId]
+    );
+    return this._deserialize(rows);
+  }
+
+  async findById(id) {
+    const row = await this.database.get(
+      "SELECT data FROM projection_sources WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findByName(name) {
+    const row = await this.database.get(
+      "SELECT data FROM projection_sources WHERE slate_id = ? AND name = ?",
+      [this.slateId, String(name)]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async create(sourceData) {
+    const newSource = {
+      ...sourceData,
+      id: String(sourceData.id || generateRandomId()),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.database.run(
+      "INSERT INTO projection_sources (slate_id, id, name, data) VALUES (?, ?, ?, ?)",
+      [this.slateId, newSource.id, newSource.name, JSON.stringify(newSource)]
+    );
+    return newSource;
+  }
+
+  async update(id, updateData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updatedSource = {
+      ...existing,
+      ...updateData,
+      id: existing.id,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.database.run(
+      "UPDATE projection_sources SET name = ?, data = ? WHERE slate_id = ? AND id = ?",
+      [
+        updatedSource.name,
+        JSON.stringify(updatedSource),
+        this.slateId,
+        String(id),
+      ]
+    );
+    return updatedSource;
+  }
+
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    await this.database.run(
+      "DELETE FROM projection_sources WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return existing;
+  }
+}
+
+module.exports = ProjectionSourceRepository;
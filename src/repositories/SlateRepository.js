@@ -0,0 +1,124 @@
+/**
+ * SlateRepository
+ * Data access layer for slate workspaces
+ * Each slate owns its own players, team stacks and lineups
+ */
+
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
+const { generateSlateId } = require("../utils/generators");
+
+const SLATE_SCOPED_TABLES = [
+  "players",
+  "team_stacks",
+  "lineups",
+  "payout_structures",
+  "optimization_jobs",
+  "projection_sources",
+  "contest_results",
+  "contest_allocations",
+];
+
+class SlateRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async findAll() {
+    const rows = await this.database.all(
+      "SELECT data FROM slates ORDER BY rowid"
+    );
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  async findById(id) {
+    const row = await this.database.get(
+      "SELECT data FROM slates WHERE id = ?",
+      [String(id)]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async create(slateData) {
+    const newSlate = {
+      contest: null,
+      settingsSnapshot: null,
+      ...slateData,
+      id: slateData.id || generateSlateId(slateData.name),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.database.run(
+      "INSERT INTO slates (id, name, data) VALUES (?, ?, ?)",
+      [String(newSlate.id), newSlate.name, JSON.stringify(newSlate)]
+    );
+    return newSlate;
+  }
+
+  async update(id, updateData) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updatedSlate = {
+      ...existing,
+      ...updateData,
+      id: existing.id,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.database.run(
+      "UPDATE slates SET name = ?, data = ? WHERE id = ?",
+      [updatedSlate.name, JSON.stringify(updatedSlate), String(id)]
+    );
+    return updatedSlate;
+  }
+
+  /**
+   * Delete a slate together with everything scoped to it
+   */
+  async delete(id) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return false;
+    }
+
+    await this.database.transaction([
+      ...SLATE_SCOPED_TABLES.map((table) => [
+        `DELETE FROM ${table} WHERE slate_id = ?`,
+        [String(id)],
+      ]),
+      ["DELETE FROM slates WHERE id = ?", [String(id)]],
+    ]);
+    return existing;
+  }
+
+  async getCounts(id) {
+    const counts = {};
+    for (const table of SLATE_SCOPED_TABLES) {
+      const row = await this.database.get(
+        `SELECT COUNT(*) AS count FROM ${table} WHERE slate_id = ?`,
+        [String(id)]
+      );
+      counts[table] = row.count;
+    }
+
+    return {
+      players: counts.players,
+      teamStacks: counts.team_stacks,
+      lineups: counts.lineups,
+      payoutStructures: counts.payout_structures,
+      optimizationJobs: counts.optimization_jobs,
+      projectionSources: counts.projection_sources,
+      contestResults: counts.contest_results,
+      contestAllocations: counts.contest_allocations,
+    };
+  }
+
+  isDefaultSlate(id) {
+    return String(id) === DEFAULT_SLATE_ID;
+  }
+}
+
+module.exports = SlateRepository;
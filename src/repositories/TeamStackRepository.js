@@ -1,32 +1,67 @@
 /**
  * TeamStackRepository
  * Data access layer for team stack operations
- * Currently uses in-memory storage, will be replaced with database in Phase 2
+ * Backed by the SQLite database so uploaded stacks survive restarts
  */
 
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
 const { generateRandomId } = require("../utils/generators");
 
 class TeamStackRepository {
-  constructor() {
-    // In-memory storage (temporary until Phase 2 database implementation)
-    this.teamStacks = [];
-    this.nextId = 1;
+  constructor(database, slateId = DEFAULT_SLATE_ID) {
+    this.database = database;
+    this.slateId = slateId;
+  }
+
+  // Repository bound to another slate, sharing the same database
+  forSlate(slateId) {
+    return new this.constructor(this.database, slateId);
+  }
+
+  // Storage helpers
+  _deserialize(rows) {
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  _insertStatement(stack) {
+    return [
+      "INSERT INTO team_stacks (slate_id, id, team, data) VALUES (?, ?, ?, ?)",
+      [
+        this.slateId,
+        String(stack.id),
+        stack.team || null,
+        JSON.stringify(stack),
+      ],
+    ];
   }
 
   async findAll() {
-    return [...this.teamStacks];
+    const rows = await this.database.all(
+      "SELECT data FROM team_stacks WHERE slate_id = ? ORDER BY rowid",
+      [this.slateId]
+    );
+    return this._deserialize(rows);
   }
 
   async findById(id) {
-    return this.teamStacks.find((stack) => stack.id == id) || null;
+    const row = await this.database.get(
+      "SELECT data FROM team_stacks WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return row ? JSON.parse(row.data) : null;
   }
 
   async findByTeam(team) {
-    return this.teamStacks.filter((stack) => stack.team === team);
+    const rows = await this.database.all(
+      "SELECT data FROM team_stacks WHERE slate_id = ? AND team = ? ORDER BY rowid",
+      [this.slateId, team]
+    );
+    return this._deserialize(rows);
   }
 
   async findByStackSize(stackSize) {
-    return this.teamStacks.filter(
+    const stacks = await this.findAll();
+    return stacks.filter(
       (stack) => stack.stack && stack.stack.length === stackSize
     );
   }
@@ -39,7 +74,7 @@ class TeamStackRepository {
       updatedAt: new Date().toISOString(),
     };
 
-    this.teamStacks.push(newStack);
+    await this.database.transaction([this._insertStatement(newStack)]);
     return newStack;
   }
 
@@ -51,34 +86,49 @@ class TeamStackRepository {
       updatedAt: new Date().toISOString(),
     }));
 
-    this.teamStacks.push(...newStacks);
+    await this.database.transaction(
+      newStacks.map((stack) => this._insertStatement(stack))
+    );
     return newStacks;
   }
 
   async update(id, updateData) {
-    const index = this.teamStacks.findIndex((stack) => stack.id == id);
-    if (index === -1) {
+    const existing = await this.findById(id);
+    if (!existing) {
       return null;
     }
 
-    this.teamStacks[index] = {
-      ...this.teamStacks[index],
+    const updatedStack = {
+      ...existing,
       ...updateData,
       updatedAt: new Date().toISOString(),
     };
 
-    return this.teamStacks[index];
+    await this.database.run(
+      "UPDATE team_stacks SET id = ?, team = ?, data = ? WHERE slate_id = ? AND id = ?",
+      [
+        String(updatedStack.id),
+        updatedStack.team || null,
+        JSON.stringify(updatedStack),
+        this.slateId,
+        String(id),
+      ]
+    );
+
+    return updatedStack;
   }
 
   async delete(id) {
-    const index = this.teamStacks.findIndex((stack) => stack.id == id);
-    if (index === -1) {
+    const existing = await this.findById(id);
+    if (!existing) {
       return false;
     }
 
-    const deletedStack = this.teamStacks[index];
-    this.teamStacks.splice(index, 1);
-    return deletedStack;
+    await this.database.run(
+      "DELETE FROM team_stacks WHERE slate_id = ? AND id = ?",
+      [this.slateId, String(id)]
+    );
+    return existing;
   }
 
   async deleteMany(ids) {
@@ -86,39 +136,57 @@ class TeamStackRepository {
     const notFoundIds = [];
 
     for (const id of ids) {
-      const index = this.teamStacks.findIndex((stack) => stack.id == id);
-      if (index !== -1) {
-        deletedStacks.push(this.teamStacks.splice(index, 1)[0]);
+      const existing = await this.findById(id);
+      if (existing) {
+        deletedStacks.push(existing);
       } else {
         notFoundIds.push(id);
       }
     }
 
+    await this.database.transaction(
+      deletedStacks.map((stack) => [
+        "DELETE FROM team_stacks WHERE slate_id = ? AND id = ?",
+        [this.slateId, String(stack.id)],
+      ])
+    );
+
     return { deletedStacks, notFoundIds };
   }
 
   async deleteAll() {
-    this.teamStacks = [];
+    await this.database.run("DELETE FROM team_stacks WHERE slate_id = ?", [
+      this.slateId,
+    ]);
     return true;
   }
 
   async replaceAll(newStacks) {
-    this.teamStacks = newStacks.map((stack) => ({
+    const stacks = newStacks.map((stack) => ({
       ...stack,
       id: stack.id || generateRandomId(),
       createdAt: stack.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     }));
 
-    return this.teamStacks;
+    await this.database.transaction([
+      ["DELETE FROM team_stacks WHERE slate_id = ?", [this.slateId]],
+      ...stacks.map((stack) => this._insertStatement(stack)),
+    ]);
+
+    return stacks;
   }
 
   async count() {
-    return this.teamStacks.length;
+    const row = await this.database.get(
+      "SELECT COUNT(*) AS count FROM team_stacks WHERE slate_id = ?",
+      [this.slateId]
+    );
+    return row.count;
   }
 
   async search(filters = {}) {
-    let results = [...this.teamStacks];
+    let results = await this.findAll();
 
     if (filters.team) {
       results = results.filter(
@@ -169,9 +237,10 @@ class TeamStackRepository {
 
   // Statistics methods
   async getStackSizeDistribution() {
+    const teamStacks = await this.findAll();
     const distribution = {};
 
-    this.teamStacks.forEach((stack) => {
+    teamStacks.forEach((stack) => {
       const size = stack.stack ? stack.stack.length : 0;
       distribution[size] = (distribution[size] || 0) + 1;
     });
@@ -180,14 +249,16 @@ class TeamStackRepository {
   }
 
   async getTeamCount() {
+    const teamStacks = await this.findAll();
     const teams = new Set(
-      this.teamStacks.map((stack) => stack.team).filter(Boolean)
+      teamStacks.map((stack) => stack.team).filter(Boolean)
     );
     return teams.size;
   }
 
   async getAverageStackPlus() {
-    if (this.teamStacks.length === 0) {
+    const teamStacks = await this.findAll();
+    if (teamStacks.length === 0) {
       return {
         avgStackPlus: 0,
         avgStackPlusWins: 0,
@@ -196,7 +267,7 @@ class TeamStackRepository {
       };
     }
 
-    const totals = this.teamStacks.reduce(
+    const totals = teamStacks.reduce(
       (acc, stack) => ({
         stackPlus: acc.stackPlus + (stack.stackPlus || 0),
         stackPlusWins: acc.stackPlusWins + (stack.stackPlusAllWins || 0),
@@ -205,7 +276,7 @@ class TeamStackRepository {
       { stackPlus: 0, stackPlusWins: 0, stackPlusLosses: 0 }
     );
 
-    const count = this.teamStacks.length;
+    const count = teamStacks.length;
 
     return {
       avgStackPlus: parseFloat((totals.stackPlus / count).toFixed(2)),
@@ -218,7 +289,8 @@ class TeamStackRepository {
   }
 
   async getTopStacks(limit = 10) {
-    return [...this.teamStacks]
+    const teamStacks = await this.findAll();
+    return teamStacks
       .sort((a, b) => (b.stackPlus || 0) - (a.stackPlus || 0))
       .slice(0, limit);
   }
@@ -235,7 +307,8 @@ class TeamStackRepository {
       poor: [], // 0-4
     };
 
-    this.teamStacks.forEach((stack) => {
+    const teamStacks = await this.findAll();
+    teamStacks.forEach((stack) => {
       const rating = stack.stackPlus || 0;
 
       if (rating >= 200) {
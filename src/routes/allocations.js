@@ -0,0 +1,82 @@
+/**
+ * Allocation Routes
+ * Assigning saved lineups to the entries of several contests by simulated
+ * EV, and each contest's DraftKings upload file
+ */
+
+const express = require("express");
+
+const { catchAsync } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+// GET /allocations - Stored allocations
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const contestAllocationService = req.services.contestAllocation;
+    const allocations = await contestAllocationService.getAllocations();
+    res.json({ success: true, data: allocations, count: allocations.length });
+  })
+);
+
+// POST /allocations - Allocate lineups (lineupIds, default all) to contests
+router.post(
+  "/",
+  catchAsync(async (req, res) => {
+    const contestAllocationService = req.services.contestAllocation;
+    const allocation = await contestAllocationService.allocate(req.body);
+    const { totals } = allocation;
+    res.status(201).json({
+      success: true,
+      data: allocation,
+      message: `Allocated ${totals.entries} entries across ${allocation.contests.length} contests: expected profit $${totals.expectedProfit.toFixed(2)} (ROI ${totals.roi.toFixed(1)}%)`,
+    });
+  })
+);
+
+// GET /allocations/:id - One allocation with each contest's lineups
+router.get(
+  "/:id",
+  catchAsync(async (req, res) => {
+    const contestAllocationService = req.services.contestAllocation;
+    const allocation = await contestAllocationService.getAllocation(
+      req.params.id
+    );
+    res.json({ success: true, data: allocation });
+  })
+);
+
+// GET /allocations/:id/contests/:index/export - DraftKings upload CSV for
+// one contest
+router.get(
+  "/:id/contests/:index/export",
+  catchAsync(async (req, res) => {
+    const contestAllocationService = req.services.contestAllocation;
+    const { filename, csv } = await contestAllocationService.exportContest(
+      req.params.id,
+      req.params.index
+    );
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(csv);
+  })
+);
+
+// DELETE /allocations/:id - Remove a stored allocation
+router.delete(
+  "/:id",
+  catchAsync(async (req, res) => {
+    const contestAllocationService = req.services.contestAllocation;
+    const allocation = await contestAllocationService.deleteAllocation(
+      req.params.id
+    );
+    res.json({
+      success: true,
+      data: allocation,
+      message: `Deleted allocation '${allocation.name}'`,
+    });
+  })
+);
+
+module.exports = { router };
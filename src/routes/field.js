@@ -0,0 +1,86 @@
+/**
+ * Field Routes
+ * The slate's synthetic opponent field used by the contest simulations
+ */
+
+const express = require("express");
+const { catchAsync } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+// Field options from a query string or JSON body
+const fieldOptions = (source = {}) => ({
+  size: source.size,
+  salaryCap: source.salaryCap,
+  seed: source.seed,
+  minSalaryUsage: source.minSalaryUsage,
+  bringBack: source.bringBack,
+  stackSizes: source.stackSizes,
+});
+
+// GET /field - Summary of the field for ?size=&seed=&salaryCap=
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const fieldService = req.services.field;
+    const summary = await fieldService.getSummary(fieldOptions(req.query));
+    res.json({
+      success: true,
+      data: summary,
+      message: `Field of ${summary.size} entries (${summary.uniqueLineups} unique lineups)`,
+    });
+  })
+);
+
+// POST /field - Generate (or fetch the cached) field with stacking and salary
+// options in the body
+router.post(
+  "/",
+  catchAsync(async (req, res) => {
+    const fieldService = req.services.field;
+    const summary = await fieldService.getSummary(fieldOptions(req.body));
+    res.json({
+      success: true,
+      data: summary,
+      message: `Field of ${summary.size} entries (${summary.uniqueLineups} unique lineups)`,
+    });
+  })
+);
+
+// GET /field/lineups - The field's distinct lineups, most duplicated first
+router.get(
+  "/lineups",
+  catchAsync(async (req, res) => {
+    const fieldService = req.services.field;
+    const field = await fieldService.getField(fieldOptions(req.query));
+    const limit = Math.max(1, parseInt(req.query.limit) || 100);
+    const lineups = [...field.lineups]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+    res.json({
+      success: true,
+      data: {
+        size: field.size,
+        seed: field.seed,
+        uniqueLineups: field.lineups.length,
+        lineups,
+      },
+    });
+  })
+);
+
+// DELETE /field - Drop the slate's cached fields
+router.delete(
+  "/",
+  catchAsync(async (req, res) => {
+    const fieldService = req.services.field;
+    const cleared = fieldService.clear();
+    res.json({
+      success: true,
+      data: { cleared },
+      message: `Cleared ${cleared} cached fields`,
+    });
+  })
+);
+
+module.exports = { router };
@@ -15,7 +15,7 @@ const { catchAsync, AppError } = require("../middleware/errorHandler");
 
 const router = express.Router();
 
-// Services will be accessed via req.app.get('services')
+// Slate-scoped services are attached as req.services by slateScope
 
 // Set up file upload
 const storage = multer.diskStorage({
@@ -80,7 +80,7 @@ const validateLineupData = (req, res, next) => {
 router.get(
   "/",
   catchAsync(async (req, res) => {
-    const lineupService = req.app.get("services").lineup;
+    const lineupService = req.services.lineup;
     const lineups = await lineupService.getAllLineups();
     res.json(lineups);
   })
@@ -91,7 +91,7 @@ router.get(
   "/:id",
   validateId,
   catchAsync(async (req, res) => {
-    const lineupService = req.app.get("services").lineup;
+    const lineupService = req.services.lineup;
     const lineup = await lineupService.getLineupById(req.params.id);
     res.json({
       success: true,
@@ -106,7 +106,7 @@ router.post(
   "/",
   validateLineupData,
   catchAsync(async (req, res) => {
-    const lineupService = req.app.get("services").lineup;
+    const lineupService = req.services.lineup;
     const newLineup = await lineupService.createLineup(req.body);
     res.status(201).json({
       success: true,
@@ -122,7 +122,7 @@ router.put(
   validateId,
   validateLineupData,
   catchAsync(async (req, res) => {
-    const lineupService = req.app.get("services").lineup;
+    const lineupService = req.services.lineup;
     const updatedLineup = await lineupService.updateLineup(
       req.params.id,
       req.body
@@ -140,7 +140,7 @@ router.delete(
   "/:id",
   validateId,
   catchAsync(async (req, res) => {
-    const lineupService = req.app.get("services").lineup;
+    const lineupService = req.services.lineup;
     const result = await lineupService.deleteLineup(req.params.id);
     res.json({
       success: true,
@@ -154,7 +154,7 @@ router.delete(
 router.delete(
   "/bulk",
   catchAsync(async (req, res) => {
-    const lineupService = req.app.get("services").lineup;
+    const lineupService = req.services.lineup;
     const { lineupIds } = req.body;
 
     if (!lineupIds || !Array.isArray(lineupIds) || lineupIds.length === 0) {
@@ -177,7 +177,7 @@ router.delete(
 router.post(
   "/search",
   catchAsync(async (req, res) => {
-    const lineupService = req.app.get("services").lineup;
+    const lineupService = req.services.lineup;
     const filters = req.body;
     const result = await lineupService.searchLineups(filters);
     res.json({
@@ -192,7 +192,7 @@ router.post(
 router.get(
   "/stats/overview",
   catchAsync(async (req, res) => {
-    const lineupService = req.app.get("services").lineup;
+    const lineupService = req.services.lineup;
     const stats = await lineupService.getLineupStats();
     res.json({
       success: true,
@@ -206,7 +206,7 @@ router.get(
 router.post(
   "/export",
   catchAsync(async (req, res) => {
-    const lineupService = req.app.get("services").lineup;
+    const lineupService = req.services.lineup;
     const { format = "csv", lineupIds = [] } = req.body;
 
     const exportData = await lineupService.exportLineups(format, lineupIds);
@@ -257,7 +257,7 @@ router.post(
       }
 
       // Process the DraftKings entries
-      const lineupService = req.app.get("services").lineup;
+      const lineupService = req.services.lineup;
       const processedLineups =
         await lineupService.processFromDraftKingsEntries(csvData);
 
@@ -288,6 +288,54 @@ router.post(
   })
 );
 
+// POST /lineups/dkentries/fill - Re-fill an existing DKEntries file with our lineups
+router.post(
+  "/dkentries/fill",
+  upload.single("file"),
+  validateFileUpload,
+  catchAsync(async (req, res) => {
+    const lineupService = req.services.lineup;
+    const fileProcessingService = req.services.fileProcessing;
+    const filePath = req.file.path;
+
+    try {
+      // Multipart bodies carry lineupIds as a JSON string
+      let lineupIds = req.body.lineupIds || [];
+      if (typeof lineupIds === "string") {
+        try {
+          lineupIds = JSON.parse(lineupIds);
+        } catch (parseError) {
+          throw new AppError("lineupIds must be a JSON array", 400);
+        }
+      }
+
+      const entries =
+        await fileProcessingService.parseDraftKingsEntriesTemplate(filePath);
+      // DKEntries files list the slate's players (with IDs) beside the entries
+      const { playerMapping } =
+        await fileProcessingService.parseDraftKingsPlayerMappingCSV(filePath);
+
+      const exportData = await lineupService.exportLineups(
+        "draftkings",
+        lineupIds,
+        { entries, playerMapping }
+      );
+
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="DKEntries_filled_${Date.now()}.csv"`
+      );
+      res.send(exportData);
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  })
+);
+
 // POST /lineups/import - Import JSON lineups
 router.post(
   "/import",
@@ -307,7 +355,7 @@ router.post(
       }
 
       // Process the JSON data
-      const lineupService = req.app.get("services").lineup;
+      const lineupService = req.services.lineup;
       const processedLineups = await lineupService.processFromJson(jsonData);
 
       if (processedLineups.length === 0) {
@@ -338,7 +386,7 @@ router.post(
 router.post(
   "/simulate",
   catchAsync(async (req, res) => {
-    const lineupService = req.app.get("services").lineup;
+    const lineupService = req.services.lineup;
     const { lineupIds, settings = {} } = req.body;
 
     if (!lineupIds || !Array.isArray(lineupIds) || lineupIds.length === 0) {
@@ -357,6 +405,56 @@ router.post(
   })
 );
 
+// POST /lineups/duplication - Expected duplicates per lineup for a field size
+router.post(
+  "/duplication",
+  catchAsync(async (req, res) => {
+    const lineupService = req.services.lineup;
+    const { lineupIds = [], settings = {} } = req.body;
+
+    if (!Array.isArray(lineupIds)) {
+      throw new AppError("lineupIds must be an array", 400);
+    }
+
+    const result = await lineupService.estimateDuplication(lineupIds, settings);
+    res.json({
+      success: true,
+      data: result,
+      message: `Estimated duplication for ${result.lineups.length} lineups`,
+    });
+  })
+);
+
+// POST /lineups/late-swap - Re-optimize the unlocked slots of saved lineups
+router.post(
+  "/late-swap",
+  catchAsync(async (req, res) => {
+    const optimizationService = req.services.optimization;
+    const result = await optimizationService.lateSwap(req.body);
+    res.json({
+      success: true,
+      data: result,
+      message: `Late swap changed ${result.summary.swapped} of ${result.summary.entries} lineups`,
+    });
+  })
+);
+
+// POST /lineups/rebalance - Move saved lineups towards new exposure targets
+// with the fewest swaps; a preview unless `save` is set
+router.post(
+  "/rebalance",
+  catchAsync(async (req, res) => {
+    const optimizationService = req.services.optimization;
+    const result = await optimizationService.rebalance(req.body);
+    const { changed, entries, swaps, targetsMet, targets } = result.summary;
+    res.json({
+      success: true,
+      data: result,
+      message: `Rebalance ${req.body.save ? "changed" : "would change"} ${changed} of ${entries} lineups (${swaps} swaps, ${targetsMet}/${targets.length} targets met)`,
+    });
+  })
+);
+
 // POST /lineups/generate - Generate new lineups (placeholder for future optimization integration)
 router.post(
   "/generate",
@@ -381,8 +479,8 @@ router.post(
       sessionId,
     } = req.body;
 
-    const optimizationService = req.app.get("services").optimization;
-    const lineupService = req.app.get("services").lineup;
+    const optimizationService = req.services.optimization;
+    const lineupService = req.services.lineup;
 
     // If sessionId provided, check for existing optimizer instance
     if (sessionId) {
@@ -457,7 +555,7 @@ router.post(
     }
 
     // Fallback to creating new optimizer if no session
-    const playerRepository = req.app.get("repositories").player;
+    const playerRepository = req.repositories.player;
     const playerProjections = await playerRepository.findAll();
     if (playerProjections.length === 0) {
       throw new AppError("No player projections available", 400);
@@ -0,0 +1,70 @@
+/**
+ * NexusScore Routes
+ * Formula versions, calibration on imported contest results and the pinned
+ * version
+ */
+
+const express = require("express");
+const { catchAsync, AppError } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+// GET /nexusscore/versions - Built-in and calibrated versions with their fit
+router.get(
+  "/versions",
+  catchAsync(async (req, res) => {
+    const nexusScoreService = req.services.nexusScore;
+    const data = await nexusScoreService.getVersions();
+    res.json({ success: true, data });
+  })
+);
+
+// PUT /nexusscore/active - Pin the version the optimizers score with
+router.put(
+  "/active",
+  catchAsync(async (req, res) => {
+    const { version } = req.body;
+    if (!version) {
+      throw new AppError("version is required", 400);
+    }
+    const nexusScoreService = req.services.nexusScore;
+    const data = await nexusScoreService.setActiveVersion(String(version));
+    res.json({
+      success: true,
+      data,
+      message: `NexusScore version ${data.activeVersion} pinned`,
+    });
+  })
+);
+
+// POST /nexusscore/calibrate - Fit a new version to the slate's imported
+// contests (resultIds, name, activate)
+router.post(
+  "/calibrate",
+  catchAsync(async (req, res) => {
+    const nexusScoreService = req.services.nexusScore;
+    const version = await nexusScoreService.calibrate(req.body);
+    const { baseline, calibrated } = version.fit;
+    res.status(201).json({
+      success: true,
+      data: version,
+      message: `Calibrated NexusScore ${version.version} on ${version.fit.samples} entries: rank correlation ${calibrated.spearman} (${baseline.version}: ${baseline.spearman})`,
+    });
+  })
+);
+
+// DELETE /nexusscore/versions/:version - Remove a calibrated version
+router.delete(
+  "/versions/:version",
+  catchAsync(async (req, res) => {
+    const nexusScoreService = req.services.nexusScore;
+    const data = await nexusScoreService.deleteVersion(req.params.version);
+    res.json({
+      success: true,
+      data,
+      message: `Deleted NexusScore version ${req.params.version}`,
+    });
+  })
+);
+
+module.exports = { router };
@@ -2,6 +2,7 @@ const express = require("express");
 const { catchAsync, AppError } = require("../middleware/errorHandler");
 const { validateId } = require("../middleware/validation");
 const HybridOptimizer = require("../../client/src/lib/HybridOptimizer");
+const { getActivePlayers } = require("../utils/playerStatus");
 
 const router = express.Router();
 
@@ -14,11 +15,19 @@ const progressConnections = new Map();
 router.post(
   "/initialize",
   catchAsync(async (req, res) => {
-    const { exposureSettings = {}, contestInfo = {} } = req.body;
-    const playerRepository = req.app.get("repositories").player;
-
-    // Check if we have necessary data
-    const playerProjections = await playerRepository.findAll();
+    const {
+      exposureSettings = {},
+      contestInfo = {},
+      lineupRules,
+      maxExpectedDupes = null,
+    } = req.body;
+    const playerRepository = req.repositories.player;
+    const settingsService = req.services.settings;
+
+    // Check if we have necessary data; subs and benched players sit out
+    const playerProjections = getActivePlayers(
+      await playerRepository.findAll()
+    );
     if (playerProjections.length === 0) {
       throw new AppError(
         "No player projections available. Please upload player projections data before initializing optimizer.",
@@ -38,6 +47,10 @@ router.post(
         tournament: contestInfo.fieldSize || 1000,
         single_entry: contestInfo.fieldSize || 150000,
       },
+      lineupRules: settingsService.validateLineupRules(
+        lineupRules ?? (await settingsService.getLineupRules())
+      ),
+      maxExpectedDupes,
     });
 
     // Set up progress callbacks to send updates via SSE
@@ -300,11 +313,20 @@ router.get("/progress/:sessionId", (req, res) => {
 router.post(
   "/generate",
   catchAsync(async (req, res) => {
-    const optimizationService = req.app.get("services").optimization;
+    const optimizationService = req.services.optimization;
     const options = req.body;
 
     const result = await optimizationService.generateLineups(options);
 
+    // wait: false only queues the job; poll /status/:id or follow the session
+    if (!result.lineups) {
+      return res.status(202).json({
+        success: true,
+        data: result,
+        message: `Optimization ${result.optimizationId} queued`,
+      });
+    }
+
     res.json({
       success: true,
       data: result,
@@ -318,10 +340,10 @@ router.get(
   "/status/:id",
   validateId,
   catchAsync(async (req, res) => {
-    const optimizationService = req.app.get("services").optimization;
+    const optimizationService = req.services.optimization;
     const { id } = req.params;
 
-    const status = optimizationService.getOptimizationStatus(id);
+    const status = await optimizationService.getOptimizationStatus(id);
 
     res.json({
       success: true,
@@ -336,7 +358,7 @@ router.post(
   "/cancel/:id",
   validateId,
   catchAsync(async (req, res) => {
-    const optimizationService = req.app.get("services").optimization;
+    const optimizationService = req.services.optimization;
     const { id } = req.params;
 
     const result = await optimizationService.cancelOptimization(id);
@@ -353,7 +375,7 @@ router.post(
 router.get(
   "/active",
   catchAsync(async (req, res) => {
-    const optimizationService = req.app.get("services").optimization;
+    const optimizationService = req.services.optimization;
 
     const optimizations = optimizationService.getActiveOptimizations();
 
@@ -369,7 +391,7 @@ router.get(
 router.post(
   "/cleanup",
   catchAsync(async (req, res) => {
-    const optimizationService = req.app.get("services").optimization;
+    const optimizationService = req.services.optimization;
     const { maxAge } = req.body;
 
     const result = optimizationService.cleanupOptimizations(maxAge);
@@ -382,11 +404,95 @@ router.post(
   })
 );
 
+// List past optimization jobs
+router.get(
+  "/jobs",
+  catchAsync(async (req, res) => {
+    const optimizationService = req.services.optimization;
+    const { status } = req.query;
+    const limit = parseInt(req.query.limit) || undefined;
+
+    const jobs = await optimizationService.listJobs({ status, limit });
+
+    res.json({
+      success: true,
+      data: jobs,
+      message: `Found ${jobs.length} optimization jobs`,
+    });
+  })
+);
+
+// Get one job with its inputs, lineups and summary
+router.get(
+  "/jobs/:id",
+  validateId,
+  catchAsync(async (req, res) => {
+    const optimizationService = req.services.optimization;
+
+    const job = await optimizationService.getJob(req.params.id);
+
+    res.json({
+      success: true,
+      data: job,
+      message: `Optimization job ${job.id}: ${job.status}`,
+    });
+  })
+);
+
+// Compare two jobs
+router.get(
+  "/jobs/:id/diff/:otherId",
+  validateId,
+  catchAsync(async (req, res) => {
+    const optimizationService = req.services.optimization;
+    const { id, otherId } = req.params;
+
+    const diff = await optimizationService.diffJobs(id, otherId);
+
+    res.json({
+      success: true,
+      data: diff,
+      message: `${diff.lineups.common} lineups in common`,
+    });
+  })
+);
+
+// Re-run a job with its stored inputs and seed
+router.post(
+  "/jobs/:id/rerun",
+  validateId,
+  catchAsync(async (req, res) => {
+    const optimizationService = req.services.optimization;
+    const { sessionId, wait } = req.body;
+
+    const result = await optimizationService.rerunJob(req.params.id, {
+      sessionId,
+      wait: wait !== false,
+    });
+
+    if (!result.lineups) {
+      return res.status(202).json({
+        success: true,
+        data: result,
+        message: `Re-run ${result.optimizationId} queued`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.reproduced
+        ? "Re-run reproduced the original lineups"
+        : "Re-run produced different lineups",
+    });
+  })
+);
+
 // Run Monte Carlo simulation
 router.post(
   "/simulate",
   catchAsync(async (req, res) => {
-    const optimizationService = req.app.get("services").optimization;
+    const optimizationService = req.services.optimization;
     const { lineupIds, options = {} } = req.body;
 
     if (!lineupIds || !Array.isArray(lineupIds) || lineupIds.length === 0) {
@@ -410,7 +516,7 @@ router.post(
 router.post(
   "/hybrid/initialize",
   catchAsync(async (req, res) => {
-    const optimizationService = req.app.get("services").optimization;
+    const optimizationService = req.services.optimization;
     const options = req.body;
 
     const result = await optimizationService.initializeHybridOptimizer(options);
@@ -428,7 +534,7 @@ router.post(
   "/hybrid/generate/:initId",
   validateId,
   catchAsync(async (req, res) => {
-    const optimizationService = req.app.get("services").optimization;
+    const optimizationService = req.services.optimization;
     const { initId } = req.params;
     const options = req.body;
 
@@ -449,7 +555,7 @@ router.post(
 router.get(
   "/algorithm-types",
   catchAsync(async (req, res) => {
-    const optimizationService = req.app.get("services").optimization;
+    const optimizationService = req.services.optimization;
 
     const strategies = optimizationService.getOptimizationStrategies();
 
@@ -465,7 +571,7 @@ router.get(
 router.get(
   "/stats",
   catchAsync(async (req, res) => {
-    const optimizationService = req.app.get("services").optimization;
+    const optimizationService = req.services.optimization;
 
     const stats = await optimizationService.getOptimizerStats();
 
@@ -493,6 +599,17 @@ router.get(
         ],
         recommended: true,
       },
+      {
+        name: "exact",
+        displayName: "Exact Optimizer",
+        description: "Branch-and-bound search for the provable optimum",
+        features: [
+          "Proven best projection",
+          "Top-N with minimum unique players",
+          "Exposure and stack constraints",
+        ],
+        recommended: false,
+      },
       {
         name: "hybrid",
         displayName: "Hybrid Optimizer",
@@ -0,0 +1,221 @@
+/**
+ * Payout Routes
+ * Contest payout structures: templates, CSV/JSON import and per-contest tables
+ */
+
+const express = require("express");
+const multer = require("multer");
+const fs = require("fs");
+const path = require("path");
+
+const { validateFileUpload } = require("../middleware/validation");
+const { catchAsync } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+// Set up file upload
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = path.join(__dirname, "../../uploads");
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    cb(null, dir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${Date.now()}-${file.originalname}`);
+  },
+});
+
+const upload = multer({ storage });
+
+// GET /payouts - List stored payout structures for the slate
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const payoutService = req.services.payout;
+    const structures = await payoutService.getAllStructures();
+    res.json({
+      success: true,
+      data: structures,
+      message: `Retrieved ${structures.length} payout structures`,
+    });
+  })
+);
+
+// GET /payouts/templates - Contest templates previewed for ?entryFee=&fieldSize=
+router.get(
+  "/templates",
+  catchAsync(async (req, res) => {
+    const payoutService = req.services.payout;
+    const templates = payoutService.getTemplates({
+      entryFee: req.query.entryFee,
+      fieldSize: req.query.fieldSize,
+    });
+    res.json({
+      success: true,
+      data: templates,
+    });
+  })
+);
+
+// POST /payouts/templates/:type - Store a structure built from a template
+router.post(
+  "/templates/:type",
+  catchAsync(async (req, res) => {
+    const payoutService = req.services.payout;
+    const structure = await payoutService.createFromTemplate(
+      req.params.type,
+      req.body
+    );
+    res.status(201).json({
+      success: true,
+      data: structure,
+      message: `Payout structure '${structure.name}' created successfully`,
+    });
+  })
+);
+
+// POST /payouts - Store a structure from a JSON body
+router.post(
+  "/",
+  catchAsync(async (req, res) => {
+    const payoutService = req.services.payout;
+    const structure = await payoutService.importStructure(req.body);
+    res.status(201).json({
+      success: true,
+      data: structure,
+      message: `Payout structure '${structure.name}' created successfully`,
+    });
+  })
+);
+
+// POST /payouts/import - Import a payout table from a CSV or JSON upload
+router.post(
+  "/import",
+  upload.single("file"),
+  validateFileUpload,
+  catchAsync(async (req, res) => {
+    const payoutService = req.services.payout;
+    const fileProcessingService = req.services.fileProcessing;
+    const filePath = req.file.path;
+
+    try {
+      const data = await fileProcessingService.parsePayoutStructureFile(
+        filePath,
+        req.file.originalname
+      );
+      const { name, contestId, contestType, entryFee, fieldSize, maxEntries } =
+        req.body;
+      const meta = Object.fromEntries(
+        Object.entries({
+          name,
+          contestId,
+          contestType,
+          entryFee,
+          fieldSize,
+          maxEntries,
+        }).filter(([, value]) => value !== undefined && value !== "")
+      );
+
+      const structure = await payoutService.importStructure(
+        data,
+        meta,
+        req.file.originalname.toLowerCase().endsWith(".json") ? "json" : "csv"
+      );
+
+      res.status(201).json({
+        success: true,
+        data: structure,
+        message: `Imported ${structure.tiers.length} payout tiers`,
+      });
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  })
+);
+
+// GET /payouts/contest/:contestId - Structure stored for a contest
+router.get(
+  "/contest/:contestId",
+  catchAsync(async (req, res) => {
+    const payoutService = req.services.payout;
+    const structure = await payoutService.getStructureForContest(
+      req.params.contestId
+    );
+    res.json({
+      success: true,
+      data: structure,
+    });
+  })
+);
+
+// GET /payouts/:id - Get a payout structure
+router.get(
+  "/:id",
+  catchAsync(async (req, res) => {
+    const payoutService = req.services.payout;
+    const structure = await payoutService.getStructureById(req.params.id);
+    res.json({
+      success: true,
+      data: structure,
+    });
+  })
+);
+
+// GET /payouts/:id/table - Prize for every place (?fieldSize= overrides)
+router.get(
+  "/:id/table",
+  catchAsync(async (req, res) => {
+    const payoutService = req.services.payout;
+    const { structure, table } = await payoutService.getPayoutTable(
+      req.params.id,
+      req.query.fieldSize
+    );
+    res.json({
+      success: true,
+      data: {
+        id: structure.id,
+        fieldSize: table.length,
+        prizePool: table.reduce((sum, prize) => sum + prize, 0),
+        table,
+      },
+    });
+  })
+);
+
+// PUT /payouts/:id - Update a payout structure
+router.put(
+  "/:id",
+  catchAsync(async (req, res) => {
+    const payoutService = req.services.payout;
+    const structure = await payoutService.updateStructure(
+      req.params.id,
+      req.body
+    );
+    res.json({
+      success: true,
+      data: structure,
+      message: "Payout structure updated successfully",
+    });
+  })
+);
+
+// DELETE /payouts/:id - Delete a payout structure
+router.delete(
+  "/:id",
+  catchAsync(async (req, res) => {
+    const payoutService = req.services.payout;
+    const result = await payoutService.deleteStructure(req.params.id);
+    res.json({
+      success: true,
+      data: result,
+      message: "Payout structure deleted successfully",
+    });
+  })
+);
+
+module.exports = { router };
@@ -38,7 +38,7 @@ const upload = multer({ storage });
 router.get(
   "/",
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
+    const playerService = req.services.player;
     const players = await playerService.getAllPlayers();
     res.json({
       success: true,
@@ -52,18 +52,83 @@ router.get(
 router.get(
   "/projections",
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
+    const playerService = req.services.player;
     const players = await playerService.getAllPlayers();
     res.json(players);
   })
 );
 
+// GET /players/status - Every player's status with counts
+router.get(
+  "/status",
+  catchAsync(async (req, res) => {
+    const playerStatusService = req.services.playerStatus;
+    const result = await playerStatusService.getStatuses();
+    res.json({ success: true, data: result });
+  })
+);
+
+// PUT /players/status - Late news: set statuses ({ updates: [{ id or name,
+// status, note }] }) and flag the saved lineups holding inactive players
+router.put(
+  "/status",
+  catchAsync(async (req, res) => {
+    const playerStatusService = req.services.playerStatus;
+    const { updates, salaryCap } = req.body;
+    const result = await playerStatusService.updateStatuses(updates, {
+      salaryCap,
+    });
+    res.json({
+      success: true,
+      data: result,
+      message: `Updated ${result.updated.length} player statuses; ${result.lineups.affectedCount} lineups hold an inactive player`,
+    });
+  })
+);
+
+// GET /players/status/lineups - Saved lineups holding a sub or benched
+// player, with same-team, same-position replacements under the salary cap
+router.get(
+  "/status/lineups",
+  catchAsync(async (req, res) => {
+    const playerStatusService = req.services.playerStatus;
+    const result = await playerStatusService.getAffectedLineups({
+      salaryCap: req.query.salaryCap,
+    });
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.affectedCount} of ${result.totalLineups} lineups hold an inactive player`,
+    });
+  })
+);
+
+// PUT /players/:id/status - Set one player's status ({ status, note })
+router.put(
+  "/:id/status",
+  validateId,
+  catchAsync(async (req, res) => {
+    const playerStatusService = req.services.playerStatus;
+    const { status, note, salaryCap } = req.body;
+    const result = await playerStatusService.updateStatuses(
+      [{ id: req.params.id, status, note }],
+      { salaryCap }
+    );
+    const [player] = result.updated;
+    res.json({
+      success: true,
+      data: result,
+      message: `${player.name} is now ${player.status}; ${result.lineups.affectedCount} lineups hold an inactive player`,
+    });
+  })
+);
+
 // GET /players/:id - Get player by ID
 router.get(
   "/:id",
   validateId,
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
+    const playerService = req.services.player;
     const player = await playerService.getPlayerById(req.params.id);
     res.json({
       success: true,
@@ -77,7 +142,7 @@ router.post(
   "/",
   validatePlayerData,
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
+    const playerService = req.services.player;
     const newPlayer = await playerService.createPlayer(req.body);
     res.status(201).json({
       success: true,
@@ -93,7 +158,7 @@ router.put(
   validateId,
   validatePlayerData,
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
+    const playerService = req.services.player;
     const updatedPlayer = await playerService.updatePlayer(
       req.params.id,
       req.body
@@ -110,7 +175,7 @@ router.put(
 router.delete(
   "/bulk",
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
+    const playerService = req.services.player;
     const { playerIds } = req.body;
 
     if (!playerIds || !Array.isArray(playerIds) || playerIds.length === 0) {
@@ -134,7 +199,7 @@ router.delete(
   "/:id",
   validateId,
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
+    const playerService = req.services.player;
     const result = await playerService.deletePlayer(req.params.id);
     res.json({
       success: true,
@@ -148,7 +213,7 @@ router.delete(
 router.get(
   "/team/:team",
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
+    const playerService = req.services.player;
     const players = await playerService.getPlayersByTeam(req.params.team);
     res.json({
       success: true,
@@ -161,7 +226,7 @@ router.get(
 router.get(
   "/position/:position",
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
+    const playerService = req.services.player;
     const players = await playerService.getPlayersByPosition(
       req.params.position
     );
@@ -178,8 +243,8 @@ router.post(
   upload.single("file"),
   validateFileUpload,
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
-    const playerRepository = req.app.get("repositories").player;
+    const playerService = req.services.player;
+    const playerRepository = req.repositories.player;
     const filePath = req.file.path;
 
     try {
@@ -210,11 +275,20 @@ router.post(
       // Replace all existing players with new data
       await playerRepository.replaceAll(processedPlayers);
 
+      // No Own column: estimate ownership so leverage isn't flat
+      let estimatedOwnership = null;
+      if (processedPlayers.every((player) => !(player.ownership > 0))) {
+        estimatedOwnership = await req.services.ownership.applyEstimates();
+      }
+
       res.json({
         success: true,
-        message: `Loaded ${processedPlayers.length} player projections successfully`,
+        message: `Loaded ${processedPlayers.length} player projections successfully${
+          estimatedOwnership ? " (ownership estimated by the model)" : ""
+        }`,
         data: {
           playersCount: processedPlayers.length,
+          estimatedOwnership,
         },
       });
     } catch (error) {
@@ -229,11 +303,162 @@ router.post(
   })
 );
 
+// POST /players/draftkings/mapping - Attach DraftKings IDs from a salaries or DKEntries CSV
+router.post(
+  "/draftkings/mapping",
+  upload.single("file"),
+  validateFileUpload,
+  catchAsync(async (req, res) => {
+    const playerService = req.services.player;
+    const fileProcessingService = req.services.fileProcessing;
+    const filePath = req.file.path;
+
+    try {
+      const { contestMetadata, playerMapping, salaries, entryIds } =
+        await fileProcessingService.parseDraftKingsPlayerMappingCSV(filePath);
+
+      if (playerMapping.size === 0) {
+        throw new AppError("No DraftKings player IDs found in the file", 400);
+      }
+
+      const result = await playerService.applyDraftKingsMapping(
+        playerMapping,
+        salaries
+      );
+
+      res.json({
+        success: true,
+        message: `Mapped ${result.mappedCount}/${result.totalPlayers} players to DraftKings IDs`,
+        data: {
+          ...result,
+          contestMetadata,
+          entryIds,
+        },
+      });
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  })
+);
+
+// POST /players/distributions/history - Floor/ceiling/stdDev from past scores
+router.post(
+  "/distributions/history",
+  catchAsync(async (req, res) => {
+    const playerService = req.services.player;
+    const { history, overwrite } = req.body;
+    const result = await playerService.applyScoreHistory(history, {
+      overwrite: Boolean(overwrite),
+    });
+
+    res.json({
+      success: true,
+      message: `Derived distributions for ${result.updatedCount}/${result.totalPlayers} players from score history`,
+      data: result,
+    });
+  })
+);
+
+// GET /players/ownership/model - Ownership model coefficients and calibration
+router.get(
+  "/ownership/model",
+  catchAsync(async (req, res) => {
+    const ownershipService = req.services.ownership;
+    const model = await ownershipService.getModel();
+    res.json({
+      success: true,
+      data: model,
+    });
+  })
+);
+
+// DELETE /players/ownership/model - Back to the default coefficients
+router.delete(
+  "/ownership/model",
+  catchAsync(async (req, res) => {
+    const ownershipService = req.services.ownership;
+    const model = await ownershipService.resetModel();
+    res.json({
+      success: true,
+      message: "Ownership model reset to defaults",
+      data: model,
+    });
+  })
+);
+
+// GET /players/ownership/projection - Preview estimated flex and CPT ownership
+router.get(
+  "/ownership/projection",
+  catchAsync(async (req, res) => {
+    const ownershipService = req.services.ownership;
+    const projection = await ownershipService.estimate();
+    res.json({
+      success: true,
+      data: projection,
+    });
+  })
+);
+
+// POST /players/ownership/apply - Write estimated ownership into the pool
+router.post(
+  "/ownership/apply",
+  catchAsync(async (req, res) => {
+    const ownershipService = req.services.ownership;
+    const { overwrite, teamOdds } = req.body;
+    const result = await ownershipService.applyEstimates({
+      overwrite: Boolean(overwrite),
+      teamOdds,
+    });
+
+    res.json({
+      success: true,
+      message: `Estimated ownership for ${result.updatedCount}/${result.totalPlayers} players`,
+      data: result,
+    });
+  })
+);
+
+// POST /players/ownership/calibrate - Fit the model to a contest standings CSV
+// of this slate
+router.post(
+  "/ownership/calibrate",
+  upload.single("file"),
+  validateFileUpload,
+  catchAsync(async (req, res) => {
+    const ownershipService = req.services.ownership;
+    const fileProcessingService = req.services.fileProcessing;
+    const filePath = req.file.path;
+
+    try {
+      const { players } =
+        await fileProcessingService.parseContestStandingsCSV(filePath);
+      const result = await ownershipService.calibrate(players, {
+        contestName:
+          req.body.contestName || path.parse(req.file.originalname).name,
+      });
+
+      res.json({
+        success: true,
+        message: `Calibrated ownership model on ${result.fit.contests} contests (matched ${result.matchedCount}/${result.totalPlayers} players)`,
+        data: result,
+      });
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  })
+);
+
 // GET /players/stats/teams - Get team statistics
 router.get(
   "/stats/teams",
   catchAsync(async (req, res) => {
-    const playerService = req.app.get("services").player;
+    const playerService = req.services.player;
     const teamStats = await playerService.getTeamStats();
     res.json({
       success: true,
@@ -246,7 +471,7 @@ router.get(
 router.get(
   "/stats/overview",
   catchAsync(async (req, res) => {
-    const playerRepository = req.app.get("repositories").player;
+    const playerRepository = req.repositories.player;
     const [positionCounts, teamCounts, averageStats, totalCount] =
       await Promise.all([
         playerRepository.getPositionCounts(),
@@ -271,7 +496,7 @@ router.get(
 router.post(
   "/search",
   catchAsync(async (req, res) => {
-    const playerRepository = req.app.get("repositories").player;
+    const playerRepository = req.repositories.player;
     const filters = req.body;
     const players = await playerRepository.search(filters);
 
@@ -0,0 +1,167 @@
+/**
+ * Projection Routes
+ * Projection sources (provider CSVs, model predictions) and their weighted
+ * blend into the player pool
+ */
+
+const express = require("express");
+const multer = require("multer");
+const fs = require("fs");
+const path = require("path");
+
+const { validateFileUpload } = require("../middleware/validation");
+const { catchAsync, AppError } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+// Set up file upload
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = path.join(__dirname, "../../uploads");
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    cb(null, dir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${Date.now()}-${file.originalname}`);
+  },
+});
+
+const upload = multer({ storage });
+
+// Multipart fields arrive as strings
+const parseWeight = (weight) => {
+  if (weight === undefined || weight === "") return undefined;
+  const value = Number(weight);
+  if (!Number.isFinite(value)) {
+    throw new AppError("Source weight must be a non-negative number", 400);
+  }
+  return value;
+};
+
+// GET /projections/sources - List the slate's projection sources
+router.get(
+  "/sources",
+  catchAsync(async (req, res) => {
+    const projectionService = req.services.projection;
+    const sources = await projectionService.getSources();
+    res.json({
+      success: true,
+      data: sources,
+      message: `Retrieved ${sources.length} projection sources`,
+    });
+  })
+);
+
+// POST /projections/sources - Add or replace a source from a JSON body
+// ({ name, weight, projections }, e.g. PlayerPredictor output)
+router.post(
+  "/sources",
+  catchAsync(async (req, res) => {
+    const projectionService = req.services.projection;
+    const { name, weight, projections } = req.body;
+    const source = await projectionService.saveSource({
+      name,
+      weight,
+      rows: projections,
+    });
+    res.status(201).json({
+      success: true,
+      data: source,
+      message: `Saved ${source.playerCount} projections for '${source.name}'`,
+    });
+  })
+);
+
+// POST /projections/sources/upload - Add or replace a source from a CSV
+router.post(
+  "/sources/upload",
+  upload.single("file"),
+  validateFileUpload,
+  catchAsync(async (req, res) => {
+    const projectionService = req.services.projection;
+    const fileProcessingService = req.services.fileProcessing;
+    const filePath = req.file.path;
+
+    try {
+      const rows = await fileProcessingService.parseCSV(filePath);
+      const source = await projectionService.saveSource({
+        name: req.body.name || path.parse(req.file.originalname).name,
+        weight: parseWeight(req.body.weight),
+        rows,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: source,
+        message: `Saved ${source.playerCount} projections for '${source.name}'`,
+      });
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  })
+);
+
+// PUT /projections/sources/:id - Rename, reweight or toggle a source
+router.put(
+  "/sources/:id",
+  catchAsync(async (req, res) => {
+    const projectionService = req.services.projection;
+    const source = await projectionService.updateSource(
+      req.params.id,
+      req.body
+    );
+    res.json({
+      success: true,
+      data: source,
+      message: `Projection source '${source.name}' updated`,
+    });
+  })
+);
+
+// DELETE /projections/sources/:id - Remove a source
+router.delete(
+  "/sources/:id",
+  catchAsync(async (req, res) => {
+    const projectionService = req.services.projection;
+    const source = await projectionService.deleteSource(req.params.id);
+    res.json({
+      success: true,
+      data: source,
+      message: `Projection source '${source.name}' deleted`,
+    });
+  })
+);
+
+// GET /projections/blend - Preview the blend and where sources disagree
+router.get(
+  "/blend",
+  catchAsync(async (req, res) => {
+    const projectionService = req.services.projection;
+    const blend = await projectionService.getBlend();
+    res.json({
+      success: true,
+      data: blend,
+    });
+  })
+);
+
+// POST /projections/blend/apply - Write the blend into the player pool
+router.post(
+  "/blend/apply",
+  catchAsync(async (req, res) => {
+    const projectionService = req.services.projection;
+    const result = await projectionService.applyBlend();
+    res.json({
+      success: true,
+      data: result,
+      message: `Blended projections applied to ${result.updatedPlayers} players`,
+    });
+  })
+);
+
+module.exports = { router };
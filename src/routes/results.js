@@ -0,0 +1,144 @@
+/**
+ * Result Routes
+ * Past contest standings, actual player scores and lineup backtests
+ */
+
+const express = require("express");
+const multer = require("multer");
+const fs = require("fs");
+const path = require("path");
+
+const { validateFileUpload } = require("../middleware/validation");
+const { catchAsync } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+// Set up file upload
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = path.join(__dirname, "../../uploads");
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    cb(null, dir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${Date.now()}-${file.originalname}`);
+  },
+});
+
+const upload = multer({ storage });
+
+// GET /results - Imported contests
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const contestResultService = req.services.contestResult;
+    const results = await contestResultService.getResults();
+    res.json({ success: true, data: results, count: results.length });
+  })
+);
+
+// POST /results/import - Import a DraftKings contest standings CSV; its FPTS
+// become the pool's actual points
+router.post(
+  "/import",
+  upload.single("file"),
+  validateFileUpload,
+  catchAsync(async (req, res) => {
+    const contestResultService = req.services.contestResult;
+    const fileProcessingService = req.services.fileProcessing;
+    const filePath = req.file.path;
+
+    try {
+      const standings =
+        await fileProcessingService.parseContestStandingsCSV(filePath);
+      const result = await contestResultService.importStandings(standings, {
+        name: req.body.name || path.parse(req.file.originalname).name,
+        contestId: req.body.contestId,
+        entryFee: req.body.entryFee,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message: `Imported ${result.fieldSize} entries for '${result.name}' (${result.playersScored} players scored)`,
+      });
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  })
+);
+
+// POST /results/scores - Import actual fantasy points (Name, FPTS columns)
+router.post(
+  "/scores",
+  upload.single("file"),
+  validateFileUpload,
+  catchAsync(async (req, res) => {
+    const contestResultService = req.services.contestResult;
+    const fileProcessingService = req.services.fileProcessing;
+    const filePath = req.file.path;
+
+    try {
+      const scores = await fileProcessingService.parseActualScoresCSV(filePath);
+      const result = await contestResultService.importScores(scores);
+
+      res.json({
+        success: true,
+        data: result,
+        message: `Updated actual points for ${result.updatedCount}/${result.totalPlayers} players`,
+      });
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  })
+);
+
+// GET /results/:id - One contest with its entries and players
+router.get(
+  "/:id",
+  catchAsync(async (req, res) => {
+    const contestResultService = req.services.contestResult;
+    const result = await contestResultService.getResult(req.params.id);
+    res.json({ success: true, data: result });
+  })
+);
+
+// POST /results/:id/backtest - Place stored lineups (lineupIds) or a fresh
+// optimizer run in the contest's real standings
+router.post(
+  "/:id/backtest",
+  catchAsync(async (req, res) => {
+    const contestResultService = req.services.contestResult;
+    const result = await contestResultService.backtest(req.params.id, req.body);
+    const { summary } = result;
+    res.json({
+      success: true,
+      data: result,
+      message: `Backtested ${summary.lineups} lineups: ROI ${summary.roi.toFixed(1)}%, cash rate ${summary.cashRate.toFixed(1)}%`,
+    });
+  })
+);
+
+// DELETE /results/:id - Remove an imported contest
+router.delete(
+  "/:id",
+  catchAsync(async (req, res) => {
+    const contestResultService = req.services.contestResult;
+    const result = await contestResultService.deleteResult(req.params.id);
+    res.json({
+      success: true,
+      data: result,
+      message: `Deleted contest '${result.name}'`,
+    });
+  })
+);
+
+module.exports = { router };
@@ -7,7 +7,7 @@ const router = express.Router();
 router.get(
   "/",
   catchAsync(async (req, res) => {
-    const settingsService = req.app.get("services").settings;
+    const settingsService = req.services.settings;
 
     const settings = await settingsService.getSettings();
 
@@ -23,7 +23,7 @@ router.get(
 router.post(
   "/",
   catchAsync(async (req, res) => {
-    const settingsService = req.app.get("services").settings;
+    const settingsService = req.services.settings;
     const newSettings = req.body;
 
     const settings = await settingsService.updateSettings(newSettings);
@@ -40,7 +40,7 @@ router.post(
 router.post(
   "/reset",
   catchAsync(async (req, res) => {
-    const settingsService = req.app.get("services").settings;
+    const settingsService = req.services.settings;
 
     const settings = await settingsService.resetSettings();
 
@@ -52,11 +52,44 @@ router.post(
   })
 );
 
+// Get custom lineup rules
+router.get(
+  "/rules",
+  catchAsync(async (req, res) => {
+    const settingsService = req.services.settings;
+
+    const rules = await settingsService.getLineupRules();
+
+    res.json({
+      success: true,
+      data: rules,
+      message: `${rules.length} lineup rules retrieved`,
+    });
+  })
+);
+
+// Replace custom lineup rules
+router.put(
+  "/rules",
+  catchAsync(async (req, res) => {
+    const settingsService = req.services.settings;
+    const { rules } = req.body;
+
+    const savedRules = await settingsService.updateLineupRules(rules);
+
+    res.json({
+      success: true,
+      data: savedRules,
+      message: `${savedRules.length} lineup rules saved`,
+    });
+  })
+);
+
 // Get specific setting category
 router.get(
   "/category/:category",
   catchAsync(async (req, res) => {
-    const settingsService = req.app.get("services").settings;
+    const settingsService = req.services.settings;
     const { category } = req.params;
 
     const categorySettings = await settingsService.getSettingCategory(category);
@@ -73,7 +106,7 @@ router.get(
 router.put(
   "/category/:category",
   catchAsync(async (req, res) => {
-    const settingsService = req.app.get("services").settings;
+    const settingsService = req.services.settings;
     const { category } = req.params;
     const categorySettings = req.body;
 
@@ -94,7 +127,7 @@ router.put(
 router.get(
   "/schema",
   catchAsync(async (req, res) => {
-    const settingsService = req.app.get("services").settings;
+    const settingsService = req.services.settings;
 
     const schema = settingsService.getSettingsSchema();
 
@@ -110,7 +143,7 @@ router.get(
 router.get(
   "/export",
   catchAsync(async (req, res) => {
-    const settingsService = req.app.get("services").settings;
+    const settingsService = req.services.settings;
 
     const exportData = await settingsService.exportSettings();
 
@@ -127,7 +160,7 @@ router.get(
 router.post(
   "/import",
   catchAsync(async (req, res) => {
-    const settingsService = req.app.get("services").settings;
+    const settingsService = req.services.settings;
     const importData = req.body;
 
     const settings = await settingsService.importSettings(importData);
@@ -144,7 +177,7 @@ router.post(
 router.get(
   "/defaults",
   catchAsync(async (req, res) => {
-    const settingsService = req.app.get("services").settings;
+    const settingsService = req.services.settings;
 
     const defaults = settingsService.getDefaultSettings();
 
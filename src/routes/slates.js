@@ -0,0 +1,103 @@
+/**
+ * Slate Routes
+ * Manages slate workspaces. Slate-scoped players, teams, lineups and
+ * optimizer endpoints are mounted under /slates/:slateId in server.js
+ */
+
+const express = require("express");
+const serviceRegistry = require("../services/ServiceRegistry");
+const { catchAsync } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+// GET /slates - List all slates with pool/lineup counts
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const slateService = req.app.get("services").slate;
+    const slates = await slateService.getAllSlates();
+    res.json({
+      success: true,
+      data: slates,
+      message: `Retrieved ${slates.length} slates`,
+    });
+  })
+);
+
+// GET /slates/:slateId - Get a single slate
+router.get(
+  "/:slateId",
+  catchAsync(async (req, res) => {
+    const slateService = req.app.get("services").slate;
+    const slate = await slateService.getSlateById(req.params.slateId);
+    res.json({
+      success: true,
+      data: slate,
+    });
+  })
+);
+
+// POST /slates - Create a slate (settings start as a copy of the global ones)
+router.post(
+  "/",
+  catchAsync(async (req, res) => {
+    const slateService = req.app.get("services").slate;
+    const newSlate = await slateService.createSlate(req.body);
+    res.status(201).json({
+      success: true,
+      data: newSlate,
+      message: `Slate '${newSlate.name}' created successfully`,
+    });
+  })
+);
+
+// PUT /slates/:slateId - Update slate name, description or contest metadata
+router.put(
+  "/:slateId",
+  catchAsync(async (req, res) => {
+    const slateService = req.app.get("services").slate;
+    const updatedSlate = await slateService.updateSlate(
+      req.params.slateId,
+      req.body
+    );
+    res.json({
+      success: true,
+      data: updatedSlate,
+      message: "Slate updated successfully",
+    });
+  })
+);
+
+// POST /slates/:slateId/settings-snapshot - Reset the slate's settings to
+// the global ones
+router.post(
+  "/:slateId/settings-snapshot",
+  catchAsync(async (req, res) => {
+    const slateService = req.app.get("services").slate;
+    const updatedSlate = await slateService.snapshotSettings(
+      req.params.slateId
+    );
+    res.json({
+      success: true,
+      data: updatedSlate,
+      message: "Slate settings reset to the global settings",
+    });
+  })
+);
+
+// DELETE /slates/:slateId - Delete a slate and everything in it
+router.delete(
+  "/:slateId",
+  catchAsync(async (req, res) => {
+    const slateService = req.app.get("services").slate;
+    const result = await slateService.deleteSlate(req.params.slateId);
+    serviceRegistry.releaseSlateContext(req.params.slateId);
+    res.json({
+      success: true,
+      data: result,
+      message: "Slate deleted successfully",
+    });
+  })
+);
+
+module.exports = router;
@@ -76,7 +76,7 @@ const validateTeamStackData = (req, res, next) => {
 router.get(
   "/",
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const stacks = await teamStackService.getAllStacks();
     res.json({
       success: true,
@@ -90,7 +90,7 @@ router.get(
 router.get(
   "/stacks",
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const enhancedStacks = await teamStackService.getEnhancedStacks();
     res.json(enhancedStacks);
   })
@@ -100,7 +100,7 @@ router.get(
 router.get(
   "/stacks/raw",
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const stacks = await teamStackService.getAllStacks();
     res.json({
       success: true,
@@ -114,7 +114,7 @@ router.get(
   "/stacks/:id",
   validateId,
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const stack = await teamStackService.getStackById(req.params.id);
     res.json({
       success: true,
@@ -127,7 +127,7 @@ router.get(
 router.get(
   "/:team/stacks",
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const stacks = await teamStackService.getStacksByTeam(req.params.team);
     res.json({
       success: true,
@@ -141,7 +141,7 @@ router.post(
   "/stacks",
   validateTeamStackData,
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const newStack = await teamStackService.createStack(req.body);
     res.status(201).json({
       success: true,
@@ -157,7 +157,7 @@ router.put(
   validateId,
   validateTeamStackData,
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const updatedStack = await teamStackService.updateStack(
       req.params.id,
       req.body
@@ -175,7 +175,7 @@ router.delete(
   "/stacks/:id",
   validateId,
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const result = await teamStackService.deleteStack(req.params.id);
     res.json({
       success: true,
@@ -189,7 +189,7 @@ router.delete(
 router.delete(
   "/stacks/bulk",
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const { stackIds } = req.body;
 
     if (!stackIds || !Array.isArray(stackIds) || stackIds.length === 0) {
@@ -212,7 +212,7 @@ router.delete(
 router.post(
   "/stacks/search",
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const filters = req.body;
     const result = await teamStackService.searchStacks(filters);
     res.json({
@@ -226,7 +226,7 @@ router.post(
 router.get(
   "/stacks/stats/overview",
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const stats = await teamStackService.getStackStats();
     res.json({
       success: true,
@@ -239,7 +239,7 @@ router.get(
 router.get(
   "/stacks/top/:limit?",
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const limit = parseInt(req.params.limit) || 10;
     const topStacks = await teamStackService.getTopStacks(limit);
     res.json({
@@ -257,7 +257,7 @@ router.get(
 router.get(
   "/stacks/tiers",
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const stacksByTier = await teamStackService.getStacksByTier();
     res.json({
       success: true,
@@ -270,7 +270,7 @@ router.get(
 router.post(
   "/stacks/export",
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
+    const teamStackService = req.services.teamStack;
     const { format = "csv", stackIds = [] } = req.body;
 
     const exportData = await teamStackService.exportStacks(format, stackIds);
@@ -298,8 +298,8 @@ router.post(
   upload.single("file"),
   validateFileUpload,
   catchAsync(async (req, res) => {
-    const teamStackService = req.app.get("services").teamStack;
-    const teamStackRepository = req.app.get("repositories").teamStack;
+    const teamStackService = req.services.teamStack;
+    const teamStackRepository = req.repositories.teamStack;
     const filePath = req.file.path;
 
     try {
@@ -329,6 +329,11 @@ router.post(
       // Replace all existing stacks with new data
       await teamStackRepository.replaceAll(processedStacks);
 
+      // Stack+ feeds the ownership model, so refresh earlier estimates
+      if ((await req.repositories.player.count()) > 0) {
+        await req.services.ownership.applyEstimates({ modelledOnly: true });
+      }
+
       res.json({
         success: true,
         message: `Loaded ${processedStacks.length} team stacks successfully`,
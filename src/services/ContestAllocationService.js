@@ -0,0 +1,373 @@
+/**
+ * ContestAllocationService
+ * Splits a lineup pool across the contests we enter on a slate (GPPs, 3-max,
+ * single entry, double ups). Every lineup is simulated alone in every
+ * contest against that contest's field and payouts, then lineups go to the
+ * entries where they add the most EV (simulation/allocation.js), e.g. high
+ * floor lineups to double ups and high ceiling ones to GPPs. Each contest
+ * exports as its own DraftKings upload file.
+ */
+
+const { AppError } = require("../middleware/errorHandler");
+const ContestSimulator = require("../simulation/ContestSimulator");
+const { allocateEntries } = require("../simulation/allocation");
+const { generateSeed } = require("../utils/random");
+
+const MAX_CONTESTS = 20;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// File name safe version of a contest name
+const slugify = (value) =>
+  String(value)
+    .trim()
+    .replace(/[^a-z0-9]+/gi, "_")
+    .replace(/^_+|_+$/g, "") || "contest";
+
+class ContestAllocationService {
+  constructor(
+    contestAllocationRepository,
+    lineupRepository,
+    playerRepository,
+    payoutService,
+    fieldService,
+    lineupService
+  ) {
+    this.contestAllocationRepository = contestAllocationRepository;
+    this.lineupRepository = lineupRepository;
+    this.playerRepository = playerRepository;
+    this.payoutService = payoutService;
+    this.fieldService = fieldService;
+    this.lineupService = lineupService; // Simulation settings and DK export
+  }
+
+  // Stored allocations without their per-lineup detail
+  async getAllocations() {
+    try {
+      const allocations = await this.contestAllocationRepository.findAll();
+      return allocations.map((allocation) => this._summarize(allocation));
+    } catch (error) {
+      throw new AppError("Failed to fetch contest allocations", 500);
+    }
+  }
+
+  async getAllocation(id) {
+    const allocation = await this.contestAllocationRepository.findById(id);
+    if (!allocation) {
+      throw new AppError("Contest allocation not found", 404);
+    }
+    return allocation;
+  }
+
+  /**
+   * Assign lineups to contest entries by simulated EV and store the result
+   * @param {Object} request - { lineupIds (default: all saved), contests,
+   *   settings, maxContestsPerLineup, name }
+   *   contests: [{ name, contestId, entries, entryFee, fieldSize, and a
+   *   payoutStructureId, contestId with a stored structure, payoutStructure
+   *   or contestType template }]
+   *   settings: { iterations, seed, variance, salaryCap, teamOdds, field }
+   */
+  async allocate(request = {}) {
+    const {
+      lineupIds,
+      contests,
+      settings = {},
+      maxContestsPerLineup,
+      name,
+    } = request;
+
+    try {
+      if (lineupIds !== undefined && !Array.isArray(lineupIds)) {
+        throw new AppError("lineupIds must be an array", 400);
+      }
+      if (!Array.isArray(contests) || contests.length === 0) {
+        throw new AppError(
+          "contests array is required and must not be empty",
+          400
+        );
+      }
+      if (contests.length > MAX_CONTESTS) {
+        throw new AppError(`At most ${MAX_CONTESTS} contests at a time`, 400);
+      }
+      if (
+        maxContestsPerLineup !== undefined &&
+        maxContestsPerLineup !== null &&
+        (!Number.isInteger(maxContestsPerLineup) || maxContestsPerLineup < 1)
+      ) {
+        throw new AppError(
+          "maxContestsPerLineup must be a positive integer",
+          400
+        );
+      }
+
+      const lineups =
+        lineupIds && lineupIds.length > 0
+          ? await this.lineupRepository.findByIds(lineupIds)
+          : await this.lineupRepository.findAll();
+      if (lineups.length === 0) {
+        throw new AppError("No saved lineups to allocate", 400);
+      }
+      const players = await this.playerRepository.findAll();
+
+      const resolved = [];
+      for (let i = 0; i < contests.length; i++) {
+        const contest = await this._resolveContest(contests[i], i, settings);
+        contest.options.field = await this._getField(contest, settings);
+        resolved.push(contest);
+      }
+      // One seed for every contest: the lineups face the same player outcomes
+      const seed = resolved[0].options.seed ?? generateSeed();
+
+      // Each lineup's EV as our only entry in each contest
+      const soloResults = resolved.map((contest) => {
+        const simulator = new ContestSimulator(players, {
+          ...contest.options,
+          seed,
+          soloEntries: true,
+        });
+        return simulator.run(lineups).results;
+      });
+      const evTable = soloResults.map((results, i) =>
+        results.map((result) => result.averagePayout - resolved[i].entryFee)
+      );
+
+      const assignments = allocateEntries(
+        evTable,
+        resolved.map((contest) => contest.entries),
+        { maxContestsPerLineup }
+      );
+
+      // The assigned lineups together, so they compete with each other too
+      const allocatedContests = resolved.map((contest, i) =>
+        this._summarizeContest(contest, assignments[i], lineups, {
+          players,
+          seed,
+          soloResults: soloResults[i],
+        })
+      );
+
+      const contestsByLineup = new Map();
+      allocatedContests.forEach((contest) => {
+        contest.lineupIds.forEach((id) => {
+          if (!contestsByLineup.has(id)) contestsByLineup.set(id, []);
+          contestsByLineup.get(id).push(contest.index);
+        });
+      });
+
+      const fees = allocatedContests.reduce(
+        (sum, contest) => sum + contest.entryFee * contest.filled,
+        0
+      );
+      const expectedPayout = allocatedContests.reduce(
+        (sum, contest) => sum + contest.expectedPayout,
+        0
+      );
+
+      const allocation = await this.contestAllocationRepository.create({
+        name: name || `Allocation ${new Date().toISOString().slice(0, 10)}`,
+        seed,
+        iterations: resolved[0].options.iterations,
+        maxContestsPerLineup: maxContestsPerLineup ?? null,
+        lineupCount: lineups.length,
+        contests: allocatedContests,
+        lineups: lineups.map((lineup, index) => ({
+          id: lineup.id,
+          name: lineup.name || null,
+          contests: contestsByLineup.get(lineup.id) || [],
+          evByContest: evTable.map((evs) => round(evs[index])),
+        })),
+        totals: {
+          entries: allocatedContests.reduce(
+            (sum, contest) => sum + contest.filled,
+            0
+          ),
+          unfilled: allocatedContests.reduce(
+            (sum, contest) => sum + contest.unfilled,
+            0
+          ),
+          fees: round(fees),
+          expectedPayout: round(expectedPayout),
+          expectedProfit: round(expectedPayout - fees),
+          roi: fees > 0 ? round(((expectedPayout - fees) / fees) * 100) : 0,
+          unusedLineups: lineups.filter(
+            (lineup) => !contestsByLineup.has(lineup.id)
+          ).length,
+        },
+      });
+
+      return allocation;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError(`Contest allocation failed: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * DraftKings upload CSV for one contest of an allocation
+   * @returns {Object} { filename, csv }
+   */
+  async exportContest(id, contestIndex) {
+    const allocation = await this.getAllocation(id);
+    const contest = allocation.contests[parseInt(contestIndex)];
+    if (!contest) {
+      throw new AppError(
+        `Contest ${contestIndex} not found in this allocation`,
+        404
+      );
+    }
+    if (contest.lineupIds.length === 0) {
+      throw new AppError(`No lineups were allocated to ${contest.name}`, 400);
+    }
+
+    const lineups = await this.lineupRepository.findByIds(contest.lineupIds);
+    if (lineups.length < contest.lineupIds.length) {
+      throw new AppError(
+        `${contest.lineupIds.length - lineups.length} lineups allocated to ${contest.name} no longer exist; run the allocation again`,
+        409
+      );
+    }
+
+    const csv = await this.lineupService.exportLineups(
+      "draftkings",
+      contest.lineupIds
+    );
+    return {
+      filename: `DK_${slugify(contest.name)}_${
+        contest.contestId || contest.index + 1
+      }.csv`,
+      csv,
+    };
+  }
+
+  async deleteAllocation(id) {
+    const deleted = await this.contestAllocationRepository.delete(id);
+    if (!deleted) {
+      throw new AppError("Contest allocation not found", 404);
+    }
+    return this._summarize(deleted);
+  }
+
+  // Validated contest with its payout structure and simulation options
+  async _resolveContest(contest, index, settings) {
+    if (!contest || typeof contest !== "object") {
+      throw new AppError(`contests[${index}] must be an object`, 400);
+    }
+    const entries = Number(contest.entries);
+    if (!Number.isInteger(entries) || entries < 1) {
+      throw new AppError(
+        `contests[${index}].entries must be a positive integer`,
+        400
+      );
+    }
+
+    const options = this.lineupService.validateSimulationSettings({
+      ...settings,
+      entryFee: contest.entryFee,
+      fieldSize: contest.fieldSize,
+    });
+    const payoutStructure = await this.payoutService.resolvePayoutStructure({
+      ...contest,
+      entryFee: options.entryFee,
+      fieldSize: options.fieldSize,
+    });
+    options.payoutStructure = payoutStructure;
+
+    const maxEntries = payoutStructure.maxEntries;
+    if (maxEntries && entries > maxEntries) {
+      throw new AppError(
+        `contests[${index}] allows ${maxEntries} entries per user, not ${entries}`,
+        400
+      );
+    }
+
+    return {
+      index,
+      name: contest.name || payoutStructure.name || `Contest ${index + 1}`,
+      contestId: contest.contestId ? String(contest.contestId) : null,
+      contestType: payoutStructure.contestType,
+      payoutStructureId: payoutStructure.id || null,
+      entries,
+      entryFee: options.entryFee,
+      fieldSize: options.fieldSize,
+      options,
+    };
+  }
+
+  async _getField(contest, settings) {
+    if (!this.fieldService) return null;
+    return await this.fieldService.getField({
+      ...settings.field,
+      size: contest.fieldSize,
+      salaryCap: contest.options.salaryCap,
+    });
+  }
+
+  _summarizeContest(contest, assigned, lineups, context) {
+    const { players, seed, soloResults } = context;
+    const picked = assigned.map((index) => lineups[index]);
+
+    let expectedPayout = 0;
+    let cashRate = 0;
+    if (picked.length > 0) {
+      const simulator = new ContestSimulator(players, {
+        ...contest.options,
+        seed,
+      });
+      const { results } = simulator.run(picked);
+      expectedPayout = results.reduce(
+        (sum, result) => sum + result.averagePayout,
+        0
+      );
+      cashRate =
+        results.reduce((sum, result) => sum + result.cashRate, 0) /
+        results.length;
+    }
+
+    const fees = contest.entryFee * picked.length;
+    return {
+      index: contest.index,
+      name: contest.name,
+      contestId: contest.contestId,
+      contestType: contest.contestType,
+      payoutStructureId: contest.payoutStructureId,
+      entryFee: contest.entryFee,
+      fieldSize: contest.fieldSize,
+      entries: contest.entries,
+      filled: picked.length,
+      unfilled: contest.entries - picked.length,
+      lineupIds: picked.map((lineup) => lineup.id),
+      expectedPayout: round(expectedPayout),
+      expectedProfit: round(expectedPayout - fees),
+      roi: fees > 0 ? round(((expectedPayout - fees) / fees) * 100) : 0,
+      cashRate: round(cashRate),
+      lineups: assigned.map((index) => {
+        const result = soloResults[index];
+        return {
+          id: lineups[index].id,
+          name: lineups[index].name || null,
+          ev: round(result.averagePayout - contest.entryFee),
+          roi: round(result.roi),
+          cashRate: round(result.cashRate),
+          floor: round(result.scoreDistribution.p25),
+          ceiling: round(result.scoreDistribution.p90),
+        };
+      }),
+    };
+  }
+
+  _summarize(allocation) {
+    return {
+      id: allocation.id,
+      name: allocation.name,
+      createdAt: allocation.createdAt,
+      lineupCount: allocation.lineupCount,
+      contests: allocation.contests.map(
+        ({ lineups, lineupIds, ...contest }) => contest
+      ),
+      totals: allocation.totals,
+    };
+  }
+}
+
+module.exports = ContestAllocationService;
@@ -0,0 +1,260 @@
+/**
+ * ContestResultService
+ * Past contests imported from DraftKings standings exports, the players'
+ * actual fantasy points, and backtests that place lineups (stored ones or a
+ * fresh optimizer run) in a contest's real standings.
+ */
+
+const { AppError } = require("../middleware/errorHandler");
+const { buildPayoutTable } = require("../simulation/payouts");
+const { buildActualPoints, runBacktest } = require("../simulation/backtest");
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+// Optimizer options a backtest may pass through to generateLineups
+const OPTIMIZER_OPTIONS = [
+  "algorithm",
+  "numLineups",
+  "teamStacks",
+  "exposureLimits",
+  "constraints",
+  "strategy",
+  "customConfig",
+  "contestInfo",
+  "seed",
+  "lineupRules",
+];
+
+class ContestResultService {
+  constructor(
+    contestResultRepository,
+    playerRepository,
+    lineupRepository,
+    payoutService,
+    optimizationService
+  ) {
+    this.contestResultRepository = contestResultRepository;
+    this.playerRepository = playerRepository;
+    this.lineupRepository = lineupRepository;
+    this.payoutService = payoutService;
+    this.optimizationService = optimizationService;
+  }
+
+  // Imported contests without their entries and players
+  async getResults() {
+    try {
+      const results = await this.contestResultRepository.findAll();
+      return results.map((result) => this._summarize(result));
+    } catch (error) {
+      throw new AppError("Failed to fetch contest results", 500);
+    }
+  }
+
+  async getResult(id) {
+    const result = await this.contestResultRepository.findById(id);
+    if (!result) {
+      throw new AppError("Contest result not found", 404);
+    }
+    return result;
+  }
+
+  /**
+   * Store a contest's standings (parseContestStandingsCSV output) and copy
+   * the players' fantasy points onto the slate's pool as actualPoints
+   * @param {Object} standings - { entries, players }
+   * @param {Object} details - { name, contestId, entryFee }
+   */
+  async importStandings({ entries, players } = {}, details = {}) {
+    try {
+      if (!Array.isArray(entries) || entries.length === 0) {
+        throw new AppError("No entries found in the contest standings", 400);
+      }
+      const entryFee = parseFloat(details.entryFee ?? 0);
+      if (!Number.isFinite(entryFee) || entryFee < 0) {
+        throw new AppError("entryFee must be a non-negative number", 400);
+      }
+
+      const scores = (players || [])
+        .filter((player) => Number.isFinite(player.fantasyPoints))
+        .map((player) => ({ name: player.name, points: player.fantasyPoints }));
+      const { updatedCount, unmatchedNames } =
+        await this._applyActualPoints(scores);
+
+      const result = await this.contestResultRepository.create({
+        name: details.name || "Contest",
+        contestId: details.contestId ? String(details.contestId) : null,
+        entryFee,
+        fieldSize: entries.length,
+        winningScore: entries.reduce(
+          (best, entry) => Math.max(best, entry.points),
+          -Infinity
+        ),
+        entries,
+        players: players || [],
+      });
+
+      return {
+        ...this._summarize(result),
+        playersScored: updatedCount,
+        unmatchedNames,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to import contest results", 500);
+    }
+  }
+
+  /**
+   * Set the pool's actualPoints from a scores file
+   * @param {Array} scores - { name, points }
+   */
+  async importScores(scores) {
+    try {
+      if (!Array.isArray(scores) || scores.length === 0) {
+        throw new AppError("No scores to import", 400);
+      }
+      const { updatedCount, totalPlayers, unmatchedNames } =
+        await this._applyActualPoints(scores);
+      if (updatedCount === 0) {
+        throw new AppError("No scores matched the slate's player pool", 400);
+      }
+      return { updatedCount, totalPlayers, unmatchedNames };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to import actual scores", 500);
+    }
+  }
+
+  async deleteResult(id) {
+    const deleted = await this.contestResultRepository.delete(id);
+    if (!deleted) {
+      throw new AppError("Contest result not found", 404);
+    }
+    return this._summarize(deleted);
+  }
+
+  /**
+   * Score lineups with actual points and place them in the contest
+   * @param {string} id - Contest result id
+   * @param {Object} options - `lineupIds` backtests stored lineups; otherwise
+   *   the optimizer runs on the pool with the given optimizer options
+   *   (algorithm, numLineups, strategy, seed, ...). The payout comes from
+   *   payoutStructureId, the contest's stored structure or the contestType
+   *   template.
+   */
+  async backtest(id, options = {}) {
+    try {
+      const contest = await this.getResult(id);
+      const players = await this.playerRepository.findAll();
+      const actualPoints = buildActualPoints(players, contest.players);
+      if (actualPoints.size === 0) {
+        throw new AppError(
+          "No actual scores for this slate; import scores first",
+          400
+        );
+      }
+
+      let lineups;
+      let optimization = null;
+      if (Array.isArray(options.lineupIds) && options.lineupIds.length > 0) {
+        lineups = await this.lineupRepository.findByIds(options.lineupIds);
+        if (lineups.length === 0) {
+          throw new AppError("No lineups found for the given ids", 404);
+        }
+      } else {
+        if (players.length === 0) {
+          throw new AppError("No players loaded for the slate", 400);
+        }
+        const optimizerOptions = {};
+        OPTIMIZER_OPTIONS.forEach((key) => {
+          if (options[key] !== undefined) optimizerOptions[key] = options[key];
+        });
+        const run = await this.optimizationService.generateLineups({
+          ...optimizerOptions,
+          players,
+          save: false,
+          wait: true,
+        });
+        lineups = run.lineups;
+        optimization = { optimizationId: run.optimizationId, ...run.metadata };
+      }
+
+      const entryFee = parseFloat(options.entryFee ?? contest.entryFee) || 0;
+      const fieldSize = contest.entries.length + 1; // Our entry joins the field
+      const payoutStructure = await this.payoutService.resolvePayoutStructure({
+        payoutStructureId: options.payoutStructureId,
+        contestId: contest.contestId,
+        payoutStructure: options.payoutStructure,
+        contestType: options.contestType,
+        entryFee,
+        fieldSize,
+      });
+      const payoutTable = buildPayoutTable(
+        fieldSize,
+        entryFee,
+        payoutStructure
+      );
+
+      const result = runBacktest(
+        lineups,
+        { entries: contest.entries, entryFee },
+        { actualPoints, payoutTable }
+      );
+
+      return {
+        contest: this._summarize(contest),
+        optimization,
+        payoutStructure: {
+          id: payoutStructure.id || null,
+          name: payoutStructure.name || null,
+          contestType: payoutStructure.contestType || null,
+        },
+        ...result,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError(`Backtest failed: ${error.message}`, 500);
+    }
+  }
+
+  // Write actualPoints onto the pool players named in `scores`
+  async _applyActualPoints(scores) {
+    const pointsByName = new Map(
+      scores.map((score) => [normalize(score.name), score.points])
+    );
+    const players = await this.playerRepository.findAll();
+    const poolNames = new Set(players.map((player) => normalize(player.name)));
+
+    let updatedCount = 0;
+    const updatedPlayers = players.map((player) => {
+      const points = pointsByName.get(normalize(player.name));
+      if (points === undefined) return player;
+      updatedCount++;
+      return { ...player, actualPoints: points };
+    });
+    if (updatedCount > 0) {
+      await this.playerRepository.replaceAll(updatedPlayers);
+    }
+
+    return {
+      updatedCount,
+      totalPlayers: players.length,
+      unmatchedNames: scores
+        .filter((score) => !poolNames.has(normalize(score.name)))
+        .map((score) => score.name),
+    };
+  }
+
+  _summarize({ entries, players, ...result }) {
+    return {
+      ...result,
+      fieldSize: result.fieldSize ?? entries?.length ?? 0,
+      playerCount: players?.length ?? 0,
+    };
+  }
+}
+
+module.exports = ContestResultService;
@@ -4,6 +4,7 @@
  */
 
 const { AppError } = require("../middleware/errorHandler");
+const { createPayoutTemplate } = require("../simulation/payouts");
 
 class DataService {
   constructor(playerRepository, lineupRepository, teamStackRepository) {
@@ -209,7 +210,7 @@ class DataService {
           name: "Default Contest",
           entryFee: 5,
           fieldSize: 1176,
-          totalPrizePool: 5880,
+          totalPrizePool: this.getDefaultPayoutStructure().prizePool,
           payoutStructure: this.getDefaultPayoutStructure(),
         },
         teamStacks: teamStacks.map((stack) => ({
@@ -438,7 +439,7 @@ class DataService {
   }
 
   getDefaultPayoutStructure() {
-    return [5880, 1470, 735]; // Example payout structure
+    return createPayoutTemplate("gpp", { entryFee: 5, fieldSize: 1176 });
   }
 
   validatePlayers(players) {
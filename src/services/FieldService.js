@@ -0,0 +1,174 @@
+/**
+ * FieldService
+ * The slate's synthetic opponent field (src/simulation/fieldGenerator.js).
+ * A field is generated once per player pool and field options and reused by
+ * every contest simulation on the slate until the pool changes.
+ */
+
+const crypto = require("crypto");
+const { AppError } = require("../middleware/errorHandler");
+const { generateField } = require("../simulation/fieldGenerator");
+const { isValidSeed, MAX_SEED } = require("../utils/random");
+const { getActivePlayers } = require("../utils/playerStatus");
+
+const DEFAULT_FIELD_SIZE = 1176;
+const DEFAULT_SALARY_CAP = 50000;
+const MAX_CACHED_FIELDS = 4; // e.g. one per contest size on the slate
+
+class FieldService {
+  constructor(playerRepository, settingsService = null) {
+    this.playerRepository = playerRepository;
+    this.settingsService = settingsService;
+    this.poolHash = null;
+    this.cache = new Map(); // options key -> field, oldest first
+  }
+
+  /**
+   * Opponent field for the current player pool, generated on first use
+   * @param {Object} options - { size, salaryCap, seed, minSalaryUsage,
+   *   bringBack, stackSizes }. Size defaults to the simulation settings'
+   *   fieldSize; the seed defaults to one derived from the pool, so the same
+   *   pool always gets the same field
+   * @returns {Object} The generated field plus { generatedAt, cached }
+   */
+  async getField(options = {}) {
+    try {
+      // Opponents don't roster subs or benched players either
+      const players = getActivePlayers(await this.playerRepository.findAll());
+      if (players.length === 0) {
+        throw new AppError("No active players loaded for this slate", 400);
+      }
+
+      // A new pool makes every cached field stale
+      const poolHash = this._hashPlayerPool(players);
+      if (poolHash !== this.poolHash) {
+        this.cache.clear();
+        this.poolHash = poolHash;
+      }
+
+      const settings = await this._resolveOptions(options, poolHash);
+      const key = JSON.stringify(settings);
+      if (this.cache.has(key)) {
+        return { ...this.cache.get(key), cached: true };
+      }
+
+      const field = {
+        ...generateField(players, settings),
+        generatedAt: new Date().toISOString(),
+      };
+      this.cache.set(key, field);
+      if (this.cache.size > MAX_CACHED_FIELDS) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      return { ...field, cached: false };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError(
+        `Failed to generate opponent field: ${error.message}`,
+        500
+      );
+    }
+  }
+
+  /**
+   * Field without its lineups: duplicates, salary usage, stack shapes and
+   * exposure against projected ownership
+   */
+  async getSummary(options = {}) {
+    const { size, seed, salaryCap, generatedAt, cached, summary } =
+      await this.getField(options);
+    return { ...summary, size, seed, salaryCap, generatedAt, cached };
+  }
+
+  // Drop the slate's cached fields
+  clear() {
+    const cleared = this.cache.size;
+    this.cache.clear();
+    this.poolHash = null;
+    return cleared;
+  }
+
+  async _resolveOptions(options, poolHash) {
+    const settings = this.settingsService
+      ? await this.settingsService.getSettings()
+      : {};
+    const size = parseInt(
+      options.size ??
+        settings.simulationSettings?.fieldSize ??
+        DEFAULT_FIELD_SIZE
+    );
+    const salaryCap = parseFloat(options.salaryCap ?? DEFAULT_SALARY_CAP);
+    const seed =
+      options.seed !== undefined && options.seed !== null && options.seed !== ""
+        ? Number(options.seed)
+        : parseInt(poolHash.slice(0, 8), 16) || 1;
+
+    if (!Number.isInteger(size) || size < 1 || size > 500000) {
+      throw new AppError("Field size must be between 1 and 500000", 400);
+    }
+    if (!Number.isFinite(salaryCap) || salaryCap <= 0) {
+      throw new AppError("salaryCap must be a positive number", 400);
+    }
+    if (!isValidSeed(seed)) {
+      throw new AppError(
+        `seed must be an integer between 0 and ${MAX_SEED}`,
+        400
+      );
+    }
+
+    const resolved = { size, salaryCap, seed };
+    if (options.minSalaryUsage !== undefined) {
+      const minSalaryUsage = parseFloat(options.minSalaryUsage);
+      if (!(minSalaryUsage >= 0 && minSalaryUsage <= 1)) {
+        throw new AppError("minSalaryUsage must be between 0 and 1", 400);
+      }
+      resolved.minSalaryUsage = minSalaryUsage;
+    }
+    if (options.bringBack !== undefined) {
+      const bringBack = parseFloat(options.bringBack);
+      if (!(bringBack >= 0)) {
+        throw new AppError("bringBack must be a non-negative number", 400);
+      }
+      resolved.bringBack = bringBack;
+    }
+    if (options.stackSizes !== undefined) {
+      if (
+        typeof options.stackSizes !== "object" ||
+        Array.isArray(options.stackSizes) ||
+        !Object.values(options.stackSizes).some((share) => share > 0)
+      ) {
+        throw new AppError(
+          'stackSizes must map roster spots to shares, e.g. { "4": 0.5 }',
+          400
+        );
+      }
+      resolved.stackSizes = options.stackSizes;
+    }
+    return resolved;
+  }
+
+  // Order-independent fingerprint of everything the field draws on
+  _hashPlayerPool(players) {
+    const canonical = players
+      .map((p) => [
+        String(p.id),
+        p.name,
+        p.team,
+        p.opp || p.opponent || "",
+        p.position,
+        Number(p.salary) || 0,
+        Number(p.projectedPoints) || 0,
+        Number(p.ownership) || 0,
+        Number(p.cptSalary) || 0,
+        Number(p.cptProjectedPoints) || 0,
+        Number(p.cptOwnership) || 0,
+      ])
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(canonical))
+      .digest("hex");
+  }
+}
+
+module.exports = FieldService;
@@ -7,6 +7,14 @@ const fs = require("fs");
 const csv = require("csv-parser");
 const { generateRandomId, generateLineupId } = require("../utils/generators");
 const { AppError } = require("../middleware/errorHandler");
+const { readDistributionColumns } = require("../utils/distribution");
+const {
+  readCaptainColumns,
+  isCaptainRow,
+  toCaptainRow,
+  applyCaptainRows,
+} = require("../utils/captain");
+const { readStatusColumn } = require("../utils/playerStatus");
 
 class FileProcessingService {
   constructor() {
@@ -57,6 +65,7 @@ class FileProcessingService {
     try {
       const csvData = await this.parseCSV(filePath);
       const processedPlayers = [];
+      const captainRows = [];
 
       for (const data of csvData) {
         // Extract data with flexible column naming
@@ -93,8 +102,20 @@ class FileProcessingService {
             data.opponent ||
             data.Opponent ||
             "",
+          // Floor, ceiling, stdDev and percentile columns when provided
+          ...readDistributionColumns(data),
+          // CPT salary/projection/ownership/ID columns when provided
+          ...readCaptainColumns(data),
+          // Starting/questionable/sub/benched when the file has a Status column
+          ...readStatusColumn(data),
         };
 
+        // A CPT row is the captain listing of a flex player
+        if (isCaptainRow(data)) {
+          captainRows.push(toCaptainRow(player, data.id || data.ID || data.Id));
+          continue;
+        }
+
         // Only add valid players with a name and projectedPoints > 0
         if (player.name && player.projectedPoints > 0) {
           // Calculate value (points per $1000)
@@ -107,6 +128,7 @@ class FileProcessingService {
         }
       }
 
+      applyCaptainRows(processedPlayers, captainRows);
       return processedPlayers;
     } catch (error) {
       if (error.statusCode) throw error;
@@ -226,13 +248,13 @@ class FileProcessingService {
   async parseDraftKingsPlayerMappingCSV(filePath) {
     try {
       const csvData = await this.parseCSV(filePath);
-      const contestMetadata = null;
+      let extractedContestMetadata = null;
       const playerMapping = new Map();
+      const salaries = new Map(); // "name_position" -> salary
       const entryIds = [];
 
       for (const row of csvData) {
         // Extract contest metadata from first valid row
-        let extractedContestMetadata = null;
         if (
           !extractedContestMetadata &&
           row["Contest Name"] &&
@@ -255,14 +277,24 @@ class FileProcessingService {
 
         // Check if this is a DraftKings salaries file format
         if (row["Position"] && row["Name + ID"] && row["Name"] && row["ID"]) {
-          const position = row["Position"];
+          // Showdown lists each player twice; the CPT listing has its own ID
+          // and salary under Roster Position CPT
+          const isCaptain =
+            row["Roster Position"] === "CPT" || row["Position"] === "CPT";
+          const position = isCaptain ? "CPT" : row["Position"];
           const playerName = row["Name"];
           const playerId = row["ID"];
 
           if (playerName && playerId) {
             const cleanPlayerName = playerName.trim();
-            playerMapping.set(`${cleanPlayerName}_${position}`, playerId);
-            playerMapping.set(cleanPlayerName, playerId);
+            const key = `${cleanPlayerName}_${position}`;
+            playerMapping.set(key, playerId);
+            if (!isCaptain || !playerMapping.has(cleanPlayerName)) {
+              playerMapping.set(cleanPlayerName, playerId);
+            }
+
+            const salary = parseInt(row["Salary"]);
+            if (salary > 0) salaries.set(key, salary);
           }
         }
         // Fall back to extracting from lineup rows
@@ -291,6 +323,7 @@ class FileProcessingService {
       return {
         contestMetadata: extractedContestMetadata,
         playerMapping,
+        salaries,
         entryIds: entryIds.sort((a, b) => a - b),
       };
     } catch (error) {
@@ -299,6 +332,154 @@ class FileProcessingService {
     }
   }
 
+  // Parse a DKEntries CSV into its entry slots so they can be re-filled
+  async parseDraftKingsEntriesTemplate(filePath) {
+    try {
+      const csvData = await this.parseCSV(filePath);
+      const entries = [];
+
+      for (const row of csvData) {
+        if (!row["Entry ID"] || isNaN(row["Entry ID"])) {
+          continue;
+        }
+
+        entries.push({
+          entryId: row["Entry ID"],
+          contestName: row["Contest Name"] || "",
+          contestId: row["Contest ID"] || "",
+          entryFee: row["Entry Fee"] || "",
+        });
+      }
+
+      if (entries.length === 0) {
+        throw new AppError("No entries found in DKEntries file", 400);
+      }
+
+      return entries;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to parse DKEntries file", 500);
+    }
+  }
+
+  /**
+   * Parse a DraftKings contest standings export
+   * Entries come from the Rank/EntryId/Points/Lineup columns; the
+   * Player/Roster Position/%Drafted/FPTS columns alongside them list each
+   * drafted player once per slot, so CPT ownership is reported separately
+   * @returns {Object} { entries, players } where players are
+   *   { name, ownership, cptOwnership, fantasyPoints }
+   */
+  async parseContestStandingsCSV(filePath) {
+    try {
+      const csvData = await this.parseCSV(filePath);
+      const entries = [];
+      const players = new Map();
+
+      for (const row of csvData) {
+        if (row["EntryId"] && row["Lineup"] !== undefined) {
+          entries.push({
+            rank: parseInt(row["Rank"]) || null,
+            entryId: row["EntryId"],
+            entryName: row["EntryName"] || "",
+            points: parseFloat(row["Points"]) || 0,
+            lineup: row["Lineup"] || "",
+          });
+        }
+
+        const name = (row["Player"] || "").trim();
+        if (!name) continue;
+
+        const drafted = parseFloat(String(row["%Drafted"]).replace("%", ""));
+        const player = players.get(name) || {
+          name,
+          ownership: 0,
+          cptOwnership: 0,
+          fantasyPoints: null,
+        };
+        if (Number.isFinite(drafted)) {
+          if (row["Roster Position"] === "CPT") {
+            player.cptOwnership = drafted;
+          } else {
+            player.ownership = drafted;
+          }
+        }
+        const points = parseFloat(row["FPTS"]);
+        if (Number.isFinite(points) && row["Roster Position"] !== "CPT") {
+          player.fantasyPoints = points;
+        }
+        players.set(name, player);
+      }
+
+      if (players.size === 0) {
+        throw new AppError(
+          "No player ownership found in the contest standings file",
+          400
+        );
+      }
+
+      return { entries, players: [...players.values()] };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to parse contest standings file", 500);
+    }
+  }
+
+  /**
+   * Parse a file of actual fantasy scores: a Name (or Player) column and an
+   * FPTS, Points or Actual column
+   * @returns {Array} { name, points }
+   */
+  async parseActualScoresCSV(filePath) {
+    try {
+      const csvData = await this.parseCSV(filePath);
+      const scores = [];
+
+      for (const row of csvData) {
+        const name = (row["Name"] || row["Player"] || row["name"] || "").trim();
+        const points = parseFloat(
+          row["FPTS"] ??
+            row["Points"] ??
+            row["Actual"] ??
+            row["actualPoints"] ??
+            row["ActualPoints"]
+        );
+        if (name && Number.isFinite(points)) {
+          scores.push({ name, points });
+        }
+      }
+
+      if (scores.length === 0) {
+        throw new AppError(
+          "No scores found; expected Name and FPTS (or Points) columns",
+          400
+        );
+      }
+      return scores;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to parse actual scores file", 500);
+    }
+  }
+
+  // Parse a payout table (CSV rows of Place/Payout, or a JSON document)
+  async parsePayoutStructureFile(filePath, originalName = filePath) {
+    try {
+      if (originalName.toLowerCase().endsWith(".json")) {
+        return await this.parseJSON(filePath);
+      }
+
+      const rows = await this.parseCSV(filePath);
+      if (rows.length === 0) {
+        throw new AppError("No payout rows found in the file", 400);
+      }
+      return rows;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to parse payout structure file", 500);
+    }
+  }
+
   // Parse JSON file
   async parseJSON(filePath) {
     try {
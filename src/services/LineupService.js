@@ -5,11 +5,37 @@
 
 const { generateLineupId } = require("../utils/generators");
 const { AppError } = require("../middleware/errorHandler");
+const ContestSimulator = require("../simulation/ContestSimulator");
+const { fieldCounts, lineupKey } = require("../simulation/fieldGenerator");
+const { isValidSeed, MAX_SEED } = require("../utils/random");
+const { getCaptainMultiplier } = require("../utils/captain");
+const {
+  DEFAULT_FIELD_SIZE,
+  estimateDuplicates,
+} = require("../utils/duplication");
+const { calculateNexusScore } = require("../utils/nexusScore");
+
+const DRAFTKINGS_SLOTS = ["CPT", "TOP", "JNG", "MID", "ADC", "SUP", "TEAM"];
+
+// Quote a CSV cell when it contains separators or quotes
+const csvCell = (value) => {
+  const str = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
 
 class LineupService {
-  constructor(lineupRepository, playerRepository) {
+  constructor(
+    lineupRepository,
+    playerRepository,
+    payoutService = null,
+    fieldService = null,
+    settingsService = null
+  ) {
     this.lineupRepository = lineupRepository;
     this.playerRepository = playerRepository;
+    this.payoutService = payoutService;
+    this.fieldService = fieldService; // Slate's cached opponent field
+    this.settingsService = settingsService; // Pinned NexusScore formula
   }
 
   async getAllLineups() {
@@ -202,7 +228,7 @@ class LineupService {
     }
   }
 
-  async exportLineups(format = "csv", lineupIds = []) {
+  async exportLineups(format = "csv", lineupIds = [], options = {}) {
     try {
       let lineupsToExport;
 
@@ -223,7 +249,7 @@ class LineupService {
           return this.generateJsonExport(lineupsToExport);
         case "draftkings":
         case "dk":
-          return this.generateDraftKingsExport(lineupsToExport);
+          return await this.generateDraftKingsExport(lineupsToExport, options);
         default:
           throw new AppError(
             "Unsupported export format. Use: csv, json, or draftkings",
@@ -236,7 +262,10 @@ class LineupService {
     }
   }
 
-  // Simulate lineup performance (extracted from original server.js)
+  /**
+   * Monte Carlo contest simulation of the selected lineups against the
+   * slate's synthetic opponent field (`settings.field` tunes it)
+   */
   async simulateLineups(lineupIds, simSettings = {}) {
     try {
       const selectedLineups = await this.lineupRepository.findByIds(lineupIds);
@@ -245,82 +274,88 @@ class LineupService {
         throw new AppError("No valid lineups found for simulation", 400);
       }
 
+      const options = this.validateSimulationSettings(simSettings);
+      if (this.payoutService) {
+        options.payoutStructure =
+          await this.payoutService.resolvePayoutStructure({
+            ...simSettings,
+            entryFee: options.entryFee,
+            fieldSize: options.fieldSize,
+          });
+      }
+
       // Calculate exposures
       const exposures = this.calculateExposures(selectedLineups);
 
       // Get player projections for simulation
       const playerProjections = await this.playerRepository.findAll();
+      if (this.fieldService) {
+        options.field = await this.fieldService.getField({
+          ...simSettings.field,
+          size: options.fieldSize,
+          salaryCap: options.salaryCap,
+        });
+      }
 
-      // Generate performance metrics based on player projections
-      const lineupPerformance = selectedLineups.map((lineup) => {
-        // Calculate base projected points using actual player data
-        let baseProjection = 0;
-
-        // Check if lineup has captain
-        if (lineup.cpt && lineup.cpt.name) {
-          const cptProj = playerProjections.find(
-            (p) => p.name === lineup.cpt.name
-          );
-          if (cptProj) {
-            baseProjection += cptProj.projectedPoints * 1.5; // CPT gets 1.5x points
-          }
-        }
-
-        // Check if lineup has players array
-        if (lineup.players && Array.isArray(lineup.players)) {
-          lineup.players.forEach((player) => {
-            if (player && player.name) {
-              const playerProj = playerProjections.find(
-                (p) => p.name === player.name
-              );
-              if (playerProj) {
-                baseProjection += playerProj.projectedPoints;
-              }
-            }
-          });
-        }
-
-        // Calculate placement chances based on projected points
-        const minCashPct = Math.max(
-          0,
-          Math.min(100, 20 + baseProjection * 0.1)
-        );
-        const top10Pct = Math.max(0, Math.min(50, 5 + baseProjection * 0.05));
-        const firstPlacePct = Math.max(0, Math.min(10, baseProjection * 0.02));
+      const simulator = new ContestSimulator(playerProjections, options);
+      const { results, contest } = simulator.run(selectedLineups);
 
+      const lineupPerformance = selectedLineups.map((lineup, index) => {
+        const result = results[index];
         return {
           id: lineup.id,
           name: lineup.name,
-          firstPlace: firstPlacePct.toFixed(2),
-          top10: top10Pct.toFixed(2),
-          minCash: minCashPct.toFixed(2),
-          averagePayout: (baseProjection * 0.1).toFixed(2),
-          projectedPoints: baseProjection.toFixed(1),
+          firstPlace: result.firstPlaceRate.toFixed(2),
+          top10: result.top10Rate.toFixed(2),
+          minCash: result.cashRate.toFixed(2),
+          averagePayout: result.averagePayout.toFixed(2),
+          roi: result.roi.toFixed(2),
+          averageFinish: result.averageFinish.toFixed(1),
+          averageScore: result.averageScore.toFixed(1),
+          projectedPoints: this.calculateProjectedPoints(
+            lineup,
+            playerProjections
+          ).toFixed(1),
+          finishDistribution: Object.fromEntries(
+            Object.entries(result.finishDistribution).map(([bucket, pct]) => [
+              bucket,
+              pct.toFixed(2),
+            ])
+          ),
         };
       });
 
-      // Sort by projected points descending
-      lineupPerformance.sort(
-        (a, b) => parseFloat(b.projectedPoints) - parseFloat(a.projectedPoints)
-      );
-
-      // Generate score distributions
-      const scoreDistributions = lineupPerformance.map((perf) => {
-        const projectedPoints = parseFloat(perf.projectedPoints);
+      const scoreDistributions = selectedLineups.map((lineup, index) => {
+        const distribution = results[index].scoreDistribution;
         return {
-          lineup: perf.id,
-          p10: (projectedPoints * 0.8).toFixed(1),
-          p25: (projectedPoints * 0.9).toFixed(1),
-          p50: projectedPoints.toFixed(1),
-          p75: (projectedPoints * 1.1).toFixed(1),
-          p90: (projectedPoints * 1.2).toFixed(1),
+          lineup: lineup.id,
+          p10: distribution.p10.toFixed(1),
+          p25: distribution.p25.toFixed(1),
+          p50: distribution.p50.toFixed(1),
+          p75: distribution.p75.toFixed(1),
+          p90: distribution.p90.toFixed(1),
         };
       });
 
+      // Best expected return first
+      lineupPerformance.sort(
+        (a, b) => parseFloat(b.averagePayout) - parseFloat(a.averagePayout)
+      );
+
       return {
         lineupPerformance,
         exposures,
         scoreDistributions,
+        contest: {
+          ...contest,
+          payoutStructure: options.payoutStructure?.tiers
+            ? {
+                id: options.payoutStructure.id || null,
+                name: options.payoutStructure.name,
+                contestType: options.payoutStructure.contestType,
+              }
+            : null,
+        },
       };
     } catch (error) {
       if (error.statusCode) throw error;
@@ -328,6 +363,148 @@ class LineupService {
     }
   }
 
+  /**
+   * Expected duplicates per lineup in a contest of `fieldSize` entries: the
+   * ownership estimate (utils/duplication.js) and, with the slate's opponent
+   * field, how many field entries play the exact lineup
+   * @param {Array} lineupIds - Lineups to check; all saved lineups when empty
+   * @param {Object} settings - { fieldSize, salaryCap, field }
+   */
+  async estimateDuplication(lineupIds = [], settings = {}) {
+    try {
+      const lineups =
+        lineupIds.length > 0
+          ? await this.lineupRepository.findByIds(lineupIds)
+          : await this.lineupRepository.findAll();
+      if (lineups.length === 0) {
+        throw new AppError("No lineups found to estimate duplication for", 400);
+      }
+
+      const fieldSize = parseInt(settings.fieldSize ?? DEFAULT_FIELD_SIZE);
+      const salaryCap = parseFloat(settings.salaryCap ?? 50000);
+      if (!Number.isInteger(fieldSize) || fieldSize < 2 || fieldSize > 500000) {
+        throw new AppError("fieldSize must be between 2 and 500000", 400);
+      }
+      if (!Number.isFinite(salaryCap) || salaryCap <= 0) {
+        throw new AppError("salaryCap must be a positive number", 400);
+      }
+
+      const players = await this.playerRepository.findAll();
+
+      // Our lineup takes one of the contest's entries
+      let field = null;
+      const fieldDupes = new Map();
+      if (this.fieldService) {
+        field = await this.fieldService.getField({
+          ...settings.field,
+          size: fieldSize,
+          salaryCap,
+        });
+        const counts = fieldCounts(field, fieldSize - 1);
+        field.lineups.forEach((lineup, index) => {
+          if (counts[index] > 0)
+            fieldDupes.set(lineupKey(lineup), counts[index]);
+        });
+      }
+
+      const results = lineups.map((lineup) => ({
+        id: lineup.id,
+        name: lineup.name,
+        expectedDupes: parseFloat(
+          estimateDuplicates(lineup, {
+            fieldSize,
+            salaryCap,
+            players,
+          }).toPrecision(3)
+        ),
+        fieldDupes: field ? fieldDupes.get(lineupKey(lineup)) || 0 : null,
+      }));
+
+      return {
+        fieldSize,
+        salaryCap,
+        fieldSeed: field ? field.seed : null,
+        lineups: results,
+        summary: {
+          lineups: results.length,
+          averageExpectedDupes:
+            results.reduce((sum, result) => sum + result.expectedDupes, 0) /
+            results.length,
+          maxExpectedDupes: Math.max(
+            ...results.map((result) => result.expectedDupes)
+          ),
+          inField: field
+            ? results.filter((result) => result.fieldDupes > 0).length
+            : null,
+        },
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to estimate lineup duplication", 500);
+    }
+  }
+
+  // Deterministic projection (CPT at its own projection, else 1.5x) for
+  // display next to sim results
+  calculateProjectedPoints(lineup, playerProjections) {
+    const poolPlayerFor = (player) =>
+      playerProjections.find((p) => p.name === player.name) || {};
+    const projectionFor = (player) =>
+      poolPlayerFor(player).projectedPoints || player.projectedPoints || 0;
+
+    let total = lineup.cpt?.name
+      ? projectionFor(lineup.cpt) *
+        getCaptainMultiplier(poolPlayerFor(lineup.cpt))
+      : 0;
+    (lineup.players || []).forEach((player) => {
+      if (player && player.name) {
+        total += projectionFor(player);
+      }
+    });
+    return total;
+  }
+
+  validateSimulationSettings(simSettings) {
+    const iterations = parseInt(simSettings.iterations ?? 1000);
+    const fieldSize = parseInt(simSettings.fieldSize ?? 1176);
+    const entryFee = parseFloat(simSettings.entryFee ?? 5);
+
+    if (
+      !Number.isInteger(iterations) ||
+      iterations < 1 ||
+      iterations > 100000
+    ) {
+      throw new AppError("iterations must be between 1 and 100000", 400);
+    }
+    if (!Number.isInteger(fieldSize) || fieldSize < 2 || fieldSize > 500000) {
+      throw new AppError("fieldSize must be between 2 and 500000", 400);
+    }
+    if (!Number.isFinite(entryFee) || entryFee < 0) {
+      throw new AppError("entryFee must be a non-negative number", 400);
+    }
+    const seed =
+      simSettings.seed === undefined || simSettings.seed === null
+        ? undefined
+        : Number(simSettings.seed);
+    if (seed !== undefined && !isValidSeed(seed)) {
+      throw new AppError(
+        `seed must be an integer between 0 and ${MAX_SEED}`,
+        400
+      );
+    }
+
+    return {
+      iterations,
+      fieldSize,
+      entryFee,
+      payoutStructure: simSettings.payoutStructure,
+      variance: simSettings.variance,
+      salaryCap: simSettings.salaryCap,
+      teamOdds: simSettings.teamOdds,
+      seed,
+    };
+  }
+
   // Private helper methods
   validateLineupStructure(lineupData) {
     const errors = [];
@@ -361,8 +538,8 @@ class LineupService {
     const totalProjection =
       this.lineupRepository.calculateTotalProjection(lineupData);
 
-    // Calculate NexusScore (simplified version)
-    const nexusScore = this.calculateNexusScore(lineupData);
+    // Calculate NexusScore
+    const nexusScore = await this.calculateNexusScore(lineupData);
 
     return {
       ...lineupData,
@@ -372,58 +549,13 @@ class LineupService {
     };
   }
 
-  calculateNexusScore(lineup) {
-    // Simplified NexusScore calculation
-    const allPlayers = [];
-    if (lineup.cpt) {
-      allPlayers.push(lineup.cpt);
-    }
-    if (lineup.players && Array.isArray(lineup.players)) {
-      allPlayers.push(...lineup.players);
-    }
-    const teamCounts = {};
-
-    allPlayers.forEach((player) => {
-      if (player && player.team) {
-        teamCounts[player.team] = (teamCounts[player.team] || 0) + 1;
-      }
-    });
-
-    // Calculate total projection
-    let totalProj = 0;
-    if (lineup.cpt) {
-      totalProj += (lineup.cpt.projectedPoints || 0) * 1.5; // CPT gets 1.5x
-    }
-
-    totalProj += (lineup.players || []).reduce(
-      (sum, p) => sum + (p.projectedPoints || 0),
-      0
-    );
-
-    // Calculate average ownership
-    const totalOwnership = allPlayers.reduce((sum, p) => {
-      return sum + (p.ownership || 0);
-    }, 0);
-
-    const avgOwn =
-      allPlayers.length > 0 ? totalOwnership / allPlayers.length : 0;
-
-    // Calculate stack bonus
-    let stackBonus = 0;
-    Object.values(teamCounts).forEach((count) => {
-      if (count >= 3) stackBonus += (count - 2) * 3;
-    });
-
-    // Calculate NexusScore
-    const ownership = Math.max(0.1, avgOwn / 100);
-    const leverageFactor = Math.min(1.5, Math.max(0.6, 1 / ownership));
-    const baseScore = totalProj / 10;
-    const nexusScore = Math.min(
-      65,
-      Math.max(25, baseScore * leverageFactor + stackBonus / 2)
-    );
-
-    return nexusScore;
+  // NexusScore under the pinned formula version (src/utils/nexusScore.js)
+  async calculateNexusScore(lineup) {
+    const players = await this.playerRepository.findAll();
+    const formula = this.settingsService
+      ? await this.settingsService.getNexusScoreFormula()
+      : undefined;
+    return calculateNexusScore(lineup, { players, formula }).score;
   }
 
   parseDraftKingsEntry(row) {
@@ -438,6 +570,7 @@ class LineupService {
       cpt = {
         name: cptName,
         id: cptId,
+        draftKingsId: cptId,
         position: "CPT",
         salary: 0,
       };
@@ -453,9 +586,11 @@ class LineupService {
 
     positions.forEach((position) => {
       if (row[position]) {
+        const playerId = this.extractPlayerId(row[position]);
         players.push({
           name: this.extractPlayerName(row[position]),
-          id: this.extractPlayerId(row[position]),
+          id: playerId,
+          draftKingsId: playerId,
           position: position,
           salary: 0,
         });
@@ -582,10 +717,144 @@ class LineupService {
     return JSON.stringify(lineups, null, 2);
   }
 
-  generateDraftKingsExport(lineups) {
-    // This would need contest metadata for proper DraftKings export
-    // For now, return basic CSV format
-    return this.generateCsvExport(lineups);
+  /**
+   * Build a DraftKings bulk-upload CSV ("Name (ID)" cells)
+   * With options.entries (from parseDraftKingsEntriesTemplate) the existing
+   * DKEntries rows are re-filled in order, keeping Entry ID and contest columns
+   * @param {Array} lineups
+   * @param {Object} options - { entries, playerMapping }
+   */
+  async generateDraftKingsExport(lineups, options = {}) {
+    const { entries = null, playerMapping = null } = options;
+    const players = await this.playerRepository.findAll();
+    const playerIndex = this.buildDraftKingsPlayerIndex(players);
+
+    const missingIds = [];
+    const filledRows = lineups.map((lineup) => {
+      const slots = this.getDraftKingsSlots(lineup);
+
+      return DRAFTKINGS_SLOTS.map((slot) => {
+        const player = slots[slot];
+        if (!player) {
+          missingIds.push(`${lineup.name || lineup.id}: empty ${slot} slot`);
+          return "";
+        }
+
+        const draftKingsId = this.resolveDraftKingsId(
+          player,
+          slot,
+          playerIndex,
+          playerMapping
+        );
+        if (!draftKingsId) {
+          missingIds.push(
+            `${lineup.name || lineup.id}: ${player.name} (${slot})`
+          );
+          return "";
+        }
+
+        return `${player.name} (${draftKingsId})`;
+      });
+    });
+
+    if (missingIds.length > 0) {
+      const preview = missingIds.slice(0, 10).join("; ");
+      const more =
+        missingIds.length > 10 ? ` and ${missingIds.length - 10} more` : "";
+      throw new AppError(
+        `DraftKings export failed, players without a DraftKings ID: ${preview}${more}. Upload the DraftKings salaries file first.`,
+        400
+      );
+    }
+
+    if (!entries) {
+      const rows = [DRAFTKINGS_SLOTS.join(",")];
+      filledRows.forEach((cells) => rows.push(cells.map(csvCell).join(",")));
+      return rows.join("\n");
+    }
+
+    if (lineups.length > entries.length) {
+      throw new AppError(
+        `DKEntries file has ${entries.length} entries but ${lineups.length} lineups were selected`,
+        400
+      );
+    }
+
+    const headers = [
+      "Entry ID",
+      "Contest Name",
+      "Contest ID",
+      "Entry Fee",
+      ...DRAFTKINGS_SLOTS,
+    ];
+    const rows = [headers.join(",")];
+
+    entries.forEach((entry, index) => {
+      const cells = filledRows[index] || DRAFTKINGS_SLOTS.map(() => "");
+      rows.push(
+        [
+          entry.entryId,
+          entry.contestName,
+          entry.contestId,
+          entry.entryFee,
+          ...cells,
+        ]
+          .map(csvCell)
+          .join(",")
+      );
+    });
+
+    return rows.join("\n");
+  }
+
+  getDraftKingsSlots(lineup) {
+    const slots = { CPT: lineup.cpt || null };
+    (lineup.players || []).forEach((player) => {
+      if (player && DRAFTKINGS_SLOTS.includes(player.position)) {
+        slots[player.position] = player;
+      }
+    });
+    return slots;
+  }
+
+  buildDraftKingsPlayerIndex(players) {
+    const index = new Map();
+    players.forEach((player) => {
+      const name = (player.name || "").trim();
+      index.set(`${name}_${player.position}`, player);
+      if (!index.has(name)) {
+        index.set(name, player);
+      }
+    });
+    return index;
+  }
+
+  /**
+   * Find the DraftKings ID for a lineup slot. CPT has its own DK ID, so the
+   * flex ID is never used for the captain slot
+   */
+  resolveDraftKingsId(player, slot, playerIndex, playerMapping) {
+    const name = (player.name || "").trim();
+    const poolPlayer =
+      playerIndex.get(`${name}_${player.position}`) || playerIndex.get(name);
+
+    if (slot === "CPT") {
+      return (
+        player.cptDraftKingsId ||
+        (player.position === "CPT" && player.draftKingsId) ||
+        poolPlayer?.cptDraftKingsId ||
+        playerMapping?.get(`${name}_CPT`) ||
+        null
+      );
+    }
+
+    return (
+      player.draftKingsId ||
+      poolPlayer?.draftKingsId ||
+      playerMapping?.get(`${name}_${slot}`) ||
+      playerMapping?.get(name) ||
+      null
+    );
   }
 }
 
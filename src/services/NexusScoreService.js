@@ -0,0 +1,412 @@
+/**
+ * NexusScoreService
+ * NexusScore formula versions (src/utils/nexusScore.js): the built-in ones,
+ * versions calibrated on the slate's imported contest results
+ * (ContestResultService), and the pinned version the optimizers and
+ * LineupService score with.
+ */
+
+const { AppError } = require("../middleware/errorHandler");
+const {
+  NEXUS_FORMULAS,
+  DEFAULT_FORMULA_VERSION,
+  COMPONENT_KEYS,
+  getNexusComponents,
+  getNexusFeatures,
+  scoreNexusComponents,
+} = require("../utils/nexusScore");
+
+const SLOT_LABELS = new Set(["CPT", "TOP", "JNG", "MID", "ADC", "SUP", "TEAM"]);
+const MIN_SAMPLES = 30;
+const MAX_SAMPLES = 20000; // Entries per calibration, evenly spaced
+const HOLDOUT_EVERY = 5; // Every 5th entry is held out to measure the fit
+const TOP_SHARE = 0.1; // Lift compares the top 10% by NexusScore
+const RIDGE = 0.001; // Keeps correlated components from blowing up
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+const round = (value, digits = 4) => parseFloat(value.toFixed(digits));
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+
+const standardDeviation = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - avg) ** 2)));
+};
+
+class NexusScoreService {
+  constructor(contestResultRepository, playerRepository, settingsService) {
+    this.contestResultRepository = contestResultRepository;
+    this.playerRepository = playerRepository;
+    this.settingsService = settingsService;
+  }
+
+  // Built-in and calibrated versions, and the pinned one
+  async getVersions() {
+    const model = await this.settingsService.getNexusScoreModel();
+    return {
+      activeVersion: model.activeVersion,
+      versions: [
+        ...Object.values(NEXUS_FORMULAS).map((formula) => ({
+          ...formula,
+          builtIn: true,
+        })),
+        ...model.versions.map((version) => ({ ...version, builtIn: false })),
+      ],
+    };
+  }
+
+  // Pin the version every optimizer run and saved lineup scores with
+  async setActiveVersion(version) {
+    const model = await this.settingsService.getNexusScoreModel();
+    if (!this._hasVersion(model, version)) {
+      throw new AppError(`NexusScore version ${version} not found`, 404);
+    }
+    await this.settingsService.updateNexusScoreModel({
+      ...model,
+      activeVersion: version,
+    });
+    return this.getVersions();
+  }
+
+  // Remove a calibrated version; unpinning it falls back to the default
+  async deleteVersion(version) {
+    if (NEXUS_FORMULAS[version]) {
+      throw new AppError("Built-in NexusScore versions can't be deleted", 400);
+    }
+    const model = await this.settingsService.getNexusScoreModel();
+    if (!this._hasVersion(model, version)) {
+      throw new AppError(`NexusScore version ${version} not found`, 404);
+    }
+    await this.settingsService.updateNexusScoreModel({
+      activeVersion:
+        model.activeVersion === version
+          ? DEFAULT_FORMULA_VERSION
+          : model.activeVersion,
+      versions: model.versions.filter((entry) => entry.version !== version),
+    });
+    return this.getVersions();
+  }
+
+  /**
+   * Fit the component weights to the entries of the slate's imported
+   * contests and store them as a new version
+   * Every entry's lineup is scored against the pool's projections and
+   * ownership; the weights are a least-squares fit of its finishing
+   * percentile, rescaled to the pinned version's spread. Rank correlation
+   * and top-10% lift are measured on held-out entries for both versions.
+   * @param {Object} options - { resultIds (default: all), name, activate }
+   */
+  async calibrate({ resultIds, name, activate = false } = {}) {
+    try {
+      let contests = await this.contestResultRepository.findAll();
+      if (Array.isArray(resultIds) && resultIds.length > 0) {
+        const wanted = new Set(resultIds.map(String));
+        contests = contests.filter((contest) => wanted.has(contest.id));
+      }
+      if (contests.length === 0) {
+        throw new AppError(
+          "No imported contest results to calibrate on; import standings first",
+          400
+        );
+      }
+      const players = await this.playerRepository.findAll();
+      if (players.length === 0) {
+        throw new AppError("No players loaded for the slate", 400);
+      }
+
+      const { samples, skippedEntries } = this._buildSamples(contests, players);
+      if (samples.length < MIN_SAMPLES) {
+        throw new AppError(
+          `Only ${samples.length} entries matched the slate's player pool; at least ${MIN_SAMPLES} are needed`,
+          400
+        );
+      }
+
+      const train = samples.filter((_, index) => index % HOLDOUT_EVERY !== 0);
+      const holdout = samples.filter((_, index) => index % HOLDOUT_EVERY === 0);
+
+      const model = await this.settingsService.getNexusScoreModel();
+      const baseline = await this.settingsService.getNexusScoreFormula();
+      const formula = this._fit(train, baseline);
+
+      const version = {
+        version: this._nextVersion(model),
+        name: name || `Calibrated ${new Date().toISOString().slice(0, 10)}`,
+        description: `Fitted to ${train.length} entries from ${contests.length} contests`,
+        ...formula,
+        calibratedAt: new Date().toISOString(),
+        slateId: this.playerRepository.slateId,
+        fit: {
+          contests: contests.map((contest) => contest.name),
+          samples: samples.length,
+          holdoutSamples: holdout.length,
+          skippedEntries,
+          baseline: {
+            version: baseline.version,
+            ...this._evaluate(holdout, baseline),
+          },
+          calibrated: this._evaluate(holdout, formula),
+        },
+      };
+
+      await this.settingsService.updateNexusScoreModel({
+        activeVersion: activate ? version.version : model.activeVersion,
+        versions: [...model.versions, version],
+      });
+      return { ...version, active: activate };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError(
+        `NexusScore calibration failed: ${error.message}`,
+        500
+      );
+    }
+  }
+
+  // One sample per entry whose players are all in the pool
+  _buildSamples(contests, players) {
+    const poolByName = new Map(
+      players.map((player) => [normalize(player.name), player])
+    );
+    const totalEntries = contests.reduce(
+      (sum, contest) => sum + contest.entries.length,
+      0
+    );
+    const stride = Math.max(1, Math.ceil(totalEntries / MAX_SAMPLES));
+
+    const samples = [];
+    let skippedEntries = 0;
+    contests.forEach((contest) => {
+      const percentileOf = this._percentiles(contest.entries);
+      contest.entries.forEach((entry, index) => {
+        if (index % stride !== 0) return;
+        const lineup = parseEntryLineup(entry.lineup, poolByName);
+        if (!lineup) {
+          skippedEntries++;
+          return;
+        }
+        const components = getNexusComponents(lineup, { players });
+        samples.push({
+          components,
+          features: getNexusFeatures(components),
+          percentile: percentileOf(entry.points),
+        });
+      });
+    });
+    return { samples, skippedEntries };
+  }
+
+  // Share of the contest each score beat (1 = won, 0 = last)
+  _percentiles(entries) {
+    const scores = entries.map((entry) => entry.points).sort((a, b) => b - a);
+    const firstIndex = new Map();
+    scores.forEach((score, index) => {
+      if (!firstIndex.has(score)) firstIndex.set(score, index);
+    });
+    const last = Math.max(1, scores.length - 1);
+    return (points) => 1 - firstIndex.get(points) / last;
+  }
+
+  /**
+   * Least squares on standardized components, then scaled and shifted so
+   * the scores keep the baseline version's mean and spread
+   */
+  _fit(samples, baseline) {
+    const columns = COMPONENT_KEYS.map((key) =>
+      samples.map((sample) => sample.features[key])
+    );
+    const means = columns.map(mean);
+    const deviations = columns.map(standardDeviation);
+    const used = COMPONENT_KEYS.map((_, i) => deviations[i] > 1e-9);
+
+    // Normal equations over the components that vary
+    const keys = COMPONENT_KEYS.filter((_, i) => used[i]);
+    const indexes = COMPONENT_KEYS.map((_, i) => i).filter((i) => used[i]);
+    const targetMean = mean(samples.map((sample) => sample.percentile));
+    const xtx = keys.map(() => keys.map(() => 0));
+    const xty = keys.map(() => 0);
+    samples.forEach((sample, row) => {
+      const x = indexes.map(
+        (i) => (columns[i][row] - means[i]) / deviations[i]
+      );
+      const y = sample.percentile - targetMean;
+      x.forEach((xi, a) => {
+        xty[a] += xi * y;
+        x.forEach((xj, b) => {
+          xtx[a][b] += xi * xj;
+        });
+      });
+    });
+    xtx.forEach((row, a) => {
+      row[a] += RIDGE * samples.length;
+    });
+    const solved = solveLinearSystem(xtx, xty);
+
+    const rawWeights = Object.fromEntries(
+      COMPONENT_KEYS.map((key) => [key, 0])
+    );
+    indexes.forEach((i, a) => {
+      rawWeights[COMPONENT_KEYS[i]] = solved[a] / deviations[i];
+    });
+
+    const rawScores = samples.map((sample) =>
+      COMPONENT_KEYS.reduce(
+        (sum, key) => sum + rawWeights[key] * sample.features[key],
+        0
+      )
+    );
+    const rawSpread = standardDeviation(rawScores);
+    if (!(rawSpread > 1e-9)) {
+      throw new AppError(
+        "The contest results don't separate lineups by any NexusScore component",
+        400
+      );
+    }
+
+    const baselineScores = samples.map((sample) =>
+      scoreNexusComponents(sample.components, baseline)
+    );
+    const scale = (standardDeviation(baselineScores) || 1) / rawSpread;
+    const offset = mean(baselineScores) - scale * mean(rawScores);
+
+    return {
+      weights: Object.fromEntries(
+        COMPONENT_KEYS.map((key) => [key, round(rawWeights[key] * scale, 6)])
+      ),
+      offset: round(offset),
+      range: null,
+    };
+  }
+
+  // Rank correlation with the finishing percentile, and top-10% lift
+  _evaluate(samples, formula) {
+    const scores = samples.map((sample) =>
+      scoreNexusComponents(sample.components, formula)
+    );
+    const percentiles = samples.map((sample) => sample.percentile);
+
+    const isTop = (percentile) => percentile >= 1 - TOP_SHARE;
+    const ordered = samples
+      .map((sample, index) => ({ score: scores[index], sample }))
+      .sort((a, b) => b.score - a.score);
+    const picked = ordered.slice(
+      0,
+      Math.max(1, Math.round(samples.length * TOP_SHARE))
+    );
+    const baseRate =
+      percentiles.filter(isTop).length / Math.max(1, samples.length);
+    const hitRate =
+      picked.filter(({ sample }) => isTop(sample.percentile)).length /
+      picked.length;
+
+    return {
+      spearman: round(spearman(scores, percentiles)),
+      topDecileHitRate: round(hitRate * 100, 2),
+      baseRate: round(baseRate * 100, 2),
+      lift: baseRate > 0 ? round(hitRate / baseRate, 3) : null,
+    };
+  }
+
+  _hasVersion(model, version) {
+    return (
+      Boolean(NEXUS_FORMULAS[version]) ||
+      model.versions.some((entry) => entry.version === version)
+    );
+  }
+
+  // Calibrated versions count up from the default: 1.1, 1.2, ...
+  _nextVersion(model) {
+    const minors = model.versions.map(
+      (entry) => parseInt(String(entry.version).split(".")[1]) || 0
+    );
+    return `1.${Math.max(0, ...minors) + 1}`;
+  }
+}
+
+/**
+ * Pool players of a DraftKings standings lineup,
+ * "CPT Faker TOP Zeus JNG Oner ... TEAM T1"; null when a name isn't in the
+ * pool or there's no captain
+ */
+function parseEntryLineup(text, poolByName) {
+  const slots = [];
+  String(text || "")
+    .trim()
+    .split(/\s+/)
+    .forEach((token) => {
+      if (SLOT_LABELS.has(token)) {
+        slots.push({ slot: token, words: [] });
+      } else if (slots.length > 0) {
+        slots[slots.length - 1].words.push(token);
+      }
+    });
+
+  let cpt = null;
+  const players = [];
+  for (const { slot, words } of slots) {
+    const player = poolByName.get(normalize(words.join(" ")));
+    if (!player) return null;
+    if (slot === "CPT") cpt = player;
+    else players.push(player);
+  }
+  return cpt ? { cpt, players } : null;
+}
+
+// Gaussian elimination with partial pivoting
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    if (Math.abs(a[col][col]) < 1e-12) continue;
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  return a.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[n] / row[i]));
+}
+
+// Ranks with ties averaged (1-based)
+function rank(values) {
+  const order = values
+    .map((value, index) => ({ value, index }))
+    .sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+function spearman(x, y) {
+  const rx = rank(x);
+  const ry = rank(y);
+  const mx = mean(rx);
+  const my = mean(ry);
+  let covariance = 0;
+  let vx = 0;
+  let vy = 0;
+  rx.forEach((value, i) => {
+    covariance += (value - mx) * (ry[i] - my);
+    vx += (value - mx) ** 2;
+    vy += (ry[i] - my) ** 2;
+  });
+  return vx > 0 && vy > 0 ? covariance / Math.sqrt(vx * vy) : 0;
+}
+
+module.exports = NexusScoreService;
@@ -3,20 +3,74 @@
  * Handles lineup optimization using various algorithms and strategies
  */
 
-const AdvancedOptimizer = require("../../client/src/lib/AdvancedOptimizer");
+const crypto = require("crypto");
 const HybridOptimizer = require("../../client/src/lib/HybridOptimizer");
 const { generateRandomId } = require("../utils/generators");
+const {
+  createRng,
+  generateSeed,
+  isValidSeed,
+  MAX_SEED,
+} = require("../utils/random");
+const { buildPayoutTable } = require("../simulation/payouts");
+const { fieldCounts } = require("../simulation/fieldGenerator");
 const { AppError } = require("../middleware/errorHandler");
+const OptimizationJobRunner = require("../jobs/OptimizationJobRunner");
+const { validateLineupRules } = require("../../client/src/lib/LineupRules");
+const { getActivePlayers, isInactive } = require("../utils/playerStatus");
+
+// Lineup stats that describe one roster; saving a swap replaces all of them
+const ROSTER_STATS = [
+  "projectedPoints",
+  "median",
+  "min",
+  "max",
+  "p10",
+  "p25",
+  "p75",
+  "p90",
+  "performances",
+  "cashRate",
+  "winRate",
+  "firstPlace",
+  "top10",
+  "nexusScore",
+  "scoreComponents",
+];
 
 class OptimizationService {
-  constructor(lineupRepository, playerRepository) {
+  constructor(
+    lineupRepository,
+    playerRepository,
+    payoutService = null,
+    jobRunner = null,
+    progressService = null,
+    jobRepository = null,
+    settingsService = null,
+    fieldService = null
+  ) {
     this.lineupRepository = lineupRepository;
     this.playerRepository = playerRepository;
+    this.payoutService = payoutService;
+    // Optimizers run in worker threads; the runner is shared across slates
+    this.jobRunner = jobRunner || new OptimizationJobRunner();
+    this.progressService = progressService;
+    this.jobRepository = jobRepository; // Durable job history
+    this.settingsService = settingsService; // Saved lineup rules
+    this.fieldService = fieldService; // Slate's cached opponent field
+    this.jobWrites = Promise.resolve(); // Keeps job record updates in order
     this.activeOptimizations = new Map(); // Track running optimizations
   }
 
   /**
    * Generate optimized lineups using advanced algorithm
+   * The optimizer runs in a worker thread via the job runner. With
+   * `wait: false` the job is only queued and its id returned right away.
+   * Without `lineupRules` the rules saved in settings apply, and
+   * `constraints.maxExpectedDupes` caps each lineup's expected duplicates.
+   * With `save: false` the lineups are returned but not added to the slate.
+   * NexusScore uses the pinned formula version unless `nexusScoreFormula`
+   * names another. Subs and benched players are left out of the pool.
    */
   async generateLineups(options = {}) {
     const {
@@ -26,228 +80,694 @@ class OptimizationService {
       algorithm = "advanced",
       exposureLimits = {},
       constraints = {},
+      strategy,
+      customConfig,
+      contestInfo,
+      seed = generateSeed(),
+      lineupRules,
+      nexusScoreFormula,
       sessionId = null,
+      wait = true,
+      save = true,
     } = options;
 
     try {
+      if (!["advanced", "exact", "hybrid"].includes(algorithm)) {
+        throw new AppError(`Unknown optimization algorithm: ${algorithm}`, 400);
+      }
+      if (!isValidSeed(seed)) {
+        throw new AppError(
+          `seed must be an integer between 0 and ${MAX_SEED}`,
+          400
+        );
+      }
+      const maxDupes = constraints.maxExpectedDupes;
+      if (
+        maxDupes !== undefined &&
+        maxDupes !== null &&
+        !(Number(maxDupes) >= 0)
+      ) {
+        throw new AppError(
+          "maxExpectedDupes must be a non-negative number",
+          400
+        );
+      }
+
+      const rules = await this._resolveLineupRules(lineupRules);
+      const formula = await this._resolveNexusScoreFormula(nexusScoreFormula);
+
       // Validate input data
-      if (!players || players.length === 0) {
-        const allPlayers = await this.playerRepository.findAll();
-        if (allPlayers.length === 0) {
+      let pool = players;
+      if (!pool || pool.length === 0) {
+        pool = await this.playerRepository.findAll();
+        if (pool.length === 0) {
           throw new AppError("No players available for optimization", 400);
         }
-        options.players = allPlayers;
+      }
+      pool = getActivePlayers(pool);
+      if (pool.length === 0) {
+        throw new AppError("Every player is marked as a sub or benched", 400);
       }
 
-      // Create optimization session
-      const optimizationId = generateRandomId();
-      this.activeOptimizations.set(optimizationId, {
-        status: "running",
-        progress: 0,
-        startTime: Date.now(),
-        sessionId,
+      return await this._startJob(
+        {
+          algorithm,
+          options: {
+            players: pool,
+            teamStacks,
+            numLineups,
+            exposureLimits,
+            constraints,
+            strategy,
+            customConfig,
+            contestInfo,
+            seed,
+            lineupRules: rules,
+            nexusScoreFormula: formula,
+          },
+        },
+        { sessionId, wait, save }
+      );
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError(`Optimization failed: ${error.message}`, 500);
+    }
+  }
+
+  // The named formula version, else the pinned one
+  async _resolveNexusScoreFormula(version) {
+    if (!this.settingsService) return version ?? null;
+    return await this.settingsService.getNexusScoreFormula(version);
+  }
+
+  async _getSavedLineupRules() {
+    if (!this.settingsService) return [];
+    return await this.settingsService.getLineupRules();
+  }
+
+  // Rules passed with a request, else the saved ones
+  async _resolveLineupRules(lineupRules) {
+    const rules = lineupRules ?? (await this._getSavedLineupRules());
+    const ruleErrors = validateLineupRules(rules);
+    if (ruleErrors.length > 0) {
+      throw new AppError(`Invalid lineup rules: ${ruleErrors.join("; ")}`, 400);
+    }
+    return rules;
+  }
+
+  /**
+   * Late swap: re-optimize the open slots of saved lineups (imported
+   * DKEntries included) once some teams' games have started
+   * lockTimes maps team -> lock time; `now` evaluates the locks at another
+   * time. With `save` the swapped rosters replace the saved ones. Subs and
+   * benched players on teams that haven't locked are swapped out.
+   */
+  async lateSwap(options = {}) {
+    const {
+      lineupIds = [],
+      lockTimes = {},
+      now,
+      exposureLimits = {},
+      constraints = {},
+      lineupRules,
+      save = false,
+    } = options;
+
+    try {
+      if (!Array.isArray(lineupIds) || lineupIds.length === 0) {
+        throw new AppError(
+          "lineupIds array is required and must not be empty",
+          400
+        );
+      }
+      if (!lockTimes || typeof lockTimes !== "object") {
+        throw new AppError("lockTimes must map teams to lock times", 400);
+      }
+      const toTime = (value) =>
+        typeof value === "number" ? value : Date.parse(value);
+      Object.entries(lockTimes).forEach(([team, lockTime]) => {
+        if (!Number.isFinite(toTime(lockTime))) {
+          throw new AppError(`Invalid lock time for ${team}: ${lockTime}`, 400);
+        }
       });
+      const evaluatedAt = now === undefined ? Date.now() : toTime(now);
+      if (!Number.isFinite(evaluatedAt)) {
+        throw new AppError(`Invalid time for now: ${now}`, 400);
+      }
+
+      const rules = await this._resolveLineupRules(lineupRules);
+      const formula = await this._resolveNexusScoreFormula();
+      const entries = await this.lineupRepository.findByIds(lineupIds);
+      if (entries.length === 0) {
+        throw new AppError("No valid lineups found for late swap", 400);
+      }
+      const players = await this.playerRepository.findAll();
+      if (players.length === 0) {
+        throw new AppError("No players available for optimization", 400);
+      }
 
-      let optimizer;
-      let results;
-
-      try {
-        switch (algorithm) {
-          case "advanced":
-            optimizer = new AdvancedOptimizer();
-            results = await this._runAdvancedOptimization(optimizer, options);
-            break;
-
-          case "hybrid":
-            optimizer = new HybridOptimizer({
-              fieldSizes: options.contestInfo?.fieldSizes || {},
-            });
-            results = await this._runHybridOptimization(optimizer, options);
-            break;
-
-          default:
-            throw new AppError(
-              `Unknown optimization algorithm: ${algorithm}`,
-              400
-            );
+      // Inactive players stay in the pool so locked slots still resolve;
+      // the open ones get a hard ban
+      const lockedTeams = new Set(
+        Object.entries(lockTimes)
+          .filter(([, lockTime]) => toTime(lockTime) <= evaluatedAt)
+          .map(([team]) => team.trim().toLowerCase())
+      );
+      const statusBans = players
+        .filter(
+          (player) =>
+            isInactive(player) &&
+            !lockedTeams.has(
+              String(player.team ?? "")
+                .trim()
+                .toLowerCase()
+            )
+        )
+        .map((player) => ({
+          id: `status_${player.id}`,
+          type: "ban",
+          player: String(player.id),
+          percent: 100,
+        }));
+
+      const result = await this.jobRunner.submit(
+        `late_swap_${generateRandomId()}`,
+        {
+          algorithm: "late_swap",
+          options: {
+            players,
+            entries,
+            lockTimes,
+            now: evaluatedAt,
+            exposureLimits,
+            constraints,
+            lineupRules: [...rules, ...statusBans],
+            nexusScoreFormula: formula,
+          },
         }
+      );
 
-        // Update optimization status
-        this.activeOptimizations.set(optimizationId, {
-          status: "completed",
-          progress: 100,
-          endTime: Date.now(),
-          sessionId,
-          results: results.lineups,
-        });
+      const saved = save
+        ? await this._saveSwappedEntries(result.entries, "lateSwappedAt")
+        : 0;
 
-        // Store generated lineups (with additional deduplication check)
-        const savedLineups = [];
-        const existingLineups = await this.lineupRepository.findAll();
-        const existingSignatures = new Set();
-
-        // Create signatures for existing lineups
-        existingLineups.forEach((lineup) => {
-          const allPlayerIds = new Set();
-          if (lineup.cpt?.id) allPlayerIds.add(String(lineup.cpt.id));
-          if (lineup.players) {
-            lineup.players.forEach((p) => {
-              if (p?.id) allPlayerIds.add(String(p.id));
-            });
-          }
-          if (allPlayerIds.size > 0) {
-            existingSignatures.add(Array.from(allPlayerIds).sort().join("|"));
-          }
-        });
+      return {
+        entries: result.entries,
+        summary: {
+          ...result.summary,
+          evaluatedAt: new Date(evaluatedAt).toISOString(),
+          generationTime: result.generationTime,
+          saved,
+        },
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError(`Late swap failed: ${error.message}`, 500);
+    }
+  }
 
-        for (const lineup of results.lineups) {
-          // Check if this lineup composition already exists
-          const allPlayerIds = new Set();
-          if (lineup.cpt?.id) allPlayerIds.add(String(lineup.cpt.id));
-          if (lineup.players) {
-            lineup.players.forEach((p) => {
-              if (p?.id) allPlayerIds.add(String(p.id));
-            });
-          }
-
-          const signature = Array.from(allPlayerIds).sort().join("|");
-
-          if (!existingSignatures.has(signature)) {
-            const savedLineup = await this.lineupRepository.create({
-              ...lineup,
-              algorithm,
-              optimizationId,
-              generatedAt: new Date().toISOString(),
-            });
-            savedLineups.push(savedLineup);
-            existingSignatures.add(signature);
-          } else {
-            console.log("Skipping duplicate lineup composition:", signature);
-          }
-        }
+  /**
+   * Rebalance saved lineups towards new exposure targets with the fewest
+   * player swaps (PortfolioRebalancer). exposureLimits takes the optimizer's
+   * players / teams (stackSize for team stacks) / groups settings in
+   * percent; lineupIds defaults to every saved lineup. Without `save` this is
+   * a preview: the same request with `save` applies exactly the swaps shown.
+   * Subs and benched players in the lineups are swapped out as well.
+   */
+  async rebalance(options = {}) {
+    const {
+      lineupIds,
+      exposureLimits = {},
+      constraints = {},
+      lineupRules,
+      maxSwaps,
+      save = false,
+    } = options;
 
-        return {
-          optimizationId,
-          lineups: savedLineups,
-          metadata: {
-            algorithm,
-            generationTime: results.generationTime,
-            totalLineups: savedLineups.length,
-            averageScore: this._calculateAverageScore(savedLineups),
-            exposureStats: this._calculateExposureStats(savedLineups),
+    try {
+      if (lineupIds !== undefined && !Array.isArray(lineupIds)) {
+        throw new AppError("lineupIds must be an array", 400);
+      }
+      if (!exposureLimits || typeof exposureLimits !== "object") {
+        throw new AppError("exposureLimits must be an object", 400);
+      }
+      const targetCount = ["players", "teams", "groups"].reduce(
+        (sum, key) =>
+          sum +
+          (Array.isArray(exposureLimits[key]) ? exposureLimits[key].length : 0),
+        0
+      );
+      if (targetCount === 0) {
+        throw new AppError(
+          "exposureLimits needs at least one player, team or group target",
+          400
+        );
+      }
+      if (
+        maxSwaps !== undefined &&
+        maxSwaps !== null &&
+        (!Number.isInteger(maxSwaps) || maxSwaps < 1)
+      ) {
+        throw new AppError("maxSwaps must be a positive integer", 400);
+      }
+
+      const rules = await this._resolveLineupRules(lineupRules);
+      const formula = await this._resolveNexusScoreFormula();
+      const entries =
+        lineupIds && lineupIds.length > 0
+          ? await this.lineupRepository.findByIds(lineupIds)
+          : await this.lineupRepository.findAll();
+      if (entries.length === 0) {
+        throw new AppError("No saved lineups to rebalance", 400);
+      }
+      // Inactive players stay in the pool so saved lineups holding one still
+      // resolve; the rebalancer moves them off those players
+      const players = await this.playerRepository.findAll();
+      if (players.length === 0) {
+        throw new AppError("No players available for optimization", 400);
+      }
+
+      const result = await this.jobRunner.submit(
+        `rebalance_${generateRandomId()}`,
+        {
+          algorithm: "rebalance",
+          options: {
+            players,
+            entries,
+            exposureLimits,
+            constraints,
+            lineupRules: rules,
+            maxSwaps: maxSwaps ?? null,
+            nexusScoreFormula: formula,
           },
+        }
+      );
+
+      const saved = save
+        ? await this._saveSwappedEntries(result.entries, "rebalancedAt")
+        : 0;
+
+      return {
+        entries: result.entries,
+        summary: {
+          ...result.summary,
+          generationTime: result.generationTime,
+          saved,
+        },
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError(`Rebalance failed: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Replace saved lineups with their swapped rosters (late swap, rebalance)
+   * Stats of the old roster the job didn't recompute are cleared
+   * @param {Array} entries - Job result entries
+   * @param {string} stampKey - Lineup field stamped with the save time
+   * @returns {number} Lineups saved
+   */
+  async _saveSwappedEntries(entries, stampKey) {
+    const stampedAt = new Date().toISOString();
+    const updates = entries
+      .filter((entry) => entry.status === "swapped")
+      .map((entry) => {
+        const changes = {
+          cpt: entry.lineup.cpt,
+          players: entry.lineup.players,
+          totalSalary: this.lineupRepository.calculateTotalSalary(entry.lineup),
+          totalProjection: parseFloat(entry.projection.toFixed(2)),
+          [stampKey]: stampedAt,
         };
-      } catch (error) {
-        this.activeOptimizations.set(optimizationId, {
+        ROSTER_STATS.forEach((key) => {
+          changes[key] = entry.lineup[key] ?? null;
+        });
+        return { id: entry.id, changes };
+      });
+    return (await this.lineupRepository.updateMany(updates)).length;
+  }
+
+  /**
+   * Record a job in the history and hand it to the runner
+   */
+  async _startJob(
+    payload,
+    { sessionId = null, wait = true, rerunOf = null, save = true }
+  ) {
+    const { algorithm, options } = payload;
+
+    // Create optimization session
+    const optimizationId = generateRandomId();
+    this.activeOptimizations.set(optimizationId, {
+      status: "queued",
+      progress: 0,
+      startTime: Date.now(),
+      sessionId,
+    });
+
+    if (this.jobRepository) {
+      await this.jobRepository.create({
+        id: optimizationId,
+        status: "queued",
+        algorithm,
+        rerunOf,
+        inputs: {
+          playerPoolHash: this._hashPlayerPool(options.players),
+          playerCount: options.players.length,
+          seed: options.seed,
+          strategy: options.strategy ?? null,
+          settings: {
+            numLineups: options.numLineups,
+            exposureLimits: options.exposureLimits,
+            constraints: options.constraints,
+            customConfig: options.customConfig ?? null,
+            contestInfo: options.contestInfo ?? null,
+            lineupRules: options.lineupRules || [],
+            nexusScoreFormula: options.nexusScoreFormula ?? null,
+          },
+        },
+        // Exact optimizer input, so re-runs don't depend on the live pool
+        snapshot: {
+          players: options.players,
+          teamStacks: options.teamStacks,
+        },
+        timings: { queuedAt: new Date().toISOString() },
+        lineups: [],
+        summary: null,
+        error: null,
+      });
+    }
+
+    const job = this._runOptimizationJob(
+      optimizationId,
+      sessionId,
+      payload,
+      save
+    );
+
+    if (!wait) {
+      // Failures are recorded on the optimization status
+      job.catch(() => {});
+      return { optimizationId, status: "queued" };
+    }
+    return await job;
+  }
+
+  /**
+   * Run one queued optimization, then store its lineups unless `save` is off
+   */
+  async _runOptimizationJob(optimizationId, sessionId, payload, save = true) {
+    const { algorithm } = payload;
+    const tracker =
+      sessionId && this.progressService
+        ? this.progressService.createOptimizationTracker(sessionId)
+        : null;
+
+    try {
+      const results = await this.jobRunner.submit(optimizationId, payload, {
+        onStart: () => {
+          this._updateOptimization(optimizationId, {
+            status: "running",
+            runStartTime: Date.now(),
+          });
+          this._persistJob(optimizationId, (job) => ({
+            status: "running",
+            timings: { ...job.timings, startedAt: new Date().toISOString() },
+          }));
+        },
+        onProgress: (progress, stage) => {
+          this._updateOptimization(optimizationId, { progress, stage });
+          if (tracker) tracker.setProgress(progress, stage);
+        },
+      });
+
+      const savedLineups = save
+        ? await this._saveGeneratedLineups(
+            results.lineups,
+            algorithm,
+            optimizationId
+          )
+        : results.lineups;
+
+      // Update optimization status
+      this._updateOptimization(optimizationId, {
+        status: "completed",
+        progress: 100,
+        endTime: Date.now(),
+        results: results.lineups,
+      });
+      await this._persistJob(optimizationId, (job) => ({
+        status: "completed",
+        timings: this._finishTimings(job.timings),
+        lineups: results.lineups.map((lineup) => this._compactLineup(lineup)),
+        summary: {
+          lineupCount: results.lineups.length,
+          savedLineups: save ? savedLineups.length : 0,
+          averageProjection: this._calculateAverageScore(results.lineups),
+          generationTime: results.generationTime,
+          exposureStats: this._calculateExposureStats(results.lineups),
+        },
+      }));
+      if (tracker) tracker.complete(`Generated ${savedLineups.length} lineups`);
+
+      return {
+        optimizationId,
+        lineups: savedLineups,
+        metadata: {
+          algorithm,
+          seed: payload.options.seed,
+          generationTime: results.generationTime,
+          totalLineups: savedLineups.length,
+          averageScore: this._calculateAverageScore(savedLineups),
+          exposureStats: this._calculateExposureStats(savedLineups),
+        },
+      };
+    } catch (error) {
+      // cancelOptimization has already recorded the cancellation
+      if (
+        this.activeOptimizations.get(optimizationId)?.status !== "cancelled"
+      ) {
+        this._updateOptimization(optimizationId, {
           status: "failed",
           error: error.message,
           endTime: Date.now(),
-          sessionId,
         });
-        throw error;
+        await this._persistJob(optimizationId, (job) => ({
+          status: "failed",
+          timings: this._finishTimings(job.timings),
+          error: error.message,
+        }));
+        if (tracker) tracker.fail(error);
       }
-    } catch (error) {
-      throw new AppError(`Optimization failed: ${error.message}`, 500);
+      throw error;
     }
   }
 
   /**
-   * Run advanced optimization algorithm
+   * Store generated lineups (with additional deduplication check)
    */
-  async _runAdvancedOptimization(optimizer, options) {
-    const startTime = Date.now();
-
-    // Configure optimizer
-    optimizer.setPlayers(options.players);
-    optimizer.setTeamStacks(options.teamStacks || []);
-    optimizer.setExposureLimits(options.exposureLimits || {});
-
-    // Apply constraints
-    if (options.constraints) {
-      Object.entries(options.constraints).forEach(([key, value]) => {
-        optimizer.setConstraint(key, value);
+  async _saveGeneratedLineups(lineups, algorithm, optimizationId) {
+    const newLineups = [];
+    const existingLineups = await this.lineupRepository.findAll();
+    const existingSignatures = new Set();
+
+    // Create signatures for existing lineups
+    existingLineups.forEach((lineup) => {
+      const allPlayerIds = new Set();
+      if (lineup.cpt?.id) allPlayerIds.add(String(lineup.cpt.id));
+      if (lineup.players) {
+        lineup.players.forEach((p) => {
+          if (p?.id) allPlayerIds.add(String(p.id));
+        });
+      }
+      if (allPlayerIds.size > 0) {
+        existingSignatures.add(Array.from(allPlayerIds).sort().join("|"));
+      }
+    });
+
+    for (const lineup of lineups) {
+      // Check if this lineup composition already exists
+      const allPlayerIds = new Set();
+      if (lineup.cpt?.id) allPlayerIds.add(String(lineup.cpt.id));
+      if (lineup.players) {
+        lineup.players.forEach((p) => {
+          if (p?.id) allPlayerIds.add(String(p.id));
+        });
+      }
+
+      const signature = Array.from(allPlayerIds).sort().join("|");
+
+      if (!existingSignatures.has(signature)) {
+        newLineups.push({
+          ...lineup,
+          algorithm,
+          optimizationId,
+          generatedAt: new Date().toISOString(),
+        });
+        existingSignatures.add(signature);
+      } else {
+        console.log("Skipping duplicate lineup composition:", signature);
+      }
+    }
+
+    // One transaction, so the database is written once per batch
+    return await this.lineupRepository.createMany(newLineups);
+  }
+
+  // Route params arrive as strings while generated ids are numbers
+  _resolveOptimizationId(id) {
+    if (this.activeOptimizations.has(id)) return id;
+    const numericId = Number(id);
+    return this.activeOptimizations.has(numericId) ? numericId : id;
+  }
+
+  _updateOptimization(optimizationId, changes) {
+    const optimization = this.activeOptimizations.get(optimizationId);
+    if (optimization) {
+      this.activeOptimizations.set(optimizationId, {
+        ...optimization,
+        ...changes,
       });
     }
+  }
 
-    // Generate lineups
-    const lineups = await optimizer.generateLineups(options.numLineups);
+  // Update the job record; `changes` may be a function of the stored record.
+  // History is best effort - a failed write never fails the optimization.
+  _persistJob(optimizationId, changes) {
+    if (!this.jobRepository) {
+      return Promise.resolve();
+    }
 
+    this.jobWrites = this.jobWrites
+      .then(async () => {
+        const job = await this.jobRepository.findById(optimizationId);
+        if (!job) return;
+        await this.jobRepository.update(
+          optimizationId,
+          typeof changes === "function" ? changes(job) : changes
+        );
+      })
+      .catch((error) => {
+        console.error(
+          `Failed to record optimization ${optimizationId}:`,
+          error
+        );
+      });
+    return this.jobWrites;
+  }
+
+  _finishTimings(timings = {}) {
+    const finishedAt = Date.now();
+    const startedAt = Date.parse(timings.startedAt || timings.queuedAt);
     return {
-      lineups: lineups || [],
-      generationTime: Date.now() - startTime,
+      ...timings,
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationMs: Number.isNaN(startedAt) ? null : finishedAt - startedAt,
     };
   }
 
-  /**
-   * Run hybrid optimization algorithm
-   */
-  async _runHybridOptimization(optimizer, options) {
-    const startTime = Date.now();
-
-    // Initialize hybrid optimizer with correct parameters
-    await optimizer.initialize(
-      options.players,
-      options.exposureLimits || {},
-      [], // existingLineups - empty for fresh generation
-      options.contestInfo || {}
-    );
-
-    // Generate lineups with hybrid approach
-    let result;
+  // Order-independent fingerprint of everything the optimizer reads
+  _hashPlayerPool(players = []) {
+    const canonical = players
+      .map((p) => [
+        String(p.id),
+        p.name,
+        p.team,
+        p.position,
+        Number(p.salary) || 0,
+        Number(p.projectedPoints) || 0,
+        Number(p.ownership) || 0,
+        Number(p.cptSalary) || 0,
+        Number(p.cptProjectedPoints) || 0,
+        Number(p.cptOwnership) || 0,
+      ])
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(canonical))
+      .digest("hex");
+  }
 
-    // Check if portfolio mode is requested
-    if (options.strategy === "portfolio") {
-      // Use the portfolio optimization method
-      const portfolioStrategy = {
-        config: options.customConfig || {},
+  // Lineup as kept in job history: roster slots plus scalar stats
+  _compactLineup(lineup) {
+    const { performances, scoreComponents, ...stats } = lineup;
+    const slot = (p) =>
+      p && {
+        id: p.id,
+        name: p.name,
+        position: p.position,
+        team: p.team,
+        salary: p.salary,
       };
-      result = await optimizer._runPortfolioOptimization(
-        portfolioStrategy,
-        options.customConfig || {}
-      );
-    } else {
-      // Use standard optimization
-      result = await optimizer.optimize(
-        options.numLineups,
-        options.strategy || "recommended",
-        options.customConfig || {}
-      );
-    }
-
     return {
-      lineups: result.lineups || [],
-      generationTime: Date.now() - startTime,
-      summary: result.summary,
-      algorithms: result.algorithms,
+      ...stats,
+      cpt: slot(lineup.cpt),
+      players: (lineup.players || []).map(slot),
     };
   }
 
+  // Same CPT and same flex players, regardless of flex order
+  _lineupSignature(lineup) {
+    const flex = (lineup.players || [])
+      .filter((p) => p?.id !== undefined)
+      .map((p) => String(p.id))
+      .sort();
+    return `${lineup.cpt?.id ?? ""}:${flex.join("|")}`;
+  }
+
   /**
    * Get optimization status
    */
-  getOptimizationStatus(optimizationId) {
+  async getOptimizationStatus(id) {
+    const optimizationId = this._resolveOptimizationId(id);
     const optimization = this.activeOptimizations.get(optimizationId);
-    if (!optimization) {
-      throw new AppError("Optimization not found", 404);
+    if (optimization) {
+      // Queue position / worker timing while the job is still in the runner
+      const job = this.jobRunner.getJob(optimizationId);
+      return job ? { ...optimization, queue: job } : optimization;
     }
-    return optimization;
+
+    // Cleaned up or from before a restart - answer from the job history
+    const job = await this._findJob(id);
+    return {
+      status: job.status,
+      progress: job.status === "completed" ? 100 : 0,
+      startTime: Date.parse(job.timings.queuedAt),
+      endTime: job.timings.finishedAt
+        ? Date.parse(job.timings.finishedAt)
+        : undefined,
+      error: job.error || undefined,
+    };
   }
 
   /**
    * Cancel running optimization
    */
-  cancelOptimization(optimizationId) {
+  cancelOptimization(id) {
+    const optimizationId = this._resolveOptimizationId(id);
     const optimization = this.activeOptimizations.get(optimizationId);
     if (!optimization) {
       throw new AppError("Optimization not found", 404);
     }
 
-    if (optimization.status === "running") {
+    if (["queued", "running"].includes(optimization.status)) {
       this.activeOptimizations.set(optimizationId, {
         ...optimization,
         status: "cancelled",
         endTime: Date.now(),
       });
+      // Drops the job from the queue or terminates its worker
+      this.jobRunner.cancel(optimizationId);
+      this._persistJob(optimizationId, (job) => ({
+        status: "cancelled",
+        timings: this._finishTimings(job.timings),
+      }));
+      if (optimization.sessionId && this.progressService) {
+        this.progressService.updateStatus(optimization.sessionId, "cancelled", {
+          message: "Optimization cancelled",
+        });
+      }
       return { message: "Optimization cancelled successfully" };
     }
 
@@ -267,7 +787,10 @@ class OptimizationService {
 
     for (const [id, optimization] of this.activeOptimizations.entries()) {
       const age = now - (optimization.endTime || optimization.startTime);
-      if (age > maxAge && optimization.status !== "running") {
+      if (
+        age > maxAge &&
+        !["queued", "running"].includes(optimization.status)
+      ) {
         this.activeOptimizations.delete(id);
         cleaned.push(id);
       }
@@ -276,6 +799,221 @@ class OptimizationService {
     return { cleaned: cleaned.length };
   }
 
+  /**
+   * List past optimization jobs, newest first (without their lineups)
+   */
+  async listJobs({ status, limit } = {}) {
+    if (!this.jobRepository) {
+      return [];
+    }
+
+    const jobs = await this.jobRepository.findAll({ status, limit });
+    return jobs.map((job) => {
+      const { snapshot, lineups, ...overview } = this._withLiveState(job);
+      return { ...overview, lineupCount: lineups.length };
+    });
+  }
+
+  /**
+   * Get one job with its inputs, lineups and summary
+   */
+  async getJob(id) {
+    const { snapshot, ...job } = this._withLiveState(await this._findJob(id));
+    return job;
+  }
+
+  /**
+   * Compare two jobs: input changes, lineup overlap and exposure shifts
+   */
+  async diffJobs(id, otherId) {
+    const a = await this._findJob(id);
+    const b = await this._findJob(otherId);
+
+    // Inputs
+    const inputsA = this._flattenInputs({
+      algorithm: a.algorithm,
+      ...a.inputs,
+    });
+    const inputsB = this._flattenInputs({
+      algorithm: b.algorithm,
+      ...b.inputs,
+    });
+    const changes = Array.from(
+      new Set([...Object.keys(inputsA), ...Object.keys(inputsB)])
+    )
+      .sort()
+      .filter(
+        (field) =>
+          JSON.stringify(inputsA[field]) !== JSON.stringify(inputsB[field])
+      )
+      .map((field) => ({ field, a: inputsA[field], b: inputsB[field] }));
+
+    // Lineups
+    const signaturesA = a.lineups.map((l) => this._lineupSignature(l));
+    const signaturesB = b.lineups.map((l) => this._lineupSignature(l));
+    const setA = new Set(signaturesA);
+    const setB = new Set(signaturesB);
+
+    // Exposure
+    const exposureA = this._playerExposure(a.lineups);
+    const exposureB = this._playerExposure(b.lineups);
+    const exposure = Array.from(
+      new Set([...exposureA.keys(), ...exposureB.keys()])
+    )
+      .map((playerId) => {
+        const inA = exposureA.get(playerId);
+        const inB = exposureB.get(playerId);
+        const pctA = inA ? inA.exposure : 0;
+        const pctB = inB ? inB.exposure : 0;
+        return {
+          playerId,
+          name: (inA || inB).name,
+          a: pctA,
+          b: pctB,
+          delta: Number((pctB - pctA).toFixed(1)),
+        };
+      })
+      .filter((row) => row.delta !== 0)
+      .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+
+    const averageA = this._calculateAverageScore(a.lineups);
+    const averageB = this._calculateAverageScore(b.lineups);
+
+    return {
+      jobs: {
+        a: { id: a.id, status: a.status, createdAt: a.createdAt },
+        b: { id: b.id, status: b.status, createdAt: b.createdAt },
+      },
+      inputs: {
+        samePlayerPool: a.inputs.playerPoolHash === b.inputs.playerPoolHash,
+        changes,
+      },
+      lineups: {
+        a: a.lineups.length,
+        b: b.lineups.length,
+        common: signaturesA.filter((sig) => setB.has(sig)).length,
+        onlyInA: a.lineups.filter((l) => !setB.has(this._lineupSignature(l))),
+        onlyInB: b.lineups.filter((l) => !setA.has(this._lineupSignature(l))),
+        identical:
+          signaturesA.length === signaturesB.length &&
+          signaturesA.every((sig, i) => sig === signaturesB[i]),
+      },
+      exposure,
+      averageProjection: {
+        a: averageA,
+        b: averageB,
+        delta: averageB - averageA,
+      },
+    };
+  }
+
+  /**
+   * Re-run a past job with its stored player pool, settings and seed
+   */
+  async rerunJob(id, { sessionId = null, wait = true } = {}) {
+    const original = await this._findJob(id);
+    if (!original.snapshot?.players?.length) {
+      throw new AppError(
+        `Optimization job ${original.id} has no stored player pool`,
+        409
+      );
+    }
+
+    const { inputs, snapshot } = original;
+    const result = await this._startJob(
+      {
+        algorithm: original.algorithm,
+        options: {
+          ...inputs.settings,
+          players: snapshot.players,
+          teamStacks: snapshot.teamStacks || [],
+          strategy: inputs.strategy ?? undefined,
+          seed: inputs.seed,
+        },
+      },
+      { sessionId, wait, rerunOf: original.id }
+    );
+
+    if (!result.lineups) {
+      return { ...result, rerunOf: original.id };
+    }
+
+    // Saved lineups skip duplicates, so compare what the optimizer produced
+    const rerun = await this.jobRepository.findById(result.optimizationId);
+    const signatures = rerun.lineups.map((l) => this._lineupSignature(l));
+    return {
+      ...result,
+      rerunOf: original.id,
+      reproduced:
+        signatures.length === original.lineups.length &&
+        original.lineups.every(
+          (lineup, i) => this._lineupSignature(lineup) === signatures[i]
+        ),
+    };
+  }
+
+  async _findJob(id) {
+    const job = this.jobRepository
+      ? await this.jobRepository.findById(id)
+      : null;
+    if (!job) {
+      throw new AppError("Optimization job not found", 404);
+    }
+    return job;
+  }
+
+  // Live progress for jobs in this process; queued/running records that no
+  // longer have a worker were cut off by a restart
+  _withLiveState(job) {
+    if (!["queued", "running"].includes(job.status)) {
+      return job;
+    }
+
+    const live = this.activeOptimizations.get(
+      this._resolveOptimizationId(job.id)
+    );
+    if (live) {
+      return { ...job, status: live.status, progress: live.progress };
+    }
+
+    this._persistJob(job.id, { status: "interrupted" });
+    return { ...job, status: "interrupted" };
+  }
+
+  _flattenInputs(value, prefix = "", out = {}) {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, nested]) => {
+        this._flattenInputs(nested, prefix ? `${prefix}.${key}` : key, out);
+      });
+    } else if (prefix) {
+      out[prefix] = value;
+    }
+    return out;
+  }
+
+  // playerId -> { name, exposure % } across a job's lineups
+  _playerExposure(lineups) {
+    const counts = new Map();
+    lineups.forEach((lineup) => {
+      [lineup.cpt, ...(lineup.players || [])].forEach((p) => {
+        if (!p?.id) return;
+        const key = String(p.id);
+        const entry = counts.get(key) || { name: p.name, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      });
+    });
+
+    const exposure = new Map();
+    counts.forEach(({ name, count }, key) => {
+      exposure.set(key, {
+        name,
+        exposure: Number(((count / lineups.length) * 100).toFixed(1)),
+      });
+    });
+    return exposure;
+  }
+
   /**
    * Initialize hybrid optimizer with strategies
    */
@@ -424,17 +1162,15 @@ class OptimizationService {
       });
 
       // Store generated lineups
-      const savedLineups = [];
-      for (const lineup of lineups) {
-        const savedLineup = await this.lineupRepository.create({
+      const savedLineups = await this.lineupRepository.createMany(
+        lineups.map((lineup) => ({
           ...lineup,
           algorithm: "hybrid",
           strategy,
           optimizationId: initId,
           generatedAt: new Date().toISOString(),
-        });
-        savedLineups.push(savedLineup);
-      }
+        }))
+      );
 
       return {
         optimizationId: initId,
@@ -461,13 +1197,14 @@ class OptimizationService {
    * Get optimizer statistics
    */
   async getOptimizerStats() {
-    const allLineups = await this.lineupRepository.getAll();
-    const allPlayers = await this.playerRepository.getAll();
+    const allLineups = await this.lineupRepository.findAll();
+    const allPlayers = await this.playerRepository.findAll();
 
     const stats = {
       totalLineups: allLineups.length,
       totalPlayers: allPlayers.length,
       optimizationRuns: this.activeOptimizations.size,
+      jobs: this.jobRunner.getStats(),
       algorithms: {},
       averageScore: 0,
       lastOptimization: null,
@@ -511,29 +1248,65 @@ class OptimizationService {
     const {
       iterations = 1000,
       fieldSize = 1176,
-      payoutStructure = null,
+      entryFee = 5,
+      seed = generateSeed(),
     } = options;
 
     try {
-      // Get lineups for simulation
-      const lineups = [];
-      for (const id of lineupIds) {
-        const lineup = await this.lineupRepository.getById(id);
-        if (lineup) {
-          lineups.push(lineup);
-        }
+      if (!isValidSeed(seed)) {
+        throw new AppError(
+          `seed must be an integer between 0 and ${MAX_SEED}`,
+          400
+        );
       }
 
+      // Get lineups for simulation
+      const lineups = await this.lineupRepository.findByIds(lineupIds);
+
       if (lineups.length === 0) {
         throw new AppError("No valid lineups found for simulation", 400);
       }
 
+      // Same payout table as the contest simulators
+      const payoutStructure = this.payoutService
+        ? await this.payoutService.resolvePayoutStructure({
+            ...options,
+            entryFee,
+            fieldSize,
+          })
+        : options.payoutStructure;
+      const payoutTable = buildPayoutTable(
+        fieldSize,
+        entryFee,
+        payoutStructure
+      );
+
+      // Opponents fill the contest up to fieldSize
+      const field = this.fieldService
+        ? await this.fieldService.getField({
+            ...options.field,
+            size: fieldSize,
+            salaryCap: options.salaryCap,
+          })
+        : null;
+      const counts = field
+        ? fieldCounts(field, Math.max(0, fieldSize - lineups.length))
+        : [];
+      const fieldLineups = field
+        ? field.lineups
+            .map((lineup, index) => ({ lineup, count: counts[index] }))
+            .filter((entry) => entry.count > 0)
+        : [];
+
       // Run simulation
       const simulationResults = await this._runMonteCarloSimulation(
         lineups,
         iterations,
         fieldSize,
-        payoutStructure
+        payoutTable,
+        entryFee,
+        createRng(seed),
+        fieldLineups
       );
 
       return {
@@ -541,24 +1314,32 @@ class OptimizationService {
         metadata: {
           iterations,
           fieldSize,
+          seed,
+          fieldSeed: field ? field.seed : null,
           simulationDate: new Date().toISOString(),
           averageWinRate: this._calculateAverageWinRate(simulationResults),
           topPerformers: this._getTopPerformers(simulationResults, 5),
         },
       };
     } catch (error) {
+      if (error.statusCode) throw error;
       throw new AppError(`Simulation failed: ${error.message}`, 500);
     }
   }
 
   /**
    * Run Monte Carlo simulation
+   * Our lineups are ranked among themselves and the field lineups
+   * ({ lineup, count }); duplicated field lineups share one score
    */
   async _runMonteCarloSimulation(
     lineups,
     iterations,
     fieldSize,
-    payoutStructure
+    payoutTable,
+    entryFee,
+    random = Math.random,
+    fieldLineups = []
   ) {
     const results = lineups.map((lineup) => ({
       ...lineup,
@@ -569,11 +1350,30 @@ class OptimizationService {
       simulationScores: [],
     }));
 
+    const fieldScores = new Float64Array(
+      fieldLineups.reduce((sum, entry) => sum + entry.count, 0)
+    );
+
     for (let i = 0; i < iterations; i++) {
+      let k = 0;
+      fieldLineups.forEach(({ lineup, count }) => {
+        const score = this._simulateScore(
+          lineup.projectedPoints,
+          this._calculateLineupVariance(lineup),
+          random
+        );
+        for (let c = 0; c < count; c++) fieldScores[k++] = score;
+      });
+      fieldScores.sort();
+
       // Simulate scores for each lineup
       const simulatedScores = results.map((lineup) => {
         const variance = this._calculateLineupVariance(lineup);
-        const score = this._simulateScore(lineup.projectedScore, variance);
+        const score = this._simulateScore(
+          lineup.projectedScore ?? lineup.projectedPoints ?? 0,
+          variance,
+          random
+        );
         return { lineup, score };
       });
 
@@ -581,16 +1381,15 @@ class OptimizationService {
       simulatedScores.sort((a, b) => b.score - a.score);
 
       // Update results
-      simulatedScores.forEach((entry, rank) => {
+      simulatedScores.forEach((entry, index) => {
         const result = results.find((r) => r.id === entry.lineup.id);
+        const rank = index + this._countAbove(fieldScores, entry.score);
         result.simulationScores.push(entry.score);
         result.averageRank += rank + 1;
 
         // Calculate wins and payouts
         if (rank === 0) result.wins++;
-        if (payoutStructure && rank < payoutStructure.length) {
-          result.totalPayout += payoutStructure[rank];
-        }
+        result.totalPayout += payoutTable[rank] || 0;
       });
     }
 
@@ -602,21 +1401,35 @@ class OptimizationService {
         result.simulationScores.reduce((a, b) => a + b, 0) /
         result.simulationScores.length;
       result.scoreVariance = this._calculateVariance(result.simulationScores);
-      result.roi = payoutStructure
-        ? (result.totalPayout / iterations - 1) * 100
-        : 0;
+      result.roi =
+        entryFee > 0
+          ? ((result.totalPayout / iterations - entryFee) / entryFee) * 100
+          : 0;
     });
 
     return results;
   }
 
+  // Number of values in an ascending array strictly greater than `score`
+  _countAbove(sorted, score) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (sorted[mid] <= score) lo = mid + 1;
+      else hi = mid;
+    }
+    return sorted.length - lo;
+  }
+
   /**
    * Calculate average score across lineups
    */
   _calculateAverageScore(lineups) {
     if (lineups.length === 0) return 0;
     const total = lineups.reduce(
-      (sum, lineup) => sum + (lineup.projectedScore || 0),
+      (sum, lineup) =>
+        sum + (lineup.projectedScore ?? lineup.projectedPoints ?? 0),
       0
     );
     return total / lineups.length;
@@ -668,26 +1481,19 @@ class OptimizationService {
   /**
    * Simulate a score with variance
    */
-  _simulateScore(projectedScore, variance) {
-    const random = this._generateNormalRandom();
-    return projectedScore + projectedScore * variance * random;
+  _simulateScore(projectedScore, variance, random = Math.random) {
+    const normal = this._generateNormalRandom(random);
+    return projectedScore + projectedScore * variance * normal;
   }
 
   /**
    * Generate normal random number (Box-Muller transform)
    */
-  _generateNormalRandom() {
-    if (this.spareRandom !== undefined) {
-      const spare = this.spareRandom;
-      delete this.spareRandom;
-      return spare;
-    }
-
-    const u = Math.random();
-    const v = Math.random();
-    const mag = Math.sqrt(-2.0 * Math.log(u));
-    this.spareRandom = mag * Math.cos(2.0 * Math.PI * v);
-    return mag * Math.sin(2.0 * Math.PI * v);
+  _generateNormalRandom(random = Math.random) {
+    // No cached spare value: it would carry state from one run into the next
+    const u = 1 - random(); // (0, 1] keeps the log finite
+    const v = random();
+    return Math.sqrt(-2.0 * Math.log(u)) * Math.sin(2.0 * Math.PI * v);
   }
 
   /**
@@ -0,0 +1,504 @@
+/**
+ * OwnershipService
+ * Field ownership estimates for player pools whose projections carry no Own
+ * column. Each roster slot is a multinomial logit over the players who can
+ * fill it, so every flex position and the captain slot sum to 100%. The
+ * coefficients start from hand-set defaults and are refitted against the
+ * %Drafted columns of past contest standings.
+ */
+
+const { AppError } = require("../middleware/errorHandler");
+const { oddsToWinProbability } = require("../simulation/seriesModel");
+const { CAPTAIN_POSITIONS } = require("../utils/captain");
+
+// Model inputs, each standardized within the slot's candidates except the
+// win term (2 * (winProbability - 0.5))
+const FEATURES = ["projection", "value", "salary", "win", "stack"];
+
+const DEFAULT_COEFFICIENTS = {
+  flex: { projection: 0.9, value: 0.5, salary: 0, win: 0.6, stack: 0.25 },
+  cpt: { projection: 1.3, value: 0.2, salary: 0, win: 0.8, stack: 0.25 },
+};
+
+// Fitting: gradient descent on cross-entropy, pulled toward the defaults so
+// one contest can't swing the model far
+const FIT_ITERATIONS = 500;
+const LEARNING_RATE = 0.5;
+const REGULARIZATION = 0.05;
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+const zScores = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  const stdDev = Math.sqrt(variance);
+  return values.map((value) => (stdDev > 0 ? (value - mean) / stdDev : 0));
+};
+
+// Softmax shares of the slot's candidates
+const slotShares = (features, coefficients) => {
+  const scores = features.map((row) =>
+    row.reduce((sum, value, k) => sum + value * coefficients[k], 0)
+  );
+  const max = Math.max(...scores);
+  const weights = scores.map((score) => Math.exp(score - max));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map((weight) => weight / total);
+};
+
+const toVector = (coefficients) =>
+  FEATURES.map((feature) => coefficients[feature] ?? 0);
+
+const toCoefficients = (vector) =>
+  Object.fromEntries(
+    FEATURES.map((feature, k) => [feature, round(vector[k], 4)])
+  );
+
+class OwnershipService {
+  constructor(playerRepository, teamStackRepository, settingsService) {
+    this.playerRepository = playerRepository;
+    this.teamStackRepository = teamStackRepository;
+    this.settingsService = settingsService;
+  }
+
+  /**
+   * Current coefficients, the defaults and the contests they were fitted to
+   */
+  async getModel() {
+    try {
+      const model = await this.settingsService.getOwnershipModel();
+      return {
+        coefficients: model.coefficients || DEFAULT_COEFFICIENTS,
+        defaults: DEFAULT_COEFFICIENTS,
+        calibrated: Boolean(model.coefficients),
+        calibratedAt: model.calibratedAt,
+        fit: model.fit,
+        samples: model.samples.map(({ players, ...sample }) => ({
+          ...sample,
+          playerCount: players.length,
+        })),
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to load ownership model", 500);
+    }
+  }
+
+  /**
+   * Estimated flex and CPT ownership for every pool player
+   * @param {Object} options - { teamOdds } moneyline odds by team; defaults
+   *   to the simulation settings, else projected team totals decide
+   */
+  async estimate({ teamOdds } = {}) {
+    try {
+      const [players, rows, model] = await Promise.all([
+        this.playerRepository.findAll(),
+        this._buildRows({ teamOdds }),
+        this.getModel(),
+      ]);
+      const estimates = this._predict(rows, model.coefficients);
+
+      return {
+        players: players.map((player) => {
+          const estimate = estimates.get(String(player.id));
+          return {
+            id: player.id,
+            name: player.name,
+            team: player.team,
+            position: player.position,
+            salary: player.salary,
+            projectedPoints: player.projectedPoints,
+            currentOwnership: Number(player.ownership) || 0,
+            ownershipSource: player.ownershipSource || null,
+            ownership: estimate ? estimate.ownership : 0,
+            cptOwnership: estimate ? estimate.cptOwnership : 0,
+            winProbability: estimate ? estimate.winProbability : null,
+            stackPlus: estimate ? estimate.stackPlus : null,
+          };
+        }),
+        calibrated: model.calibrated,
+        coefficients: model.coefficients,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to estimate ownership", 500);
+    }
+  }
+
+  /**
+   * Write estimates into the player pool. Without overwrite only missing
+   * (zero) ownership and earlier model estimates are replaced; modelledOnly
+   * refreshes earlier estimates and leaves missing values alone.
+   */
+  async applyEstimates({
+    overwrite = false,
+    modelledOnly = false,
+    teamOdds,
+  } = {}) {
+    try {
+      const players = await this.playerRepository.findAll();
+      if (players.length === 0) {
+        throw new AppError("No players loaded for the slate", 400);
+      }
+
+      const model = await this.getModel();
+      const estimates = this._predict(
+        await this._buildRows({ teamOdds }),
+        model.coefficients
+      );
+      const shouldFill = (current, source) =>
+        overwrite ||
+        source === "model" ||
+        (!modelledOnly && !(Number(current) > 0));
+
+      let updatedCount = 0;
+      const updatedPlayers = players.map((player) => {
+        const estimate = estimates.get(String(player.id));
+        if (!estimate) return player;
+
+        const updated = { ...player };
+        if (shouldFill(player.ownership, player.ownershipSource)) {
+          updated.ownership = estimate.ownership;
+          updated.ownershipSource = "model";
+        }
+        if (
+          CAPTAIN_POSITIONS.includes(player.position) &&
+          shouldFill(player.cptOwnership, player.cptOwnershipSource)
+        ) {
+          updated.cptOwnership = estimate.cptOwnership;
+          updated.cptOwnershipSource = "model";
+        }
+        if (
+          updated.ownership !== player.ownership ||
+          updated.cptOwnership !== player.cptOwnership
+        ) {
+          updatedCount++;
+        }
+        return updated;
+      });
+
+      if (updatedCount > 0) {
+        await this.playerRepository.replaceAll(updatedPlayers);
+      }
+
+      return {
+        updatedCount,
+        totalPlayers: players.length,
+        calibrated: model.calibrated,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to apply ownership estimates", 500);
+    }
+  }
+
+  /**
+   * Store a contest's actual ownership (parseContestStandingsCSV players)
+   * against this slate's pool and refit the coefficients on every stored
+   * contest. A slate keeps one sample; calibrating it again replaces it.
+   */
+  async calibrate(standingsPlayers, { contestName = "", teamOdds } = {}) {
+    try {
+      if (!Array.isArray(standingsPlayers) || standingsPlayers.length === 0) {
+        throw new AppError("No contest ownership to calibrate against", 400);
+      }
+
+      const rows = await this._buildRows({ teamOdds });
+      if (rows.length === 0) {
+        throw new AppError("No players loaded for the slate", 400);
+      }
+
+      const actuals = new Map(
+        standingsPlayers.map((player) => [normalize(player.name), player])
+      );
+      const poolNames = new Set(rows.map((row) => normalize(row.name)));
+      const unmatchedNames = standingsPlayers
+        .filter((player) => !poolNames.has(normalize(player.name)))
+        .map((player) => player.name);
+
+      // Pool players missing from the standings went undrafted
+      const samplePlayers = rows.map((row) => {
+        const actual = actuals.get(normalize(row.name));
+        const { id, ...features } = row;
+        return {
+          ...features,
+          ownership: actual ? actual.ownership : 0,
+          cptOwnership: actual ? actual.cptOwnership : 0,
+        };
+      });
+      const matchedCount = rows.filter((row) =>
+        actuals.has(normalize(row.name))
+      ).length;
+      if (matchedCount === 0) {
+        throw new AppError(
+          "No contest players matched the slate's player pool",
+          400
+        );
+      }
+
+      const model = await this.settingsService.getOwnershipModel();
+      const slateId = this.playerRepository.slateId;
+      const samples = [
+        ...model.samples.filter((sample) => sample.slateId !== slateId),
+        {
+          slateId,
+          contestName,
+          importedAt: new Date().toISOString(),
+          players: samplePlayers,
+        },
+      ];
+
+      const previous = model.coefficients || DEFAULT_COEFFICIENTS;
+      const coefficients = {
+        flex: this._fit(samples, "flex"),
+        cpt: this._fit(samples, "cpt"),
+      };
+      const fit = {
+        contests: samples.length,
+        maeBefore: this._meanAbsoluteError(samples, previous),
+        maeAfter: this._meanAbsoluteError(samples, coefficients),
+      };
+
+      await this.settingsService.updateOwnershipModel({
+        coefficients,
+        samples,
+        calibratedAt: new Date().toISOString(),
+        fit,
+      });
+
+      return {
+        matchedCount,
+        totalPlayers: rows.length,
+        unmatchedNames,
+        coefficients,
+        fit,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to calibrate ownership model", 500);
+    }
+  }
+
+  /**
+   * Drop the calibration and go back to the default coefficients
+   */
+  async resetModel() {
+    try {
+      await this.settingsService.updateOwnershipModel({
+        coefficients: null,
+        samples: [],
+        calibratedAt: null,
+        fit: null,
+      });
+      return this.getModel();
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to reset ownership model", 500);
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Raw model inputs for each pool player: salary, projection, value, the
+   * team's win probability and its Stack+ popularity
+   */
+  async _buildRows({ teamOdds } = {}) {
+    const [players, stacks, settings] = await Promise.all([
+      this.playerRepository.findAll(),
+      this.teamStackRepository.findAll(),
+      this.settingsService.getSettings(),
+    ]);
+    const odds = teamOdds || settings.simulationSettings?.teamOdds || {};
+
+    const teamTotals = new Map();
+    players.forEach((player) => {
+      teamTotals.set(
+        player.team,
+        (teamTotals.get(player.team) || 0) +
+          (Number(player.projectedPoints) || 0)
+      );
+    });
+
+    // Opponents from the opp column, or the only other team on the slate
+    const opponents = new Map();
+    players.forEach((player) => {
+      if (player.opp && teamTotals.has(player.opp)) {
+        opponents.set(player.team, player.opp);
+      }
+    });
+    const teams = [...teamTotals.keys()];
+    if (opponents.size === 0 && teams.length === 2) {
+      opponents.set(teams[0], teams[1]);
+      opponents.set(teams[1], teams[0]);
+    }
+
+    const winProbability = (team) => {
+      const opp = opponents.get(team);
+      if (odds[team]) return oddsToWinProbability(Number(odds[team]));
+      if (opp && odds[opp]) return 1 - oddsToWinProbability(Number(odds[opp]));
+      if (!opp) return 0.5;
+      const total = teamTotals.get(team) + teamTotals.get(opp);
+      return total > 0 ? teamTotals.get(team) / total : 0.5;
+    };
+
+    const stackPlus = new Map(
+      stacks
+        .filter((stack) => stack.team)
+        .map((stack) => [stack.team, Number(stack.stackPlus) || 0])
+    );
+
+    return players.map((player) => {
+      const salary = Number(player.salary) || 0;
+      const projectedPoints = Number(player.projectedPoints) || 0;
+      return {
+        id: String(player.id),
+        name: player.name,
+        team: player.team,
+        position: player.position,
+        salary,
+        projectedPoints,
+        value: salary > 0 ? projectedPoints / (salary / 1000) : 0,
+        winProbability: round(winProbability(player.team), 4),
+        stackPlus: stackPlus.has(player.team)
+          ? stackPlus.get(player.team)
+          : null,
+      };
+    });
+  }
+
+  /**
+   * The slots a set of rows competes for: one group per flex position, and
+   * the captain slot over the captain-eligible positions
+   */
+  _slots(rows, kind) {
+    if (kind === "cpt") {
+      const captains = rows.filter((row) =>
+        CAPTAIN_POSITIONS.includes(row.position)
+      );
+      return captains.length > 0 ? [captains] : [];
+    }
+
+    const byPosition = new Map();
+    rows.forEach((row) => {
+      if (!byPosition.has(row.position)) byPosition.set(row.position, []);
+      byPosition.get(row.position).push(row);
+    });
+    return [...byPosition.values()];
+  }
+
+  _features(slot) {
+    const projection = zScores(slot.map((row) => row.projectedPoints));
+    const value = zScores(slot.map((row) => row.value));
+    const salary = zScores(slot.map((row) => row.salary));
+    const stack = zScores(slot.map((row) => row.stackPlus ?? 0));
+    return slot.map((row, i) => [
+      projection[i],
+      value[i],
+      salary[i],
+      2 * (row.winProbability - 0.5),
+      stack[i],
+    ]);
+  }
+
+  // Ownership percentages by player id
+  _predict(rows, coefficients) {
+    const estimates = new Map(
+      rows.map((row) => [
+        row.id,
+        {
+          ownership: 0,
+          cptOwnership: 0,
+          winProbability: row.winProbability,
+          stackPlus: row.stackPlus,
+        },
+      ])
+    );
+
+    ["flex", "cpt"].forEach((kind) => {
+      const field = kind === "cpt" ? "cptOwnership" : "ownership";
+      this._slots(rows, kind).forEach((slot) => {
+        const shares = slotShares(
+          this._features(slot),
+          toVector(coefficients[kind])
+        );
+        slot.forEach((row, i) => {
+          estimates.get(row.id)[field] = round(shares[i] * 100);
+        });
+      });
+    });
+
+    return estimates;
+  }
+
+  // Each slot of each sample with its actual shares (summing to 1)
+  _trainingSlots(samples, kind) {
+    const field = kind === "cpt" ? "cptOwnership" : "ownership";
+    return samples.flatMap((sample) =>
+      this._slots(sample.players, kind)
+        .map((slot) => {
+          const total = slot.reduce((sum, row) => sum + (row[field] || 0), 0);
+          return {
+            features: this._features(slot),
+            actual: slot.map((row) =>
+              total > 0 ? (row[field] || 0) / total : 0
+            ),
+            total,
+          };
+        })
+        .filter((slot) => slot.total > 0)
+    );
+  }
+
+  _fit(samples, kind) {
+    const slots = this._trainingSlots(samples, kind);
+    const prior = toVector(DEFAULT_COEFFICIENTS[kind]);
+    if (slots.length === 0) return toCoefficients(prior);
+
+    let coefficients = [...prior];
+    for (let iteration = 0; iteration < FIT_ITERATIONS; iteration++) {
+      const gradient = FEATURES.map(() => 0);
+      slots.forEach(({ features, actual }) => {
+        const shares = slotShares(features, coefficients);
+        features.forEach((row, i) => {
+          row.forEach((value, k) => {
+            gradient[k] += value * (shares[i] - actual[i]);
+          });
+        });
+      });
+      coefficients = coefficients.map(
+        (coefficient, k) =>
+          coefficient -
+          LEARNING_RATE *
+            (gradient[k] / slots.length +
+              REGULARIZATION * (coefficient - prior[k]))
+      );
+    }
+
+    return toCoefficients(coefficients);
+  }
+
+  // Mean absolute error in ownership points across every sample slot
+  _meanAbsoluteError(samples, coefficients) {
+    let error = 0;
+    let count = 0;
+    ["flex", "cpt"].forEach((kind) => {
+      this._trainingSlots(samples, kind).forEach(({ features, actual }) => {
+        const shares = slotShares(features, toVector(coefficients[kind]));
+        shares.forEach((share, i) => {
+          error += Math.abs(share - actual[i]) * 100;
+          count++;
+        });
+      });
+    });
+    return count > 0 ? round(error / count) : null;
+  }
+}
+
+module.exports = OwnershipService;
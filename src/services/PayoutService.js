@@ -0,0 +1,200 @@
+/**
+ * PayoutService
+ * Contest payout structures: templates, CSV/JSON import and per-contest
+ * storage. Simulators resolve their payout table through this service.
+ */
+
+const { AppError } = require("../middleware/errorHandler");
+const {
+  PAYOUT_TEMPLATES,
+  createPayoutTemplate,
+  normalizePayoutTiers,
+  expandPayoutTable,
+  totalPrizePool,
+} = require("../simulation/payouts");
+
+class PayoutService {
+  constructor(payoutStructureRepository) {
+    this.payoutStructureRepository = payoutStructureRepository;
+  }
+
+  async getAllStructures() {
+    try {
+      return await this.payoutStructureRepository.findAll();
+    } catch (error) {
+      throw new AppError("Failed to fetch payout structures", 500);
+    }
+  }
+
+  async getStructureById(id) {
+    try {
+      const structure = await this.payoutStructureRepository.findById(id);
+      if (!structure) {
+        throw new AppError(`Payout structure '${id}' not found`, 404);
+      }
+      return structure;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to fetch payout structure", 500);
+    }
+  }
+
+  async getStructureForContest(contestId) {
+    try {
+      const structure =
+        await this.payoutStructureRepository.findByContestId(contestId);
+      if (!structure) {
+        throw new AppError(
+          `No payout structure stored for contest '${contestId}'`,
+          404
+        );
+      }
+      return structure;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to fetch payout structure", 500);
+    }
+  }
+
+  getTemplates(options = {}) {
+    return Object.entries(PAYOUT_TEMPLATES).map(([type, template]) => ({
+      type,
+      name: template.name,
+      maxEntries: template.maxEntries,
+      preview: createPayoutTemplate(type, options),
+    }));
+  }
+
+  async createFromTemplate(type, options = {}) {
+    try {
+      const structure = createPayoutTemplate(type, options);
+      return await this.payoutStructureRepository.create({
+        ...structure,
+        name: options.name || structure.name,
+        contestId: options.contestId || null,
+        source: "template",
+      });
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to create payout structure", 500);
+    }
+  }
+
+  /**
+   * Store a payout structure from parsed CSV rows or a JSON document
+   * @param {Array|Object} data - Tier rows, per-place prizes, or an object
+   *   with `tiers`/`payouts` plus contest fields
+   * @param {Object} meta - name, contestId, contestType, entryFee, fieldSize
+   */
+  async importStructure(data, meta = {}, source = "json") {
+    try {
+      const document = Array.isArray(data) ? { tiers: data } : data || {};
+      const structure = this.buildStructure({ ...document, ...meta });
+
+      return await this.payoutStructureRepository.create({
+        ...structure,
+        source,
+      });
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to import payout structure", 500);
+    }
+  }
+
+  async updateStructure(id, updateData) {
+    try {
+      const existing = await this.getStructureById(id);
+      const { id: ignoredId, createdAt, ...changes } = updateData;
+      const structure = this.buildStructure({ ...existing, ...changes });
+
+      return await this.payoutStructureRepository.update(id, structure);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to update payout structure", 500);
+    }
+  }
+
+  async deleteStructure(id) {
+    try {
+      const deletedStructure = await this.payoutStructureRepository.delete(id);
+      if (!deletedStructure) {
+        throw new AppError(`Payout structure '${id}' not found`, 404);
+      }
+      return { success: true, deletedStructure };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to delete payout structure", 500);
+    }
+  }
+
+  async getPayoutTable(id, fieldSize) {
+    const structure = await this.getStructureById(id);
+    const size = parseInt(fieldSize) || structure.fieldSize;
+    if (!size || size < 1) {
+      throw new AppError(
+        "fieldSize is required for this payout structure",
+        400
+      );
+    }
+    return { structure, table: expandPayoutTable(structure.tiers, size) };
+  }
+
+  /**
+   * Pick the payout structure for a simulation run:
+   * payoutStructureId, then contestId, then an inline payoutStructure,
+   * then the contest-type template for the given entry fee and field size
+   */
+  async resolvePayoutStructure(settings = {}) {
+    const { payoutStructureId, contestId, payoutStructure } = settings;
+
+    if (payoutStructureId) {
+      return this.getStructureById(payoutStructureId);
+    }
+
+    if (contestId) {
+      const structure =
+        await this.payoutStructureRepository.findByContestId(contestId);
+      if (structure) return structure;
+    }
+
+    if (payoutStructure) {
+      const document = Array.isArray(payoutStructure)
+        ? { tiers: payoutStructure }
+        : payoutStructure;
+      return this.buildStructure({
+        entryFee: settings.entryFee,
+        fieldSize: settings.fieldSize,
+        ...document,
+      });
+    }
+
+    return createPayoutTemplate(settings.contestType || "gpp", {
+      entryFee: settings.entryFee,
+      fieldSize: settings.fieldSize,
+    });
+  }
+
+  // Private helper methods
+  buildStructure(document) {
+    const tiers = normalizePayoutTiers(document.tiers || document.payouts);
+    const entryFee = parseFloat(document.entryFee);
+    const fieldSize = parseInt(document.fieldSize);
+
+    if (document.name !== undefined && typeof document.name !== "string") {
+      throw new AppError("Payout structure name must be a string", 400);
+    }
+
+    return {
+      name: document.name || "Custom Payouts",
+      contestId: document.contestId ? String(document.contestId) : null,
+      contestType: document.contestType || "custom",
+      entryFee: Number.isFinite(entryFee) ? entryFee : null,
+      fieldSize: Number.isInteger(fieldSize) ? fieldSize : null,
+      maxEntries: parseInt(document.maxEntries) || null,
+      prizePool: totalPrizePool(tiers),
+      tiers,
+    };
+  }
+}
+
+module.exports = PayoutService;
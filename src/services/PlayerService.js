@@ -5,6 +5,18 @@
 
 const { generateRandomId, generatePlayerId } = require("../utils/generators");
 const { AppError } = require("../middleware/errorHandler");
+const {
+  readDistributionColumns,
+  hasDistributionData,
+  summarizeScores,
+} = require("../utils/distribution");
+const {
+  readCaptainColumns,
+  isCaptainRow,
+  toCaptainRow,
+  applyCaptainRows,
+} = require("../utils/captain");
+const { readStatusColumn } = require("../utils/playerStatus");
 
 class PlayerService {
   constructor(playerRepository) {
@@ -165,6 +177,7 @@ class PlayerService {
   async processPlayersCsv(csvData) {
     try {
       const processedPlayers = [];
+      const captainRows = [];
 
       for (const playerData of csvData) {
         // Extract data with flexible column naming (from original parsePlayersCSV)
@@ -217,8 +230,25 @@ class PlayerService {
             playerData.opponent ||
             playerData.Opponent ||
             "",
+          // Floor, ceiling, stdDev and percentile columns when provided
+          ...readDistributionColumns(playerData),
+          // CPT salary/projection/ownership/ID columns when provided
+          ...readCaptainColumns(playerData),
+          // Starting/questionable/sub/benched when the file has a Status column
+          ...readStatusColumn(playerData),
         };
 
+        // A CPT row is the captain listing of a flex player
+        if (isCaptainRow(playerData)) {
+          captainRows.push(
+            toCaptainRow(
+              player,
+              playerData.id || playerData.ID || playerData.Id
+            )
+          );
+          continue;
+        }
+
         // Only add valid players with a name and projectedPoints > 0
         if (player.name && player.projectedPoints > 0) {
           // Calculate value (points per $1000)
@@ -231,12 +261,154 @@ class PlayerService {
         }
       }
 
+      applyCaptainRows(processedPlayers, captainRows);
       return processedPlayers;
     } catch (error) {
       throw new AppError("Failed to process players CSV data", 500);
     }
   }
 
+  /**
+   * Stamp DraftKings IDs from parseDraftKingsPlayerMappingCSV onto the pool
+   * Showdown lists CPT as its own player, so the CPT ID and salary are kept
+   * separately
+   */
+  async applyDraftKingsMapping(playerMapping, salaries = new Map()) {
+    try {
+      const players = await this.playerRepository.findAll();
+      const unmappedPlayers = [];
+      const updates = [];
+
+      for (const player of players) {
+        const name = (player.name || "").trim();
+        const draftKingsId =
+          playerMapping.get(`${name}_${player.position}`) ||
+          playerMapping.get(name);
+        const cptDraftKingsId = playerMapping.get(`${name}_CPT`);
+        const cptSalary = salaries.get(`${name}_CPT`);
+
+        if (!draftKingsId) {
+          unmappedPlayers.push({
+            id: player.id,
+            name: player.name,
+            position: player.position,
+          });
+          continue;
+        }
+
+        updates.push({
+          id: player.id,
+          changes: {
+            draftKingsId: String(draftKingsId),
+            ...(cptDraftKingsId && {
+              cptDraftKingsId: String(cptDraftKingsId),
+            }),
+            ...(cptSalary && { cptSalary }),
+          },
+        });
+      }
+      await this.playerRepository.updateMany(updates);
+
+      return {
+        mappedCount: updates.length,
+        totalPlayers: players.length,
+        unmappedPlayers,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to apply DraftKings player mapping", 500);
+    }
+  }
+
+  /**
+   * Fill floor, ceiling, stdDev and percentiles from past fantasy scores
+   * (ChampionPerformanceTracker history). The history gives the shape and is
+   * rescaled to the current projection, so the median stays put
+   * @param {Object} history - { playerName: [scores] }
+   * @param {Object} options - { overwrite } to replace spreads that came with
+   *   the projections
+   */
+  async applyScoreHistory(history, { overwrite = false } = {}) {
+    try {
+      if (!history || typeof history !== "object" || Array.isArray(history)) {
+        throw new AppError(
+          "history must map player names to arrays of scores",
+          400
+        );
+      }
+
+      const byName = new Map(
+        Object.entries(history).map(([name, scores]) => [
+          name.trim().toLowerCase(),
+          scores,
+        ])
+      );
+      const players = await this.playerRepository.findAll();
+      const matchedNames = new Set();
+      const skippedPlayers = [];
+      const updates = [];
+
+      for (const player of players) {
+        const name = (player.name || "").trim().toLowerCase();
+        const scores = byName.get(name);
+        if (!Array.isArray(scores)) continue;
+        matchedNames.add(name);
+
+        // Spreads from the projections file win unless overwriting
+        if (
+          !overwrite &&
+          hasDistributionData(player) &&
+          player.distributionSource !== "history"
+        ) {
+          skippedPlayers.push(player.name);
+          continue;
+        }
+
+        const summary = summarizeScores(scores);
+        if (!summary || !(summary.median > 0)) {
+          skippedPlayers.push(player.name);
+          continue;
+        }
+
+        const scale =
+          player.projectedPoints > 0
+            ? player.projectedPoints / summary.median
+            : 1;
+        const rescale = (value) => parseFloat((value * scale).toFixed(2));
+
+        updates.push({
+          id: player.id,
+          changes: {
+            floor: rescale(summary.floor),
+            ceiling: rescale(summary.ceiling),
+            stdDev: rescale(summary.stdDev),
+            percentiles: Object.fromEntries(
+              Object.entries(summary.percentiles).map(([percentile, value]) => [
+                percentile,
+                rescale(value),
+              ])
+            ),
+            distributionSource: "history",
+            historyGames: summary.games,
+          },
+        });
+      }
+      await this.playerRepository.updateMany(updates);
+
+      return {
+        updatedCount: updates.length,
+        totalPlayers: players.length,
+        skippedPlayers,
+        unmatchedNames: Object.keys(history).filter(
+          (name) => !matchedNames.has(name.trim().toLowerCase())
+        ),
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to apply score history", 500);
+    }
+  }
+
   validatePlayerData(playerData) {
     const errors = [];
 
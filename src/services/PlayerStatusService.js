@@ -0,0 +1,322 @@
+/**
+ * PlayerStatusService
+ * Late news: player statuses (starting, questionable, sub, benched), the
+ * saved lineups that hold an inactive player, and same-team, same-position
+ * replacements that still fit under the salary cap.
+ */
+
+const { AppError } = require("../middleware/errorHandler");
+const {
+  PLAYER_STATUSES,
+  normalizeStatus,
+  getPlayerStatus,
+  isInactive,
+} = require("../utils/playerStatus");
+const { getCaptainSalary, getCaptainProjection } = require("../utils/captain");
+
+const DEFAULT_SALARY_CAP = 50000;
+const MAX_REPLACEMENTS = 3;
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class PlayerStatusService {
+  constructor(playerRepository, lineupRepository) {
+    this.playerRepository = playerRepository;
+    this.lineupRepository = lineupRepository;
+  }
+
+  // Every player's status, with a count per status
+  async getStatuses() {
+    try {
+      const players = await this.playerRepository.findAll();
+      const counts = Object.fromEntries(
+        PLAYER_STATUSES.map((status) => [status, 0])
+      );
+      const statuses = players.map((player) => {
+        counts[getPlayerStatus(player)]++;
+        return this._summarizePlayer(player);
+      });
+      return { players: statuses, counts };
+    } catch (error) {
+      throw new AppError("Failed to fetch player statuses", 500);
+    }
+  }
+
+  /**
+   * Set player statuses, then re-flag the saved lineups
+   * @param {Array} updates - { id or name (plus team for shared names),
+   *   status, note }
+   * @param {Object} options - { salaryCap } for the replacement suggestions
+   * @returns {Object} { updated, unmatched, lineups } with lineups as
+   *   returned by flagLineups
+   */
+  async updateStatuses(updates, options = {}) {
+    try {
+      if (!Array.isArray(updates) || updates.length === 0) {
+        throw new AppError(
+          "updates array is required and must not be empty",
+          400
+        );
+      }
+      const resolved = updates.map((update, i) => {
+        const status = normalizeStatus(update?.status);
+        if (!status) {
+          throw new AppError(
+            `updates[${i}]: status must be one of ${PLAYER_STATUSES.join(", ")}`,
+            400
+          );
+        }
+        if ((update.id === undefined || update.id === null) && !update.name) {
+          throw new AppError(`updates[${i}] needs a player id or name`, 400);
+        }
+        return { ...update, status };
+      });
+      this._resolveSalaryCap(options);
+
+      const players = await this.playerRepository.findAll();
+      const updatedAt = new Date().toISOString();
+      const updated = [];
+      const unmatched = [];
+      const playerUpdates = [];
+
+      for (const update of resolved) {
+        const player = this._findPlayer(players, update);
+        if (!player) {
+          unmatched.push(update.id ?? update.name);
+          continue;
+        }
+        const fields = {
+          status: update.status,
+          statusNote: update.note ? String(update.note) : null,
+          statusUpdatedAt: updatedAt,
+        };
+        playerUpdates.push({ id: player.id, changes: fields });
+        updated.push({
+          ...this._summarizePlayer({ ...player, ...fields }),
+          previousStatus: getPlayerStatus(player),
+        });
+      }
+
+      if (updated.length === 0) {
+        throw new AppError("No players matched the status updates", 404);
+      }
+      await this.playerRepository.updateMany(playerUpdates);
+
+      const lineups = await this.flagLineups(options);
+      return { updated, unmatched, lineups };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to update player statuses", 500);
+    }
+  }
+
+  /**
+   * Saved lineups holding a sub or benched player. Each inactive slot comes
+   * with up to three replacements: active players from the same team at the
+   * same position, not already in the lineup, that the lineup can afford
+   * after dropping the inactive player. Slots are suggested independently.
+   * @param {Object} options - { salaryCap }
+   */
+  async getAffectedLineups(options = {}) {
+    try {
+      const salaryCap = this._resolveSalaryCap(options);
+      const players = await this.playerRepository.findAll();
+      const lineups = await this.lineupRepository.findAll();
+      const lookup = this._buildLookup(players);
+
+      const affected = [];
+      lineups.forEach((lineup) => {
+        const inactive = this._getInactiveSlots(
+          lineup,
+          players,
+          lookup,
+          salaryCap
+        );
+        if (inactive.length === 0) return;
+        affected.push({
+          id: lineup.id,
+          name: lineup.name || null,
+          totalSalary: this.lineupRepository.calculateTotalSalary(lineup),
+          inactive,
+        });
+      });
+
+      return {
+        salaryCap,
+        inactivePlayers: players
+          .filter(isInactive)
+          .map((player) => this._summarizePlayer(player)),
+        totalLineups: lineups.length,
+        affectedCount: affected.length,
+        lineups: affected,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to check lineups for inactive players", 500);
+    }
+  }
+
+  /**
+   * Store each saved lineup's inactive players on it (inactivePlayers) and
+   * clear the flag from lineups that no longer hold one
+   * @returns {Object} getAffectedLineups output plus flagged/cleared counts
+   */
+  async flagLineups(options = {}) {
+    const report = await this.getAffectedLineups(options);
+    const flags = new Map(
+      report.lineups.map((lineup) => [
+        String(lineup.id),
+        lineup.inactive.map(({ slot, id, name, status }) => ({
+          slot,
+          id,
+          name,
+          status,
+        })),
+      ])
+    );
+
+    let cleared = 0;
+    const updates = [];
+    const lineups = await this.lineupRepository.findAll();
+    for (const lineup of lineups) {
+      const inactivePlayers = flags.get(String(lineup.id));
+      if (inactivePlayers) {
+        updates.push({ id: lineup.id, changes: { inactivePlayers } });
+      } else if (lineup.inactivePlayers?.length > 0) {
+        updates.push({ id: lineup.id, changes: { inactivePlayers: [] } });
+        cleared++;
+      }
+    }
+    await this.lineupRepository.updateMany(updates);
+
+    return { ...report, flagged: flags.size, cleared };
+  }
+
+  _resolveSalaryCap(options) {
+    const salaryCap = parseFloat(options.salaryCap ?? DEFAULT_SALARY_CAP);
+    if (!Number.isFinite(salaryCap) || salaryCap <= 0) {
+      throw new AppError("salaryCap must be a positive number", 400);
+    }
+    return salaryCap;
+  }
+
+  _buildLookup(players) {
+    const byId = new Map();
+    const byNameAndTeam = new Map();
+    players.forEach((player) => {
+      byId.set(String(player.id), player);
+      byNameAndTeam.set(
+        `${normalize(player.name)}|${normalize(player.team)}`,
+        player
+      );
+    });
+    return { byId, byNameAndTeam };
+  }
+
+  // Pool player for a lineup slot, by id then name and team
+  _getPoolPlayer(slotPlayer, { byId, byNameAndTeam }) {
+    return (
+      byId.get(String(slotPlayer.id)) ||
+      byNameAndTeam.get(
+        `${normalize(slotPlayer.name)}|${normalize(slotPlayer.team)}`
+      ) ||
+      null
+    );
+  }
+
+  _findPlayer(players, { id, name, team }) {
+    if (id !== undefined && id !== null) {
+      return players.find((player) => String(player.id) === String(id));
+    }
+    return players.find(
+      (player) =>
+        normalize(player.name) === normalize(name) &&
+        (!team || normalize(player.team) === normalize(team))
+    );
+  }
+
+  _getInactiveSlots(lineup, players, lookup, salaryCap) {
+    const slots = [
+      { slot: "CPT", player: lineup.cpt },
+      ...(lineup.players || []).map((player) => ({ slot: "FLEX", player })),
+    ]
+      .filter(({ player }) => player)
+      .map((entry) => ({
+        ...entry,
+        poolPlayer: this._getPoolPlayer(entry.player, lookup),
+      }));
+
+    const rosterIds = new Set(
+      slots.map(({ player, poolPlayer }) => String((poolPlayer || player).id))
+    );
+    const remainingSalary =
+      salaryCap - this.lineupRepository.calculateTotalSalary(lineup);
+
+    return slots
+      .filter(({ poolPlayer }) => poolPlayer && isInactive(poolPlayer))
+      .map(({ slot, player, poolPlayer }) => {
+        const budget = remainingSalary + (Number(player.salary) || 0);
+        const replacements = players
+          .filter(
+            (candidate) =>
+              !isInactive(candidate) &&
+              !rosterIds.has(String(candidate.id)) &&
+              normalize(candidate.team) === normalize(poolPlayer.team) &&
+              candidate.position === poolPlayer.position
+          )
+          .map((candidate) => {
+            const salary =
+              slot === "CPT"
+                ? getCaptainSalary(candidate)
+                : Number(candidate.salary) || 0;
+            return {
+              id: candidate.id,
+              name: candidate.name,
+              team: candidate.team,
+              position: candidate.position,
+              status: getPlayerStatus(candidate),
+              salary,
+              salaryChange: salary - (Number(player.salary) || 0),
+              projectedPoints: round(
+                slot === "CPT"
+                  ? getCaptainProjection(candidate)
+                  : Number(candidate.projectedPoints) || 0
+              ),
+            };
+          })
+          .filter((candidate) => candidate.salary <= budget)
+          .sort((a, b) => b.projectedPoints - a.projectedPoints)
+          .slice(0, MAX_REPLACEMENTS);
+
+        return {
+          slot,
+          id: poolPlayer.id,
+          name: poolPlayer.name,
+          team: poolPlayer.team,
+          position: poolPlayer.position,
+          status: getPlayerStatus(poolPlayer),
+          salary: Number(player.salary) || 0,
+          replacements,
+        };
+      });
+  }
+
+  _summarizePlayer(player) {
+    return {
+      id: player.id,
+      name: player.name,
+      team: player.team,
+      position: player.position,
+      status: getPlayerStatus(player),
+      statusNote: player.statusNote ?? null,
+      statusUpdatedAt: player.statusUpdatedAt ?? null,
+    };
+  }
+}
+
+module.exports = PlayerStatusService;
@@ -0,0 +1,435 @@
+/**
+ * ProjectionService
+ * Projection sources and the weighted blend the optimizers read through the
+ * player pool. A source is one provider's CSV or a model's predictions (the
+ * ai-service PlayerPredictor output is accepted as is).
+ */
+
+const { AppError } = require("../middleware/errorHandler");
+
+// Coefficient of variation between sources that counts as a disagreement
+const DISAGREEMENT_THRESHOLDS = { moderate: 0.1, high: 0.2 };
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+// First column present in the row, as a number (null when missing)
+const readNumber = (row, columns) => {
+  for (const column of columns) {
+    if (row[column] === undefined || row[column] === "") continue;
+    const value = parseFloat(String(row[column]).replace("%", ""));
+    if (Number.isFinite(value)) return value;
+  }
+  return null;
+};
+
+const readText = (row, columns) => {
+  for (const column of columns) {
+    if (row[column]) return String(row[column]).trim();
+  }
+  return "";
+};
+
+const round = (value, digits = 2) =>
+  value === null ? null : parseFloat(value.toFixed(digits));
+
+// A value derived from the old projection moved onto the new one by the same
+// ratio (undefined, i.e. dropped, when it can't be)
+const rescale = (value, scale) => {
+  if (value === null || value === undefined || scale === null) {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? round(number * scale) : undefined;
+};
+
+class ProjectionService {
+  constructor(projectionSourceRepository, playerRepository) {
+    this.projectionSourceRepository = projectionSourceRepository;
+    this.playerRepository = playerRepository;
+  }
+
+  async getSources() {
+    try {
+      const sources = await this.projectionSourceRepository.findAll();
+      return sources.map((source) => this._summarizeSource(source));
+    } catch (error) {
+      throw new AppError("Failed to fetch projection sources", 500);
+    }
+  }
+
+  /**
+   * Store a source; a source with the same name is replaced
+   * @param {Object} sourceData - { name, weight, rows } where rows are CSV
+   *   rows or PlayerPredictor predictions
+   */
+  async saveSource({ name, weight, rows } = {}) {
+    try {
+      if (typeof name !== "string" || !name.trim()) {
+        throw new AppError("Projection source name is required", 400);
+      }
+      if (weight !== undefined) this._validateWeight(weight);
+
+      const projections = this._normalizeRows(rows);
+      if (projections.length === 0) {
+        throw new AppError(
+          `No projections found for source '${name.trim()}'`,
+          400
+        );
+      }
+
+      const data = {
+        name: name.trim(),
+        projections,
+        uploadedAt: new Date().toISOString(),
+      };
+      const existing = await this.projectionSourceRepository.findByName(
+        data.name
+      );
+      const source = existing
+        ? await this.projectionSourceRepository.update(existing.id, {
+            ...data,
+            weight: weight ?? existing.weight,
+          })
+        : await this.projectionSourceRepository.create({
+            ...data,
+            weight: weight ?? 1,
+            enabled: true,
+          });
+
+      return this._summarizeSource(source);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to save projection source", 500);
+    }
+  }
+
+  /**
+   * Change a source's name, weight or enabled flag
+   */
+  async updateSource(id, { name, weight, enabled } = {}) {
+    try {
+      const changes = {};
+      if (name !== undefined) {
+        if (typeof name !== "string" || !name.trim()) {
+          throw new AppError("Projection source name is required", 400);
+        }
+        changes.name = name.trim();
+      }
+      if (weight !== undefined) {
+        this._validateWeight(weight);
+        changes.weight = weight;
+      }
+      if (enabled !== undefined) changes.enabled = Boolean(enabled);
+
+      const source = await this.projectionSourceRepository.update(id, changes);
+      if (!source) {
+        throw new AppError(`Projection source '${id}' not found`, 404);
+      }
+      return this._summarizeSource(source);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to update projection source", 500);
+    }
+  }
+
+  async deleteSource(id) {
+    try {
+      const source = await this.projectionSourceRepository.delete(id);
+      if (!source) {
+        throw new AppError(`Projection source '${id}' not found`, 404);
+      }
+      return this._summarizeSource(source);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to delete projection source", 500);
+    }
+  }
+
+  /**
+   * Blended projections for every pool player, with per-source values and
+   * how far the sources disagree
+   */
+  async getBlend() {
+    try {
+      const [sources, players] = await Promise.all([
+        this.projectionSourceRepository.findAll(),
+        this.playerRepository.findAll(),
+      ]);
+      return this._blend(sources, players);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to blend projections", 500);
+    }
+  }
+
+  /**
+   * Write the blended median, floor, ceiling and ownership into the player
+   * pool; players no source covers keep their values. Values derived from
+   * the old projection (CPT projection, stdDev, percentiles and a floor or
+   * ceiling the blend doesn't provide) are rescaled to the blended median so
+   * captain scoring and the simulations follow it.
+   */
+  async applyBlend() {
+    try {
+      const [sources, players] = await Promise.all([
+        this.projectionSourceRepository.findAll(),
+        this.playerRepository.findAll(),
+      ]);
+      const blend = this._blend(sources, players);
+      if (blend.sources.every((source) => !source.active)) {
+        throw new AppError("No enabled projection sources to blend", 400);
+      }
+
+      const blended = new Map(
+        blend.players
+          .filter((player) => player.sourceCount > 0)
+          .map((player) => [String(player.id), player])
+      );
+      const updatedPlayers = players.map((player) => {
+        const entry = blended.get(String(player.id));
+        if (!entry) return player;
+
+        const { projectedPoints, floor, ceiling, ownership } = entry.blended;
+        const scale =
+          player.projectedPoints > 0
+            ? projectedPoints / player.projectedPoints
+            : null;
+        return {
+          ...player,
+          projectedPoints,
+          floor: floor ?? rescale(player.floor, scale),
+          ceiling: ceiling ?? rescale(player.ceiling, scale),
+          cptProjectedPoints: rescale(player.cptProjectedPoints, scale),
+          stdDev: rescale(player.stdDev, scale),
+          percentiles:
+            player.percentiles && scale !== null
+              ? Object.fromEntries(
+                  Object.entries(player.percentiles).map(
+                    ([percentile, value]) => [percentile, rescale(value, scale)]
+                  )
+                )
+              : undefined,
+          ownership: ownership ?? player.ownership,
+          // Sourced ownership replaces a model estimate
+          ownershipSource:
+            ownership !== null ? "projections" : player.ownershipSource,
+          value:
+            player.salary > 0
+              ? (projectedPoints / (player.salary / 1000)).toFixed(2)
+              : 0,
+          projectionSources: entry.sources,
+          projectionStdDev: entry.stdDev,
+        };
+      });
+
+      await this.playerRepository.replaceAll(updatedPlayers);
+
+      return {
+        updatedPlayers: blended.size,
+        totalPlayers: players.length,
+        sources: blend.sources,
+        disagreements: blend.players.filter(
+          (player) => player.disagreement === "high"
+        ).length,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to apply blended projections", 500);
+    }
+  }
+
+  // Private helper methods
+  _validateWeight(weight) {
+    if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+      throw new AppError("Source weight must be a non-negative number", 400);
+    }
+  }
+
+  _summarizeSource(source) {
+    const { projections = [], ...rest } = source;
+    return { ...rest, playerCount: projections.length };
+  }
+
+  /**
+   * CSV rows (flexible column names, like the projections upload) or
+   * PlayerPredictor predictions -> { name, team, position, projectedPoints,
+   * floor, ceiling, ownership }
+   */
+  _normalizeRows(rows) {
+    const list = Array.isArray(rows) ? rows : rows?.predictions;
+    if (!Array.isArray(list)) return [];
+
+    return list
+      .map((row) => {
+        if (row?.player && row?.predictions) {
+          return {
+            name: String(row.player.name || "").trim(),
+            team: row.player.team || "",
+            position: row.player.position || "",
+            projectedPoints: readNumber(row.predictions, ["projected_points"]),
+            floor: readNumber(row.predictions, ["floor"]),
+            ceiling: readNumber(row.predictions, ["ceiling"]),
+            ownership: null,
+          };
+        }
+
+        return {
+          name: readText(row, ["name", "Name", "PLAYER", "Player"]),
+          team: readText(row, ["team", "Team", "TEAM"]),
+          position: readText(row, ["position", "Position", "POS", "Pos"]),
+          projectedPoints: readNumber(row, [
+            "projectedPoints",
+            "Proj",
+            "FPTS",
+            "Projection",
+            "Median",
+          ]),
+          floor: readNumber(row, ["floor", "Floor", "FLOOR"]),
+          ceiling: readNumber(row, ["ceiling", "Ceiling", "CEILING", "Ceil"]),
+          ownership: readNumber(row, [
+            "ownership",
+            "Own",
+            "OWN",
+            "own",
+            "Ownership",
+            "OWNERSHIP",
+          ]),
+        };
+      })
+      .filter((row) => row.name && row.projectedPoints !== null);
+  }
+
+  /**
+   * Weighted blend of the enabled sources for each pool player
+   * Weights are renormalized over the sources that list the player; floor,
+   * ceiling and ownership only average the sources that provide them
+   */
+  _blend(sources, players) {
+    const active = sources.filter(
+      (source) => source.enabled !== false && source.weight > 0
+    );
+
+    // Pool lookups: name + position first, then name alone
+    const poolKeys = new Map();
+    players.forEach((player) => {
+      const name = normalize(player.name);
+      const byPosition = `${name}|${normalize(player.position)}`;
+      if (!poolKeys.has(byPosition)) poolKeys.set(byPosition, player);
+      if (!poolKeys.has(name)) poolKeys.set(name, player);
+    });
+
+    const matches = new Map(); // player id -> [{ source, row }]
+    const unmatched = {};
+    active.forEach((source) => {
+      (source.projections || []).forEach((row) => {
+        const name = normalize(row.name);
+        const player =
+          poolKeys.get(`${name}|${normalize(row.position)}`) ||
+          poolKeys.get(name);
+        if (!player) {
+          (unmatched[source.name] = unmatched[source.name] || []).push(
+            row.name
+          );
+          return;
+        }
+        const key = String(player.id);
+        if (!matches.has(key)) matches.set(key, []);
+        // One row per source and player
+        if (!matches.get(key).some((match) => match.source === source)) {
+          matches.get(key).push({ source, row });
+        }
+      });
+    });
+
+    const weightedMean = (entries, field) => {
+      const present = entries.filter(({ row }) => row[field] !== null);
+      const weight = present.reduce(
+        (sum, { source }) => sum + source.weight,
+        0
+      );
+      if (weight === 0) return null;
+      return (
+        present.reduce(
+          (sum, { source, row }) => sum + source.weight * row[field],
+          0
+        ) / weight
+      );
+    };
+
+    const blendedPlayers = players.map((player) => {
+      const entries = matches.get(String(player.id)) || [];
+      const base = {
+        id: player.id,
+        name: player.name,
+        team: player.team,
+        position: player.position,
+        current: player.projectedPoints,
+        sourceCount: entries.length,
+        sources: {},
+      };
+      if (entries.length === 0) {
+        return {
+          ...base,
+          blended: null,
+          stdDev: 0,
+          range: null,
+          disagreement: null,
+        };
+      }
+
+      entries.forEach(({ source, row }) => {
+        base.sources[source.name] = row.projectedPoints;
+      });
+
+      const median = weightedMean(entries, "projectedPoints");
+      const totalWeight = entries.reduce(
+        (sum, { source }) => sum + source.weight,
+        0
+      );
+      const variance =
+        entries.reduce(
+          (sum, { source, row }) =>
+            sum + source.weight * (row.projectedPoints - median) ** 2,
+          0
+        ) / totalWeight;
+      const stdDev = Math.sqrt(variance);
+      const points = entries.map(({ row }) => row.projectedPoints);
+      const variation = median > 0 ? stdDev / median : 0;
+
+      return {
+        ...base,
+        blended: {
+          projectedPoints: round(median),
+          floor: round(weightedMean(entries, "floor")),
+          ceiling: round(weightedMean(entries, "ceiling")),
+          ownership: round(weightedMean(entries, "ownership")),
+        },
+        stdDev: round(stdDev),
+        range: { min: Math.min(...points), max: Math.max(...points) },
+        disagreement:
+          entries.length < 2
+            ? null
+            : variation >= DISAGREEMENT_THRESHOLDS.high
+              ? "high"
+              : variation >= DISAGREEMENT_THRESHOLDS.moderate
+                ? "moderate"
+                : "low",
+      };
+    });
+
+    return {
+      sources: sources.map((source) => ({
+        ...this._summarizeSource(source),
+        active: active.includes(source),
+        unmatched: unmatched[source.name] || [],
+      })),
+      players: blendedPlayers,
+      thresholds: DISAGREEMENT_THRESHOLDS,
+    };
+  }
+}
+
+module.exports = ProjectionService;
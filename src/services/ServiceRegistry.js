@@ -3,9 +3,17 @@
  * Centralized service and repository management to avoid circular dependencies
  */
 
+const Database = require("../database/Database");
 const PlayerRepository = require("../repositories/PlayerRepository");
 const LineupRepository = require("../repositories/LineupRepository");
 const TeamStackRepository = require("../repositories/TeamStackRepository");
+const SlateRepository = require("../repositories/SlateRepository");
+const PayoutStructureRepository = require("../repositories/PayoutStructureRepository");
+const OptimizationJobRepository = require("../repositories/OptimizationJobRepository");
+const ProjectionSourceRepository = require("../repositories/ProjectionSourceRepository");
+const ContestResultRepository = require("../repositories/ContestResultRepository");
+const ContestAllocationRepository = require("../repositories/ContestAllocationRepository");
+const { DEFAULT_SLATE_ID } = require("../database/migrations");
 const PlayerService = require("./PlayerService");
 const LineupService = require("./LineupService");
 const TeamStackService = require("./TeamStackService");
@@ -13,12 +21,26 @@ const FileProcessingService = require("./FileProcessingService");
 const OptimizationService = require("./OptimizationService");
 const ProgressService = require("./ProgressService");
 const SettingsService = require("./SettingsService");
+const SlateSettingsService = require("./SlateSettingsService");
 const DataService = require("./DataService");
+const SlateService = require("./SlateService");
+const PayoutService = require("./PayoutService");
+const ProjectionService = require("./ProjectionService");
+const OwnershipService = require("./OwnershipService");
+const FieldService = require("./FieldService");
+const ContestResultService = require("./ContestResultService");
+const NexusScoreService = require("./NexusScoreService");
+const PlayerStatusService = require("./PlayerStatusService");
+const ContestAllocationService = require("./ContestAllocationService");
+const OptimizationJobRunner = require("../jobs/OptimizationJobRunner");
 
 class ServiceRegistry {
   constructor() {
+    this.database = null;
+    this.jobRunner = null;
     this.repositories = {};
     this.services = {};
+    this.slateContexts = new Map(); // slateId -> { repositories, services }
     this.initialized = false;
   }
 
@@ -27,37 +49,236 @@ class ServiceRegistry {
       return;
     }
 
-    // Initialize repositories first
-    this.repositories.player = new PlayerRepository();
-    this.repositories.lineup = new LineupRepository();
-    this.repositories.teamStack = new TeamStackRepository();
+    // Initialize storage and repositories first
+    this.database = new Database();
+    this.repositories.player = new PlayerRepository(this.database);
+    this.repositories.lineup = new LineupRepository(this.database);
+    this.repositories.teamStack = new TeamStackRepository(this.database);
+    this.repositories.slate = new SlateRepository(this.database);
+    this.repositories.payoutStructure = new PayoutStructureRepository(
+      this.database
+    );
+    this.repositories.optimizationJob = new OptimizationJobRepository(
+      this.database
+    );
+    this.repositories.projectionSource = new ProjectionSourceRepository(
+      this.database
+    );
+    this.repositories.contestResult = new ContestResultRepository(
+      this.database
+    );
+    this.repositories.contestAllocation = new ContestAllocationRepository(
+      this.database
+    );
+
+    // One worker queue for every slate so the concurrency limit is global
+    this.jobRunner = new OptimizationJobRunner({
+      concurrency: parseInt(process.env.DFS_OPTIMIZER_CONCURRENCY) || undefined,
+    });
 
     // Initialize services with repository dependencies
+    this.services.settings = new SettingsService();
+    this.services.field = new FieldService(
+      this.repositories.player,
+      this.services.settings
+    );
     this.services.player = new PlayerService(this.repositories.player);
+    this.services.payout = new PayoutService(this.repositories.payoutStructure);
+    this.services.projection = new ProjectionService(
+      this.repositories.projectionSource,
+      this.repositories.player
+    );
     this.services.lineup = new LineupService(
       this.repositories.lineup,
-      this.repositories.player
+      this.repositories.player,
+      this.services.payout,
+      this.services.field,
+      this.services.settings
     );
     this.services.teamStack = new TeamStackService(
       this.repositories.teamStack,
       this.repositories.player
     );
     this.services.fileProcessing = new FileProcessingService();
+    this.services.progress = new ProgressService();
     this.services.optimization = new OptimizationService(
       this.repositories.lineup,
-      this.repositories.player
+      this.repositories.player,
+      this.services.payout,
+      this.jobRunner,
+      this.services.progress,
+      this.repositories.optimizationJob,
+      this.services.settings,
+      this.services.field
     );
-    this.services.progress = new ProgressService();
-    this.services.settings = new SettingsService();
     this.services.data = new DataService(
       this.repositories.player,
       this.repositories.lineup,
       this.repositories.teamStack
     );
+    this.services.slate = new SlateService(
+      this.repositories.slate,
+      this.services.settings
+    );
+    this.services.ownership = new OwnershipService(
+      this.repositories.player,
+      this.repositories.teamStack,
+      this.services.settings
+    );
+    this.services.contestResult = new ContestResultService(
+      this.repositories.contestResult,
+      this.repositories.player,
+      this.repositories.lineup,
+      this.services.payout,
+      this.services.optimization
+    );
+    this.services.nexusScore = new NexusScoreService(
+      this.repositories.contestResult,
+      this.repositories.player,
+      this.services.settings
+    );
+    this.services.playerStatus = new PlayerStatusService(
+      this.repositories.player,
+      this.repositories.lineup
+    );
+    this.services.contestAllocation = new ContestAllocationService(
+      this.repositories.contestAllocation,
+      this.repositories.lineup,
+      this.repositories.player,
+      this.services.payout,
+      this.services.field,
+      this.services.lineup
+    );
+
+    // The unscoped services double as the default slate's context
+    this.slateContexts.set(DEFAULT_SLATE_ID, {
+      repositories: this.repositories,
+      services: this.services,
+    });
 
     this.initialized = true;
   }
 
+  /**
+   * Get repositories and services bound to a single slate
+   * Settings come from the slate record; shared services (progress, file
+   * processing, slates) are reused
+   */
+  getSlateContext(slateId = DEFAULT_SLATE_ID) {
+    if (!this.initialized) {
+      this.initialize();
+    }
+
+    if (this.slateContexts.has(slateId)) {
+      return this.slateContexts.get(slateId);
+    }
+
+    const repositories = {
+      player: this.repositories.player.forSlate(slateId),
+      lineup: this.repositories.lineup.forSlate(slateId),
+      teamStack: this.repositories.teamStack.forSlate(slateId),
+      slate: this.repositories.slate,
+      payoutStructure: this.repositories.payoutStructure.forSlate(slateId),
+      optimizationJob: this.repositories.optimizationJob.forSlate(slateId),
+      projectionSource: this.repositories.projectionSource.forSlate(slateId),
+      contestResult: this.repositories.contestResult.forSlate(slateId),
+      contestAllocation: this.repositories.contestAllocation.forSlate(slateId),
+    };
+
+    const settings = new SlateSettingsService(
+      repositories.slate,
+      slateId,
+      this.services.settings
+    );
+    const payout = new PayoutService(repositories.payoutStructure);
+    const field = new FieldService(repositories.player, settings);
+    const lineup = new LineupService(
+      repositories.lineup,
+      repositories.player,
+      payout,
+      field,
+      settings
+    );
+    const optimization = new OptimizationService(
+      repositories.lineup,
+      repositories.player,
+      payout,
+      this.jobRunner,
+      this.services.progress,
+      repositories.optimizationJob,
+      settings,
+      field
+    );
+    const services = {
+      ...this.services,
+      settings,
+      player: new PlayerService(repositories.player),
+      payout,
+      field,
+      projection: new ProjectionService(
+        repositories.projectionSource,
+        repositories.player
+      ),
+      lineup,
+      teamStack: new TeamStackService(
+        repositories.teamStack,
+        repositories.player
+      ),
+      optimization,
+      data: new DataService(
+        repositories.player,
+        repositories.lineup,
+        repositories.teamStack
+      ),
+      ownership: new OwnershipService(
+        repositories.player,
+        repositories.teamStack,
+        settings
+      ),
+      contestResult: new ContestResultService(
+        repositories.contestResult,
+        repositories.player,
+        repositories.lineup,
+        payout,
+        optimization
+      ),
+      nexusScore: new NexusScoreService(
+        repositories.contestResult,
+        repositories.player,
+        settings
+      ),
+      playerStatus: new PlayerStatusService(
+        repositories.player,
+        repositories.lineup
+      ),
+      contestAllocation: new ContestAllocationService(
+        repositories.contestAllocation,
+        repositories.lineup,
+        repositories.player,
+        payout,
+        field,
+        lineup
+      ),
+    };
+
+    const context = { repositories, services };
+    this.slateContexts.set(slateId, context);
+    return context;
+  }
+
+  releaseSlateContext(slateId) {
+    if (slateId !== DEFAULT_SLATE_ID) {
+      this.slateContexts.delete(slateId);
+    }
+  }
+
+  getDatabase() {
+    if (!this.initialized) {
+      this.initialize();
+    }
+    return this.database;
+  }
+
   getRepository(name) {
     if (!this.initialized) {
       this.initialize();
@@ -116,6 +337,69 @@ class ServiceRegistry {
   getDataService() {
     return this.getService("data");
   }
+
+  getSlateService() {
+    return this.getService("slate");
+  }
+
+  getPayoutService() {
+    return this.getService("payout");
+  }
+
+  getPayoutStructureRepository() {
+    return this.getRepository("payoutStructure");
+  }
+
+  getSlateRepository() {
+    return this.getRepository("slate");
+  }
+
+  getOptimizationJobRepository() {
+    return this.getRepository("optimizationJob");
+  }
+
+  getProjectionService() {
+    return this.getService("projection");
+  }
+
+  getOwnershipService() {
+    return this.getService("ownership");
+  }
+
+  getFieldService() {
+    return this.getService("field");
+  }
+
+  getProjectionSourceRepository() {
+    return this.getRepository("projectionSource");
+  }
+
+  getContestResultService() {
+    return this.getService("contestResult");
+  }
+
+  getNexusScoreService() {
+    return this.getService("nexusScore");
+  }
+
+  getContestResultRepository() {
+    return this.getRepository("contestResult");
+  }
+
+  getContestAllocationService() {
+    return this.getService("contestAllocation");
+  }
+
+  getContestAllocationRepository() {
+    return this.getRepository("contestAllocation");
+  }
+
+  getJobRunner() {
+    if (!this.initialized) {
+      this.initialize();
+    }
+    return this.jobRunner;
+  }
 }
 
 // Export singleton instance
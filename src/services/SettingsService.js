@@ -6,6 +6,12 @@
 const fs = require("fs").promises;
 const path = require("path");
 const { AppError } = require("../middleware/errorHandler");
+const { generateRandomId } = require("../utils/generators");
+const { validateLineupRules } = require("../../client/src/lib/LineupRules");
+const {
+  NEXUS_FORMULAS,
+  DEFAULT_FORMULA_VERSION,
+} = require("../../client/src/lib/nexusScore");
 
 class SettingsService {
   constructor() {
@@ -58,6 +64,22 @@ class SettingsService {
         showAdvancedOptions: false,
         defaultView: "lineups",
       },
+      // Custom if/then and lock/ban rules (client/src/lib/LineupRules.js)
+      lineupRules: [],
+      // Ownership model coefficients fitted to past contests
+      // (src/services/OwnershipService.js); null coefficients use defaults
+      ownershipModel: {
+        coefficients: null,
+        samples: [],
+        calibratedAt: null,
+        fit: null,
+      },
+      // Pinned NexusScore formula version and the calibrated versions
+      // (src/services/NexusScoreService.js)
+      nexusScoreModel: {
+        activeVersion: DEFAULT_FORMULA_VERSION,
+        versions: [],
+      },
     };
     this.currentSettings = { ...this.defaultSettings };
     this.loaded = false;
@@ -160,6 +182,9 @@ class SettingsService {
     if (!this.currentSettings[category]) {
       throw new AppError(`Settings category '${category}' not found`, 404);
     }
+    if (category === "lineupRules") {
+      return await this.updateLineupRules(categorySettings);
+    }
 
     // Validate category settings
     const validatedSettings = this.validateCategorySettings(
@@ -176,6 +201,116 @@ class SettingsService {
     return this.currentSettings[category];
   }
 
+  /**
+   * Get the saved lineup rules
+   */
+  async getLineupRules() {
+    const settings = await this.getSettings();
+    return settings.lineupRules || [];
+  }
+
+  /**
+   * Replace the saved lineup rules
+   * Rules without an id get one so violations can point back at them
+   */
+  async updateLineupRules(rules) {
+    if (!this.loaded) {
+      await this.loadSettings();
+    }
+
+    this.currentSettings.lineupRules = this.validateLineupRules(rules);
+    await this.saveSettings();
+    return this.currentSettings.lineupRules;
+  }
+
+  /**
+   * Get the ownership model (coefficients and calibration samples)
+   */
+  async getOwnershipModel() {
+    const settings = await this.getSettings();
+    return {
+      ...this.defaultSettings.ownershipModel,
+      ...settings.ownershipModel,
+    };
+  }
+
+  /**
+   * Replace the ownership model
+   */
+  async updateOwnershipModel(model) {
+    if (!this.loaded) {
+      await this.loadSettings();
+    }
+
+    this.currentSettings.ownershipModel = {
+      ...this.defaultSettings.ownershipModel,
+      ...model,
+    };
+    await this.saveSettings();
+    return this.currentSettings.ownershipModel;
+  }
+
+  /**
+   * Get the NexusScore model (pinned version and calibrated versions)
+   */
+  async getNexusScoreModel() {
+    const settings = await this.getSettings();
+    return {
+      ...this.defaultSettings.nexusScoreModel,
+      ...settings.nexusScoreModel,
+    };
+  }
+
+  /**
+   * Replace the NexusScore model
+   */
+  async updateNexusScoreModel(model) {
+    if (!this.loaded) {
+      await this.loadSettings();
+    }
+
+    this.currentSettings.nexusScoreModel = {
+      ...this.defaultSettings.nexusScoreModel,
+      ...model,
+    };
+    await this.saveSettings();
+    return this.currentSettings.nexusScoreModel;
+  }
+
+  /**
+   * NexusScore formula for a version (the pinned one when omitted), built in
+   * or calibrated
+   */
+  async getNexusScoreFormula(version) {
+    const model = await this.getNexusScoreModel();
+    const wanted = version ?? model.activeVersion ?? DEFAULT_FORMULA_VERSION;
+    const formula =
+      NEXUS_FORMULAS[wanted] ||
+      model.versions.find((entry) => entry.version === wanted);
+    if (!formula) {
+      throw new AppError(`Unknown NexusScore formula version: ${wanted}`, 400);
+    }
+
+    const { weights, offset, range } = formula;
+    return { version: formula.version, weights, offset, range };
+  }
+
+  /**
+   * Validate lineup rules, throwing a 400 listing every problem
+   */
+  validateLineupRules(rules) {
+    const errors = validateLineupRules(rules);
+    if (errors.length > 0) {
+      throw new AppError(`Invalid lineup rules: ${errors.join("; ")}`, 400);
+    }
+
+    return rules.map((rule) => ({
+      ...rule,
+      id: rule.id ?? `rule_${generateRandomId()}`,
+      enabled: rule.enabled !== false,
+    }));
+  }
+
   /**
    * Get settings schema/structure
    */
@@ -238,6 +373,11 @@ class SettingsService {
         itemType: "number",
         description: "Allowed stack sizes",
       },
+      lineupRules: {
+        type: "array",
+        itemType: "object",
+        description: "Custom lineup rules (if/then, lock and ban)",
+      },
     };
   }
 
@@ -338,6 +478,11 @@ class SettingsService {
         return;
       }
 
+      if (key === "lineupRules") {
+        validated[key] = this.validateLineupRules(settings[key]);
+        return;
+      }
+
       const rule = schema[key];
       if (!rule) {
         // Unknown setting, skip or include based on policy
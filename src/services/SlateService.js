@@ -0,0 +1,148 @@
+/**
+ * SlateService
+ * Manages slate workspaces (player pool, stacks, lineups, settings and
+ * contest metadata grouped under one slate ID)
+ */
+
+const { AppError } = require("../middleware/errorHandler");
+
+class SlateService {
+  constructor(slateRepository, settingsService) {
+    this.slateRepository = slateRepository;
+    this.settingsService = settingsService;
+  }
+
+  async getAllSlates() {
+    try {
+      const slates = await this.slateRepository.findAll();
+      return Promise.all(slates.map((slate) => this.withCounts(slate)));
+    } catch (error) {
+      throw new AppError("Failed to fetch slates", 500);
+    }
+  }
+
+  async getSlateById(id) {
+    try {
+      const slate = await this.slateRepository.findById(id);
+      if (!slate) {
+        throw new AppError(`Slate '${id}' not found`, 404);
+      }
+      return this.withCounts(slate);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to fetch slate", 500);
+    }
+  }
+
+  async createSlate(slateData) {
+    try {
+      this.validateSlateData(slateData);
+
+      if (slateData.id && (await this.slateRepository.findById(slateData.id))) {
+        throw new AppError(`Slate '${slateData.id}' already exists`, 409);
+      }
+
+      // The slate's own settings (SlateSettingsService), seeded from the
+      // global ones
+      const settingsSnapshot =
+        slateData.settingsSnapshot ||
+        (await this.settingsService.getSettings());
+
+      const newSlate = await this.slateRepository.create({
+        id: slateData.id,
+        name: slateData.name.trim(),
+        description: slateData.description || "",
+        contest: slateData.contest || null,
+        settingsSnapshot,
+      });
+
+      return this.withCounts(newSlate);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to create slate", 500);
+    }
+  }
+
+  async updateSlate(id, updateData) {
+    try {
+      if (updateData.name !== undefined) {
+        this.validateSlateData(updateData);
+      }
+
+      const { id: ignoredId, createdAt, ...changes } = updateData;
+      const updatedSlate = await this.slateRepository.update(id, changes);
+      if (!updatedSlate) {
+        throw new AppError(`Slate '${id}' not found`, 404);
+      }
+
+      return this.withCounts(updatedSlate);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to update slate", 500);
+    }
+  }
+
+  /**
+   * Reset the slate's settings to the current global settings
+   * (data/settings.json, which the default slate uses)
+   */
+  async snapshotSettings(id) {
+    const settings = await this.settingsService.getSettings();
+    return this.updateSlate(id, { settingsSnapshot: settings });
+  }
+
+  async deleteSlate(id) {
+    try {
+      if (this.slateRepository.isDefaultSlate(id)) {
+        throw new AppError("The default slate cannot be deleted", 400);
+      }
+
+      const deletedSlate = await this.slateRepository.delete(id);
+      if (!deletedSlate) {
+        throw new AppError(`Slate '${id}' not found`, 404);
+      }
+
+      return { success: true, deletedSlate };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new AppError("Failed to delete slate", 500);
+    }
+  }
+
+  async slateExists(id) {
+    const slate = await this.slateRepository.findById(id);
+    return Boolean(slate);
+  }
+
+  // Private helper methods
+  async withCounts(slate) {
+    const counts = await this.slateRepository.getCounts(slate.id);
+    return { ...slate, counts };
+  }
+
+  validateSlateData(slateData) {
+    if (
+      !slateData.name ||
+      typeof slateData.name !== "string" ||
+      slateData.name.trim().length === 0 ||
+      slateData.name.length > 100
+    ) {
+      throw new AppError(
+        "Slate name must be a string between 1 and 100 characters",
+        400
+      );
+    }
+
+    if (
+      slateData.id !== undefined &&
+      !/^[a-zA-Z0-9_-]{1,64}$/.test(String(slateData.id))
+    ) {
+      throw new AppError(
+        "Slate ID may only contain letters, numbers, dashes and underscores",
+        400
+      );
+    }
+  }
+}
+
+module.exports = SlateService;
@@ -0,0 +1,58 @@
+/**
+ * SlateSettingsService
+ * Optimizer settings of one slate workspace. They live on the slate record
+ * (settingsSnapshot) instead of data/settings.json, so lineup rules, the
+ * ownership model and the pinned NexusScore formula of one slate leave the
+ * others alone. The default slate keeps using data/settings.json.
+ */
+
+const { AppError } = require("../middleware/errorHandler");
+const SettingsService = require("./SettingsService");
+
+class SlateSettingsService extends SettingsService {
+  /**
+   * @param {SlateRepository} slateRepository
+   * @param {string} slateId
+   * @param {SettingsService} globalSettings - seeds slates without settings
+   */
+  constructor(slateRepository, slateId, globalSettings) {
+    super();
+    this.slateRepository = slateRepository;
+    this.slateId = slateId;
+    this.globalSettings = globalSettings;
+  }
+
+  /**
+   * Read the slate's settings. They are re-read on every access (loaded
+   * stays false) so a re-snapshot or another process's change shows up
+   */
+  async loadSettings() {
+    const slate = await this.slateRepository.findById(this.slateId);
+    if (!slate) {
+      throw new AppError(`Slate '${this.slateId}' not found`, 404);
+    }
+
+    if (slate.settingsSnapshot) {
+      this.currentSettings = this.mergeWithDefaults(slate.settingsSnapshot);
+    } else {
+      // Slates created without settings start from the global ones
+      this.currentSettings = await this.globalSettings.getSettings();
+      await this.saveSettings();
+    }
+
+    return this.currentSettings;
+  }
+
+  async saveSettings() {
+    try {
+      await this.slateRepository.update(this.slateId, {
+        settingsSnapshot: this.currentSettings,
+      });
+      return true;
+    } catch (error) {
+      throw new AppError(`Failed to save settings: ${error.message}`, 500);
+    }
+  }
+}
+
+module.exports = SlateSettingsService;
@@ -0,0 +1,471 @@
+/**
+ * ContestSimulator
+ * Monte Carlo contest simulation: draws correlated player outcomes, ranks our
+ * lineups against a synthetic opponent field (fieldGenerator.js) and pays
+ * them out from a payout table
+ */
+
+const {
+  generateCorrelatedUniforms,
+  winProbabilityToOdds,
+  simulateSeriesOutcome,
+  invertSeriesOutcome,
+  createSlateEnvironment,
+  simulatePlayerPoints,
+  applyPositionCorrelations,
+} = require("./seriesModel");
+const { buildPayoutTable } = require("./payouts");
+const { generateField, fieldCounts } = require("./fieldGenerator");
+const { hasDistributionData } = require("../utils/distribution");
+const { getCaptainMultiplier } = require("../utils/captain");
+const { createRng, generateSeed } = require("../utils/random");
+
+const TEAM_CORRELATION = 0.7;
+const CALIBRATION_ITERATIONS = 200;
+
+const DEFAULT_OPTIONS = {
+  iterations: 1000,
+  fieldSize: 1176,
+  entryFee: 5,
+  payoutStructure: null,
+  variance: 0.15,
+  salaryCap: 50000,
+  teamOdds: {},
+  field: null, // Pre-generated opponent field; drawn from the pool if absent
+  soloEntries: false, // Rank each lineup alone against the field
+  seed: null, // Generated when not given; reported with the results
+};
+
+class ContestSimulator {
+  constructor(players, options = {}) {
+    this.options = { ...DEFAULT_OPTIONS };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) this.options[key] = value;
+    });
+    this.seed = this.options.seed ?? generateSeed();
+    this.random = createRng(this.seed);
+    this.pool = [];
+    this.poolIndex = new Map();
+    players.forEach((player) => this.addToPool(player));
+  }
+
+  /**
+   * Simulate the contest for our lineups
+   * @param {Array} lineups - Lineups with `cpt` and `players`
+   * @returns {Object} Per-lineup results plus contest metadata
+   */
+  run(lineups) {
+    const { iterations, entryFee, soloEntries } = this.options;
+    // Restart the stream so every run with this seed draws the same numbers
+    this.random = createRng(this.seed);
+    const entries = lineups.map((lineup) => this.toEntry(lineup));
+    // Solo entries each fill the one spot the field leaves open, so every
+    // lineup's result is what it would earn as our only entry
+    const fieldSize = soloEntries
+      ? Math.max(this.options.fieldSize, 2)
+      : Math.max(this.options.fieldSize, entries.length + 1);
+    const opponentCount = soloEntries
+      ? fieldSize - 1
+      : fieldSize - entries.length;
+    const payoutTable = buildPayoutTable(
+      fieldSize,
+      entryFee,
+      this.options.payoutStructure
+    );
+    const cashLine = payoutTable.filter((prize) => prize > 0).length;
+
+    const field = this.buildField(opponentCount);
+    this.buildProjections();
+
+    const stats = entries.map(() => ({
+      scores: new Float64Array(iterations),
+      placeSum: 0,
+      payoutSum: 0,
+      firstPlace: 0,
+      top10: 0,
+      cashes: 0,
+      finishes: {
+        first: 0,
+        top1Percent: 0,
+        top10Percent: 0,
+        top20Percent: 0,
+        top50Percent: 0,
+        bottom50Percent: 0,
+      },
+    }));
+
+    const fieldScores = new Float64Array(opponentCount);
+    const ourScores = new Float64Array(entries.length);
+
+    for (let iter = 0; iter < iterations; iter++) {
+      const outcomes = this.simulatePlayerOutcomes();
+
+      // Duplicated field lineups share one score
+      let k = 0;
+      for (let i = 0; i < field.length; i++) {
+        const score = this.scoreEntry(field[i], outcomes);
+        for (let c = 0; c < field[i].count; c++) fieldScores[k++] = score;
+      }
+      fieldScores.sort();
+
+      for (let j = 0; j < entries.length; j++) {
+        ourScores[j] = this.scoreEntry(entries[j], outcomes);
+      }
+
+      for (let j = 0; j < entries.length; j++) {
+        const score = ourScores[j];
+        const above = countAbove(fieldScores, score);
+        let place = 1 + above;
+        let ties = fieldScores.length - above - countBelow(fieldScores, score);
+        for (let k = 0; k < entries.length && !soloEntries; k++) {
+          if (k === j) continue;
+          if (ourScores[k] > score) place++;
+          else if (ourScores[k] === score) ties++;
+        }
+
+        // Tied entries (duplicated lineups) split places place .. place + ties
+        let prizes = 0;
+        const lastPaid = Math.min(place + ties, cashLine);
+        for (let p = place - 1; p < lastPaid; p++) {
+          prizes += payoutTable[p] || 0;
+        }
+        const payout = prizes / (ties + 1);
+        const stat = stats[j];
+        stat.scores[iter] = score;
+        stat.placeSum += place;
+        stat.payoutSum += payout;
+        if (place === 1) stat.firstPlace++;
+        if (place <= 10) stat.top10++;
+        if (payout > 0) stat.cashes++;
+        stat.finishes[finishBucket(place, fieldSize)]++;
+      }
+    }
+
+    const results = stats.map((stat) => {
+      const sortedScores = Array.from(stat.scores).sort((a, b) => a - b);
+      const averagePayout = stat.payoutSum / iterations;
+      const finishDistribution = {};
+      Object.entries(stat.finishes).forEach(([bucket, count]) => {
+        finishDistribution[bucket] = (count / iterations) * 100;
+      });
+
+      return {
+        firstPlaceRate: (stat.firstPlace / iterations) * 100,
+        top10Rate: (stat.top10 / iterations) * 100,
+        cashRate: (stat.cashes / iterations) * 100,
+        averagePayout,
+        roi: entryFee > 0 ? ((averagePayout - entryFee) / entryFee) * 100 : 0,
+        averageFinish: stat.placeSum / iterations,
+        averageScore:
+          sortedScores.reduce((sum, score) => sum + score, 0) / iterations,
+        finishDistribution,
+        scoreDistribution: {
+          p10: percentile(sortedScores, 0.1),
+          p25: percentile(sortedScores, 0.25),
+          p50: percentile(sortedScores, 0.5),
+          p75: percentile(sortedScores, 0.75),
+          p90: percentile(sortedScores, 0.9),
+        },
+      };
+    });
+
+    return {
+      results,
+      contest: {
+        iterations,
+        fieldSize,
+        entryFee,
+        prizePool: payoutTable.reduce((sum, prize) => sum + prize, 0),
+        paidPlaces: cashLine,
+        seed: this.seed,
+        field: {
+          seed: this.field.seed ?? null,
+          uniqueLineups: field.length,
+          duplicatedEntries: field
+            .filter((entry) => entry.count > 1)
+            .reduce((sum, entry) => sum + entry.count, 0),
+        },
+      },
+    };
+  }
+
+  // Player pool and projections
+  addToPool(player) {
+    if (!player || !player.name || this.poolIndex.has(player.name)) {
+      return this.poolIndex.get(player?.name);
+    }
+
+    const index = this.pool.length;
+    this.pool.push({
+      name: player.name,
+      team: player.team || "",
+      position: player.position || "",
+      opp: player.opp || player.opponent || "",
+      salary: parseFloat(player.salary) || 0,
+      ownership: parseFloat(player.ownership) || 0,
+      projectedPoints: parseFloat(player.projectedPoints) || 0,
+      floor: parseFloat(player.floor) || null,
+      ceiling: parseFloat(player.ceiling) || null,
+      stdDev: parseFloat(player.stdDev) || null,
+      percentiles: player.percentiles || null,
+      // DraftKings' own CPT listing, when imported
+      cptSalary: parseFloat(player.cptSalary) || null,
+      cptProjectedPoints: parseFloat(player.cptProjectedPoints) || null,
+      cptOwnership: player.cptOwnership ?? null,
+    });
+    this.poolIndex.set(player.name, index);
+    return index;
+  }
+
+  buildProjections() {
+    const spread = Math.min(0.9, 3 * this.options.variance);
+    this.captainMultipliers = this.pool.map((player) =>
+      getCaptainMultiplier(player)
+    );
+
+    // Players without a floor, ceiling, stdDev or percentiles get the
+    // contest's variance around their projection
+    this.projections = this.pool.map((player) =>
+      hasDistributionData(player)
+        ? {
+            floor: player.floor,
+            median: player.projectedPoints,
+            ceiling: player.ceiling,
+            stdDev: player.stdDev,
+            percentiles: player.percentiles,
+          }
+        : {
+            floor: Math.max(0, player.projectedPoints * (1 - spread)),
+            median: player.projectedPoints,
+            ceiling: player.projectedPoints * (1 + spread),
+          }
+    );
+
+    // Group the pool by team and pair each team with its opponent
+    this.teamPlayers = new Map();
+    this.pool.forEach((player, index) => {
+      if (!this.teamPlayers.has(player.team)) {
+        this.teamPlayers.set(player.team, []);
+      }
+      this.teamPlayers.get(player.team).push(index);
+    });
+
+    const teams = [...this.teamPlayers.keys()];
+    const opponents = new Map();
+    this.pool.forEach((player) => {
+      if (player.opp && this.teamPlayers.has(player.opp)) {
+        opponents.set(player.team, player.opp);
+        opponents.set(player.opp, player.team);
+      }
+    });
+    if (opponents.size === 0 && teams.length === 2) {
+      opponents.set(teams[0], teams[1]);
+      opponents.set(teams[1], teams[0]);
+    }
+
+    this.matchups = [];
+    const seen = new Set();
+    teams.forEach((team) => {
+      if (seen.has(team)) return;
+      const opp = opponents.get(team) || null;
+      seen.add(team);
+      if (opp) seen.add(opp);
+      this.matchups.push({ team, opp, odds: this.getTeamOdds(team, opp) });
+    });
+
+    this.calibrate();
+  }
+
+  /**
+   * The series model layers win bonuses, GNP and correlation boosts on top of
+   * the base draw. Scale each player so their simulated mean matches their
+   * projection; the shape of the distribution is kept.
+   */
+  calibrate() {
+    this.scales = new Float64Array(this.pool.length).fill(1);
+    const sums = new Float64Array(this.pool.length);
+
+    for (let i = 0; i < CALIBRATION_ITERATIONS; i++) {
+      const outcomes = this.simulatePlayerOutcomes();
+      outcomes.forEach((points, index) => {
+        sums[index] += points;
+      });
+    }
+
+    this.pool.forEach((player, index) => {
+      const mean = sums[index] / CALIBRATION_ITERATIONS;
+      if (mean > 0 && player.projectedPoints > 0) {
+        this.scales[index] = player.projectedPoints / mean;
+      }
+    });
+  }
+
+  // Moneyline odds from the settings, otherwise from projected team totals
+  getTeamOdds(team, opp) {
+    if (this.options.teamOdds[team]) {
+      return this.options.teamOdds[team];
+    }
+    if (opp && this.options.teamOdds[opp]) {
+      return -this.options.teamOdds[opp];
+    }
+    if (!opp) return 0;
+
+    const teamTotal = this.getTeamTotal(team);
+    const oppTotal = this.getTeamTotal(opp);
+    if (teamTotal + oppTotal <= 0) return 0;
+    return winProbabilityToOdds(teamTotal / (teamTotal + oppTotal));
+  }
+
+  getTeamTotal(team) {
+    return (this.teamPlayers.get(team) || []).reduce(
+      (sum, index) => sum + this.pool[index].projectedPoints,
+      0
+    );
+  }
+
+  /**
+   * Draw one correlated outcome for every player in the pool
+   * @returns {Float64Array} Fantasy points indexed like the pool
+   */
+  simulatePlayerOutcomes() {
+    const slateEnv = createSlateEnvironment(
+      [...this.teamPlayers.keys()],
+      this.random
+    );
+    const outcomes = new Float64Array(this.pool.length);
+
+    this.matchups.forEach(({ team, opp, odds }) => {
+      const series = simulateSeriesOutcome(odds, this.random);
+      this.simulateTeam(team, series, slateEnv, outcomes);
+      if (opp) {
+        this.simulateTeam(opp, invertSeriesOutcome(series), slateEnv, outcomes);
+      }
+    });
+
+    return outcomes;
+  }
+
+  simulateTeam(team, series, slateEnv, outcomes) {
+    const indexes = this.teamPlayers.get(team) || [];
+    const uniforms = generateCorrelatedUniforms(
+      indexes.length,
+      TEAM_CORRELATION,
+      this.random
+    );
+    const simResults = {};
+
+    indexes.forEach((index, i) => {
+      const player = this.pool[index];
+      const pts = simulatePlayerPoints(
+        player,
+        this.projections[index],
+        series.wins,
+        series.isSweep,
+        slateEnv,
+        uniforms[i],
+        this.random
+      );
+      simResults[player.name] = { base: pts, final: pts };
+    });
+
+    applyPositionCorrelations(
+      indexes.map((index) => this.pool[index]),
+      simResults,
+      this.random
+    );
+
+    indexes.forEach((index) => {
+      outcomes[index] =
+        simResults[this.pool[index].name].final * this.scales[index];
+    });
+  }
+
+  // Lineups as pool indexes
+  toEntry(lineup) {
+    return {
+      cpt: lineup.cpt ? this.addToPool(lineup.cpt) : undefined,
+      players: (lineup.players || [])
+        .map((player) => this.addToPool(player))
+        .filter((index) => index !== undefined),
+    };
+  }
+
+  scoreEntry(entry, outcomes) {
+    let score =
+      entry.cpt !== undefined
+        ? outcomes[entry.cpt] * this.captainMultipliers[entry.cpt]
+        : 0;
+    for (let i = 0; i < entry.players.length; i++) {
+      score += outcomes[entry.players[i]];
+    }
+    return score;
+  }
+
+  /**
+   * Opponent entries as pool indexes with their counts: the first `count`
+   * entries of the given field, else a field drawn from the pool
+   */
+  buildField(count) {
+    const field =
+      this.options.field && this.options.field.size >= count
+        ? this.options.field
+        : generateField(this.pool, {
+            size: count,
+            salaryCap: this.options.salaryCap,
+            random: this.random,
+          });
+    this.field = field;
+
+    const counts = fieldCounts(field, count);
+    return field.lineups
+      .map((lineup, index) => ({
+        ...this.toEntry(lineup),
+        count: counts[index],
+      }))
+      .filter((entry) => entry.count > 0);
+  }
+}
+
+// Helpers
+
+// Number of values in an ascending array strictly greater than `score`
+function countAbove(sorted, score) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] <= score) lo = mid + 1;
+    else hi = mid;
+  }
+  return sorted.length - lo;
+}
+
+// Number of values in an ascending array strictly less than `score`
+function countBelow(sorted, score) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] < score) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// Exclusive finish buckets
+function finishBucket(place, fieldSize) {
+  const pct = place / fieldSize;
+  if (place === 1) return "first";
+  if (pct <= 0.01) return "top1Percent";
+  if (pct <= 0.1) return "top10Percent";
+  if (pct <= 0.2) return "top20Percent";
+  if (pct <= 0.5) return "top50Percent";
+  return "bottom50Percent";
+}
+
+module.exports = ContestSimulator;
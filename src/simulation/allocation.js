@@ -0,0 +1,111 @@
+/**
+ * Contest allocation
+ * Assigns lineups to the entries of several contests so the total simulated
+ * EV is as high as possible. A lineup enters a contest at most once and, with
+ * maxContestsPerLineup, only that many contests overall.
+ */
+
+const EPSILON = 1e-9;
+const MAX_PASSES = 50;
+
+/**
+ * @param {Array} evTable - Per contest, each lineup's EV (index = lineup)
+ * @param {Array} entryCounts - Entries to fill per contest
+ * @param {Object} options - { maxContestsPerLineup }
+ * @returns {Array} Per contest, the assigned lineup indexes, best EV first
+ */
+function allocateEntries(evTable, entryCounts, options = {}) {
+  const maxUses = options.maxContestsPerLineup ?? Infinity;
+  const lineupCount = evTable[0]?.length || 0;
+  const assigned = entryCounts.map(() => new Set());
+  const uses = new Array(lineupCount).fill(0);
+
+  // Greedy: best EV pairs first
+  const pairs = [];
+  evTable.forEach((evs, contest) => {
+    evs.forEach((ev, lineup) => pairs.push({ contest, lineup, ev }));
+  });
+  pairs.sort(
+    (a, b) => b.ev - a.ev || a.contest - b.contest || a.lineup - b.lineup
+  );
+  pairs.forEach(({ contest, lineup }) => {
+    if (assigned[contest].size >= entryCounts[contest]) return;
+    if (uses[lineup] >= maxUses) return;
+    assigned[contest].add(lineup);
+    uses[lineup]++;
+  });
+
+  // With a usage cap the greedy pass can spend a lineup where it adds less;
+  // trade lineups in and out until nothing gains
+  if (Number.isFinite(maxUses)) {
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      const improved =
+        replaceEntries(evTable, assigned, uses, maxUses) ||
+        exchangeEntries(evTable, assigned);
+      if (!improved) break;
+    }
+  }
+
+  return assigned.map((lineups, contest) =>
+    [...lineups].sort(
+      (a, b) => evTable[contest][b] - evTable[contest][a] || a - b
+    )
+  );
+}
+
+// Swap an entry's lineup for a better one that still has uses left
+function replaceEntries(evTable, assigned, uses, maxUses) {
+  let improved = false;
+  assigned.forEach((lineups, contest) => {
+    [...lineups].forEach((current) => {
+      let best = null;
+      let bestEv = evTable[contest][current] + EPSILON;
+      evTable[contest].forEach((ev, lineup) => {
+        if (lineups.has(lineup) || uses[lineup] >= maxUses) return;
+        if (ev > bestEv) {
+          best = lineup;
+          bestEv = ev;
+        }
+      });
+      if (best === null) return;
+      lineups.delete(current);
+      lineups.add(best);
+      uses[current]--;
+      uses[best]++;
+      improved = true;
+    });
+  });
+  return improved;
+}
+
+// Trade lineups between two contests when both together gain
+function exchangeEntries(evTable, assigned) {
+  let improved = false;
+  for (let a = 0; a < assigned.length; a++) {
+    for (let b = a + 1; b < assigned.length; b++) {
+      for (const first of [...assigned[a]]) {
+        for (const second of [...assigned[b]]) {
+          if (first === second) continue;
+          if (assigned[a].has(second) || assigned[b].has(first)) continue;
+          const gain =
+            evTable[a][second] +
+            evTable[b][first] -
+            evTable[a][first] -
+            evTable[b][second];
+          if (gain <= EPSILON) continue;
+          assigned[a].delete(first);
+          assigned[a].add(second);
+          assigned[b].delete(second);
+          assigned[b].add(first);
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+  return improved;
+}
+
+module.exports = {
+  allocateEntries,
+};
@@ -0,0 +1,186 @@
+/**
+ * Contest backtest
+ * Scores lineups with the players' actual fantasy points and places each one
+ * in a past contest's real standings, as if it had been one more entry.
+ * Entries tied on points split the prizes of the places they share.
+ */
+
+const { CAPTAIN_MULTIPLIER } = require("../utils/captain");
+
+const TOP_SHARE = 0.01; // "Top 1%" finishes
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Actual points by normalized player name: the pool's actualPoints, else the
+ * FPTS the contest standings list
+ */
+function buildActualPoints(poolPlayers = [], standingsPlayers = []) {
+  const actualPoints = new Map();
+  standingsPlayers.forEach((player) => {
+    if (Number.isFinite(player.fantasyPoints)) {
+      actualPoints.set(normalize(player.name), player.fantasyPoints);
+    }
+  });
+  poolPlayers.forEach((player) => {
+    const points = parseFloat(player.actualPoints);
+    if (Number.isFinite(points))
+      actualPoints.set(normalize(player.name), points);
+  });
+  return actualPoints;
+}
+
+/**
+ * Actual points of a lineup; DraftKings scores the captain at 1.5x
+ * @param {Object} lineup - { cpt, players }
+ * @param {Map} actualPoints - normalized player name -> fantasy points
+ * @returns {Object} { points, missing } with the names that had no score
+ */
+function scoreLineup(lineup, actualPoints) {
+  const missing = [];
+  const pointsFor = (player) => {
+    const points = actualPoints.get(normalize(player?.name));
+    if (points === undefined) {
+      missing.push(player?.name || "(empty slot)");
+      return 0;
+    }
+    return points;
+  };
+
+  let points = lineup.cpt ? pointsFor(lineup.cpt) * CAPTAIN_MULTIPLIER : 0;
+  (lineup.players || []).forEach((player) => {
+    points += pointsFor(player);
+  });
+  return { points: Math.round(points * 100) / 100, missing };
+}
+
+/**
+ * Place a score among the contest's entries
+ * @param {number} points
+ * @param {Array} fieldScores - Entry scores, best first
+ * @param {Array} payoutTable - Prize per place (index 0 = 1st place)
+ * @returns {Object} { rank, ties, payout }
+ */
+function placeInField(points, fieldScores, payoutTable) {
+  const above = countAbove(fieldScores, points);
+  let ties = 0;
+  while (
+    above + ties < fieldScores.length &&
+    fieldScores[above + ties] === points
+  ) {
+    ties++;
+  }
+
+  // Our entry and the tied ones share places rank .. rank + ties
+  let prizes = 0;
+  for (let place = above; place <= above + ties; place++) {
+    prizes += payoutTable[place] || 0;
+  }
+  return { rank: above + 1, ties, payout: prizes / (ties + 1) };
+}
+
+/**
+ * Score and place every lineup, then total ROI, cash rate and top-1% rate
+ * @param {Array} lineups - { id, name, cpt, players }
+ * @param {Object} contest - { entries: [{ points }], entryFee }
+ * @param {Object} options - { actualPoints (Map), payoutTable }
+ */
+function runBacktest(lineups, contest, { actualPoints, payoutTable }) {
+  const fieldScores = contest.entries
+    .map((entry) => entry.points)
+    .sort((a, b) => b - a);
+  const fieldSize = fieldScores.length + 1; // The contest with our entry in it
+  const topPlace = Math.max(1, Math.ceil(fieldSize * TOP_SHARE));
+  const entryFee = contest.entryFee || 0;
+
+  const results = lineups.map((lineup) => {
+    const { points, missing } = scoreLineup(lineup, actualPoints);
+    const { rank, ties, payout } = placeInField(
+      points,
+      fieldScores,
+      payoutTable
+    );
+    return {
+      id: lineup.id,
+      name: lineup.name,
+      cpt: lineup.cpt?.name || null,
+      players: (lineup.players || []).map((player) => player?.name),
+      projectedPoints: lineup.projectedPoints ?? lineup.totalProjection ?? null,
+      actualPoints: points,
+      rank,
+      ties,
+      percentile: ((fieldSize - rank) / (fieldSize - 1 || 1)) * 100,
+      payout: Math.round(payout * 100) / 100,
+      cashed: payout > 0,
+      top1: rank <= topPlace,
+      missingPlayers: missing,
+    };
+  });
+
+  const count = results.length;
+  const totalCost = entryFee * count;
+  const totalWinnings = results.reduce((sum, result) => sum + result.payout, 0);
+  const rate = (predicate) =>
+    count > 0 ? (results.filter(predicate).length / count) * 100 : 0;
+
+  // Lowest scores that paid and that made the top 1% in the real contest
+  const paidPlaces = payoutTable.filter((prize) => prize > 0).length;
+  const lineAt = (places) =>
+    places > 0 && fieldScores.length > 0
+      ? fieldScores[Math.min(places, fieldScores.length) - 1]
+      : null;
+
+  return {
+    lineups: results,
+    summary: {
+      lineups: count,
+      fieldSize: fieldScores.length,
+      entryFee,
+      totalCost,
+      totalWinnings: Math.round(totalWinnings * 100) / 100,
+      profit: Math.round((totalWinnings - totalCost) * 100) / 100,
+      roi: totalCost > 0 ? ((totalWinnings - totalCost) / totalCost) * 100 : 0,
+      cashRate: rate((result) => result.cashed),
+      top1Rate: rate((result) => result.top1),
+      winRate: rate((result) => result.rank === 1),
+      bestRank: count > 0 ? Math.min(...results.map((r) => r.rank)) : null,
+      averagePoints:
+        count > 0
+          ? results.reduce((sum, result) => sum + result.actualPoints, 0) /
+            count
+          : 0,
+      averagePercentile:
+        count > 0
+          ? results.reduce((sum, result) => sum + result.percentile, 0) / count
+          : 0,
+      winningScore: fieldScores.length > 0 ? fieldScores[0] : null,
+      cashLine: lineAt(paidPlaces),
+      top1Line: lineAt(topPlace),
+      lineupsMissingScores: results.filter(
+        (result) => result.missingPlayers.length > 0
+      ).length,
+    },
+  };
+}
+
+// Entries scoring more than `points` in a best-first list
+function countAbove(scores, points) {
+  let low = 0;
+  let high = scores.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (scores[mid] > points) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+module.exports = {
+  buildActualPoints,
+  scoreLineup,
+  placeInField,
+  runBacktest,
+};
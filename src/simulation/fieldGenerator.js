@@ -0,0 +1,499 @@
+/**
+ * Synthetic opponent field
+ * Builds the lineups a showdown field is likely to enter: captains and flex
+ * players drawn by projected ownership, a stack on the captain's team with a
+ * bring-back from its opponent, and little salary left unused. Identical
+ * lineups are kept once with a count, so the field carries its own
+ * duplicates.
+ */
+
+const { createRng, generateSeed } = require("../utils/random");
+const {
+  CAPTAIN_POSITIONS,
+  getCaptainSalary,
+  getCaptainProjection,
+  getCaptainOwnership,
+} = require("../utils/captain");
+const { AppError } = require("../middleware/errorHandler");
+
+const FLEX_POSITIONS = ["TOP", "JNG", "MID", "ADC", "SUP", "TEAM"];
+const LINEUP_ATTEMPTS = 25;
+const MIN_WEIGHT = 0.5; // Ownership floor so 0% players still show up
+const CALIBRATION_SAMPLE = 2000;
+
+// Share of lineups by roster spots (CPT and TEAM included) taken from the
+// captain's team
+const DEFAULT_STACK_SIZES = { 2: 0.1, 3: 0.3, 4: 0.45, 5: 0.15 };
+
+const DEFAULT_OPTIONS = {
+  size: 1176,
+  salaryCap: 50000,
+  minSalaryUsage: 0.9, // Lineups below this share of the cap are redrawn
+  bringBack: 2, // Weight on the captain's opponent for the unstacked spots
+  stackSizes: DEFAULT_STACK_SIZES,
+  calibrationRounds: 2, // Passes pulling field exposure toward ownership
+  seed: null, // Generated when neither seed nor random is given
+  random: null,
+};
+
+/**
+ * Generate an opponent field
+ * @param {Array} players - Player pool ({ name, team, opp, position, salary,
+ *   ownership, projectedPoints | median, cpt* })
+ * @param {Object} options - See DEFAULT_OPTIONS
+ * @returns {Object} { size, seed, salaryCap, lineups, entries, summary }:
+ *   `lineups` are the distinct lineups with their `count`, `entries` the
+ *   index into `lineups` of every entry in the order drawn
+ */
+function generateField(players, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) settings[key] = value;
+  });
+  const seed = settings.random
+    ? settings.seed
+    : (settings.seed ?? generateSeed());
+  const random = settings.random || createRng(seed);
+  const size = Math.max(0, parseInt(settings.size) || 0);
+
+  const pool = buildPool(players);
+  const generator = new FieldDraw(pool, settings, random);
+
+  for (let round = 0; round < settings.calibrationRounds; round++) {
+    const sample = generator.draw(Math.min(size, CALIBRATION_SAMPLE));
+    generator.calibrate(sample);
+  }
+  const { lineups, entries } = generator.draw(size);
+
+  const field = {
+    size,
+    seed,
+    salaryCap: settings.salaryCap,
+    lineups: lineups.map((lineup, index) => ({
+      id: `field-${index + 1}`,
+      cpt: toSlot(pool[lineup.cpt], true),
+      players: lineup.players.map((i) => toSlot(pool[i], false)),
+      count: lineup.count,
+      salary: lineup.salary,
+      projectedPoints:
+        pool[lineup.cpt].cptProjectedPoints +
+        lineup.players.reduce((sum, i) => sum + pool[i].projectedPoints, 0),
+    })),
+    entries,
+  };
+  field.summary = summarizeField(field, pool);
+  return field;
+}
+
+/**
+ * Identity of a lineup (captain plus flex players by name), shared by field
+ * and saved lineups
+ */
+const lineupKey = (lineup) =>
+  [
+    lineup.cpt?.name ?? "",
+    ...(lineup.players || []).map((player) => player?.name ?? "").sort(),
+  ].join("|");
+
+/**
+ * Counts per field lineup when only the first `size` entries enter, e.g. a
+ * contest field with our own entries taken out
+ * @returns {Array} Count per `field.lineups` index
+ */
+function fieldCounts(field, size = field.size) {
+  if (size >= field.entries.length) {
+    return field.lineups.map((lineup) => lineup.count);
+  }
+  const counts = new Array(field.lineups.length).fill(0);
+  for (let i = 0; i < size; i++) counts[field.entries[i]]++;
+  return counts;
+}
+
+// Pool players with captain values resolved, one per name
+function buildPool(players) {
+  const seen = new Set();
+  const pool = [];
+  players.forEach((player) => {
+    if (!player?.name || seen.has(player.name)) return;
+    if (!FLEX_POSITIONS.includes(player.position)) return;
+    seen.add(player.name);
+
+    const projectedPoints =
+      parseFloat(player.projectedPoints ?? player.median) || 0;
+    pool.push({
+      id: player.id,
+      name: player.name,
+      team: player.team || "",
+      opp: player.opp || player.opponent || "",
+      position: player.position,
+      salary: parseFloat(player.salary) || 0,
+      ownership: parseFloat(player.ownership) || 0,
+      projectedPoints,
+      cptSalary: getCaptainSalary(player),
+      cptOwnership: getCaptainOwnership(player),
+      cptProjectedPoints: getCaptainProjection({ ...player, projectedPoints }),
+    });
+  });
+
+  const missing = FLEX_POSITIONS.filter(
+    (position) => !pool.some((player) => player.position === position)
+  );
+  if (missing.length > 0) {
+    throw new AppError(
+      `Player pool is missing positions: ${missing.join(", ")}`,
+      400
+    );
+  }
+  return pool;
+}
+
+// Lineup slot copy; captains at their CPT salary
+const toSlot = (player, asCaptain) => ({
+  id: player.id,
+  name: player.name,
+  team: player.team,
+  opponent: player.opp,
+  position: player.position,
+  salary: asCaptain ? player.cptSalary : player.salary,
+});
+
+/**
+ * Draws lineups from a pool; calibrate() reweights players whose field
+ * exposure strays from their projected ownership
+ */
+class FieldDraw {
+  constructor(pool, settings, random) {
+    this.pool = pool;
+    this.settings = settings;
+    this.random = random;
+    this.flexScale = new Float64Array(pool.length).fill(1);
+    this.cptScale = new Float64Array(pool.length).fill(1);
+
+    this.byPosition = {};
+    FLEX_POSITIONS.forEach((position) => {
+      this.byPosition[position] = [];
+    });
+    this.captains = [];
+    pool.forEach((player, index) => {
+      this.byPosition[player.position].push(index);
+      if (CAPTAIN_POSITIONS.includes(player.position)) {
+        this.captains.push(index);
+      }
+    });
+
+    // Opponents from the pool, or the other team of a single game
+    this.opponents = new Map();
+    const teams = [...new Set(pool.map((player) => player.team))];
+    pool.forEach((player) => {
+      if (player.opp && teams.includes(player.opp)) {
+        this.opponents.set(player.team, player.opp);
+        this.opponents.set(player.opp, player.team);
+      }
+    });
+    if (this.opponents.size === 0 && teams.length === 2) {
+      this.opponents.set(teams[0], teams[1]);
+      this.opponents.set(teams[1], teams[0]);
+    }
+
+    this.minSalary = {};
+    FLEX_POSITIONS.forEach((position) => {
+      this.minSalary[position] = Math.min(
+        ...this.byPosition[position].map((index) => pool[index].salary)
+      );
+    });
+
+    this.stackSizes = Object.entries(settings.stackSizes)
+      .map(([spots, share]) => [parseInt(spots), parseFloat(share)])
+      .filter(([spots, share]) => spots >= 1 && share > 0);
+  }
+
+  flexWeight(index) {
+    return (
+      Math.max(this.pool[index].ownership, MIN_WEIGHT) * this.flexScale[index]
+    );
+  }
+
+  captainWeight(index) {
+    return (
+      Math.max(this.pool[index].cptOwnership, MIN_WEIGHT) * this.cptScale[index]
+    );
+  }
+
+  draw(count) {
+    const lineups = [];
+    const byKey = new Map();
+    const entries = [];
+
+    for (let n = 0; n < count; n++) {
+      const lineup = this.drawLineup();
+      const key = `${lineup.cpt}|${[...lineup.players].sort((a, b) => a - b)}`;
+      if (!byKey.has(key)) {
+        byKey.set(key, lineups.length);
+        lineups.push({ ...lineup, count: 0 });
+      }
+      const index = byKey.get(key);
+      lineups[index].count++;
+      entries.push(index);
+    }
+
+    return { lineups, entries };
+  }
+
+  // One lineup; redrawn until it fits the cap and uses enough of it
+  drawLineup() {
+    const { salaryCap, minSalaryUsage } = this.settings;
+    let best = null;
+    let last = null;
+
+    for (let attempt = 0; attempt < LINEUP_ATTEMPTS; attempt++) {
+      const lineup = this.drawRoster();
+      const teams = new Set(
+        [lineup.cpt, ...lineup.players].map((index) => this.pool[index].team)
+      );
+      last = lineup;
+      if (lineup.salary > salaryCap || teams.size < 2) continue;
+      if (lineup.salary >= salaryCap * minSalaryUsage) return lineup;
+      if (!best || lineup.salary > best.salary) best = lineup;
+    }
+
+    return best || last;
+  }
+
+  drawRoster() {
+    const cpt = weightedPick(this.random, this.captains, (index) =>
+      this.captainWeight(index)
+    );
+    const team = this.pool[cpt].team;
+    const opponent = this.opponents.get(team);
+    const stacked = this.pickStackedPositions(cpt, this.pickStackSize() - 1);
+
+    // Fill the flex spots in random order, each from the players that
+    // still leave room under the cap for the cheapest open spots
+    let salary = this.pool[cpt].cptSalary;
+    const open = shuffle(this.random, [...FLEX_POSITIONS]);
+    const picks = {};
+    while (open.length > 0) {
+      const position = open.shift();
+      const reserved = open.reduce(
+        (sum, next) => sum + this.minSalary[next],
+        0
+      );
+      const eligible = this.byPosition[position].filter(
+        (index) => index !== cpt
+      );
+      const affordable = eligible.filter(
+        (index) =>
+          salary + this.pool[index].salary + reserved <= this.settings.salaryCap
+      );
+      const pool = affordable.length > 0 ? affordable : eligible;
+      const candidates = pool.filter(
+        (index) => (this.pool[index].team === team) === stacked.has(position)
+      );
+
+      const pick = weightedPick(
+        this.random,
+        candidates.length > 0 ? candidates : pool,
+        (index) =>
+          this.flexWeight(index) *
+          (opponent && this.pool[index].team === opponent
+            ? this.settings.bringBack
+            : 1)
+      );
+      if (pick === undefined) continue;
+      picks[position] = pick;
+      salary += this.pool[pick].salary;
+    }
+
+    const players = FLEX_POSITIONS.map((position) => picks[position]).filter(
+      (index) => index !== undefined
+    );
+    return { cpt, players, salary };
+  }
+
+  pickStackSize() {
+    const total = this.stackSizes.reduce((sum, [, share]) => sum + share, 0);
+    let r = this.random() * total;
+    for (const [spots, share] of this.stackSizes) {
+      r -= share;
+      if (r <= 0) return spots;
+    }
+    return this.stackSizes.length > 0
+      ? this.stackSizes[this.stackSizes.length - 1][0]
+      : 1;
+  }
+
+  // Flex positions filled from the captain's team, weighted by how owned
+  // the captain's teammates are at each
+  pickStackedPositions(cpt, count) {
+    const team = this.pool[cpt].team;
+    const weights = new Map();
+    FLEX_POSITIONS.forEach((position) => {
+      const weight = this.byPosition[position]
+        .filter((index) => index !== cpt && this.pool[index].team === team)
+        .reduce((sum, index) => sum + this.flexWeight(index), 0);
+      if (weight > 0) weights.set(position, weight);
+    });
+
+    const stacked = new Set();
+    while (stacked.size < count && weights.size > 0) {
+      const position = weightedPick(this.random, [...weights.keys()], (key) =>
+        weights.get(key)
+      );
+      stacked.add(position);
+      weights.delete(position);
+    }
+    return stacked;
+  }
+
+  /**
+   * Scale each player's weight by the square root of target over drawn
+   * exposure, per flex position and for the CPT slot
+   */
+  calibrate({ lineups }) {
+    const total = lineups.reduce((sum, lineup) => sum + lineup.count, 0);
+    if (total === 0) return;
+
+    const flexCounts = new Float64Array(this.pool.length);
+    const cptCounts = new Float64Array(this.pool.length);
+    lineups.forEach(({ cpt, players, count }) => {
+      cptCounts[cpt] += count;
+      players.forEach((index) => {
+        flexCounts[index] += count;
+      });
+    });
+
+    const adjust = (indexes, ownership, counts, scale) => {
+      const ownershipTotal = indexes.reduce(
+        (sum, index) => sum + Math.max(ownership(index), 0),
+        0
+      );
+      if (ownershipTotal <= 0) return;
+      indexes.forEach((index) => {
+        const target = Math.max(ownership(index), 0) / ownershipTotal;
+        const drawn = Math.max(counts[index], 0.5) / total;
+        scale[index] *= Math.min(2, Math.max(0.5, Math.sqrt(target / drawn)));
+      });
+    };
+
+    FLEX_POSITIONS.forEach((position) =>
+      adjust(
+        this.byPosition[position],
+        (index) => this.pool[index].ownership,
+        flexCounts,
+        this.flexScale
+      )
+    );
+    adjust(
+      this.captains,
+      (index) => this.pool[index].cptOwnership,
+      cptCounts,
+      this.cptScale
+    );
+  }
+}
+
+/**
+ * Duplicates, salary usage, stack shapes and exposure against projected
+ * ownership
+ */
+function summarizeField(field, pool) {
+  const { size, lineups, salaryCap } = field;
+  const flexCounts = new Map();
+  const cptCounts = new Map();
+  const shapes = {};
+  const usage = [];
+
+  lineups.forEach((lineup) => {
+    const { cpt, players, count } = lineup;
+    cptCounts.set(cpt.name, (cptCounts.get(cpt.name) || 0) + count);
+    const teamCounts = {};
+    [cpt, ...players].forEach((player) => {
+      teamCounts[player.team] = (teamCounts[player.team] || 0) + 1;
+    });
+    players.forEach((player) => {
+      flexCounts.set(player.name, (flexCounts.get(player.name) || 0) + count);
+    });
+
+    const shape = Object.values(teamCounts)
+      .sort((a, b) => b - a)
+      .join("-");
+    shapes[shape] = (shapes[shape] || 0) + count;
+    for (let i = 0; i < count; i++) usage.push(lineup.salary / salaryCap);
+  });
+  usage.sort((a, b) => a - b);
+
+  const pct = (count) => (size > 0 ? (count / size) * 100 : 0);
+  const at = (p) =>
+    usage.length > 0
+      ? usage[Math.min(usage.length - 1, Math.floor(usage.length * p))] * 100
+      : 0;
+  const duplicated = lineups.filter((lineup) => lineup.count > 1);
+
+  return {
+    size,
+    uniqueLineups: lineups.length,
+    duplicatedEntries: duplicated.reduce(
+      (sum, lineup) => sum + lineup.count,
+      0
+    ),
+    maxDuplicates: lineups.reduce(
+      (max, lineup) => Math.max(max, lineup.count),
+      0
+    ),
+    salaryUsage: { p10: at(0.1), p50: at(0.5), p90: at(0.9) },
+    stackShapes: Object.fromEntries(
+      Object.entries(shapes)
+        .sort(([, a], [, b]) => b - a)
+        .map(([shape, count]) => [shape, pct(count)])
+    ),
+    players: pool.map((player) => ({
+      name: player.name,
+      team: player.team,
+      position: player.position,
+      ownership: player.ownership,
+      fieldOwnership: pct(flexCounts.get(player.name) || 0),
+      cptOwnership: CAPTAIN_POSITIONS.includes(player.position)
+        ? player.cptOwnership
+        : null,
+      fieldCptOwnership: CAPTAIN_POSITIONS.includes(player.position)
+        ? pct(cptCounts.get(player.name) || 0)
+        : null,
+    })),
+    topLineups: [...duplicated]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10)
+      .map((lineup) => ({
+        cpt: lineup.cpt.name,
+        players: lineup.players.map((player) => player.name),
+        count: lineup.count,
+        projectedPoints: lineup.projectedPoints,
+      })),
+  };
+}
+
+// Fisher-Yates, in place
+function shuffle(random, items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+function weightedPick(random, items, weight) {
+  if (items.length === 0) return undefined;
+  const total = items.reduce((sum, item) => sum + weight(item), 0);
+  let r = random() * total;
+  for (const item of items) {
+    r -= weight(item);
+    if (r <= 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+module.exports = {
+  DEFAULT_STACK_SIZES,
+  generateField,
+  fieldCounts,
+  lineupKey,
+};
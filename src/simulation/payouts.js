@@ -0,0 +1,238 @@
+/**
+ * Contest payouts
+ * A payout structure is a list of place ranges with a prize each:
+ *   { contestType, entryFee, fieldSize, maxEntries, prizePool,
+ *     tiers: [{ minPlace, maxPlace, payout }] }
+ * Every simulator expands the same structure into a per-place table.
+ */
+
+const { AppError } = require("../middleware/errorHandler");
+// Shared with the client ROI calculator
+const { expandPayoutTable } = require("../../client/src/lib/payoutTable");
+
+const DEFAULT_ENTRY_FEE = 5;
+const DEFAULT_FIELD_SIZE = 1176;
+
+// Contest templates (DraftKings-style rake and cash lines)
+const PAYOUT_TEMPLATES = {
+  gpp: {
+    name: "GPP Tournament",
+    maxEntries: 150,
+    rake: 0.15,
+    paidFraction: 0.2,
+    minCashMultiple: 2,
+    topHeaviness: 1.2,
+  },
+  three_max: {
+    name: "3-Max Tournament",
+    maxEntries: 3,
+    rake: 0.15,
+    paidFraction: 0.22,
+    minCashMultiple: 2,
+    topHeaviness: 1.1,
+  },
+  single_entry: {
+    name: "Single Entry Tournament",
+    maxEntries: 1,
+    rake: 0.15,
+    paidFraction: 0.25,
+    minCashMultiple: 1.8,
+    topHeaviness: 1.0,
+  },
+  fifty_fifty: {
+    name: "50/50",
+    maxEntries: 1,
+    flatMultiple: 1.8,
+    paidFraction: 0.5,
+  },
+  double_up: {
+    name: "Double Up",
+    maxEntries: 1,
+    flatMultiple: 2,
+    paidFraction: 0.45,
+  },
+};
+
+// Round a prize to the increments DraftKings uses
+function roundPrize(amount) {
+  if (amount >= 1000) return Math.round(amount / 10) * 10;
+  if (amount >= 100) return Math.round(amount);
+  if (amount >= 10) return Math.round(amount * 2) / 2;
+  return Math.round(amount * 100) / 100;
+}
+
+// Merge consecutive places that pay the same amount into tiers
+function compressPayouts(perPlace) {
+  const tiers = [];
+  perPlace.forEach((payout, i) => {
+    const last = tiers[tiers.length - 1];
+    if (last && last.payout === payout && last.maxPlace === i) {
+      last.maxPlace = i + 1;
+    } else if (payout > 0) {
+      tiers.push({ minPlace: i + 1, maxPlace: i + 1, payout });
+    }
+  });
+  return tiers;
+}
+
+/**
+ * Build a payout structure from a contest template
+ * @param {string} type - gpp | three_max | single_entry | fifty_fifty | double_up
+ * @param {Object} options - entryFee, fieldSize
+ */
+function createPayoutTemplate(type, options = {}) {
+  const template = PAYOUT_TEMPLATES[type];
+  if (!template) {
+    throw new AppError(
+      `Unknown payout template '${type}'. Use one of: ${Object.keys(
+        PAYOUT_TEMPLATES
+      ).join(", ")}`,
+      400
+    );
+  }
+
+  const entryFee = parseFloat(options.entryFee ?? DEFAULT_ENTRY_FEE);
+  const fieldSize = parseInt(options.fieldSize ?? DEFAULT_FIELD_SIZE);
+  if (!(entryFee >= 0) || !(fieldSize >= 2)) {
+    throw new AppError("Template needs entryFee >= 0 and fieldSize >= 2", 400);
+  }
+
+  const paidPlaces = Math.max(1, Math.floor(fieldSize * template.paidFraction));
+  let perPlace;
+
+  if (template.flatMultiple) {
+    perPlace = Array(paidPlaces).fill(
+      roundPrize(entryFee * template.flatMultiple)
+    );
+  } else {
+    // Min cash for every paid place plus a power-law share of the rest
+    const prizePool = entryFee * fieldSize * (1 - template.rake);
+    const minCash = entryFee * template.minCashMultiple;
+    const extra = Math.max(0, prizePool - minCash * paidPlaces);
+    const floor = Math.pow(paidPlaces, -template.topHeaviness);
+    const weights = Array.from(
+      { length: paidPlaces },
+      (_, i) => Math.pow(i + 1, -template.topHeaviness) - floor
+    );
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0) || 1;
+    perPlace = weights.map((w) =>
+      roundPrize(minCash + (extra * w) / totalWeight)
+    );
+  }
+
+  const tiers = compressPayouts(perPlace);
+  return {
+    name: template.name,
+    contestType: type,
+    entryFee,
+    fieldSize,
+    maxEntries: template.maxEntries,
+    prizePool: totalPrizePool(tiers),
+    tiers,
+  };
+}
+
+/**
+ * Normalize payout input into sorted, non-overlapping tiers. Accepts:
+ * - tiers: [{ minPlace, maxPlace, payout }]
+ * - rows from a CSV/JSON file: [{ place: "2-5", payout: "$1,000" }]
+ * - a per-place prize array: [1000, 500, 250]
+ */
+function normalizePayoutTiers(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new AppError("Payout structure must contain at least one tier", 400);
+  }
+
+  let tiers;
+  if (input.every((value) => typeof value === "number")) {
+    tiers = compressPayouts(input.map((value) => Math.max(0, value)));
+  } else {
+    tiers = input.map((row, i) => parsePayoutRow(row, i));
+  }
+
+  tiers.sort((a, b) => a.minPlace - b.minPlace);
+  tiers.forEach((tier, i) => {
+    if (i > 0 && tier.minPlace <= tiers[i - 1].maxPlace) {
+      throw new AppError(`Payout tiers overlap at place ${tier.minPlace}`, 400);
+    }
+  });
+
+  return tiers.filter((tier) => tier.payout > 0);
+}
+
+// Read one tier from { minPlace, maxPlace, payout } or { place: "1-5", prize }
+function parsePayoutRow(row, index) {
+  const pick = (...keys) => {
+    const key = Object.keys(row).find((k) =>
+      keys.includes(k.trim().toLowerCase())
+    );
+    return key !== undefined ? row[key] : undefined;
+  };
+
+  let minPlace = parseInt(pick("minplace", "min place", "from"));
+  let maxPlace = parseInt(pick("maxplace", "max place", "to"));
+  const place = pick("place", "places", "rank", "position", "finish");
+  if (place !== undefined && !Number.isInteger(minPlace)) {
+    const match = String(place).match(/(\d[\d,]*)\D*(\d[\d,]*)?/);
+    if (match) {
+      minPlace = parseInt(match[1].replace(/,/g, ""));
+      maxPlace = match[2] ? parseInt(match[2].replace(/,/g, "")) : minPlace;
+    }
+  }
+  if (!Number.isInteger(maxPlace)) maxPlace = minPlace;
+
+  const payout = parseFloat(
+    String(pick("payout", "prize", "amount", "winnings") ?? "").replace(
+      /[$,\s]/g,
+      ""
+    )
+  );
+
+  if (
+    !Number.isInteger(minPlace) ||
+    minPlace < 1 ||
+    maxPlace < minPlace ||
+    !Number.isFinite(payout) ||
+    payout < 0
+  ) {
+    throw new AppError(`Invalid payout tier on row ${index + 1}`, 400);
+  }
+
+  return { minPlace, maxPlace, payout };
+}
+
+function totalPrizePool(tiers) {
+  const total = tiers.reduce(
+    (sum, tier) => sum + tier.payout * (tier.maxPlace - tier.minPlace + 1),
+    0
+  );
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Prize for every finishing place (index 0 = 1st place).
+ * `payoutStructure` may be a stored structure (with `tiers`), a tier list or
+ * a per-place prize array; without one the GPP template for the contest is
+ * used.
+ */
+function buildPayoutTable(fieldSize, entryFee, payoutStructure = null) {
+  if (payoutStructure && Array.isArray(payoutStructure.tiers)) {
+    return expandPayoutTable(payoutStructure.tiers, fieldSize);
+  }
+  if (Array.isArray(payoutStructure) && payoutStructure.length > 0) {
+    return expandPayoutTable(normalizePayoutTiers(payoutStructure), fieldSize);
+  }
+  return expandPayoutTable(
+    createPayoutTemplate("gpp", { entryFee, fieldSize }).tiers,
+    fieldSize
+  );
+}
+
+module.exports = {
+  PAYOUT_TEMPLATES,
+  createPayoutTemplate,
+  normalizePayoutTiers,
+  expandPayoutTable,
+  buildPayoutTable,
+  totalPrizePool,
+};
@@ -0,0 +1,443 @@
+/**
+ * Series Model
+ * Series outcome, sweep and player scoring model shared by worker.js and
+ * the contest simulator
+ *
+ * Every random draw goes through the trailing `random` argument (default
+ * Math.random); pass a seeded generator from utils/random for repeatable runs
+ */
+
+const {
+  buildPlayerDistribution,
+  getQuantile,
+} = require("../utils/distribution");
+const { getCaptainMultiplier } = require("../utils/captain");
+
+// Generate skewed random value for better modeling of fantasy variance
+function generateSkewedRandomValue(min, max, skew = 1, random = Math.random) {
+  let u = random();
+  if (skew !== 1) {
+    u = Math.pow(u, skew);
+  }
+  return min + (max - min) * u;
+}
+
+// Function to generate correlated random values
+function generateCorrelatedRandoms(n, correlation, random = Math.random) {
+  // Generate independent random values
+  const independent = Array(n)
+    .fill(0)
+    .map(() => random());
+
+  // Generate a common random value
+  const common = random();
+
+  // Mix independent and common values based on correlation
+  return independent.map((ind) => {
+    // combine independent value with common value based on correlation
+    return Math.sqrt(correlation) * common + Math.sqrt(1 - correlation) * ind;
+  });
+}
+
+// Standard normal draw (Box-Muller)
+function generateNormalRandom(random = Math.random) {
+  let u = 0;
+  let v = 0;
+  while (u === 0) u = random();
+  while (v === 0) v = random();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * (Math.abs(z) / Math.SQRT2));
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-(z * z) / 2);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// Gaussian copula: n uniforms in (0, 1) sharing a common factor
+function generateCorrelatedUniforms(n, correlation, random = Math.random) {
+  const common = generateNormalRandom(random);
+  return Array.from({ length: n }, () => {
+    const z =
+      Math.sqrt(correlation) * common +
+      Math.sqrt(1 - correlation) * generateNormalRandom(random);
+    return Math.min(1 - 1e-6, Math.max(1e-6, normalCdf(z)));
+  });
+}
+
+// Convert moneyline odds to win probability (missing odds = coin flip)
+function oddsToWinProbability(teamOdds) {
+  if (!teamOdds || !Number.isFinite(teamOdds)) {
+    return 0.5;
+  }
+  if (teamOdds < 0) {
+    return Math.abs(teamOdds) / (Math.abs(teamOdds) + 100);
+  }
+  return 100 / (teamOdds + 100);
+}
+
+// Convert a win probability to moneyline odds
+function winProbabilityToOdds(probability) {
+  const p = Math.min(0.99, Math.max(0.01, probability));
+  return p >= 0.5
+    ? -Math.round((100 * p) / (1 - p))
+    : Math.round((100 * (1 - p)) / p);
+}
+
+// Calculate probability of a 2-0 sweep based on odds
+function calculateSweepProbability(teamOdds) {
+  const impliedProb = oddsToWinProbability(teamOdds);
+
+  // Square the probability to get 2-0 sweep chance (accounting for momentum)
+  return Math.pow(impliedProb, 1.8);
+}
+
+// Calculate GNP+ bonus based on series outcome
+function calculateGNPBonus(teamWon, isSweep) {
+  if (teamWon && isSweep) {
+    return 20; // 20 points per game not played
+  }
+  return 0;
+}
+
+// Function to simulate series outcomes
+function simulateSeriesOutcome(teamOdds, random = Math.random) {
+  const winProbability = oddsToWinProbability(teamOdds);
+
+  // Determine if team wins the series
+  const teamWins = random() < winProbability;
+
+  // If team wins, determine if it's a 2-0 sweep
+  const sweepProbability = calculateSweepProbability(teamOdds);
+  const isSweep = teamWins && random() < sweepProbability / winProbability;
+
+  return {
+    wins: teamWins,
+    isSweep: isSweep,
+    scoreline: teamWins
+      ? isSweep
+        ? "2-0"
+        : "2-1"
+      : random() < 0.7
+        ? "0-2"
+        : "1-2",
+  };
+}
+
+// The opponent's view of a simulated series
+function invertSeriesOutcome(outcome) {
+  return {
+    wins: !outcome.wins,
+    isSweep: !outcome.wins && outcome.scoreline === "0-2",
+    scoreline: outcome.scoreline.split("-").reverse().join("-"),
+  };
+}
+
+// Build the per-iteration slate environment
+function createSlateEnvironment(teams, random = Math.random) {
+  const slateEnv = {
+    // Global kill rate factor
+    globalKillFactor: generateSkewedRandomValue(0.85, 1.2, 1.1, random),
+
+    // Team factors
+    teamFactors: {},
+
+    // Positions that benefit in high-kill environments
+    highKillPositions: ["ADC", "MID", "JNG"],
+  };
+
+  // Generate team factors
+  teams.forEach((team) => {
+    slateEnv.teamFactors[team] = generateSkewedRandomValue(
+      0.85,
+      1.15,
+      1,
+      random
+    );
+  });
+
+  return slateEnv;
+}
+
+// Distribution per projection object, built on first use
+const projectionDistributions = new WeakMap();
+
+function getProjectionDistribution(player, playerProj) {
+  if (!projectionDistributions.has(playerProj)) {
+    projectionDistributions.set(
+      playerProj,
+      buildPlayerDistribution({
+        median: playerProj.median || 20,
+        floor: playerProj.floor,
+        ceiling: playerProj.ceiling,
+        stdDev: playerProj.posteriorStdDev ?? playerProj.stdDev,
+        percentiles: playerProj.percentiles,
+        position: player.position || playerProj.position,
+      })
+    );
+  }
+  return projectionDistributions.get(playerProj);
+}
+
+// Function to simulate player fantasy points
+// `u` is the uniform draw behind the base score, so callers can pass
+// team-correlated draws (null draws one from `random`)
+function simulatePlayerPoints(
+  player,
+  playerProj,
+  teamWins,
+  isSweep,
+  slateEnv,
+  u = null,
+  random = Math.random
+) {
+  if (!playerProj) {
+    return random() * 20; // Fallback value
+  }
+  if (u === null || u === undefined) {
+    u = random();
+  }
+
+  // Base score from the player's distribution: floor/ceiling as p10/p90,
+  // shaped by stdDev and any percentiles the projections provide
+  let baseScore = getQuantile(getProjectionDistribution(player, playerProj), u);
+
+  // Adjust based on win/loss with improved modeling
+  if (teamWins) {
+    // Winners score more, but with diminishing returns
+    const winBonus = 1.15 + random() * 0.1; // 15-25% boost
+    baseScore *= winBonus;
+  } else {
+    // Losers score less but with a floor
+    const lossPenalty = 0.8 + random() * 0.1; // 10-20% penalty
+    baseScore *= lossPenalty;
+  }
+
+  // Apply GNP bonus if applicable
+  const gnpBonus = calculateGNPBonus(teamWins, isSweep);
+  if (gnpBonus > 0) {
+    baseScore += gnpBonus;
+  }
+
+  // Apply improved slate environment factors
+  const teamFactor = slateEnv.teamFactors[player.team] || 1;
+  baseScore *= teamFactor;
+
+  // Position-specific adjustments based on slate environment
+  const positionFactor = slateEnv.highKillPositions.includes(player.position)
+    ? 1.1 + random() * 0.1 // High-kill positions have more variance
+    : 1.0 + random() * 0.05; // Less variance for other positions
+
+  baseScore *= positionFactor;
+
+  // Add "pop-off" chance - rare ceiling games
+  if (random() < 0.05) {
+    // 5% chance of pop-off
+    const popOffMultiplier = 1.2 + random() * 0.3; // 20-50% boost
+    baseScore *= popOffMultiplier;
+  }
+
+  return baseScore;
+}
+
+// Define position correlations - now with more realistic values
+const positionCorrelations = {
+  "MID-JNG": 0.65, // Strong correlation - jungle+mid synergy
+  "ADC-SUP": 0.72, // Strongest correlation - bot lane duo
+  "TOP-JNG": 0.42, // Moderate correlation - ganks and early game
+  "MID-ADC": 0.35, // Moderate correlation - carry positions
+  "TOP-MID": 0.28, // Weaker correlation
+  "JNG-SUP": 0.38, // Moderate - roaming and objective control
+  "TOP-ADC": 0.22, // Weaker correlation
+  "TOP-SUP": 0.18, // Weak correlation
+  "MID-SUP": 0.32, // Moderate - roaming supports
+  "JNG-ADC": 0.33, // Moderate - ganks and objectives
+};
+
+/**
+ * Shift simulated points between same-team players whose positions are
+ * correlated. `simResults` is keyed by player name and holds `{ base, final }`;
+ * `final` is adjusted in place.
+ */
+function applyPositionCorrelations(players, simResults, random = Math.random) {
+  // Create groups of position pairs
+  const positionPairs = [];
+
+  for (let i = 0; i < players.length; i++) {
+    for (let j = i + 1; j < players.length; j++) {
+      const player1 = players[i];
+      const player2 = players[j];
+
+      // Skip if they're on different teams
+      if (player1.team !== player2.team) continue;
+
+      // The table keys are not in a fixed order, so try both
+      const correlation =
+        positionCorrelations[`${player1.position}-${player2.position}`] ||
+        positionCorrelations[`${player2.position}-${player1.position}`] ||
+        0.1; // Default to weak correlation
+
+      if (correlation > 0.2) {
+        // Only consider significant correlations
+        positionPairs.push({
+          player1: player1.name,
+          player2: player2.name,
+          correlation: correlation,
+        });
+      }
+    }
+  }
+
+  // Apply position correlations
+  positionPairs.forEach((pair) => {
+    const result1 = simResults[pair.player1];
+    const result2 = simResults[pair.player2];
+    if (!result1 || !result2) return;
+
+    // Generate correlated adjustment
+    const correlationFactor = random() * pair.correlation;
+
+    // Apply to both players (smaller effect to higher base performer)
+    const total = result1.base + result2.base;
+    if (total > 0) {
+      const p1Share = result1.base / total;
+      const p2Share = result2.base / total;
+
+      result1.final += correlationFactor * result2.base * p2Share;
+      result2.final += correlationFactor * result1.base * p1Share;
+    }
+  });
+}
+
+// Function to create correlated fantasy performances for a lineup
+function simulateCorrelatedLineupPerformance(
+  lineup,
+  slateEnv,
+  playerProjections,
+  teamProjections,
+  random = Math.random
+) {
+  // Group players by team for team-level correlation
+  const teamGroups = {};
+
+  // Add captain to appropriate team group
+  const cptTeam = lineup.cpt.team;
+  if (!teamGroups[cptTeam]) teamGroups[cptTeam] = [];
+  teamGroups[cptTeam].push({ ...lineup.cpt, isCpt: true });
+
+  // Add players to team groups
+  lineup.players.forEach((player) => {
+    if (!teamGroups[player.team]) teamGroups[player.team] = [];
+    teamGroups[player.team].push(player);
+  });
+
+  // Simulate series outcomes for each team
+  const teamOutcomes = {};
+  Object.keys(teamGroups).forEach((team) => {
+    const teamOdds = teamProjections[team]?.odds || 0;
+    teamOutcomes[team] = simulateSeriesOutcome(teamOdds, random);
+  });
+
+  // Generate correlated fantasy performances within each team
+  const simResults = {};
+
+  Object.keys(teamGroups).forEach((team) => {
+    const players = teamGroups[team];
+    const teamWins = teamOutcomes[team].wins;
+    const isSweep = teamOutcomes[team].isSweep;
+
+    // Improved: Create stronger team-level correlation
+    const teamCorrelation = 0.7; // Strong team-level correlation
+    const teamRands = generateCorrelatedRandoms(
+      players.length,
+      teamCorrelation,
+      random
+    );
+
+    players.forEach((player, idx) => {
+      const playerName = player.name;
+      const playerProj = playerProjections[playerName];
+
+      // Simulate initial points with team-correlated randomness
+      const randFactor = teamRands[idx];
+      let pts = simulatePlayerPoints(
+        player,
+        playerProj,
+        teamWins,
+        isSweep,
+        slateEnv,
+        null,
+        random
+      );
+
+      // Apply CPT bonus if applicable: the listed CPT projection's ratio to
+      // the flex one, else 1.5x
+      if (player.isCpt) {
+        pts *= getCaptainMultiplier({
+          projectedPoints: playerProj?.median,
+          cptProjectedPoints: playerProj?.cptProjectedPoints,
+        });
+      }
+
+      simResults[playerName] = {
+        base: pts,
+        randFactor: randFactor,
+        teamWins: teamWins,
+        isSweep: isSweep,
+        final: pts, // Will be adjusted for position correlations
+      };
+    });
+  });
+
+  // Apply position-specific correlations (captain included)
+  applyPositionCorrelations(
+    [lineup.cpt, ...lineup.players],
+    simResults,
+    random
+  );
+
+  // Calculate final lineup score
+  let totalScore = 0;
+  Object.keys(simResults).forEach((playerName) => {
+    totalScore += simResults[playerName].final;
+  });
+
+  // Add current points from the in-progress games
+  if (lineup.currentPoints) {
+    Object.keys(lineup.currentPoints).forEach((playerName) => {
+      totalScore += lineup.currentPoints[playerName];
+    });
+  }
+
+  return {
+    totalScore: totalScore,
+    playerScores: simResults,
+    teamOutcomes: teamOutcomes,
+  };
+}
+
+module.exports = {
+  generateSkewedRandomValue,
+  generateCorrelatedRandoms,
+  generateNormalRandom,
+  generateCorrelatedUniforms,
+  normalCdf,
+  oddsToWinProbability,
+  winProbabilityToOdds,
+  calculateSweepProbability,
+  calculateGNPBonus,
+  simulateSeriesOutcome,
+  invertSeriesOutcome,
+  createSlateEnvironment,
+  simulatePlayerPoints,
+  positionCorrelations,
+  applyPositionCorrelations,
+  simulateCorrelatedLineupPerformance,
+};
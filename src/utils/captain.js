@@ -0,0 +1,2 @@
+// Captain (CPT) slot values, shared with the optimizers
+module.exports = require("../../client/src/lib/captain");
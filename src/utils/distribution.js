@@ -0,0 +1,2 @@
+// Player score distributions, shared with the optimizers
+module.exports = require("../../client/src/lib/playerDistribution");
@@ -0,0 +1,2 @@
+// Lineup duplication estimate, shared with the optimizers and lineup views
+module.exports = require("../../client/src/lib/duplication");
@@ -2,8 +2,16 @@
  * Utility functions for generating IDs and other common operations
  */
 
-// Generate random ID (same logic as in original server.js)
-const generateRandomId = () => Date.now() + Math.floor(Math.random() * 1000);
+// Generate random ID (same logic as in original server.js), never repeating
+// within a process so bulk imports can't collide
+let lastRandomId = 0;
+const generateRandomId = () => {
+  lastRandomId = Math.max(
+    Date.now() + Math.floor(Math.random() * 1000),
+    lastRandomId + 1
+  );
+  return lastRandomId;
+};
 
 // Generate unique lineup ID with counter
 let lineupCounter = 0;
@@ -19,6 +27,15 @@ const generatePlayerId = (name, team) => {
   return `${cleanTeam}_${cleanName}_${Date.now()}`;
 };
 
+// Generate slate ID from its display name, e.g. "LCK Week 3" -> "lck-week-3-<ts>"
+const generateSlateId = (name = "slate") => {
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${slug || "slate"}-${Date.now().toString(36)}`;
+};
+
 // Generate contest entry ID
 const generateEntryId = (baseId = 4732704849, index = 0) => {
   return baseId + index;
@@ -28,5 +45,6 @@ module.exports = {
   generateRandomId,
   generateLineupId,
   generatePlayerId,
+  generateSlateId,
   generateEntryId,
 };
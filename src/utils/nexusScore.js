@@ -0,0 +1,2 @@
+// NexusScore formulas, shared with the optimizers
+module.exports = require("../../client/src/lib/nexusScore");
@@ -0,0 +1,2 @@
+// Player status, shared with the optimizers and the player table
+module.exports = require("../../client/src/lib/playerStatus");
@@ -0,0 +1,2 @@
+// Seedable random numbers, shared with the browser optimizers
+module.exports = require("../../client/src/lib/seededRandom");
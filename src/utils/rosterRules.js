@@ -0,0 +1,2 @@
+// Showdown team rules, shared with the optimizers in client/src/lib
+module.exports = require("../../client/src/lib/rosterRules");
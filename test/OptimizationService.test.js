@@ -0,0 +1,117 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Database = require("../src/database/Database");
+const PlayerRepository = require("../src/repositories/PlayerRepository");
+const LineupRepository = require("../src/repositories/LineupRepository");
+const OptimizationService = require("../src/services/OptimizationService");
+
+const POSITIONS = ["TOP", "JNG", "MID", "ADC", "SUP", "TEAM"];
+const GAMES = [
+  ["T1", "GEN"],
+  ["HLE", "DK"],
+];
+
+// Four teams in two games, each with one player per position
+const buildPlayers = () => {
+  let id = 1;
+  return GAMES.flatMap(([home, away]) =>
+    [
+      [home, away],
+      [away, home],
+    ].flatMap(([team, opponent]) =>
+      POSITIONS.map((position, i) => ({
+        id: String(id++),
+        name: `${team}_${position}`,
+        team,
+        opponent,
+        position,
+        salary: 6000,
+        projectedPoints: 15 + i,
+        ownership: 20,
+      }))
+    )
+  );
+};
+
+const setup = async () => {
+  const database = new Database(null);
+  const playerRepository = new PlayerRepository(database);
+  const lineupRepository = new LineupRepository(database);
+  const service = new OptimizationService(lineupRepository, playerRepository);
+
+  const players = buildPlayers();
+  for (const player of players) {
+    await playerRepository.create(player);
+  }
+  const byName = (name) => players.find((player) => player.name === name);
+  return { players, byName, lineupRepository, service };
+};
+
+test("rebalance with save recomputes the stats of a swapped lineup", async () => {
+  const { byName, lineupRepository, service } = await setup();
+  const slot = ({ id, name, position, team, salary }) => ({
+    id,
+    name,
+    position,
+    team,
+    salary,
+  });
+
+  // T1 4 - HLE 3, with stats left over from another roster
+  const saved = await lineupRepository.create({
+    name: "Stale lineup",
+    cpt: { ...slot(byName("T1_MID")), position: "CPT", salary: 9000 },
+    players: ["T1_TOP", "T1_JNG", "HLE_MID", "T1_ADC", "HLE_SUP", "HLE_TEAM"]
+      .map(byName)
+      .map(slot),
+    projectedPoints: 1,
+    totalProjection: 1,
+    median: 1,
+    p10: 1,
+    p90: 1,
+    performances: [1, 1, 1],
+    nexusScore: 99,
+    scoreComponents: { stale: true },
+  });
+
+  const result = await service.rebalance({
+    exposureLimits: { players: [{ name: "T1_ADC", max: 0 }] },
+    constraints: { iterations: 500 },
+    save: true,
+  });
+
+  const [entry] = result.entries;
+  assert.equal(entry.status, "swapped");
+  assert.deepEqual(
+    entry.swaps.map((swap) => [swap.out, swap.in]),
+    [["T1_ADC", "HLE_ADC"]]
+  );
+  assert.equal(result.summary.saved, 1);
+
+  const lineup = await lineupRepository.findById(saved.id);
+  const names = lineup.players.map((player) => player.name);
+  assert.ok(names.includes("HLE_ADC"));
+  assert.ok(!names.includes("T1_ADC"));
+  assert.ok(lineup.rebalancedAt);
+
+  // CPT at 1.5x plus the flex projections of the new roster
+  const projection =
+    byName("T1_MID").projectedPoints * 1.5 +
+    names.reduce((sum, name) => sum + byName(name).projectedPoints, 0);
+  assert.equal(lineup.totalProjection, projection);
+  assert.equal(lineup.projectedPoints, Math.round(projection * 10) / 10);
+  assert.equal(
+    lineupRepository.calculateTotalProjection(lineup),
+    lineup.projectedPoints
+  );
+
+  // Simulated for the new roster, not carried over
+  assert.equal(lineup.performances.length, 500);
+  assert.ok(lineup.p10 > 1 && lineup.p10 <= lineup.median);
+  assert.ok(lineup.median <= lineup.p90);
+  assert.notEqual(lineup.nexusScore, 99);
+  assert.ok(Number.isFinite(lineup.nexusScore));
+  assert.equal(lineup.nexusScore, entry.lineup.nexusScore);
+  assert.notDeepEqual(lineup.scoreComponents, { stale: true });
+});